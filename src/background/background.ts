@@ -9,7 +9,7 @@
 declare const browser: typeof chrome | undefined;
 
 import { connectWebSocket, isWebSocketConnected, isWebSocketConnecting, getReconnectAttempts, sendViaWebSocket, sendRecordingViaWebSocket } from './websocket';
-import { initPauseState, setRulesPaused } from './header-manager';
+import { initPauseState, setRulesPaused, initCacheBustingDefault, setDefaultCacheBusting, verifyNetworkRules } from './header-manager';
 import { getChunkedData } from '../utils/storage-chunking.js';
 import { alarms, runtime, storage, tabs, isFirefox, isChrome, isEdge, isSafari } from '../utils/browser-api.js';
 import { RecordingService } from '../assets/recording/background/recording-service.js';
@@ -24,6 +24,16 @@ import { generateSourcesHash, generateSavedDataHash } from './modules/utils';
 import { handleRecordingMessage } from './modules/recording-handler';
 import { handleGeneralMessage } from './modules/message-handler';
 import { getCurrentSources, hydrateFromStorage } from './modules/sources-store';
+import { hydrateUrlRulesFromStorage } from './modules/url-rules-store';
+import { hydrateQuarantineFromStorage } from './modules/quarantine-store';
+import { hydrateEnvironmentsFromStorage } from './modules/environment-store';
+import { hydrateOutboxFromStorage } from './modules/toggle-outbox';
+import { hydrateProfilesFromStorage, getActiveProfile } from './modules/profile-store';
+import { hydrateTagSnapshotFromStorage } from './modules/tag-actions';
+import { hydrateSitePauseFromStorage, getSitePause } from './modules/site-pause';
+import { watchCookieChanges } from './modules/cookie-values';
+import { TOTP_ALARM, setRotationHandler } from './modules/totp-codes';
+import { TOKEN_EXPIRY_ALARM, checkTokenExpiry, isTokenExpired, setRefreshRequester } from './modules/token-expiry';
 import {
     scheduleUpdate,
     getLastSourcesHash, setLastSourcesHash,
@@ -37,6 +47,7 @@ import type { ActiveRule, HotkeyCommand } from '../types/browser';
 
 void logger.initialize();
 initPauseState();
+initCacheBustingDefault();
 
 const recordingService: IRecordingService = new RecordingService();
 
@@ -57,7 +68,10 @@ async function updateBadgeForCurrentTab(): Promise<void> {
             }
 
             const activeRules: ActiveRule[] = await getActiveRulesForTab(currentTab?.id, currentUrl);
-            await updateExtensionBadge(isConnected, activeRules, isPaused, recordingService, reconnectAttempts);
+            const expiredRuleCount = activeRules.filter(rule => isTokenExpired(rule.id)).length;
+            const profileName = getActiveProfile()?.name ?? null;
+            const sitePause = getSitePause(currentTab?.id, currentUrl);
+            await updateExtensionBadge(isConnected, activeRules, isPaused, recordingService, reconnectAttempts, expiredRuleCount, profileName, sitePause);
         });
     });
 }
@@ -85,6 +99,27 @@ async function initializeExtension(): Promise<void> {
 
     setTimeout(() => restoreTrackingState(debouncedUpdateBadge), 1000);
 
+    // Hydrate URL rules before the first rule update so it includes them
+    await hydrateUrlRulesFromStorage();
+
+    // Likewise quarantined entries, so the first update already skips them
+    await hydrateQuarantineFromStorage();
+
+    // And environments, so {{VAR}} templates resolve in the first update
+    await hydrateEnvironmentsFromStorage();
+
+    // Toggles queued while the app was away, replayed once it connects
+    await hydrateOutboxFromStorage();
+
+    // Profiles, for the badge tooltip
+    await hydrateProfilesFromStorage();
+
+    // And the last TagManager action, so it can still be undone
+    await hydrateTagSnapshotFromStorage();
+
+    // Sites and tabs with rules paused, so the first update excludes them
+    await hydrateSitePauseFromStorage();
+
     // Hydrate sources from storage (offline start before WebSocket connects)
     const restoredSources = await hydrateFromStorage();
     if (restoredSources.length > 0) {
@@ -113,6 +148,7 @@ async function initializeExtension(): Promise<void> {
 // Alarms
 alarms!.create('keepAlive', { periodInMinutes: 0.5 });
 alarms!.create('updateBadge', { delayInMinutes: 0.01, periodInMinutes: 0.033 });
+alarms!.create('verifyRules', { periodInMinutes: 5 });
 
 alarms!.onAlarm.addListener(async (alarm: chrome.alarms.Alarm) => {
     if (alarm.name === 'keepAlive') {
@@ -130,6 +166,14 @@ alarms!.onAlarm.addListener(async (alarm: chrome.alarms.Alarm) => {
         }
     } else if (alarm.name === 'updateBadge') {
         void updateBadgeForCurrentTab();
+    } else if (alarm.name === 'verifyRules') {
+        void verifyNetworkRules('alarm');
+    } else if (alarm.name === TOKEN_EXPIRY_ALARM) {
+        checkTokenExpiry();
+        debouncedUpdateBadge();
+    } else if (alarm.name === TOTP_ALARM) {
+        // Backstop for the rotation timer, when the worker was suspended
+        scheduleUpdate('totp', { immediate: true });
     }
 });
 
@@ -144,6 +188,13 @@ storage.onChanged.addListener((changes: { [key: string]: chrome.storage.StorageC
         debouncedUpdateBadge();
     }
 
+    // Cache-busting default — rules without their own mode follow it
+    if (area === 'sync' && changes.cacheBustingDefault) {
+        logger.info('Background', 'Cache-busting default changed to:', changes.cacheBustingDefault.newValue);
+        setDefaultCacheBusting(changes.cacheBustingDefault.newValue);
+        scheduleUpdate('cacheBusting', { immediate: true });
+    }
+
     // Log level
     if (area === 'sync' && changes.logLevel) {
         const newLevel = changes.logLevel.newValue as string;
@@ -230,6 +281,16 @@ storage.onChanged.addListener((changes: { [key: string]: chrome.storage.StorageC
     }
 });
 
+// Tokens close to expiry get their source refreshed by the app
+setRefreshRequester(sourceId => sendViaWebSocket({ type: 'refreshSource', sourceId, reason: 'token_expiring' }));
+
+// TOTP codes rotate at their period boundary; the update computes the new
+// codes and the diff only replaces the rules that use them
+setRotationHandler(() => scheduleUpdate('totp', { immediate: true }));
+
+// Cookie-backed headers follow their cookies
+watchCookieChanges(() => scheduleUpdate('cookies'));
+
 // Message listener
 runtime.onMessage.addListener((message: unknown, sender: chrome.runtime.MessageSender, sendResponse: (response?: unknown) => void) => {
     const msg = message as Record<string, unknown>;
@@ -1,30 +1,90 @@
 /**
- * Header Manager — builds declarativeNetRequest rules from saved data and dynamic sources.
+ * Header Manager — builds declarativeNetRequest rules from saved data, dynamic sources
+ * and the URL rules (redirect / block / rewrite) pushed by the desktop app.
  *
  * Performance notes:
  * - isPaused is cached in-memory, updated via setRulesPaused() from storage.onChanged
+ * - the cache-busting default is cached the same way via setDefaultCacheBusting()
  * - savedData is read from chunked storage (unavoidable — it's the source of truth)
  * - Rule arrays are built in a single pass, no intermediate allocations
+ * - Rule IDs are derived from (entry id, domain, direction), so an update only
+ *   touches the rules that actually changed (see rule-diff.ts)
+ * - {{VAR}} templates in values, prefixes and suffixes resolve against the active
+ *   environment and {{source:ID}} against the current sources; a rule with an
+ *   unresolved template is left out, not sent half-filled
  */
 declare const browser: typeof chrome | undefined;
 
 import { isValidHeaderValue, sanitizeHeaderValue } from './rule-validator';
-import { normalizeHeaderName } from '../utils/utils.js';
+import { normalizeHeaderName, findHeaderValue } from '../utils/utils.js';
 import { declarativeNetRequest } from '../utils/browser-api.js';
-import { validateHeaderName } from '../utils/header-validator.js';
+import { validateHeaderName, validateHeaderOperation } from '../utils/header-validator.js';
 import { getChunkedData } from '../utils/storage-chunking.js';
 import { sendMessageWithCallback } from '../utils/messaging';
 import { logger } from '../utils/logger';
-
-import type { HeaderEntry, ResolvedEntry, EntryResult, PlaceholderInfo, HeaderRule, SavedDataMap } from '../types/header';
+import { createUrlRules } from './modules/url-rule-builder';
+import { getCurrentUrlRules } from './modules/url-rules-store';
+import { getActiveEnvironment, getActiveVariables } from './modules/environment-store';
+import { resolveTemplate } from '../utils/env-template';
+import { findSourceRefs, resolveSourceRefs } from '../utils/source-template';
+import { decodeJwtTiming } from '../utils/jwt';
+import { trackTokenExpiry } from './modules/token-expiry';
+import { applyTransforms } from '../utils/value-transforms';
+import { getCookieValue, syncCookieValues } from './modules/cookie-values';
+import { getTotpCode, syncTotpCodes } from './modules/totp-codes';
+import { resolveTotpRefs } from '../utils/totp';
+import { toCookieSelector, describeCookieSelector } from '../utils/cookie-selector';
+import { normalizeResourceTypes, normalizeRequestMethods } from './modules/request-filters';
+import { findSiteDomains, hasPort, toDnrConditionDomains } from './modules/url-utils';
+import { createRuleIdAllocator, fingerprint } from './modules/utils';
+import { diffRules } from './modules/rule-diff';
+import { assembleRules, countRules, fitRuleBudget } from './modules/rule-budget';
+import { addRulesBisecting } from './modules/rule-bisect';
+import { findDrift, recordDriftEvent } from './modules/rule-verifier';
+import { getQuarantineRecord, getQuarantinedEntryIds, quarantineEntry, releaseEntries } from './modules/quarantine-store';
+import { withSitePause } from './modules/site-pause';
+
+import type { HeaderEntry, ResolvedEntry, ResolvedValue, EntryResult, PlaceholderInfo, HeaderRule, HeaderModification, NetworkRule, SavedDataMap, CacheBustingMode, RuleIssue, RuleBudget, RuleLimits, RuleDriftTrigger, TokenExpiry } from '../types/header';
+import type { RuleUnit } from './modules/rule-budget';
+import type { RejectedRule } from './modules/rule-bisect';
 import type { Source } from '../types/websocket';
+import type { RuleIdAllocator } from './modules/utils';
 
-// Track the highest rule ID from the last update for efficient removal
-let lastMaxRuleId = 0;
+// Installs run one after another — each diff must see the rules the previous one installed
+let installQueue: Promise<void> = Promise.resolve();
 
 // Cached pause state — updated by setRulesPaused() from storage.onChanged listener
 let isPaused = false;
 
+const CACHE_BUSTING_MODES: readonly CacheBustingMode[] = ['off', 'main_frame', 'all'];
+
+// Cache-busting mode for rules that don't set their own — 'all' keeps the historical behaviour
+let defaultCacheBusting: CacheBustingMode = 'all';
+
+// Rules left out of the last update, for the popup
+let lastRuleIssues: RuleIssue[] = [];
+
+// Values the last update resolved, by entry ID, for the popup
+let lastResolvedValues: Record<string, ResolvedValue> = {};
+
+// Quota usage of the last update, for the popup
+let lastRuleBudget: RuleBudget | null = null;
+
+// What the last install meant the browser to have — null until the first install
+let expectedRules: NetworkRule[] | null = null;
+let lastVerifiedAt: string | null = null;
+
+// Sources of the last update — quarantining an entry re-runs the update with them
+let lastDynamicSources: Source[] = [];
+
+/** Where the rules of one update came from, for tracing rejected rules back to entries */
+interface RuleProvenance {
+    /** Rule ID → the header entry or URL rule it was built from */
+    origins: Map<number, RuleUnit>;
+    /** Merged rule ID → the rules it was merged from */
+    members: Map<number, HeaderRule[]>;
+}
+
 /**
  * Set the paused state. Called from background.ts when isRulesExecutionPaused changes.
  */
@@ -42,96 +102,413 @@ export function initPauseState(): void {
     });
 }
 
+export function isCacheBustingMode(value: unknown): value is CacheBustingMode {
+    return CACHE_BUSTING_MODES.includes(value as CacheBustingMode);
+}
+
+/**
+ * Set the global cache-busting default. Called from background.ts when cacheBustingDefault changes.
+ */
+export function setDefaultCacheBusting(mode: unknown): void {
+    defaultCacheBusting = isCacheBustingMode(mode) ? mode : 'all';
+}
+
+/**
+ * Initialize the cache-busting default from storage. Called once at startup.
+ */
+export function initCacheBustingDefault(): void {
+    const browserAPI = (typeof browser !== 'undefined' ? browser : chrome) as typeof chrome;
+    browserAPI.storage.sync.get(['cacheBustingDefault'], (result: Record<string, unknown>) => {
+        setDefaultCacheBusting(result.cacheBustingDefault);
+    });
+}
+
+/**
+ * Rules that were left out of the last update (unsupported regex, rule limits).
+ */
+export function getRuleIssues(): RuleIssue[] {
+    return lastRuleIssues;
+}
+
+/**
+ * The value or placeholder of each enabled entry the last update resolved,
+ * by savedData key. Entries it skipped as invalid have none.
+ */
+export function getResolvedValues(): Record<string, ResolvedValue> {
+    return lastResolvedValues;
+}
+
+/**
+ * Rule quota usage of the last update; null until the first update ran.
+ */
+export function getRuleBudget(): RuleBudget | null {
+    return lastRuleBudget;
+}
+
+/**
+ * When the installed rules were last checked against the expected set.
+ */
+export function getLastVerifiedAt(): string | null {
+    return lastVerifiedAt;
+}
+
+/**
+ * Check the installed rules against the last installed set and repair any
+ * drift. Queued behind pending installs. Called from the periodic alarm.
+ */
+export function verifyNetworkRules(trigger: RuleDriftTrigger): Promise<void> {
+    installQueue = installQueue.then(() => verifyInstalledRules(trigger));
+    return installQueue;
+}
+
 /**
  * Updates the network request rules based on saved data and dynamic sources.
  */
 export function updateNetworkRules(dynamicSources: Source[]): void {
+    lastDynamicSources = dynamicSources;
+
     if (isPaused) {
         logger.info('HeaderManager', 'Rules execution is paused, clearing all active rules');
-        declarativeNetRequest!.getDynamicRules().then((existingRules) => {
-            const removeIds = existingRules.map(r => r.id);
-            return declarativeNetRequest!.updateDynamicRules({
-                removeRuleIds: removeIds,
-                addRules: []
-            });
-        }).then(() => {
-            lastMaxRuleId = 0;
-            logger.debug('HeaderManager', 'All rules cleared while paused');
-        });
+        lastRuleIssues = [];
+        lastResolvedValues = {};
+        lastRuleBudget = toRuleBudget([]);
+        installRules([]);
         return;
     }
 
     getChunkedData('savedData', (savedData: SavedDataMap | null) => {
-        savedData = savedData || {};
+        buildNetworkRules(savedData || {}, dynamicSources).catch(reportRuleUpdateError);
+    });
+}
 
-        const rules: HeaderRule[] = [];
-        let ruleId = 1;
+/**
+ * Resolve the enabled entries, build their rules and the URL rules, and install them.
+ */
+async function buildNetworkRules(savedData: SavedDataMap, dynamicSources: Source[]): Promise<void> {
+    // Cookie values and TOTP codes are read up front, so entries resolve synchronously
+    const enabledEntries = Object.values(savedData).filter(entry => entry.isEnabled !== false);
+    await Promise.all([syncCookieValues(enabledEntries), syncTotpCodes(enabledEntries, dynamicSources)]);
+
+    const requestEntries: ResolvedEntry[] = [];
+    const responseEntries: ResolvedEntry[] = [];
+    const placeholders: PlaceholderInfo[] = [];
+    const resolvedValues: Record<string, ResolvedValue> = {};
+    const domainIssues: RuleIssue[] = [];
+
+    for (const id in savedData) {
+        const entry: HeaderEntry = savedData[id];
+
+        if (entry.isEnabled === false) {
+            logger.debug('HeaderManager', `Skipping disabled rule for ${entry.headerName}`);
+            continue;
+        }
 
-        const requestEntries: ResolvedEntry[] = [];
-        const responseEntries: ResolvedEntry[] = [];
-        const placeholders: PlaceholderInfo[] = [];
+        domainIssues.push(...findPortDomains(id, entry));
 
-        for (const id in savedData) {
-            const entry: HeaderEntry = savedData[id];
+        const result = processEntry(id, entry, dynamicSources);
+        if (!result) continue;
 
-            if (entry.isEnabled === false) {
-                logger.debug('HeaderManager', `Skipping disabled rule for ${entry.headerName}`);
-                continue;
+        if (result.resolved) {
+            resolvedValues[id] = { value: result.entry.headerValue };
+            if (result.entry.isResponse) {
+                responseEntries.push(result.entry);
+            } else {
+                requestEntries.push(result.entry);
             }
+        } else {
+            resolvedValues[id] = { value: '', placeholder: result.placeholder };
+            placeholders.push(result.placeholder);
+        }
+    }
+    lastResolvedValues = resolvedValues;
 
-            const result = processEntry(entry, dynamicSources);
-            if (!result) continue;
+    if (placeholders.length > 0) {
+        logger.warn('HeaderManager', `${placeholders.length} headers not injected (unresolved):`, placeholders);
+    }
 
-            if (result.resolved) {
-                if (result.entry.isResponse) {
-                    responseEntries.push(result.entry);
-                } else {
-                    requestEntries.push(result.entry);
+    trackTokenExpiry(findTokens([...requestEntries, ...responseEntries], savedData, dynamicSources));
+
+    // Entries deleted since they were quarantined don't need the record anymore
+    releaseEntries(getQuarantinedEntryIds().filter(id => !(id in savedData)));
+
+    return checkRegexPatterns([...requestEntries, ...responseEntries]).then(({ entries, issues }) => {
+        issues.unshift(...domainIssues);
+        const limits = declarativeNetRequest!.getRuleLimits();
+        const units: RuleUnit[] = [];
+        const allocateId = createRuleIdAllocator();
+        let regexRuleCount = 0;
+
+        for (const entry of entries) {
+            const entryRules = entry.isResponse
+                ? createResponseHeaderRules(entry, allocateId)
+                : createRequestHeaderRules(entry, allocateId);
+
+            // A quarantined entry is retried once its rules change
+            const quarantine = getQuarantineRecord(entry.id);
+            if (quarantine) {
+                if (quarantine.fingerprint === fingerprint(entryRules)) {
+                    issues.push({ ruleId: entry.id, reason: 'quarantined', message: `Rejected by the browser: ${quarantine.reason}` });
+                    continue;
                 }
-            } else {
-                placeholders.push(result.placeholder);
+                releaseEntries([entry.id]);
+            }
+
+            // All or nothing per entry, so a rule never applies to only some of its patterns
+            if (entry.patternType === 'regex') {
+                if (regexRuleCount + entryRules.length > limits.maxRegexRules) {
+                    issues.push({
+                        ruleId: entry.id,
+                        reason: 'regex_limit',
+                        message: `Needs ${entryRules.length} regex rules, but only ${limits.maxRegexRules - regexRuleCount} of ${limits.maxRegexRules} are left`
+                    });
+                    continue;
+                }
+                regexRuleCount += entryRules.length;
+            }
+
+            units.push({ kind: 'header', id: entry.id, rules: entryRules });
+        }
+
+        for (const urlRule of getCurrentUrlRules()) {
+            const urlRules = createUrlRules([urlRule], allocateId);
+            if (urlRules.length > 0) {
+                units.push({ kind: 'url', id: urlRule.id, rules: urlRules });
             }
         }
 
-        requestEntries.forEach(entry => {
-            const requestRules = createRequestHeaderRules(entry, ruleId);
-            rules.push(...requestRules);
-            ruleId += requestRules.length;
+        const { kept, dropped, exceeded } = fitRuleBudget(units, limits);
+        if (exceeded) {
+            issues.push(...toBudgetIssues(dropped, exceeded === 'regex' ? 'regex_limit' : 'rule_limit', limits));
+        }
+
+        const provenance: RuleProvenance = { origins: new Map(), members: new Map() };
+        for (const unit of kept) {
+            for (const rule of unit.rules) {
+                provenance.origins.set(rule.id, unit);
+            }
+        }
+
+        // Paused sites are excluded on every rule, after merging
+        const rules = withSitePause(assembleRules(kept, allocateId, provenance.members));
+        const headerRuleCount = kept.filter(u => u.kind === 'header').reduce((sum, u) => sum + u.rules.length, 0);
+        logger.info('HeaderManager', `Rule optimizer: ${headerRuleCount} header rules merged into ${rules.filter(r => r.action.type === 'modifyHeaders').length}`);
+
+        lastRuleBudget = toRuleBudget(rules, limits);
+        lastRuleIssues = issues;
+        if (issues.length > 0) {
+            logger.error('HeaderManager', `${issues.length} rules not installed:`, issues);
+        }
+
+        return installRules(rules, provenance);
+    });
+}
+
+/**
+ * Report dropped units: one issue per header entry, one summary for URL rules.
+ */
+function toBudgetIssues(dropped: RuleUnit[], reason: 'regex_limit' | 'rule_limit', limits: RuleLimits): RuleIssue[] {
+    const limitText = reason === 'regex_limit'
+        ? `all ${limits.maxRegexRules} regex rules`
+        : `all ${limits.maxRules} dynamic rules`;
+
+    const issues: RuleIssue[] = dropped
+        .filter(unit => unit.kind === 'header')
+        .map(unit => ({
+            ruleId: unit.id,
+            reason,
+            message: `Not installed — ${limitText} are taken by higher-priority rules`
+        }));
+
+    const droppedUrlRules = dropped.filter(unit => unit.kind === 'url').length;
+    if (droppedUrlRules > 0) {
+        issues.push({
+            reason,
+            message: `${droppedUrlRules} URL rules skipped — ${limitText} are in use`
         });
+    }
+
+    return issues;
+}
+
+function toRuleBudget(rules: NetworkRule[], limits: RuleLimits = declarativeNetRequest!.getRuleLimits()): RuleBudget {
+    const { total, regex } = countRules(rules);
+    return {
+        used: total,
+        available: limits.maxRules,
+        regexUsed: regex,
+        regexAvailable: limits.maxRegexRules
+    };
+}
 
-        responseEntries.forEach(entry => {
-            const responseRules = createResponseHeaderRules(entry, ruleId);
-            rules.push(...responseRules);
-            ruleId += responseRules.length;
+/**
+ * Make the installed dynamic rules match the given set, adding and removing
+ * only what differs. Installed rules that aren't in the set — including stale
+ * ones from previous sessions or versions — are removed.
+ *
+ * If the browser rejects the batch, the removals are applied on their own and
+ * the additions are bisected: every valid rule gets installed, and the entries
+ * behind rejected rules are quarantined (see provenance).
+ */
+function installRules(rules: NetworkRule[], provenance?: RuleProvenance): Promise<void> {
+    installQueue = installQueue.then(() => declarativeNetRequest!.getDynamicRules().then((existingRules) => {
+        const { removeRuleIds, addRules, unchanged } = diffRules(existingRules, rules);
+
+        if (removeRuleIds.length === 0 && addRules.length === 0) {
+            logger.debug('HeaderManager', `All ${rules.length} network rules already up to date`);
+            expectedRules = rules;
+            return;
+        }
+
+        return declarativeNetRequest!.updateDynamicRules({
+            removeRuleIds,
+            addRules
+        }).then(() => {
+            logger.info('HeaderManager', `Successfully updated network rules: ${addRules.length} added, ${removeRuleIds.length} removed, ${unchanged} unchanged`);
+            expectedRules = rules;
+            return verifyInstalledRules('post_apply');
+        }, (e: Error) => {
+            if (!provenance) throw e;
+
+            logger.warn('HeaderManager', `Rule update rejected (${e.message || 'Unknown error'}), bisecting ${addRules.length} rules to find the invalid ones`);
+            return declarativeNetRequest!.updateDynamicRules({ removeRuleIds, addRules: [] })
+                .then(() => addRulesBisecting(addRules, rule => provenance.members.get(rule.id)))
+                .then(({ added, rejected }) => {
+                    // What the browser has now: the unchanged rules and what bisecting got in,
+                    // which has the members of a rejected merged rule instead of the rule
+                    const addedIds = new Set(addRules.map(rule => rule.id));
+                    expectedRules = [...rules.filter(rule => !addedIds.has(rule.id)), ...added];
+                    handleRejectedRules(rejected, provenance);
+                });
         });
+    })).catch(reportRuleUpdateError);
+    return installQueue;
+}
+
+/**
+ * Log a failed update and tell the popup, which shows it.
+ */
+function reportRuleUpdateError(e: Error): void {
+    logger.error('HeaderManager', 'Error updating rules:', e.message || 'Unknown error');
+    sendMessageWithCallback({
+        type: 'ruleUpdateError',
+        error: e.message || 'Unknown error'
+    }, (_response, _error) => {});
+}
 
-        if (placeholders.length > 0) {
-            logger.warn('HeaderManager', `${placeholders.length} headers not injected (unresolved):`, placeholders);
+/**
+ * Read the installed rules back and repair them if they drifted from the
+ * expected set — e.g. stale rules left by an earlier service-worker instance.
+ */
+function verifyInstalledRules(trigger: RuleDriftTrigger): Promise<void> {
+    const expected = expectedRules;
+    if (!expected) return Promise.resolve();
+
+    return declarativeNetRequest!.getDynamicRules().then((installed) => {
+        lastVerifiedAt = new Date().toISOString();
+        const drift = findDrift(expected, installed);
+        if (!drift) {
+            logger.debug('HeaderManager', `Verified ${installed.length} installed rules (${trigger})`);
+            return;
         }
 
-        // Get ALL existing dynamic rule IDs so we remove everything —
-        // including stale rules from previous sessions or versions
-        declarativeNetRequest!.getDynamicRules().then((existingRules) => {
-            const removeRuleIds = existingRules.map(r => r.id);
+        logger.warn('HeaderManager', `Rule drift found (${trigger}): ${drift.missing.length} missing, ${drift.unexpected.length} unexpected, ${drift.changed.length} changed — repairing`);
+        return declarativeNetRequest!.updateDynamicRules(drift.repair).then(
+            () => recordDriftEvent(trigger, drift, true),
+            (e: Error) => {
+                logger.error('HeaderManager', 'Failed to repair rule drift:', e.message || 'Unknown error');
+                return recordDriftEvent(trigger, drift, false, e.message || 'Unknown error');
+            }
+        );
+    }).catch((e: Error) => {
+        logger.error('HeaderManager', 'Rule verification failed:', e.message || 'Unknown error');
+    });
+}
 
-            return declarativeNetRequest!.updateDynamicRules({
-                removeRuleIds,
-                addRules: rules
+/**
+ * Quarantine the entries behind rules the browser rejected, then rebuild
+ * without them so the merged rules of their neighbours come back.
+ */
+function handleRejectedRules(rejected: RejectedRule[], provenance: RuleProvenance): void {
+    if (rejected.length === 0) {
+        logger.info('HeaderManager', 'All rules installed on retry');
+        return;
+    }
+
+    let quarantined = 0;
+    for (const { rule, error } of rejected) {
+        const origin = provenance.origins.get(rule.id);
+        if (origin?.kind === 'header') {
+            if (!getQuarantineRecord(origin.id)) {
+                logger.error('HeaderManager', `Quarantining rule ${origin.id} — rejected by the browser:`, error);
+                quarantineEntry(origin.id, error, fingerprint(origin.rules));
+                quarantined++;
+            }
+        } else {
+            logger.error('HeaderManager', `URL rule ${origin ? origin.id : rule.id} rejected by the browser:`, error);
+        }
+    }
+
+    sendMessageWithCallback({
+        type: 'ruleUpdateError',
+        error: `${rejected.length} rules rejected by the browser: ${rejected[0].error}`
+    }, (_response, _error) => {});
+
+    if (quarantined > 0) {
+        updateNetworkRules(lastDynamicSources);
+    }
+}
+
+/**
+ * Drop regex patterns the browser can't use (JavaScript syntax first, then
+ * declarativeNetRequest.isRegexSupported, which also rejects RE2-incompatible
+ * syntax and patterns that are too large). Entries left without patterns are dropped.
+ */
+function checkRegexPatterns(entries: ResolvedEntry[]): Promise<{ entries: ResolvedEntry[]; issues: RuleIssue[] }> {
+    const issues: RuleIssue[] = [];
+    const support = new Map<string, Promise<string | null>>();
+
+    const checkPattern = (pattern: string): Promise<string | null> => {
+        let result = support.get(pattern);
+        if (!result) {
+            result = isValidRegex(pattern)
+                ? declarativeNetRequest!.isRegexSupported({ regex: pattern, isCaseSensitive: false })
+                    .then(r => r.isSupported ? null : (r.reason || 'unsupported'))
+                    .catch(() => null)
+                : Promise.resolve('syntaxError');
+            support.set(pattern, result);
+        }
+        return result;
+    };
+
+    return Promise.all(entries.map(entry => {
+        if (entry.patternType !== 'regex') return Promise.resolve(entry);
+
+        const patterns = entry.domains.map(d => d.trim()).filter(d => d !== '');
+        return Promise.all(patterns.map(checkPattern)).then(errors => {
+            const supported = patterns.filter((pattern, i) => {
+                if (errors[i] === null) return true;
+                logger.warn('HeaderManager', `Regex "${pattern}" of ${entry.headerName} not installed — ${errors[i]}`);
+                issues.push({ ruleId: entry.id, reason: 'invalid_regex', message: `Regex "${pattern}" is not supported (${errors[i]})` });
+                return false;
             });
-        }).then(() => {
-            lastMaxRuleId = ruleId - 1;
-            logger.info('HeaderManager', `Successfully updated ${rules.length} network rules`);
-        }).catch((e: Error) => {
-            logger.error('HeaderManager', 'Error updating rules:', e.message || 'Unknown error');
-            sendMessageWithCallback({
-                type: 'ruleUpdateError',
-                error: e.message || 'Unknown error'
-            }, (_response, _error) => {});
+            return supported.length > 0 ? { ...entry, domains: supported } : null;
         });
-    });
+    })).then(checked => ({
+        entries: checked.filter((e): e is ResolvedEntry => e !== null),
+        issues
+    }));
 }
 
-function processEntry(entry: HeaderEntry, dynamicSources: Source[]): EntryResult | null {
+function isValidRegex(pattern: string): boolean {
+    try {
+        new RegExp(pattern);
+        return true;
+    } catch (_e) {
+        return false;
+    }
+}
+
+function processEntry(id: string, entry: HeaderEntry, dynamicSources: Source[]): EntryResult | null {
     const headerNameValidation = validateHeaderName(entry.headerName, entry.isResponse);
     if (!headerNameValidation.valid) {
         logger.debug('HeaderManager', `Skipping rule for ${entry.headerName} - ${headerNameValidation.message}`);
@@ -147,34 +524,137 @@ function processEntry(entry: HeaderEntry, dynamicSources: Source[]): EntryResult
     }
 
     const headerName = headerNameValidation.sanitized || normalizeHeaderName(entry.headerName);
+    const isResponse = entry.isResponse === true;
+    const patternType = entry.patternType === 'regex' ? 'regex' : 'wildcard';
+    const operation = entry.operation || 'set';
+    const cacheBusting = isCacheBustingMode(entry.cacheBusting) ? entry.cacheBusting : defaultCacheBusting;
+
+    const operationValidation = validateHeaderOperation(headerName, operation, isResponse);
+    if (!operationValidation.valid) {
+        logger.warn('HeaderManager', `Skipping rule for ${entry.headerName} - ${operationValidation.message}`);
+        return null;
+    }
 
-    if (entry.isDynamic && entry.sourceId) {
-        const source = dynamicSources.find(s =>
-            s.sourceId?.toString() === entry.sourceId?.toString()
-        );
+    // A filter list whose values are all unknown must not widen into "everything"
+    const resourceTypes = normalizeResourceTypes(entry.resourceTypes);
+    const requestMethods = normalizeRequestMethods(entry.requestMethods);
+    if (resourceTypes?.length === 0 || requestMethods?.length === 0) {
+        logger.warn('HeaderManager', `Skipping rule for ${entry.headerName} - no valid resource types or request methods`);
+        return null;
+    }
+
+    const excludedDomains = toOptionalDnrDomains(entry.excludedDomains);
+    const initiatorDomains = toOptionalDnrDomains(entry.initiatorDomains);
+    const excludedInitiatorDomains = toOptionalDnrDomains(entry.excludedInitiatorDomains);
+    if (excludedDomains?.length === 0 || initiatorDomains?.length === 0 || excludedInitiatorDomains?.length === 0) {
+        logger.warn('HeaderManager', `Skipping rule for ${entry.headerName} - excluded or initiator domains contain no usable domain`);
+        return null;
+    }
+
+    const resolved = (headerValue: string): EntryResult => ({
+        resolved: true,
+        entry: {
+            id, headerName, headerValue, domains, patternType, isResponse, operation, cacheBusting, resourceTypes, requestMethods,
+            excludedDomains, initiatorDomains, excludedInitiatorDomains
+        }
+    });
+
+    // A remove needs no value, so neither the source nor the static value matters
+    if (operation === 'remove') {
+        return resolved('');
+    }
+
+    // The first unresolved part of a template decides the placeholder
+    const unresolved = (result: TemplateExpansion): EntryResult | null => {
+        if (result.missingSources.length > 0) {
+            logger.warn('HeaderManager', `Header "${entry.headerName}" not injected — referenced sources not found: ${result.missingSources.join(', ')}`);
+            return { resolved: false, placeholder: { headerName, reason: 'source_not_found', domains, sourceIds: result.missingSources } };
+        }
+        if (result.emptySources.length > 0) {
+            logger.warn('HeaderManager', `Header "${entry.headerName}" not injected — referenced sources are empty: ${result.emptySources.join(', ')}`);
+            return { resolved: false, placeholder: { headerName, reason: 'empty_source', domains, sourceIds: result.emptySources } };
+        }
+        if (result.missingTotp.length > 0) {
+            logger.warn('HeaderManager', `Header "${entry.headerName}" not injected — no TOTP code for sources: ${result.missingTotp.join(', ')}`);
+            return { resolved: false, placeholder: { headerName, reason: 'totp_unavailable', domains, sourceIds: result.missingTotp } };
+        }
+        if (result.missingVars.length > 0) {
+            logger.warn('HeaderManager', `Header "${entry.headerName}" not injected — ${result.missingVars.join(', ')} not defined in environment "${getActiveEnvironment() ?? 'none'}"`);
+            return { resolved: false, placeholder: { headerName, sourceId: entry.sourceId, reason: 'unresolved_env_vars', domains, missingVars: result.missingVars } };
+        }
+        return null;
+    };
+
+    // A cookie-backed entry reads its value from a browser cookie instead of an app source
+    const cookie = entry.cookieName ? toCookieSelector(entry) : null;
+    if (entry.cookieName && !cookie) {
+        logger.warn('HeaderManager', `Skipping rule for ${entry.headerName} - cookie "${entry.cookieName}" has no valid cookie domain`);
+        return null;
+    }
+
+    if (cookie || (entry.isDynamic && entry.sourceId)) {
+        let dynamicContent: string;
+        let label: string;
+
+        if (cookie) {
+            label = describeCookieSelector(cookie);
+            dynamicContent = getCookieValue(cookie) || '';
+
+            if (!dynamicContent) {
+                logger.warn('HeaderManager', `Header "${entry.headerName}" not injected — ${label} is missing or empty`);
+                return { resolved: false, placeholder: { headerName, reason: 'cookie_not_found', domains, cookieName: cookie.name } };
+            }
+        } else {
+            label = `source #${entry.sourceId}`;
+            const source = dynamicSources.find(s =>
+                s.sourceId?.toString() === entry.sourceId?.toString()
+            );
+
+            if (!source) {
+                logger.warn('HeaderManager', `Header "${entry.headerName}" not injected — source #${entry.sourceId} not found`);
+                return { resolved: false, placeholder: { headerName, sourceId: entry.sourceId, reason: 'source_not_found', domains } };
+            }
+
+            // Either the body or one of the source's response headers
+            const sourceHeader = entry.sourceHeader?.trim() || undefined;
+            dynamicContent = (sourceHeader ? findHeaderValue(source.responseHeaders, sourceHeader) : source.sourceContent) || '';
 
-        if (!source) {
-            logger.warn('HeaderManager', `Header "${entry.headerName}" not injected — source #${entry.sourceId} not found`);
-            return { resolved: false, placeholder: { headerName, sourceId: entry.sourceId, reason: 'source_not_found', domains } };
+            if (!dynamicContent) {
+                const what = sourceHeader ? `has no ${sourceHeader} response header` : 'is empty';
+                logger.warn('HeaderManager', `Header "${entry.headerName}" not injected — source #${entry.sourceId} ${what}`);
+                return { resolved: false, placeholder: { headerName, sourceId: entry.sourceId, reason: 'empty_source', domains, sourceHeader } };
+            }
         }
 
-        const dynamicContent = source.sourceContent || '';
+        const sourceRef = cookie ? { cookieName: cookie.name } : { sourceId: entry.sourceId };
+        const transformed = applyTransforms(dynamicContent, entry.transforms);
+        if (!transformed.ok) {
+            logger.warn('HeaderManager', `Header "${entry.headerName}" not injected — transform of ${label} failed: ${transformed.error}`);
+            return { resolved: false, placeholder: { headerName, ...sourceRef, reason: 'transform_failed', domains, transformError: transformed.error } };
+        }
+        if (!transformed.value) {
+            logger.warn('HeaderManager', `Header "${entry.headerName}" not injected — ${label} is empty after transforms`);
+            return { resolved: false, placeholder: { headerName, ...sourceRef, reason: 'transform_failed', domains, transformError: 'Result is empty' } };
+        }
 
-        if (!dynamicContent) {
-            logger.warn('HeaderManager', `Header "${entry.headerName}" not injected — source #${entry.sourceId} is empty`);
-            return { resolved: false, placeholder: { headerName, sourceId: entry.sourceId, reason: 'empty_source', domains } };
+        // Templates come from the rule itself; source content is used as is
+        const affixes = expandTemplates([entry.prefix || '', entry.suffix || ''], dynamicSources);
+        const affixPlaceholder = unresolved(affixes);
+        if (affixPlaceholder) {
+            return affixPlaceholder;
         }
 
-        const headerValue = `${entry.prefix || ''}${dynamicContent}${entry.suffix || ''}`;
+        const [prefix, suffix] = affixes.values;
+        const headerValue = `${prefix}${transformed.value}${suffix}`;
         if (!isValidHeaderValue(headerValue, entry.headerName)) {
             const sanitized = sanitizeHeaderValue(headerValue);
             if (!isValidHeaderValue(sanitized, entry.headerName)) {
                 logger.debug('HeaderManager', `Skipping invalid header value for ${entry.headerName}`);
                 return null;
             }
-            return { resolved: true, entry: { headerName, headerValue: sanitized, domains, isResponse: entry.isResponse === true } };
+            return resolved(sanitized);
         }
-        return { resolved: true, entry: { headerName, headerValue, domains, isResponse: entry.isResponse === true } };
+        return resolved(headerValue);
     }
 
     if (!entry.headerValue || !entry.headerValue.trim()) {
@@ -182,7 +662,19 @@ function processEntry(entry: HeaderEntry, dynamicSources: Source[]): EntryResult
         return { resolved: false, placeholder: { headerName, reason: 'empty_value', domains } };
     }
 
-    let headerValue = entry.headerValue;
+    const template = expandTemplates([entry.headerValue], dynamicSources);
+    const templatePlaceholder = unresolved(template);
+    if (templatePlaceholder) {
+        return templatePlaceholder;
+    }
+
+    // Variables may be defined but empty
+    if (!template.values[0].trim()) {
+        logger.warn('HeaderManager', `Header "${entry.headerName}" not injected — value is empty after substituting variables`);
+        return { resolved: false, placeholder: { headerName, reason: 'empty_value', domains } };
+    }
+
+    let headerValue = template.values[0];
     if (!isValidHeaderValue(headerValue, entry.headerName)) {
         headerValue = sanitizeHeaderValue(headerValue);
         if (!isValidHeaderValue(headerValue, entry.headerName)) {
@@ -191,88 +683,286 @@ function processEntry(entry: HeaderEntry, dynamicSources: Source[]): EntryResult
         }
     }
 
-    return { resolved: true, entry: { headerName, headerValue, domains, isResponse: entry.isResponse === true } };
+    return resolved(headerValue);
+}
+
+/**
+ * The JWTs with exp or nbf in the resolved header values. The token is
+ * attributed to the entry's own source, or else to the {{source:ID}} whose
+ * content contains it, so the app can be asked to refresh that source.
+ */
+function findTokens(entries: ResolvedEntry[], savedData: SavedDataMap, dynamicSources: Source[]): TokenExpiry[] {
+    const tokens: TokenExpiry[] = [];
+    for (const resolvedEntry of entries) {
+        const timing = decodeJwtTiming(resolvedEntry.headerValue);
+        if (!timing || (timing.exp === undefined && timing.nbf === undefined)) continue;
+
+        const entry = savedData[resolvedEntry.id];
+        const sourceId = entry.isDynamic && entry.sourceId && !entry.cookieName
+            ? String(entry.sourceId)
+            : findSourceRefs([entry.headerValue, entry.prefix, entry.suffix].join('\n')).find(id =>
+                dynamicSources.some(s => s.sourceId?.toString() === id && s.sourceContent?.includes(timing.token))
+            );
+
+        tokens.push({ entryId: resolvedEntry.id, headerName: resolvedEntry.headerName, sourceId, exp: timing.exp, nbf: timing.nbf });
+    }
+    return tokens;
 }
 
-function createRequestHeaderRules(entry: ResolvedEntry, startId: number): HeaderRule[] {
+interface TemplateExpansion {
+    values: string[];
+    missingVars: string[];
+    missingSources: string[];
+    emptySources: string[];
+    missingTotp: string[];
+}
+
+/**
+ * Expand {{VAR}}, then {{totp:ID}}, then {{source:ID}} templates. Variables
+ * go first, so the content of a source is never itself treated as a template.
+ */
+function expandTemplates(templates: string[], dynamicSources: Source[]): TemplateExpansion {
+    const variables = getActiveVariables();
+    const getContent = (sourceId: string): string | undefined => {
+        const source = dynamicSources.find(s => s.sourceId?.toString() === sourceId);
+        return source ? source.sourceContent || '' : undefined;
+    };
+
+    const result: TemplateExpansion = { values: [], missingVars: [], missingSources: [], emptySources: [], missingTotp: [] };
+    for (const template of templates) {
+        const withVars = resolveTemplate(template, variables);
+        const withTotp = resolveTotpRefs(withVars.value, getTotpCode);
+        const withSources = resolveSourceRefs(withTotp.value, getContent);
+        result.values.push(withSources.value);
+        result.missingVars.push(...withVars.missing.filter(name => !result.missingVars.includes(name)));
+        result.missingTotp.push(...withTotp.missing.filter(id => !result.missingTotp.includes(id)));
+        result.missingSources.push(...withSources.missing.filter(id => !result.missingSources.includes(id)));
+        result.emptySources.push(...withSources.empty.filter(id => !result.emptySources.includes(id)));
+    }
+    return result;
+}
+
+/**
+ * The modification a resolved entry contributes to a rule. DNR rejects a
+ * value on 'remove', so it is only attached for 'set' and 'append'.
+ */
+function toHeaderModification(entry: ResolvedEntry): HeaderModification {
+    if (entry.operation === 'remove') {
+        return { header: entry.headerName, operation: 'remove' };
+    }
+    return { header: entry.headerName, operation: entry.operation, value: entry.headerValue };
+}
+
+const CACHE_BUSTING_HEADERS: readonly HeaderModification[] = [
+    { header: 'Cache-Control', operation: 'set', value: 'no-cache, no-store, must-revalidate' },
+    { header: 'Pragma', operation: 'set', value: 'no-cache' }
+];
+
+function createRequestHeaderRules(entry: ResolvedEntry, allocateId: RuleIdAllocator): HeaderRule[] {
     const rules: HeaderRule[] = [];
-    let ruleId = startId;
 
     const ALL_RESOURCE_TYPES: chrome.declarativeNetRequest.ResourceType[] = [
         'main_frame', 'sub_frame', 'stylesheet', 'script', 'image',
         'font', 'object', 'xmlhttprequest', 'websocket', 'other'
     ] as chrome.declarativeNetRequest.ResourceType[];
 
-    entry.domains.forEach(domain => {
-        if (!domain || domain.trim() === '') return;
-
-        const urlFilter = formatUrlPattern(domain);
-
-        rules.push({
-            id: ruleId++,
-            priority: 100,
-            action: {
-                type: 'modifyHeaders',
-                requestHeaders: [
-                    { header: entry.headerName, operation: 'set', value: entry.headerValue },
-                    { header: 'Cache-Control', operation: 'set', value: 'no-cache, no-store, must-revalidate' },
-                    { header: 'Pragma', operation: 'set', value: 'no-cache' }
-                ]
-            },
-            condition: {
-                urlFilter: urlFilter,
-                resourceTypes: ALL_RESOURCE_TYPES
-            }
-        });
-    });
+    const resourceTypes = (entry.resourceTypes as chrome.declarativeNetRequest.ResourceType[] | undefined) || ALL_RESOURCE_TYPES;
+    const headerOnly: HeaderModification[] = [toHeaderModification(entry)];
+
+    // The rule's own header wins over the forced cache header of the same name —
+    // DNR rejects a rule that modifies one header twice
+    const lowerName = entry.headerName.toLowerCase();
+    const withCacheBusting: HeaderModification[] = [
+        ...headerOnly,
+        ...CACHE_BUSTING_HEADERS.filter(h => h.header.toLowerCase() !== lowerName)
+    ];
+
+    let variants: RuleVariant[];
+
+    if (entry.cacheBusting === 'off') {
+        variants = [{ part: 'all', headers: headerOnly, resourceTypes }];
+    } else if (entry.cacheBusting === 'main_frame') {
+        // Two rules per domain: the document with the cache headers, everything else without
+        variants = splitMainFrame(resourceTypes).map(({ isMainFrame, resourceTypes: types }) => ({
+            part: isMainFrame ? 'main_frame' : 'sub_resources',
+            headers: isMainFrame ? withCacheBusting : headerOnly,
+            resourceTypes: types
+        }));
+    } else {
+        variants = [{ part: 'all', headers: withCacheBusting, resourceTypes }];
+    }
+
+    for (const target of toRuleTargets(entry)) {
+        for (const variant of variants) {
+            rules.push({
+                id: allocateId(ruleKey('request', entry, target.key, variant.part)),
+                priority: 100,
+                action: {
+                    type: 'modifyHeaders',
+                    requestHeaders: variant.headers
+                },
+                condition: buildCondition(target, variant.resourceTypes, entry)
+            });
+        }
+    }
 
     return rules;
 }
 
-function createResponseHeaderRules(entry: ResolvedEntry, startId: number): HeaderRule[] {
+function createResponseHeaderRules(entry: ResolvedEntry, allocateId: RuleIdAllocator): HeaderRule[] {
     const rules: HeaderRule[] = [];
-    let ruleId = startId;
 
     const SUB_RESOURCE_TYPES: chrome.declarativeNetRequest.ResourceType[] = [
         'sub_frame', 'stylesheet', 'script', 'image', 'font',
         'xmlhttprequest', 'websocket', 'other'
     ] as chrome.declarativeNetRequest.ResourceType[];
 
-    entry.domains.forEach(domain => {
-        if (!domain || domain.trim() === '') return;
-
-        const urlFilter = formatUrlPattern(domain);
-
-        rules.push({
-            id: ruleId++,
-            priority: 1000,
-            action: {
-                type: 'modifyHeaders',
-                responseHeaders: [{ header: entry.headerName, operation: 'set', value: entry.headerValue }]
-            },
-            condition: {
-                urlFilter: urlFilter,
-                resourceTypes: ['main_frame' as chrome.declarativeNetRequest.ResourceType]
-            }
-        });
-
-        rules.push({
-            id: ruleId++,
-            priority: 950,
-            action: {
-                type: 'modifyHeaders',
-                responseHeaders: [{ header: entry.headerName, operation: 'set', value: entry.headerValue }]
-            },
-            condition: {
-                urlFilter: urlFilter,
-                resourceTypes: SUB_RESOURCE_TYPES
-            }
-        });
-    });
+    // Main document responses get a higher priority than sub-resources
+    const split: ResourceTypePart[] = entry.resourceTypes
+        ? splitMainFrame(entry.resourceTypes as chrome.declarativeNetRequest.ResourceType[])
+        : [
+            { isMainFrame: true, resourceTypes: ['main_frame' as chrome.declarativeNetRequest.ResourceType] },
+            { isMainFrame: false, resourceTypes: SUB_RESOURCE_TYPES }
+        ];
+
+    for (const target of toRuleTargets(entry)) {
+        for (const part of split) {
+            rules.push({
+                id: allocateId(ruleKey('response', entry, target.key, part.isMainFrame ? 'main_frame' : 'sub_resources')),
+                priority: part.isMainFrame ? 1000 : 950,
+                action: {
+                    type: 'modifyHeaders',
+                    responseHeaders: [toHeaderModification(entry)]
+                },
+                condition: buildCondition(target, part.resourceTypes, entry)
+            });
+        }
+    }
 
     return rules;
 }
 
+/** Which of the rules built for one (entry, domain, direction) this is */
+type RulePart = 'all' | 'main_frame' | 'sub_resources';
+
+/**
+ * What one set of an entry's rules matches: a single domain pattern, or the
+ * hosts findSiteDomains collapses into a requestDomains condition.
+ */
+type RuleTarget =
+    | { key: string; pattern: string }
+    | { key: string; requestDomains: string[] };
+
+interface RuleVariant {
+    part: RulePart;
+    headers: HeaderModification[];
+    resourceTypes: chrome.declarativeNetRequest.ResourceType[];
+}
+
+interface ResourceTypePart {
+    isMainFrame: boolean;
+    resourceTypes: chrome.declarativeNetRequest.ResourceType[];
+}
+
+/**
+ * Key a rule's stable ID is derived from. Editing an entry's value or options
+ * keeps the ID, so the diff replaces the rule in place; other entries are untouched.
+ */
+function ruleKey(direction: 'request' | 'response', entry: ResolvedEntry, domain: string, part: RulePart): string {
+    return `header\0${entry.id}\0${domain.trim()}\0${direction}\0${part}`;
+}
+
+/**
+ * The targets an entry's rules are built for. A wildcard entry naming both
+ * host and *.host gets one requestDomains target for all such hosts instead
+ * of two rules per host; every other domain keeps a target of its own.
+ */
+function toRuleTargets(entry: ResolvedEntry): RuleTarget[] {
+    const sites = entry.patternType === 'regex' ? [] : findSiteDomains(entry.domains);
+    const collapsed = new Set(sites.flatMap(host => [host, '*.' + host]));
+
+    const targets: RuleTarget[] = [];
+    if (sites.length > 0) {
+        targets.push({ key: `requestDomains:${sites.join(',')}`, requestDomains: sites });
+    }
+    for (const domain of entry.domains) {
+        if (!domain || domain.trim() === '' || collapsed.has(domain.trim().toLowerCase())) continue;
+        targets.push({ key: domain, pattern: domain });
+    }
+    return targets;
+}
+
+/**
+ * Split resource types into a main_frame part and a sub-resource part,
+ * omitting whichever side ends up empty.
+ */
+function splitMainFrame(types: chrome.declarativeNetRequest.ResourceType[]): ResourceTypePart[] {
+    const parts: ResourceTypePart[] = [];
+    if (types.includes('main_frame' as chrome.declarativeNetRequest.ResourceType)) {
+        parts.push({ isMainFrame: true, resourceTypes: ['main_frame' as chrome.declarativeNetRequest.ResourceType] });
+    }
+    const subResources = types.filter(t => t !== 'main_frame');
+    if (subResources.length > 0) {
+        parts.push({ isMainFrame: false, resourceTypes: subResources });
+    }
+    return parts;
+}
+
+/**
+ * Reduce an optional domain list to DNR form. Returns undefined when the rule
+ * sets no list, and an empty array when none of its domains can be expressed.
+ */
+function toOptionalDnrDomains(patterns: string[] | undefined): string[] | undefined {
+    if (!Array.isArray(patterns) || patterns.length === 0) return undefined;
+    return toDnrConditionDomains(patterns);
+}
+
+/**
+ * Excluded and initiator domains that name a port are left out of the rule
+ * (see toDnrConditionDomains); report each one instead of dropping it quietly.
+ */
+function findPortDomains(id: string, entry: HeaderEntry): RuleIssue[] {
+    const lists: [string, string[] | undefined][] = [
+        ['excluded domains', entry.excludedDomains],
+        ['initiator domains', entry.initiatorDomains],
+        ['excluded initiator domains', entry.excludedInitiatorDomains]
+    ];
+
+    const issues: RuleIssue[] = [];
+    for (const [label, patterns] of lists) {
+        for (const pattern of (Array.isArray(patterns) ? patterns : []).filter(hasPort)) {
+            logger.warn('HeaderManager', `Ignoring "${pattern}" in ${label} of ${entry.headerName} — domain conditions can't name a port`);
+            issues.push({
+                ruleId: id,
+                reason: 'domain_port',
+                message: `"${pattern}" in ${label} ignored — domain conditions match every port, remove the port`
+            });
+        }
+    }
+    return issues;
+}
+
+function buildCondition(target: RuleTarget, resourceTypes: chrome.declarativeNetRequest.ResourceType[], entry: ResolvedEntry): HeaderRule['condition'] {
+    const condition: HeaderRule['condition'] = 'requestDomains' in target
+        ? { requestDomains: target.requestDomains, resourceTypes }
+        : entry.patternType === 'regex'
+            ? { regexFilter: target.pattern.trim(), resourceTypes }
+            : { urlFilter: formatUrlPattern(target.pattern), resourceTypes };
+    if (entry.requestMethods) {
+        condition.requestMethods = entry.requestMethods as chrome.declarativeNetRequest.RequestMethod[];
+    }
+    if (entry.excludedDomains) {
+        condition.excludedRequestDomains = entry.excludedDomains;
+    }
+    if (entry.initiatorDomains) {
+        condition.initiatorDomains = entry.initiatorDomains;
+    }
+    if (entry.excludedInitiatorDomains) {
+        condition.excludedInitiatorDomains = entry.excludedInitiatorDomains;
+    }
+    return condition;
+}
+
 export function formatUrlPattern(domain: string): string {
     let urlFilter = domain.trim();
 
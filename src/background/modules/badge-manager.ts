@@ -3,6 +3,7 @@
  */
 
 import type { BadgeState } from '../../types/browser';
+import type { SitePause } from '../../types/header';
 import type { IRecordingService } from '../../types/recording';
 import { getBrowserAPI } from '../../types/browser';
 import { logger } from '../../utils/logger';
@@ -16,14 +17,20 @@ const DISCONNECTED_BADGE_THRESHOLD = 3;
 let lastBadgeState: string | null = null;
 
 /**
- * Updates the extension badge based on connection status, active rules, and placeholder usage
+ * Updates the extension badge based on connection status, active rules, and placeholder usage.
+ * expiredRuleCount is how many of the active rules send an expired token;
+ * profileName, the active rule profile, is added to the tooltip; sitePause is
+ * set when rules are paused for the current site or tab.
  */
 export async function updateExtensionBadge(
     connected: boolean,
     activeRules: unknown[],
     isPaused: boolean,
     recordingService: IRecordingService | null,
-    reconnectAttempts: number = 0
+    reconnectAttempts: number = 0,
+    expiredRuleCount: number = 0,
+    profileName: string | null = null,
+    sitePause: SitePause | null = null
 ): Promise<void> {
     // Get the appropriate API (chrome.action for MV3, chrome.browserAction for MV2/Firefox)
     const actionAPI = browserAPI.action || (browserAPI as unknown as { browserAction?: typeof chrome.action }).browserAction;
@@ -54,17 +61,22 @@ export async function updateExtensionBadge(
     let badgeState: BadgeState = 'none';
     const activeRulesCount = activeRules ? activeRules.length : 0;
 
-    // Priority: disconnected > paused > active > none
+    // Priority: disconnected > paused > site paused > expired > active > none
     if (!connected && reconnectAttempts >= DISCONNECTED_BADGE_THRESHOLD) {
         badgeState = 'disconnected';
     } else if (isPaused) {
         badgeState = 'paused';
+    } else if (sitePause) {
+        badgeState = 'site_paused';
+    } else if (activeRulesCount > 0 && expiredRuleCount > 0) {
+        badgeState = 'expired';
     } else if (activeRulesCount > 0) {
         badgeState = 'active';
     }
 
     // Create a unique state key that includes the count
-    const currentStateKey = `${badgeState}-${activeRulesCount}-${isPaused}`;
+    const pausedFor = sitePause ? (sitePause.domain ?? 'this tab') : '';
+    const currentStateKey = `${badgeState}-${activeRulesCount}-${isPaused}-${expiredRuleCount}-${profileName}-${pausedFor}`;
 
     // Only update if state or count changed
     if (currentStateKey === lastBadgeState) {
@@ -73,6 +85,8 @@ export async function updateExtensionBadge(
 
     lastBadgeState = currentStateKey;
 
+    const profileLine = profileName ? `\nProfile: ${profileName}` : '';
+
     if (badgeState === 'disconnected') {
         // Show a yellow dot/exclamation when disconnected
         actionAPI.setBadgeText({ text: '!' }, () => {
@@ -89,7 +103,7 @@ export async function updateExtensionBadge(
         // Update the tooltip
         if (actionAPI.setTitle) {
             actionAPI.setTitle({
-                title: 'Open Headers - Disconnected\nUsing cached data'
+                title: `Open Headers - Disconnected\nUsing cached data${profileLine}`
             });
         }
     } else if (badgeState === 'paused') {
@@ -108,7 +122,47 @@ export async function updateExtensionBadge(
         // Update the tooltip
         if (actionAPI.setTitle) {
             actionAPI.setTitle({
-                title: 'Open Headers - Paused\nRules execution is paused'
+                title: `Open Headers - Paused\nRules execution is paused${profileLine}`
+            });
+        }
+    } else if (badgeState === 'site_paused') {
+        // Same dash as the global pause, in orange: only this site or tab is paused
+        actionAPI.setBadgeText({ text: '\u2212' }, () => {
+            if (browserAPI.runtime.lastError) {
+                logger.debug('BadgeManager', 'Badge text error:', browserAPI.runtime.lastError);
+            }
+        });
+        actionAPI.setBadgeBackgroundColor({ color: '#fa8c16' }, () => {
+            if (browserAPI.runtime.lastError) {
+                logger.debug('BadgeManager', 'Badge color error:', browserAPI.runtime.lastError);
+            }
+        });
+
+        // Update the tooltip
+        if (actionAPI.setTitle) {
+            actionAPI.setTitle({
+                title: `Open Headers - Paused on this site\nRules are paused ${sitePause?.domain ? `on ${pausedFor}` : 'in this tab'}, active elsewhere${profileLine}`
+            });
+        }
+    } else if (badgeState === 'expired') {
+        // Keep the rule count, in red, while a rule sends an expired token
+        const badgeText = activeRulesCount > 99 ? '99+' : activeRulesCount.toString();
+        actionAPI.setBadgeText({ text: badgeText }, () => {
+            if (browserAPI.runtime.lastError) {
+                logger.debug('BadgeManager', 'Badge text error:', browserAPI.runtime.lastError);
+            }
+        });
+        actionAPI.setBadgeBackgroundColor({ color: '#ff4d4f' }, () => {
+            if (browserAPI.runtime.lastError) {
+                logger.debug('BadgeManager', 'Badge color error:', browserAPI.runtime.lastError);
+            }
+        });
+
+        // Update the tooltip
+        if (actionAPI.setTitle) {
+            const ruleText = expiredRuleCount === 1 ? 'rule sends' : 'rules send';
+            actionAPI.setTitle({
+                title: `Open Headers - Expired credentials\n${expiredRuleCount} ${ruleText} an expired token on this site${profileLine}`
             });
         }
     } else if (badgeState === 'active') {
@@ -129,7 +183,7 @@ export async function updateExtensionBadge(
         if (actionAPI.setTitle) {
             const ruleText = activeRulesCount === 1 ? 'rule' : 'rules';
             actionAPI.setTitle({
-                title: `Open Headers - Active\n${activeRulesCount} ${ruleText} active for this site`
+                title: `Open Headers - Active\n${activeRulesCount} ${ruleText} active for this site${profileLine}`
             });
         }
     } else {
@@ -139,7 +193,7 @@ export async function updateExtensionBadge(
         // Reset the tooltip to default
         if (actionAPI.setTitle) {
             actionAPI.setTitle({
-                title: 'Open Headers'
+                title: `Open Headers${profileLine}`
             });
         }
     }
@@ -0,0 +1,140 @@
+/**
+ * CookieValues — values of the browser cookies that cookie-backed header
+ * entries read.
+ *
+ * Rules are built synchronously, so the cookies are read up front: every
+ * rule update first re-reads the cookies of the enabled entries
+ * (syncCookieValues), and processEntry then looks them up from the cache.
+ * cookies.onChanged keeps the rules current between updates.
+ *
+ * Cookie values are credentials — they are never logged.
+ */
+
+import { cookies } from '../../utils/browser-api.js';
+import { logger } from '../../utils/logger';
+import { toCookieSelector, cookieSelectorKey, describeCookieSelector } from '../../utils/cookie-selector';
+
+import type { CookieSelector, CookieValue, HeaderEntry } from '../../types/header';
+
+// ── In-memory cache ──────────────────────────────────────────────────
+
+/** Selectors read by the last sync, i.e. the cookies worth watching */
+let watchedSelectors: CookieSelector[] = [];
+let values = new Map<string, string | null>();
+let changeListener: ((changeInfo: chrome.cookies.CookieChangeInfo) => void) | null = null;
+
+// ── Public API ───────────────────────────────────────────────────────
+
+/**
+ * Read the cookies the given entries use. Never rejects: a cookie that
+ * can't be read counts as missing.
+ */
+export async function syncCookieValues(entries: HeaderEntry[]): Promise<void> {
+    const selectors = new Map<string, CookieSelector>();
+    for (const entry of entries) {
+        const selector = entry.cookieName ? toCookieSelector(entry) : null;
+        if (selector) selectors.set(cookieSelectorKey(selector), selector);
+    }
+
+    const next = new Map<string, string | null>();
+    await Promise.all([...selectors].map(async ([key, selector]) => {
+        next.set(key, await readCookie(selector));
+    }));
+
+    watchedSelectors = [...selectors.values()];
+    values = next;
+}
+
+/** The cached value of the selected cookie; null when it is missing or wasn't read. */
+export function getCookieValue(selector: CookieSelector): string | null {
+    return values.get(cookieSelectorKey(selector)) ?? null;
+}
+
+/** Every cookie read by the last sync, with its value — for the popup. */
+export function getCookieValues(): CookieValue[] {
+    return watchedSelectors.map(selector => ({ ...selector, value: getCookieValue(selector) }));
+}
+
+/**
+ * Call onChange whenever a watched cookie's value changes. Changes to other
+ * cookies, and writes that leave the value as it was, are ignored.
+ */
+export function watchCookieChanges(onChange: () => void): void {
+    if (!cookies?.onChanged) {
+        logger.warn('CookieValues', 'cookies.onChanged is not available, cookie-backed headers only update with other changes');
+        return;
+    }
+    if (changeListener) {
+        cookies.onChanged.removeListener(changeListener);
+    }
+
+    changeListener = ({ cookie }) => {
+        const affected = watchedSelectors.filter(selector =>
+            selector.name === cookie.name && domainMatches(cookie.domain, selector.domain)
+        );
+        if (affected.length === 0) return;
+
+        // Re-read rather than trust the event: an overwrite fires a removal
+        // before the new value, and the event's cookie may not be the one
+        // that wins for the selector's path or partition
+        Promise.all(affected.map(async (selector) => {
+            const key = cookieSelectorKey(selector);
+            const value = await readCookie(selector);
+            if (values.get(key) === value) return false;
+            values.set(key, value);
+            return true;
+        })).then((changed) => {
+            if (!changed.some(Boolean)) return;
+            logger.info('CookieValues', `${describeCookieSelector(affected[0])} changed, updating rules`);
+            onChange();
+        });
+    };
+    cookies.onChanged.addListener(changeListener);
+}
+
+// ── Internal ─────────────────────────────────────────────────────────
+
+/** Read the selected cookie; when several match, the most specific one wins, as in the Cookie header */
+function readCookie(selector: CookieSelector): Promise<string | null> {
+    if (!cookies) return Promise.resolve(null);
+
+    const details: chrome.cookies.GetAllDetails = { url: `https://${selector.domain}${selector.path}`, name: selector.name };
+    if (selector.topLevelSite) {
+        details.partitionKey = { topLevelSite: selector.topLevelSite };
+    }
+
+    return new Promise((resolve) => {
+        const done = (found: chrome.cookies.Cookie[] | undefined) => {
+            const matching = (found || [])
+                .filter(cookie => isInPartition(cookie, selector.topLevelSite))
+                .sort((a, b) => b.path.length - a.path.length || b.domain.replace(/^\./, '').length - a.domain.replace(/^\./, '').length);
+            resolve(matching[0]?.value ?? null);
+        };
+
+        try {
+            const result = cookies!.getAll(details, done);
+            if (result instanceof Promise) {
+                result.catch((error: unknown) => {
+                    logger.warn('CookieValues', `Could not read ${describeCookieSelector(selector)}:`, error instanceof Error ? error.message : error);
+                    resolve(null);
+                });
+            }
+        } catch (error) {
+            logger.warn('CookieValues', `Could not read ${describeCookieSelector(selector)}:`, error instanceof Error ? error.message : error);
+            resolve(null);
+        }
+    });
+}
+
+/** Partitioned cookies only count for their own top-level site; unpartitioned ones only without one */
+function isInPartition(cookie: chrome.cookies.Cookie, topLevelSite: string | undefined): boolean {
+    const cookieSite = cookie.partitionKey?.topLevelSite?.replace(/\/+$/, '');
+    return topLevelSite ? cookieSite === topLevelSite : !cookieSite;
+}
+
+/** Whether a cookie set for cookieDomain is sent to host (ports don't matter for cookies) */
+function domainMatches(cookieDomain: string, host: string): boolean {
+    const domain = cookieDomain.replace(/^\./, '').toLowerCase();
+    const hostname = host.replace(/:\d+$/, '');
+    return hostname === domain || hostname.endsWith(`.${domain}`);
+}
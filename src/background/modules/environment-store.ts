@@ -0,0 +1,93 @@
+/**
+ * EnvironmentStore — single owner of the environments used by {{VAR}} templates.
+ *
+ * Mirrors UrlRulesStore: the desktop app is authoritative and pushes its
+ * environments over the WebSocket; storage.local keeps them for offline
+ * starts. The active environment can also be switched from the popup.
+ */
+
+import { storage } from '../../utils/browser-api.js';
+import { logger } from '../../utils/logger';
+
+import type { EnvironmentsData, EnvironmentVariables } from '../../types/websocket';
+
+// ── In-memory cache ──────────────────────────────────────────────────
+
+let environments: Record<string, EnvironmentVariables> = {};
+let activeEnvironment: string | null = null;
+
+// ── Public API ───────────────────────────────────────────────────────
+
+/** Names of all known environments. */
+export function getEnvironmentNames(): string[] {
+    return Object.keys(environments);
+}
+
+/** The active environment's name, or null when there is none. */
+export function getActiveEnvironment(): string | null {
+    return activeEnvironment;
+}
+
+/** Variables of the active environment; empty when there is none. */
+export function getActiveVariables(): EnvironmentVariables {
+    return (activeEnvironment && environments[activeEnvironment]) || {};
+}
+
+/**
+ * Authoritative write — called when the desktop app pushes its environments.
+ * Overwrites both memory and storage. Without an active environment from the
+ * app, the current one is kept if it still exists.
+ */
+export function setEnvironmentsFromApp(incoming: EnvironmentsData): void {
+    environments = isEnvironmentMap(incoming.environments) ? incoming.environments : {};
+    activeEnvironment = pickActive(incoming.activeEnvironment ?? activeEnvironment);
+    persistToStorage();
+}
+
+/**
+ * Switch the active environment (popup). Returns false for an unknown name.
+ */
+export function setActiveEnvironment(name: string): boolean {
+    if (!(name in environments)) {
+        logger.warn('EnvironmentStore', 'Unknown environment:', name);
+        return false;
+    }
+    activeEnvironment = name;
+    persistToStorage();
+    return true;
+}
+
+/**
+ * Hydrate in-memory cache from storage.local.
+ * Called once at startup so templates resolve before the WebSocket connects.
+ */
+export function hydrateEnvironmentsFromStorage(): Promise<string | null> {
+    return new Promise((resolve) => {
+        storage.local.get(['environments', 'activeEnvironment'], (result: Record<string, unknown>) => {
+            if (isEnvironmentMap(result.environments)) {
+                environments = result.environments;
+                activeEnvironment = pickActive(typeof result.activeEnvironment === 'string' ? result.activeEnvironment : null);
+                logger.info('EnvironmentStore', 'Hydrated', getEnvironmentNames().length, 'environments from storage, active:', activeEnvironment);
+            }
+            resolve(activeEnvironment);
+        });
+    });
+}
+
+// ── Internal ─────────────────────────────────────────────────────────
+
+/** Fall back to the first environment when the name is unknown */
+function pickActive(name: string | null | undefined): string | null {
+    if (name && name in environments) return name;
+    return getEnvironmentNames()[0] ?? null;
+}
+
+function isEnvironmentMap(value: unknown): value is Record<string, EnvironmentVariables> {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function persistToStorage(): void {
+    storage.local.set({ environments, activeEnvironment }, () => {
+        logger.debug('EnvironmentStore', 'Persisted', getEnvironmentNames().length, 'environments to storage, active:', activeEnvironment);
+    });
+}
@@ -0,0 +1,150 @@
+/**
+ * LocalRules — header rules edited in the popup, without the desktop app.
+ *
+ * Ownership: entries with `origin: 'local'` belong to this browser. The app
+ * never sees them, and its rules-updates replace only the app-owned entries
+ * (mergeAppRules), so a local rule survives every reconnect unchanged. App
+ * rules stay read-only here; to change one without the app, the popup
+ * duplicates it into a local rule.
+ *
+ * savedData is one document, so every read-modify-write goes through
+ * updateSavedData, which runs them one at a time.
+ */
+
+import { runtime } from '../../utils/browser-api.js';
+import { getChunkedData, setChunkedData } from '../../utils/storage-chunking.js';
+import { isLocalRule, createLocalRuleId, validateLocalRule } from '../../utils/local-rule';
+import { logger } from '../../utils/logger';
+
+import type { HeaderEntry, SavedDataMap } from '../../types/header';
+import type { LocalRuleValidation } from '../../utils/local-rule';
+
+export interface LocalRuleResult {
+    success: boolean;
+    id?: string;
+    error?: string;
+    errors?: LocalRuleValidation['errors'];
+}
+
+// ── Write queue ──────────────────────────────────────────────────────
+
+let pendingWrite: Promise<unknown> = Promise.resolve();
+
+// ── Public API ───────────────────────────────────────────────────────
+
+/**
+ * Read savedData, apply `mutate` and write the result, after any write
+ * already in progress. `mutate` returns null to leave the data as it is.
+ * Resolves with the data now stored.
+ */
+export function updateSavedData(mutate: (current: SavedDataMap) => SavedDataMap | null): Promise<SavedDataMap> {
+    const write = pendingWrite.then(() => new Promise<SavedDataMap>((resolve, reject) => {
+        getChunkedData<SavedDataMap>('savedData', (current) => {
+            let next: SavedDataMap | null;
+            try {
+                next = mutate(current || {});
+            } catch (error) {
+                reject(error);
+                return;
+            }
+            if (!next) {
+                resolve(current || {});
+                return;
+            }
+            setChunkedData('savedData', next, () => {
+                if (runtime.lastError) {
+                    reject(new Error((runtime.lastError as chrome.runtime.LastError).message));
+                } else {
+                    resolve(next);
+                }
+            });
+        });
+    }));
+    pendingWrite = write.catch(() => {});
+    return write;
+}
+
+/**
+ * The app's header rules plus the local ones already stored. An app rule
+ * with the ID of a local rule is dropped: local rules are never overwritten.
+ */
+export function mergeAppRules(current: SavedDataMap, fromApp: SavedDataMap): SavedDataMap {
+    const merged: SavedDataMap = {};
+    const localIds: string[] = [];
+    for (const [id, entry] of Object.entries(current)) {
+        if (isLocalRule(entry)) {
+            merged[id] = entry;
+            localIds.push(id);
+        }
+    }
+    for (const [id, entry] of Object.entries(fromApp)) {
+        if (localIds.includes(id)) {
+            logger.warn('LocalRules', `App rule ${id} has the ID of a local rule, keeping the local rule`);
+            continue;
+        }
+        merged[id] = entry;
+    }
+    return merged;
+}
+
+/**
+ * Create (id null) or replace a local rule. Invalid rules and app-owned IDs
+ * are refused without writing.
+ */
+export async function saveLocalRule(id: string | null, entry: HeaderEntry): Promise<LocalRuleResult> {
+    const validation = validateLocalRule(entry);
+    if (!validation.valid) {
+        return { success: false, error: 'Invalid rule', errors: validation.errors };
+    }
+
+    const ruleId = id || createLocalRuleId();
+    let refusal: string | null = null;
+    const now = new Date().toISOString();
+
+    await updateSavedData((current) => {
+        const existing = current[ruleId];
+        if (id && !existing) {
+            refusal = 'Rule not found';
+            return null;
+        }
+        if (existing && !isLocalRule(existing)) {
+            refusal = 'Rule is managed by the desktop app';
+            return null;
+        }
+        const saved: HeaderEntry = {
+            ...entry,
+            headerName: entry.headerName.trim(),
+            domains: entry.domains.map(domain => domain.trim()).filter(Boolean),
+            origin: 'local',
+            createdAt: existing?.createdAt || entry.createdAt || now,
+            updatedAt: existing ? now : undefined,
+        };
+        return { ...current, [ruleId]: saved };
+    });
+
+    if (refusal) return { success: false, error: refusal };
+    logger.info('LocalRules', `${id ? 'Updated' : 'Created'} local rule ${ruleId}`);
+    return { success: true, id: ruleId };
+}
+
+/** Delete a local rule; app-owned rules are refused. */
+export async function deleteLocalRule(id: string): Promise<LocalRuleResult> {
+    let refusal: string | null = null;
+
+    await updateSavedData((current) => {
+        if (!current[id]) {
+            refusal = 'Rule not found';
+            return null;
+        }
+        if (!isLocalRule(current[id])) {
+            refusal = 'Rule is managed by the desktop app';
+            return null;
+        }
+        const { [id]: _deleted, ...rest } = current;
+        return rest;
+    });
+
+    if (refusal) return { success: false, error: refusal };
+    logger.info('LocalRules', `Deleted local rule ${id}`);
+    return { success: true, id };
+}
@@ -8,14 +8,26 @@ import { clearAllTracking, getActiveRulesForTab } from './request-tracker';
 import { generateSourcesHash, generateSavedDataHash } from './utils';
 import { getChunkedData, setChunkedData } from '../../utils/storage-chunking.js';
 import { setSourcesFromApp } from './sources-store';
+import { getCurrentUrlRules } from './url-rules-store';
+import { getEnvironmentNames, getActiveEnvironment, setActiveEnvironment } from './environment-store';
+import { getTokenExpiries } from './token-expiry';
+import { saveLocalRule, deleteLocalRule } from './local-rules';
+import { applyToggles, replayOutbox, getQueuedToggles, getToggleConflicts, dismissToggleConflicts } from './toggle-outbox';
+import { getProfiles, getActiveProfile, saveProfile, deleteProfile, switchProfile } from './profile-store';
+import { applyTagAction, restoreTagSnapshot, getTagSnapshot } from './tag-actions';
+import { getSitePause, setDomainPaused, setTabPaused } from './site-pause';
+import { getRuleIssues, getResolvedValues, getRuleBudget, getLastVerifiedAt } from '../header-manager';
+import { getDriftEvents } from './rule-verifier';
 
 import type { MessageHandlerContext, SendResponse } from '../../types/browser';
-import type { SavedDataMap } from '../../types/header';
+import type { HeaderEntry, SavedDataMap, TagAction } from '../../types/header';
 import type { Source } from '../../types/websocket';
 import { logger } from '../../utils/logger';
 
 const browserAPI = { runtime: browserRuntime };
 
+const TAG_ACTIONS: TagAction[] = ['enable', 'disable', 'solo'];
+
 /**
  * Create a safe response function that checks if the channel is still open
  */
@@ -78,7 +90,19 @@ export function handleGeneralMessage(
                     sources: currentSources,
                     isConnected: connected,
                     rulesFromApp: connected,  // When connected, rules always come from app
-                    headerEntries: savedData || {}
+                    headerEntries: savedData || {},
+                    urlRules: getCurrentUrlRules(),
+                    ruleIssues: getRuleIssues(),
+                    resolvedValues: getResolvedValues(),
+                    ruleBudget: getRuleBudget(),
+                    environments: getEnvironmentNames(),
+                    activeEnvironment: getActiveEnvironment(),
+                    tokenExpiries: getTokenExpiries(),
+                    queuedToggles: getQueuedToggles(),
+                    toggleConflicts: getToggleConflicts(),
+                    profiles: getProfiles(),
+                    activeProfileId: getActiveProfile()?.id ?? null,
+                    tagSnapshot: getTagSnapshot()
                 });
             });
 
@@ -283,32 +307,198 @@ export function handleGeneralMessage(
                 safeResponse({ success: true, hotkey: 'CommandOrControl+Shift+E' });
             }
             return true;
-        } else if (message.type === 'toggleRule') {
-            // Handle toggle rule directly via WebSocket without focusing app
-            const wsConnected = isWebSocketConnected();
-            if (wsConnected) {
-                const sent = sendViaWebSocket({
-                    type: 'toggleRule',
-                    ruleId: message.ruleId as string,
-                    enabled: message.enabled as boolean
-                });
+        } else if (message.type === 'toggleRule' || message.type === 'toggleAllRules') {
+            const ruleIds = message.type === 'toggleRule' ? [message.ruleId as string] : (message.ruleIds as string[]) || [];
+            const enabled = message.enabled as boolean;
+            const connected = isWebSocketConnected();
+
+            // Local rules are toggled here; app rules go to the app, or into the
+            // outbox (applied right away) while it is away — see toggle-outbox.ts
+            applyToggles(ruleIds, enabled, !connected).then(async ({ appRuleIds, changed }) => {
+                let queued = !connected && appRuleIds.length > 0;
+                if (connected && appRuleIds.length > 0) {
+                    const sent = message.type === 'toggleRule'
+                        ? sendViaWebSocket({ type: 'toggleRule', ruleId: appRuleIds[0], enabled })
+                        : sendViaWebSocket({ type: 'toggleAllRules', ruleIds: appRuleIds, enabled });
+                    if (!sent) {
+                        changed = (await applyToggles(appRuleIds, enabled, true)).changed || changed;
+                        queued = true;
+                    }
+                }
+
+                if (changed) {
+                    scheduleUpdate('toggle', { immediate: true });
+                    updateBadgeCallback();
+                }
+                safeResponse({ success: true, queued });
+            }).catch((error: Error) => {
+                logger.error('MessageHandler', 'Error toggling rules:', error.message);
+                safeResponse({ success: false, error: error.message });
+            });
+            return true;
+        } else if (message.type === 'dismissToggleConflicts') {
+            dismissToggleConflicts();
+            safeResponse({ success: true });
+            return true;
+        } else if (message.type === 'switchProfile') {
+            switchProfile(message.profileId as string).then((result) => {
+                if (!result.success) {
+                    safeResponse(result);
+                    return;
+                }
+
+                // One update for the rules and the environment together
+                scheduleUpdate('profile', { immediate: true });
+                if (isWebSocketConnected()) {
+                    // The app rule changes were queued; send them now instead of on reconnect
+                    replayOutbox(sendViaWebSocket);
+                    if (result.environment) {
+                        sendViaWebSocket({ type: 'setActiveEnvironment', environment: result.environment });
+                    }
+                }
+                updateBadgeCallback();
+                safeResponse({ success: true, profile: result.profile });
+            }).catch((error: Error) => {
+                logger.error('MessageHandler', 'Error switching profile:', error.message);
+                safeResponse({ success: false, error: error.message });
+            });
+            return true;
+        } else if (message.type === 'applyTagAction' || message.type === 'restoreTagSnapshot') {
+            // Bulk enable/disable/solo of a tag, or undo of the last one: one savedData write
+            if (message.type === 'applyTagAction' && !TAG_ACTIONS.includes(message.action as TagAction)) {
+                safeResponse({ success: false, error: `Unknown tag action: ${message.action}` });
+                return true;
+            }
+            const action = message.type === 'applyTagAction'
+                ? applyTagAction((message.tag as string | null) ?? null, message.action as TagAction)
+                : restoreTagSnapshot();
+            action.then((result) => {
+                if (result.changed) {
+                    scheduleUpdate('tags', { immediate: true });
+                    updateBadgeCallback();
+                }
+                // App rule changes were queued; send them now instead of on reconnect
+                const connected = isWebSocketConnected();
+                if (connected) replayOutbox(sendViaWebSocket);
+                safeResponse({ ...result, queued: !connected && getQueuedToggles().length > 0 });
+            }).catch((error: Error) => {
+                logger.error('MessageHandler', 'Error applying tag action:', error.message);
+                safeResponse({ success: false, error: error.message });
+            });
+            return true;
+        } else if (message.type === 'saveProfile') {
+            // Capture the enabled rules as a new profile (profileId null) or into an existing one
+            saveProfile((message.profileId as string | null) ?? null, message.name as string | undefined).then((result) => {
+                if (result.success) updateBadgeCallback();
+                safeResponse(result);
+            }).catch((error: Error) => {
+                logger.error('MessageHandler', 'Error saving profile:', error.message);
+                safeResponse({ success: false, error: error.message });
+            });
+            return true;
+        } else if (message.type === 'deleteProfile') {
+            const result = deleteProfile(message.profileId as string);
+            if (result.success) updateBadgeCallback();
+            safeResponse(result);
+            return true;
+        } else if (message.type === 'refreshSource') {
+            // Ask the app to re-fetch a source now; progress arrives with the next sources update
+            const sourceId = message.sourceId != null ? String(message.sourceId) : '';
+            if (!sourceId) {
+                safeResponse({ success: false, error: 'Missing source ID' });
+            } else if (!getCurrentSources().some(source => source.sourceId?.toString() === sourceId)) {
+                safeResponse({ success: false, error: `Source #${sourceId} not found` });
+            } else if (isWebSocketConnected()) {
+                logger.info('MessageHandler', `Refresh of source #${sourceId} requested from popup`);
+                const sent = sendViaWebSocket({ type: 'refreshSource', sourceId, reason: 'user' });
                 safeResponse({ success: sent });
             } else {
                 safeResponse({ success: false, error: 'Not connected to desktop app' });
             }
             return true;
+        } else if (message.type === 'saveLocalRule' || message.type === 'deleteLocalRule') {
+            // Local rules are written here, with or without the app (see local-rules.ts)
+            const ruleId = typeof message.ruleId === 'string' ? message.ruleId : null;
+            const result = message.type === 'saveLocalRule'
+                ? saveLocalRule(ruleId, message.entry as HeaderEntry)
+                : ruleId ? deleteLocalRule(ruleId) : Promise.resolve({ success: false, error: 'Missing rule ID' });
+
+            result.then((response) => {
+                if (response.success) {
+                    scheduleUpdate('localRules', { immediate: true });
+                    updateBadgeCallback();
+                }
+                safeResponse(response);
+            }).catch((error: Error) => {
+                logger.error('MessageHandler', 'Error writing local rule:', error.message);
+                safeResponse({ success: false, error: error.message });
+            });
+            return true;
         } else if (message.type === 'getActiveRulesForTab') {
             // Get all active rules for a specific tab using centralized logic
             const tabId = message.tabId as number;
             const tabUrl = message.tabUrl as string;
 
             getActiveRulesForTab(tabId, tabUrl).then(activeRules => {
-                safeResponse({ activeRules });
+                safeResponse({ activeRules, sitePause: getSitePause(tabId, tabUrl) });
             }).catch((error: Error) => {
                 logger.error('MessageHandler', 'Error getting active rules:', error);
                 safeResponse({ activeRules: [] });
             });
             return true;
+        } else if (message.type === 'setSitePaused') {
+            // Pause rules on one domain (all rules get it excluded) or in one tab (session rule)
+            const paused = message.paused as boolean;
+            if (typeof message.tabId === 'number') {
+                setTabPaused(message.tabId, paused).then(() => {
+                    updateBadgeCallback();
+                    safeResponse({ success: true });
+                }).catch((error: Error) => {
+                    safeResponse({ success: false, error: error.message });
+                });
+                return true;
+            }
+
+            const domain = setDomainPaused(String(message.domain ?? ''), paused);
+            if (!domain) {
+                safeResponse({ success: false, error: `Not a domain: ${message.domain}` });
+                return true;
+            }
+            scheduleUpdate('sitePause', { immediate: true });
+            updateBadgeCallback();
+            safeResponse({ success: true, domain });
+            return true;
+        } else if (message.type === 'getRuleDiagnostics') {
+            // Rule budget and drift history for the popup's diagnostics view
+            getDriftEvents().then(driftEvents => {
+                safeResponse({
+                    ruleBudget: getRuleBudget(),
+                    lastVerifiedAt: getLastVerifiedAt(),
+                    driftEvents
+                });
+            }).catch((error: Error) => {
+                logger.error('MessageHandler', 'Error reading rule diagnostics:', error.message);
+                safeResponse({ error: error.message });
+            });
+            return true;
+        } else if (message.type === 'setActiveEnvironment') {
+            // Switch the environment {{VAR}} templates resolve against
+            const environment = message.environment as string;
+            if (!setActiveEnvironment(environment)) {
+                safeResponse({ success: false, error: `Unknown environment: ${environment}` });
+                return true;
+            }
+
+            logger.info('MessageHandler', 'Active environment switched to', environment);
+            scheduleUpdate('environment', { immediate: true });
+
+            // Keep the app in step when it's listening; the switch applies either way
+            if (isWebSocketConnected()) {
+                sendViaWebSocket({ type: 'setActiveEnvironment', environment });
+            }
+
+            safeResponse({ success: true });
+            return true;
         } else if (message.type === 'setRulesExecutionPaused') {
             // Handle pause/resume of rules execution
             logger.info('MessageHandler', 'Setting rules execution paused state:', message.paused);
@@ -318,20 +508,6 @@ export function handleGeneralMessage(
 
             safeResponse({ success: true });
             return true;
-        } else if (message.type === 'toggleAllRules') {
-            // Handle toggle all rules via WebSocket
-            const wsConnected = isWebSocketConnected();
-            if (wsConnected) {
-                const sent = sendViaWebSocket({
-                    type: 'toggleAllRules',
-                    ruleIds: message.ruleIds as string[],
-                    enabled: message.enabled as boolean
-                });
-                safeResponse({ success: sent });
-            } else {
-                safeResponse({ success: false, error: 'Not connected to desktop app' });
-            }
-            return true;
         } else if (message.type && (message.type as string).startsWith('proxy-')) {
             // Proxy-related messages are handled by the proxy controller
             return false;
@@ -0,0 +1,152 @@
+/**
+ * ProfileStore — named sets of enabled header rules, e.g. "local backend",
+ * "staging", "QA feature flags".
+ *
+ * Profiles live in storage.local only; the app doesn't know about them. A
+ * profile is captured from the rules enabled right now (and the active
+ * environment). Switching to it sets every rule in savedData — enabled if the
+ * profile lists it, disabled otherwise — in one write through the toggle
+ * outbox, which carries the app rule changes to the app.
+ */
+
+import { storage } from '../../utils/browser-api.js';
+import { logger } from '../../utils/logger';
+import { updateSavedData } from './local-rules';
+import { applyRuleStates } from './toggle-outbox';
+import { getActiveEnvironment, setActiveEnvironment } from './environment-store';
+
+import type { RuleProfile } from '../../types/header';
+
+export const PROFILE_ID_PREFIX = 'profile-';
+
+export interface ProfileResult {
+    success: boolean;
+    profile?: RuleProfile;
+    error?: string;
+}
+
+export interface ProfileSwitch extends ProfileResult {
+    /** Whether anything in savedData changed */
+    changed?: boolean;
+    /** The environment switched to, if the profile switched it */
+    environment?: string;
+}
+
+// ── In-memory cache ──────────────────────────────────────────────────
+
+let profiles: RuleProfile[] = [];
+let activeProfileId: string | null = null;
+
+// ── Public API ───────────────────────────────────────────────────────
+
+export function getProfiles(): RuleProfile[] {
+    return profiles;
+}
+
+/** The profile switched to last, or null. */
+export function getActiveProfile(): RuleProfile | null {
+    return profiles.find(profile => profile.id === activeProfileId) ?? null;
+}
+
+/**
+ * Capture the rules enabled right now, and the active environment, as a new
+ * profile (id null) or into an existing one. Names must be unique.
+ */
+export async function saveProfile(id: string | null, name?: string): Promise<ProfileResult> {
+    const existing = id ? profiles.find(profile => profile.id === id) : undefined;
+    if (id && !existing) return { success: false, error: 'Profile not found' };
+
+    const profileName = (name ?? existing?.name ?? '').trim();
+    if (!profileName) return { success: false, error: 'Profile name is required' };
+    if (profiles.some(profile => profile.id !== id && profile.name.toLowerCase() === profileName.toLowerCase())) {
+        return { success: false, error: `A profile named "${profileName}" already exists` };
+    }
+
+    // Read after any savedData write in progress
+    const savedData = await updateSavedData(() => null);
+    const now = new Date().toISOString();
+    const profile: RuleProfile = {
+        id: id || `${PROFILE_ID_PREFIX}${crypto.randomUUID()}`,
+        name: profileName,
+        enabledRuleIds: Object.keys(savedData).filter(ruleId => savedData[ruleId].isEnabled !== false),
+        environment: getActiveEnvironment(),
+        createdAt: existing?.createdAt || now,
+        updatedAt: existing ? now : undefined,
+    };
+
+    profiles = existing
+        ? profiles.map(current => (current.id === profile.id ? profile : current))
+        : [...profiles, profile];
+    // The profile now matches what is enabled, so it is the active one
+    activeProfileId = profile.id;
+    persistToStorage();
+
+    logger.info('ProfileStore', `${existing ? 'Updated' : 'Created'} profile "${profile.name}" with ${profile.enabledRuleIds.length} enabled rules`);
+    return { success: true, profile };
+}
+
+export function deleteProfile(id: string): ProfileResult {
+    const profile = profiles.find(current => current.id === id);
+    if (!profile) return { success: false, error: 'Profile not found' };
+
+    profiles = profiles.filter(current => current.id !== id);
+    if (activeProfileId === id) activeProfileId = null;
+    persistToStorage();
+
+    logger.info('ProfileStore', `Deleted profile "${profile.name}"`);
+    return { success: true, profile };
+}
+
+/**
+ * Enable exactly the profile's rules and disable the rest in one savedData
+ * write, queueing the app rule changes in the toggle outbox. Rule IDs the
+ * profile lists that no longer exist are skipped. The environment is switched
+ * when the profile has one that still exists.
+ */
+export async function switchProfile(id: string): Promise<ProfileSwitch> {
+    const profile = profiles.find(current => current.id === id);
+    if (!profile) return { success: false, error: 'Profile not found' };
+
+    const enabledIds = new Set(profile.enabledRuleIds);
+    const { changed } = await applyRuleStates(ruleId => enabledIds.has(ruleId), true);
+
+    let environment: string | undefined;
+    if (profile.environment && profile.environment !== getActiveEnvironment()) {
+        if (setActiveEnvironment(profile.environment)) {
+            environment = profile.environment;
+        } else {
+            logger.warn('ProfileStore', `Profile "${profile.name}" uses unknown environment "${profile.environment}", keeping the active one`);
+        }
+    }
+
+    activeProfileId = profile.id;
+    persistToStorage();
+
+    logger.info('ProfileStore', `Switched to profile "${profile.name}"${changed ? '' : ' (rules already matched)'}`);
+    return { success: true, profile, changed, environment };
+}
+
+/**
+ * Hydrate in-memory cache from storage.local.
+ * Called once at startup so the badge shows the active profile.
+ */
+export function hydrateProfilesFromStorage(): Promise<RuleProfile | null> {
+    return new Promise((resolve) => {
+        storage.local.get(['ruleProfiles', 'activeProfileId'], (result: Record<string, unknown>) => {
+            profiles = Array.isArray(result.ruleProfiles) ? result.ruleProfiles as RuleProfile[] : [];
+            activeProfileId = typeof result.activeProfileId === 'string' ? result.activeProfileId : null;
+            if (profiles.length > 0) {
+                logger.info('ProfileStore', 'Hydrated', profiles.length, 'profiles from storage, active:', getActiveProfile()?.name ?? 'none');
+            }
+            resolve(getActiveProfile());
+        });
+    });
+}
+
+// ── Internal ─────────────────────────────────────────────────────────
+
+function persistToStorage(): void {
+    storage.local.set({ ruleProfiles: profiles, activeProfileId }, () => {
+        logger.debug('ProfileStore', 'Persisted', profiles.length, 'profiles, active:', activeProfileId);
+    });
+}
@@ -0,0 +1,83 @@
+/**
+ * QuarantineStore — header entries whose rules the browser rejected.
+ *
+ * A quarantined entry is left out of rule updates until its rules change
+ * (tracked by a fingerprint of the generated rules), so one broken entry
+ * doesn't make every update fail again. storage.local keeps the records
+ * across restarts.
+ */
+
+import { storage } from '../../utils/browser-api.js';
+import { logger } from '../../utils/logger';
+
+export interface QuarantineRecord {
+    /** The browser's error message */
+    reason: string;
+    /** fingerprint() of the entry's rules when they were rejected */
+    fingerprint: string;
+    quarantinedAt: string;
+}
+
+// ── In-memory cache ──────────────────────────────────────────────────
+
+let quarantined: Record<string, QuarantineRecord> = {};
+
+// ── Public API ───────────────────────────────────────────────────────
+
+/** Quarantine record of a savedData entry, if any. */
+export function getQuarantineRecord(entryId: string): QuarantineRecord | undefined {
+    return quarantined[entryId];
+}
+
+/** Put an entry into quarantine with the browser's error message. */
+export function quarantineEntry(entryId: string, reason: string, rulesFingerprint: string): void {
+    quarantined = {
+        ...quarantined,
+        [entryId]: { reason, fingerprint: rulesFingerprint, quarantinedAt: new Date().toISOString() }
+    };
+    persistToStorage();
+}
+
+/** Release entries from quarantine — after they changed or were deleted. */
+export function releaseEntries(entryIds: string[]): void {
+    const toRelease = entryIds.filter(id => id in quarantined);
+    if (toRelease.length === 0) return;
+
+    const next = { ...quarantined };
+    for (const id of toRelease) {
+        delete next[id];
+    }
+    quarantined = next;
+    logger.info('QuarantineStore', 'Released', toRelease.length, 'entries from quarantine');
+    persistToStorage();
+}
+
+/** IDs of all quarantined entries. */
+export function getQuarantinedEntryIds(): string[] {
+    return Object.keys(quarantined);
+}
+
+/**
+ * Hydrate in-memory cache from storage.local.
+ * Called once at startup so the first rule update already skips broken entries.
+ */
+export function hydrateQuarantineFromStorage(): Promise<Record<string, QuarantineRecord>> {
+    return new Promise((resolve) => {
+        storage.local.get(['quarantinedEntries'], (result: Record<string, unknown>) => {
+            const stored = result.quarantinedEntries;
+            quarantined = stored && typeof stored === 'object' ? stored as Record<string, QuarantineRecord> : {};
+            if (Object.keys(quarantined).length > 0) {
+                logger.info('QuarantineStore', 'Hydrated', Object.keys(quarantined).length, 'quarantined entries from storage');
+            }
+            resolve(quarantined);
+        });
+    });
+}
+
+// ── Internal ─────────────────────────────────────────────────────────
+
+function persistToStorage(): void {
+    storage.local.set({ quarantinedEntries: quarantined }, () => {
+        logger.debug('QuarantineStore', 'Persisted', Object.keys(quarantined).length, 'quarantined entries to storage');
+    });
+}
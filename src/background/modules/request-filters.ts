@@ -0,0 +1,64 @@
+/**
+ * Request Filters — per-rule resource type and HTTP method restrictions.
+ *
+ * Shared by header-manager (to build DNR conditions) and request-tracker
+ * (so badge matching only counts requests a rule would actually touch).
+ */
+
+import type { HeaderEntry, RuleRequestMethod, RuleResourceType } from '../../types/header';
+
+const RESOURCE_TYPES: ReadonlySet<string> = new Set<RuleResourceType>([
+    'main_frame', 'sub_frame', 'stylesheet', 'script', 'image', 'font',
+    'object', 'xmlhttprequest', 'ping', 'csp_report', 'media',
+    'websocket', 'webtransport', 'webbundle', 'other'
+]);
+
+const REQUEST_METHODS: ReadonlySet<string> = new Set<RuleRequestMethod>([
+    'connect', 'delete', 'get', 'head', 'options', 'patch', 'post', 'put', 'other'
+]);
+
+/** Details of a single request, as far as the caller knows them */
+export interface RequestDetails {
+    type?: string;
+    method?: string;
+    /** Origin that started the request (webRequest `initiator`) */
+    initiator?: string;
+}
+
+/**
+ * Keep only resource types DNR knows, without duplicates.
+ * Returns undefined when the rule sets no restriction (missing or empty list).
+ */
+export function normalizeResourceTypes(values: readonly string[] | undefined): RuleResourceType[] | undefined {
+    if (!Array.isArray(values) || values.length === 0) return undefined;
+    const types = values.map(v => String(v).trim().toLowerCase()).filter(v => RESOURCE_TYPES.has(v));
+    return [...new Set(types)] as RuleResourceType[];
+}
+
+/**
+ * Lower-case methods (the app sends `POST`, DNR wants `post`) and drop unknown ones.
+ * Returns undefined when the rule sets no restriction (missing or empty list).
+ */
+export function normalizeRequestMethods(values: readonly string[] | undefined): RuleRequestMethod[] | undefined {
+    if (!Array.isArray(values) || values.length === 0) return undefined;
+    const methods = values.map(v => String(v).trim().toLowerCase()).filter(v => REQUEST_METHODS.has(v));
+    return [...new Set(methods)] as RuleRequestMethod[];
+}
+
+/**
+ * Check a request against an entry's resource type / method filters.
+ * Details the caller doesn't know (e.g. the method of a restored tab) are not checked.
+ */
+export function matchesRequestFilters(entry: Pick<HeaderEntry, 'resourceTypes' | 'requestMethods'>, request: RequestDetails): boolean {
+    const resourceTypes = normalizeResourceTypes(entry.resourceTypes);
+    if (resourceTypes && request.type && !resourceTypes.includes(request.type as RuleResourceType)) {
+        return false;
+    }
+
+    const requestMethods = normalizeRequestMethods(entry.requestMethods);
+    if (requestMethods && request.method && !requestMethods.includes(request.method.toLowerCase() as RuleRequestMethod)) {
+        return false;
+    }
+
+    return true;
+}
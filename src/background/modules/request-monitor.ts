@@ -10,6 +10,14 @@ import type { PendingRequest } from '../../types/browser';
 import { getBrowserAPI } from '../../types/browser';
 import { logger } from '../../utils/logger';
 
+/**
+ * The origin that started a request. Chrome reports it as `initiator`,
+ * Firefox as `originUrl`.
+ */
+function getInitiator(details: chrome.webRequest.WebRequestDetails): string | undefined {
+    return details.initiator || (details as { originUrl?: string }).originUrl;
+}
+
 /**
  * Set up request monitoring to track which domains tabs are making requests to
  */
@@ -42,7 +50,7 @@ export function setupRequestMonitoring(updateBadgeCallback: () => void): void {
             const normalizedUrl = normalizeUrlForTracking(details.url);
 
             // Check if this request URL matches any of our rules
-            checkIfUrlMatchesAnyRule(normalizedUrl).then(matchesRule => {
+            checkIfUrlMatchesAnyRule(normalizedUrl, { type: details.type, method: details.method, initiator: getInitiator(details) }).then(matchesRule => {
                 // Track this request with whether headers were applied
                 pendingRequests.set(details.requestId, {
                     tabId: details.tabId,
@@ -189,7 +197,7 @@ export function setupRequestMonitoring(updateBadgeCallback: () => void): void {
                 const normalizedRedirectUrl = normalizeUrlForTracking(details.redirectUrl);
 
                 // Check if the redirect URL matches any rules
-                checkIfUrlMatchesAnyRule(normalizedRedirectUrl).then(matchesRule => {
+                checkIfUrlMatchesAnyRule(normalizedRedirectUrl, { type: details.type, method: details.method, initiator: getInitiator(details) }).then(matchesRule => {
                     if (matchesRule) {
                         addTrackedUrl(details.tabId, normalizedRedirectUrl);
 
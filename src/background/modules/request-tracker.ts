@@ -3,11 +3,14 @@
  */
 
 import { storage, tabs } from '../../utils/browser-api.js';
-import { doesUrlMatchPattern, normalizeUrlForTracking, isTrackableUrl, precompileAllPatterns, clearPatternCache } from './url-utils';
+import { doesUrlMatchDomainPattern, doesUrlMatchDomains, matchesDomainConditions, normalizeUrlForTracking, isTrackableUrl, precompileAllPatterns, clearPatternCache } from './url-utils';
 import { getChunkedData } from '../../utils/storage-chunking.js';
+import { matchesRequestFilters } from './request-filters';
+import { getSitePause } from './site-pause';
 
 import type { SavedDataMap, HeaderEntry } from '../../types/header';
 import type { ActiveRule } from '../../types/browser';
+import type { RequestDetails } from './request-filters';
 
 // Constants
 const MAX_TRACKED_URLS_PER_TAB = 50; // Limit tracked URLs to prevent memory leaks
@@ -43,7 +46,8 @@ export function refreshSavedDataCache(callback?: () => void): void {
         const allDomains: string[] = [];
         for (const id in cachedSavedData) {
             const entry = cachedSavedData[id];
-            if (entry.isEnabled !== false && entry.domains) {
+            // Regex patterns are compiled lazily by doesUrlMatchRegex
+            if (entry.isEnabled !== false && entry.domains && entry.patternType !== 'regex') {
                 allDomains.push(...entry.domains);
             }
         }
@@ -68,9 +72,10 @@ storage.onChanged.addListener((changes: { [key: string]: chrome.storage.StorageC
 });
 
 /**
- * Check if a URL matches any active rule
+ * Check if a URL matches any active rule. When request details are given,
+ * rules restricted to other resource types, methods or initiators don't count.
  */
-export async function checkIfUrlMatchesAnyRule(url: string): Promise<boolean> {
+export async function checkIfUrlMatchesAnyRule(url: string, request: RequestDetails = {}): Promise<boolean> {
     const normalizedUrl = normalizeUrlForTracking(url);
 
     return new Promise<boolean>((resolve) => {
@@ -82,13 +87,12 @@ export async function checkIfUrlMatchesAnyRule(url: string): Promise<boolean> {
                 // Skip disabled rules
                 if (entry.isEnabled === false) continue;
 
-                // Check each domain pattern
-                const domains: string[] = entry.domains || [];
-                for (const domain of domains) {
-                    if (doesUrlMatchPattern(normalizedUrl, domain)) {
-                        resolve(true);
-                        return;
-                    }
+                if (!matchesRequestFilters(entry, request)) continue;
+                if (!matchesDomainConditions(normalizedUrl, entry, request.initiator)) continue;
+
+                if (doesUrlMatchDomains(normalizedUrl, entry.domains || [], entry.patternType)) {
+                    resolve(true);
+                    return;
                 }
             }
 
@@ -105,11 +109,19 @@ export async function getActiveRulesForTab(tabId: number | undefined, tabUrl: st
         return [];
     }
 
-    // Get tracked domains for this tab (indirect matches)
+    // Paused for this site or tab: nothing applies here
+    if (getSitePause(tabId, tabUrl)) {
+        return [];
+    }
+
+    // Get tracked domains for this tab (indirect matches); regex rules
+    // match the full URL, so keep those too
     const trackedDomains: string[] = [];
+    const trackedUrlList: string[] = [];
     if (tabId && tabsWithActiveRules.has(tabId)) {
         const trackedUrls = tabsWithActiveRules.get(tabId)!;
         trackedUrls.forEach(url => {
+            trackedUrlList.push(url);
             try {
                 const trackedUrlObj = new URL(url);
                 trackedDomains.push(trackedUrlObj.hostname);
@@ -134,23 +146,33 @@ export async function getActiveRulesForTab(tabId: number | undefined, tabUrl: st
 
                 // Check if rule applies to all domains
                 if (domains.length === 0) {
-                    matchType = 'direct'; // Rules without domains apply everywhere
+                    // Rules without domains apply everywhere except their exclusions
+                    if (matchesDomainConditions(tabUrl, entry)) {
+                        matchType = 'direct';
+                    }
                 } else {
-                    // Check for direct match (main page domain)
-                    for (const domain of domains) {
-                        if (doesUrlMatchPattern(tabUrl, domain)) {
-                            matchType = 'direct';
-                            break;
-                        }
+                    // Check for direct match (main page domain) — only for rules
+                    // that apply to the document itself
+                    if (matchesRequestFilters(entry, { type: 'main_frame' }) && matchesDomainConditions(tabUrl, entry) &&
+                        doesUrlMatchDomains(tabUrl, domains, entry.patternType)) {
+                        matchType = 'direct';
                     }
 
                     // If no direct match, check for indirect match (resource domains)
-                    if (!matchType && trackedDomains.length > 0) {
+                    if (!matchType && entry.patternType === 'regex') {
+                        for (const domain of domains) {
+                            if (trackedUrlList.some(url => doesUrlMatchDomainPattern(url, domain, 'regex') && matchesDomainConditions(url, entry, tabUrl))) {
+                                matchType = 'indirect';
+                                break;
+                            }
+                        }
+                    } else if (!matchType && trackedDomains.length > 0) {
                         for (const domain of domains) {
                             for (const trackedDomain of trackedDomains) {
-                                // Create a temporary URL for pattern matching
+                                // Create a temporary URL for pattern matching; the page
+                                // itself is the initiator of its sub-resource requests
                                 const tempUrl = `https://${trackedDomain}/`;
-                                if (doesUrlMatchPattern(tempUrl, domain)) {
+                                if (doesUrlMatchDomainPattern(tempUrl, domain) && matchesDomainConditions(tempUrl, entry, tabUrl)) {
                                     matchType = 'indirect';
                                     break;
                                 }
@@ -213,14 +235,12 @@ export async function revalidateTrackedRequests(): Promise<void> {
                         let stillMatches = false;
 
                         for (const [_id, entry] of enabledRules) {
-                            const domains: string[] = entry.domains || [];
-                            for (const domain of domains) {
-                                if (doesUrlMatchPattern(url, domain)) {
-                                    stillMatches = true;
-                                    break;
-                                }
+                            if (!matchesDomainConditions(url, entry)) continue;
+
+                            if (doesUrlMatchDomains(url, entry.domains || [], entry.patternType)) {
+                                stillMatches = true;
+                                break;
                             }
-                            if (stillMatches) break;
                         }
 
                         if (stillMatches) {
@@ -258,7 +278,7 @@ export async function restoreTrackingState(updateBadgeCallback: () => void): Pro
     tabs.query({}, async (allTabs: chrome.tabs.Tab[]) => {
         for (const tab of allTabs) {
             if (tab.url && tab.id && isTrackableUrl(tab.url)) {
-                const matchesRule = await checkIfUrlMatchesAnyRule(tab.url);
+                const matchesRule = await checkIfUrlMatchesAnyRule(tab.url, { type: 'main_frame' });
                 if (matchesRule) {
                     if (!tabsWithActiveRules.has(tab.id)) {
                         tabsWithActiveRules.set(tab.id, new Set());
@@ -0,0 +1,58 @@
+/**
+ * Rule Bisect — finds the rules the browser rejects when a batch fails.
+ *
+ * updateDynamicRules is all or nothing: one malformed rule (e.g. an urlFilter
+ * the browser can't parse) rejects the whole batch. Adding the batch in halves
+ * isolates the rejected rules in O(k log n) calls while every other rule gets
+ * installed along the way.
+ */
+
+import { declarativeNetRequest } from '../../utils/browser-api.js';
+
+import type { NetworkRule } from '../../types/header';
+
+export interface RejectedRule {
+    rule: NetworkRule;
+    /** The browser's error message */
+    error: string;
+}
+
+export interface BisectResult {
+    /** The rules now installed — members in place of a rejected merged rule */
+    added: NetworkRule[];
+    rejected: RejectedRule[];
+}
+
+/**
+ * Add the rules, splitting any batch the browser rejects until each rejected
+ * rule is on its own. A rejected merged rule is retried as the rules it was
+ * merged from (via getMembers), so only the broken originals are reported.
+ */
+export function addRulesBisecting(
+    rules: NetworkRule[],
+    getMembers: (rule: NetworkRule) => NetworkRule[] | undefined = () => undefined
+): Promise<BisectResult> {
+    if (rules.length === 0) return Promise.resolve({ added: [], rejected: [] });
+
+    return declarativeNetRequest!.updateDynamicRules({ addRules: rules }).then(
+        (): BisectResult => ({ added: rules, rejected: [] }),
+        (e: Error) => {
+            if (rules.length > 1) {
+                const mid = Math.ceil(rules.length / 2);
+                return addRulesBisecting(rules.slice(0, mid), getMembers).then(left =>
+                    addRulesBisecting(rules.slice(mid), getMembers).then(right => ({
+                        added: [...left.added, ...right.added],
+                        rejected: [...left.rejected, ...right.rejected]
+                    }))
+                );
+            }
+
+            const members = getMembers(rules[0]);
+            if (members && members.length > 1) {
+                return addRulesBisecting(members);
+            }
+
+            return { added: [], rejected: [{ rule: rules[0], error: e.message || 'Unknown error' }] };
+        }
+    );
+}
@@ -0,0 +1,108 @@
+/**
+ * Rule Budget — keeps a rule set within the browser's declarativeNetRequest quotas.
+ *
+ * updateDynamicRules rejects the whole update when the set has more rules or
+ * regex rules than the browser allows, so the set is checked before it is
+ * installed. Rules are grouped into units — one header entry or one URL rule —
+ * that are installed all or nothing. When the set is too large, units are kept
+ * in DNR priority order (build order breaks ties) and the lower-priority rest
+ * is dropped, so what is installed matches what would win anyway.
+ */
+
+import { mergeHeaderRules } from './rule-optimizer';
+import { createRuleIdAllocator } from './utils';
+
+import type { HeaderRule, NetworkRule, RuleLimits } from '../../types/header';
+import type { RuleIdAllocator } from './utils';
+
+/** The rules of one header entry or one URL rule */
+export interface RuleUnit {
+    kind: 'header' | 'url';
+    /** savedData key for header entries, URL rule id for URL rules */
+    id: string;
+    rules: NetworkRule[];
+}
+
+/** Which quota made rules drop out */
+export type ExceededLimit = 'rules' | 'regex';
+
+export interface BudgetResult {
+    kept: RuleUnit[];
+    dropped: RuleUnit[];
+    exceeded: ExceededLimit | null;
+}
+
+/**
+ * Build the final rule set for the given units: header rules merged by the
+ * optimizer, followed by the URL rules. `members` receives the original rules
+ * of every merged rule.
+ */
+export function assembleRules(units: readonly RuleUnit[], allocateId: RuleIdAllocator, members?: Map<number, HeaderRule[]>): NetworkRule[] {
+    const headerRules: HeaderRule[] = [];
+    const urlRules: NetworkRule[] = [];
+
+    for (const unit of units) {
+        if (unit.kind === 'header') {
+            headerRules.push(...(unit.rules as HeaderRule[]));
+        } else {
+            urlRules.push(...unit.rules);
+        }
+    }
+
+    return [...mergeHeaderRules(headerRules, allocateId, members), ...urlRules];
+}
+
+/**
+ * Keep as many units as fit within the limits. Counting happens after merging,
+ * since that is what gets installed. Kept units stay in their original order.
+ */
+export function fitRuleBudget(units: readonly RuleUnit[], limits: RuleLimits): BudgetResult {
+    if (checkLimits(units, limits) === null) {
+        return { kept: [...units], dropped: [], exceeded: null };
+    }
+
+    const ordered = units
+        .map((unit, index) => ({ unit, index, priority: getUnitPriority(unit) }))
+        .sort((a, b) => b.priority - a.priority || a.index - b.index)
+        .map(({ unit }) => unit);
+
+    // Merged counts only grow as units are added, so the longest prefix that
+    // fits can be found by bisection
+    let low = 0;
+    let high = ordered.length - 1;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (checkLimits(ordered.slice(0, mid), limits) === null) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+
+    const keptSet = new Set(ordered.slice(0, low));
+    return {
+        kept: units.filter(unit => keptSet.has(unit)),
+        dropped: ordered.slice(low),
+        exceeded: checkLimits(ordered.slice(0, low + 1), limits)
+    };
+}
+
+/** Count the rules of an assembled set against the limits */
+export function countRules(rules: readonly NetworkRule[]): { total: number; regex: number } {
+    return {
+        total: rules.length,
+        regex: rules.filter(rule => rule.condition.regexFilter).length
+    };
+}
+
+function checkLimits(units: readonly RuleUnit[], limits: RuleLimits): ExceededLimit | null {
+    // IDs of merged rules don't affect the counts, so a throwaway allocator will do
+    const { total, regex } = countRules(assembleRules(units, createRuleIdAllocator()));
+    if (regex > limits.maxRegexRules) return 'regex';
+    if (total > limits.maxRules) return 'rules';
+    return null;
+}
+
+function getUnitPriority(unit: RuleUnit): number {
+    return unit.rules.reduce((max, rule) => Math.max(max, rule.priority), 0);
+}
@@ -0,0 +1,87 @@
+/**
+ * Rule Diff — computes the minimal declarativeNetRequest update that turns the
+ * installed dynamic rules into the desired set.
+ *
+ * Rules carry stable IDs (see createRuleIdAllocator), so an unchanged rule keeps
+ * its ID across updates and is left alone. A rule whose ID is installed with a
+ * different body is removed and re-added in the same updateDynamicRules call,
+ * which Chrome applies atomically.
+ *
+ * Rules are compared as we would send them (normalizeRule): the copy a browser
+ * returns from getDynamicRules may carry nulls and defaults we never set.
+ */
+
+import { canonicalJson } from './utils';
+
+import type { NetworkRule } from '../../types/header';
+
+export interface RuleDiff {
+    removeRuleIds: number[];
+    addRules: NetworkRule[];
+    /** Rules already installed exactly as desired */
+    unchanged: number;
+}
+
+// Condition defaults a browser may fill in on the rules it returns (Firefox does)
+const CONDITION_DEFAULTS: Readonly<Record<string, unknown>> = { isUrlFilterCaseSensitive: false };
+
+function withoutNulls(value: unknown): unknown {
+    if (Array.isArray(value)) {
+        return value.map(withoutNulls);
+    }
+    if (value !== null && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value)
+            .filter(([, v]) => v !== null && v !== undefined)
+            .map(([k, v]) => [k, withoutNulls(v)]));
+    }
+    return value;
+}
+
+/**
+ * A rule without nulls and without the condition defaults a browser adds, so
+ * a rule read back from the browser compares equal to the one we built.
+ */
+export function normalizeRule(rule: NetworkRule | chrome.declarativeNetRequest.Rule): unknown {
+    const normalized = withoutNulls(rule) as { condition?: Record<string, unknown> };
+    if (normalized.condition) {
+        normalized.condition = Object.fromEntries(Object.entries(normalized.condition)
+            .filter(([key, value]) => !(key in CONDITION_DEFAULTS) || CONDITION_DEFAULTS[key] !== value));
+    }
+    return normalized;
+}
+
+/**
+ * Diff the installed rules against the desired ones.
+ */
+export function diffRules(installed: readonly chrome.declarativeNetRequest.Rule[], desired: readonly NetworkRule[]): RuleDiff {
+    const installedById = new Map<number, string>();
+    for (const rule of installed) {
+        installedById.set(rule.id, canonicalJson(normalizeRule(rule)));
+    }
+
+    const desiredIds = new Set<number>();
+    const removeRuleIds: number[] = [];
+    const addRules: NetworkRule[] = [];
+    let unchanged = 0;
+
+    for (const rule of desired) {
+        desiredIds.add(rule.id);
+        const current = installedById.get(rule.id);
+        if (current === canonicalJson(normalizeRule(rule))) {
+            unchanged++;
+            continue;
+        }
+        if (current !== undefined) {
+            removeRuleIds.push(rule.id);
+        }
+        addRules.push(rule);
+    }
+
+    for (const id of installedById.keys()) {
+        if (!desiredIds.has(id)) {
+            removeRuleIds.push(id);
+        }
+    }
+
+    return { removeRuleIds, addRules, unchanged };
+}
@@ -10,6 +10,11 @@
  * - Rules changed (WebSocket)    → scheduleUpdate('rules')
  * - Saved data changed (storage) → scheduleUpdate('savedData')
  * - Pause toggled (storage)      → scheduleUpdate('pause', { immediate: true })
+ * - Cache-busting default        → scheduleUpdate('cacheBusting', { immediate: true })
+ * - Environments (WebSocket)     → scheduleUpdate('environments')
+ * - Environment switch (popup)   → scheduleUpdate('environment', { immediate: true })
+ * - Watched cookie changed       → scheduleUpdate('cookies')
+ * - TOTP period boundary (alarm) → scheduleUpdate('totp', { immediate: true })
  * - Import (message handler)     → scheduleUpdate('import', { immediate: true })
  * - Init (background startup)    → scheduleUpdate('init', { immediate: true })
  */
@@ -28,7 +33,7 @@ interface ScheduleOptions {
 }
 
 const DEBOUNCE_MS = 150;
-const FORCED_REASONS = new Set(['pause', 'import', 'init', 'rules', 'savedData', 'rulesUpdated']);
+const FORCED_REASONS = new Set(['pause', 'import', 'init', 'rules', 'savedData', 'rulesUpdated', 'cacheBusting', 'environments', 'environment', 'cookies', 'totp', 'localRules', 'toggle', 'profile', 'tags', 'sitePause']);
 
 let debounceTimer: ReturnType<typeof setTimeout> | null = null;
 let forcedPending = false;
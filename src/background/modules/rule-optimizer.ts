@@ -0,0 +1,101 @@
+/**
+ * Rule Optimizer — merges header rules that apply to exactly the same requests.
+ *
+ * Each (entry, domain) pair is built as its own DNR rule. Rules with the same
+ * direction, priority and condition match the same requests, so their header
+ * modifications can live in a single rule with several requestHeaders /
+ * responseHeaders operations. A workspace where many headers share their
+ * domains shrinks from headers × domains rules to roughly one per domain.
+ *
+ * Rules are only merged when the result behaves identically:
+ * - a modification already present (e.g. the shared cache-busting headers) is kept once
+ * - two different modifications of the same header stay in separate rules,
+ *   since DNR rejects a rule that modifies one header twice
+ *
+ * Domains are collapsed before this, when the rules are built: an entry naming
+ * both host and *.host gets one rule with a requestDomains condition for all
+ * such hosts (see findSiteDomains). Entries with the same collapsed hosts then
+ * share a condition and merge here like any other. Other domains keep a rule
+ * each — a requestDomains entry matches every port and every subdomain, so it
+ * would widen a plain host (*://host/*) or a lone *.host (*://*.host/*).
+ */
+
+import { canonicalJson } from './utils';
+
+import type { HeaderModification, HeaderRule } from '../../types/header';
+import type { RuleIdAllocator } from './utils';
+
+interface RuleGroup {
+    template: HeaderRule;
+    members: HeaderRule[];
+    headers: HeaderModification[];
+}
+
+/**
+ * Merge header rules that share direction, priority and condition. The first
+ * rule of each group sets its position in the result; a rule that ends up alone
+ * keeps its own ID, a merged rule gets a stable ID derived from its members.
+ * When `members` is given, it receives the original rules of every merged rule.
+ */
+export function mergeHeaderRules(rules: readonly HeaderRule[], allocateId: RuleIdAllocator, members?: Map<number, HeaderRule[]>): HeaderRule[] {
+    const groupsByKey = new Map<string, RuleGroup[]>();
+    const groups: RuleGroup[] = [];
+
+    for (const rule of rules) {
+        const modifications = getModifications(rule);
+        const key = `${getDirection(rule)}\0${rule.priority}\0${canonicalJson(rule.condition)}`;
+
+        const candidates = groupsByKey.get(key) || [];
+        let group = candidates.find(g => canMerge(g.headers, modifications));
+        if (!group) {
+            group = { template: rule, members: [], headers: [] };
+            candidates.push(group);
+            groupsByKey.set(key, candidates);
+            groups.push(group);
+        }
+
+        group.members.push(rule);
+        for (const modification of modifications) {
+            if (!group.headers.some(h => isSameModification(h, modification))) {
+                group.headers.push(modification);
+            }
+        }
+    }
+
+    return groups.map(group => {
+        if (group.members.length === 1) return group.template;
+
+        const memberIds = group.members.map(r => r.id).sort((a, b) => a - b).join(',');
+        const headersKey = getDirection(group.template) === 'request' ? 'requestHeaders' : 'responseHeaders';
+        const id = allocateId(`merged\0${memberIds}`);
+        members?.set(id, group.members);
+        return {
+            ...group.template,
+            id,
+            action: { type: 'modifyHeaders', [headersKey]: group.headers }
+        };
+    });
+}
+
+function getDirection(rule: HeaderRule): 'request' | 'response' {
+    return rule.action.requestHeaders ? 'request' : 'response';
+}
+
+function getModifications(rule: HeaderRule): HeaderModification[] {
+    return rule.action.requestHeaders || rule.action.responseHeaders || [];
+}
+
+/**
+ * A rule fits into a group unless it changes a header the group already
+ * changes in a different way.
+ */
+function canMerge(groupHeaders: HeaderModification[], modifications: HeaderModification[]): boolean {
+    return modifications.every(modification => {
+        const existing = groupHeaders.find(h => h.header.toLowerCase() === modification.header.toLowerCase());
+        return !existing || isSameModification(existing, modification);
+    });
+}
+
+function isSameModification(a: HeaderModification, b: HeaderModification): boolean {
+    return a.header.toLowerCase() === b.header.toLowerCase() && a.operation === b.operation && a.value === b.value;
+}
@@ -0,0 +1,96 @@
+/**
+ * Rule Verifier — checks that the installed dynamic rules match the rules the
+ * last update meant to install, and keeps a log of the drift it finds.
+ *
+ * A fast path compares one hash of each whole set; only when those differ are
+ * the sets diffed rule by rule. Drift events go to storage.local so they
+ * survive service-worker restarts and can be shown in the popup's diagnostics.
+ */
+
+import { storage } from '../../utils/browser-api.js';
+import { logger } from '../../utils/logger';
+import { diffRules, normalizeRule } from './rule-diff';
+import { fingerprint } from './utils';
+
+import type { NetworkRule, RuleDriftEvent, RuleDriftTrigger } from '../../types/header';
+import type { RuleDiff } from './rule-diff';
+
+// Older events are dropped beyond this
+const MAX_DRIFT_EVENTS = 50;
+
+/** What differs between the installed and the expected rules */
+export interface RuleDrift {
+    /** Expected rules that aren't installed */
+    missing: number[];
+    /** Installed rules nobody asked for */
+    unexpected: number[];
+    /** Installed under an expected ID, but with a different body */
+    changed: number[];
+    /** The update that repairs the drift */
+    repair: Pick<RuleDiff, 'removeRuleIds' | 'addRules'>;
+}
+
+/**
+ * Hash of a rule set that doesn't depend on rule order, nor on the nulls and
+ * defaults a browser adds to the rules it returns (see normalizeRule).
+ */
+export function hashRuleSet(rules: readonly chrome.declarativeNetRequest.Rule[]): string {
+    return fingerprint([...rules].sort((a, b) => a.id - b.id).map(normalizeRule));
+}
+
+/**
+ * Compare installed rules with the expected ones; null when they match.
+ */
+export function findDrift(expected: readonly NetworkRule[], installed: chrome.declarativeNetRequest.Rule[]): RuleDrift | null {
+    if (hashRuleSet(expected as chrome.declarativeNetRequest.Rule[]) === hashRuleSet(installed)) {
+        return null;
+    }
+
+    const { removeRuleIds, addRules } = diffRules(installed, expected);
+    if (removeRuleIds.length === 0 && addRules.length === 0) {
+        // Same rules, different serialization (property order)
+        return null;
+    }
+
+    const installedIds = new Set(installed.map(rule => rule.id));
+    const expectedIds = new Set(expected.map(rule => rule.id));
+    return {
+        missing: addRules.filter(rule => !installedIds.has(rule.id)).map(rule => rule.id),
+        unexpected: removeRuleIds.filter(id => !expectedIds.has(id)),
+        changed: addRules.filter(rule => installedIds.has(rule.id)).map(rule => rule.id),
+        repair: { removeRuleIds, addRules }
+    };
+}
+
+/**
+ * Append a drift event to the log in storage.local.
+ */
+export function recordDriftEvent(trigger: RuleDriftTrigger, drift: RuleDrift, repaired: boolean, error?: string): Promise<void> {
+    const event: RuleDriftEvent = {
+        at: new Date().toISOString(),
+        trigger,
+        missing: drift.missing.length,
+        unexpected: drift.unexpected.length,
+        changed: drift.changed.length,
+        repaired,
+        ...(error ? { error } : {})
+    };
+
+    return getDriftEvents().then(events => new Promise<void>((resolve) => {
+        storage.local.set({ ruleDriftEvents: [event, ...events].slice(0, MAX_DRIFT_EVENTS) }, () => {
+            logger.debug('RuleVerifier', 'Recorded drift event', event);
+            resolve();
+        });
+    }));
+}
+
+/**
+ * Drift events, newest first.
+ */
+export function getDriftEvents(): Promise<RuleDriftEvent[]> {
+    return new Promise((resolve) => {
+        storage.local.get(['ruleDriftEvents'], (result: Record<string, unknown>) => {
+            resolve(Array.isArray(result.ruleDriftEvents) ? result.ruleDriftEvents as RuleDriftEvent[] : []);
+        });
+    });
+}
@@ -0,0 +1,183 @@
+/**
+ * SitePause — rules switched off for one site or one tab while they keep
+ * applying everywhere else (isRulesExecutionPaused switches them off
+ * everywhere).
+ *
+ * Paused domains go on every generated rule as excludedRequestDomains and
+ * excludedInitiatorDomains (withSitePause, applied by header-manager), so
+ * they cost no extra rules and a paused page's requests to other domains are
+ * left alone too, as the popup and badge show.
+ * Paused tabs can't work that way: DNR accepts tabIds/excludedTabIds only on
+ * session rules, and ours are dynamic. Instead they get one session-scoped
+ * allow rule for those tabs, with a priority above every generated rule, so
+ * no header modification or redirect of ours applies there. That session rule
+ * is also the record of paused tabs: it lives exactly as long as tab IDs do.
+ */
+
+import { declarativeNetRequest, storage } from '../../utils/browser-api.js';
+import { logger } from '../../utils/logger';
+import { hostMatchesDnrDomains, toDnrDomain } from './url-utils';
+
+import type { NetworkRule, SitePause } from '../../types/header';
+
+/** Session rule IDs are separate from dynamic ones; this is the only session rule */
+export const TAB_PAUSE_RULE_ID = 1;
+
+/** Above every generated rule (header rules go up to 1000) */
+export const TAB_PAUSE_PRIORITY = 10_000;
+
+// Without resourceTypes a rule skips main_frame, so list them all
+const ALL_RESOURCE_TYPES = [
+    'main_frame', 'sub_frame', 'stylesheet', 'script', 'image', 'font',
+    'object', 'xmlhttprequest', 'ping', 'csp_report', 'media',
+    'websocket', 'webtransport', 'webbundle', 'other'
+] as chrome.declarativeNetRequest.ResourceType[];
+
+// ── In-memory cache ──────────────────────────────────────────────────
+
+let pausedDomains: string[] = [];
+let pausedTabIds: number[] = [];
+
+// ── Public API ───────────────────────────────────────────────────────
+
+export function getPausedDomains(): string[] {
+    return pausedDomains;
+}
+
+export function getPausedTabIds(): number[] {
+    return pausedTabIds;
+}
+
+/**
+ * Pause or resume rules for a domain and its subdomains. Accepts anything
+ * toDnrDomain understands (hostname, URL, *.pattern); returns the domain as
+ * stored, or null when it isn't one. Takes effect with the next rule update.
+ */
+export function setDomainPaused(input: string, paused: boolean): string | null {
+    const domain = toDnrDomain(input);
+    if (!domain) {
+        logger.warn('SitePause', 'Not a domain:', input);
+        return null;
+    }
+
+    const next = pausedDomains.filter(current => current !== domain);
+    if (paused) next.push(domain);
+    pausedDomains = next.sort();
+    persistToStorage();
+
+    logger.info('SitePause', `Rules ${paused ? 'paused' : 'resumed'} on ${domain}`);
+    return domain;
+}
+
+/**
+ * Pause or resume rules in one tab. Takes effect right away. Rejects, with
+ * the tab's state unchanged, when the browser refuses the session rule.
+ */
+export async function setTabPaused(tabId: number, paused: boolean): Promise<void> {
+    const wasPaused = pausedTabIds.includes(tabId);
+    pausedTabIds = withTab(pausedTabIds, tabId, paused);
+
+    try {
+        await installTabPauseRule();
+    } catch (error) {
+        pausedTabIds = withTab(pausedTabIds, tabId, wasPaused);
+        throw error;
+    }
+    logger.info('SitePause', `Rules ${paused ? 'paused' : 'resumed'} in tab ${tabId}`);
+}
+
+/** Forget a closed tab. */
+export function releaseTab(tabId: number): Promise<void> {
+    if (!pausedTabIds.includes(tabId)) return Promise.resolve();
+    // Already logged; the closed tab's ID just stays in the rule
+    return setTabPaused(tabId, false).catch(() => {});
+}
+
+/** Keep the pause of a tab that was replaced (e.g. by a prerendered page). */
+export function replaceTab(removedTabId: number, addedTabId: number): Promise<void> {
+    if (!pausedTabIds.includes(removedTabId)) return Promise.resolve();
+    pausedTabIds = withTab(withTab(pausedTabIds, removedTabId, false), addedTabId, true);
+    return installTabPauseRule().catch(() => {
+        pausedTabIds = withTab(withTab(pausedTabIds, addedTabId, false), removedTabId, true);
+    });
+}
+
+/** Whether, and why, rules are paused for a tab showing `url`; null when they aren't. */
+export function getSitePause(tabId: number | undefined, url: string): SitePause | null {
+    let host = '';
+    try {
+        host = new URL(url).hostname;
+    } catch {
+        // No host to match, only the tab
+    }
+
+    const domain = host ? pausedDomains.find(current => hostMatchesDnrDomains(host, [current])) ?? null : null;
+    const tab = tabId !== undefined && pausedTabIds.includes(tabId);
+    return domain || tab ? { domain, tab } : null;
+}
+
+/**
+ * The rules with every paused domain added to their excludedRequestDomains
+ * and excludedInitiatorDomains.
+ */
+export function withSitePause<T extends NetworkRule>(rules: T[]): T[] {
+    if (pausedDomains.length === 0) return rules;
+    return rules.map(rule => ({
+        ...rule,
+        condition: {
+            ...rule.condition,
+            excludedRequestDomains: [...new Set([...(rule.condition.excludedRequestDomains || []), ...pausedDomains])],
+            excludedInitiatorDomains: [...new Set([...(rule.condition.excludedInitiatorDomains || []), ...pausedDomains])]
+        }
+    }));
+}
+
+/**
+ * Hydrate in-memory cache: paused domains from storage.local, paused tabs
+ * from the session rule. Called once at startup, before the first update.
+ */
+export async function hydrateSitePauseFromStorage(): Promise<void> {
+    const stored = await new Promise<Record<string, unknown>>((resolve) => {
+        storage.local.get(['pausedDomains'], resolve);
+    });
+    pausedDomains = Array.isArray(stored.pausedDomains) ? stored.pausedDomains as string[] : [];
+
+    const sessionRules = await declarativeNetRequest!.getSessionRules().catch((error: Error) => {
+        logger.warn('SitePause', 'Could not read session rules:', error.message);
+        return [] as chrome.declarativeNetRequest.Rule[];
+    });
+    pausedTabIds = sessionRules.find(rule => rule.id === TAB_PAUSE_RULE_ID)?.condition.tabIds ?? [];
+
+    if (pausedDomains.length > 0 || pausedTabIds.length > 0) {
+        logger.info('SitePause', 'Hydrated', pausedDomains.length, 'paused domains and', pausedTabIds.length, 'paused tabs');
+    }
+}
+
+// ── Internal ─────────────────────────────────────────────────────────
+
+function withTab(tabIds: number[], tabId: number, paused: boolean): number[] {
+    const next = tabIds.filter(current => current !== tabId);
+    if (paused) next.push(tabId);
+    return next;
+}
+
+/** Replace the session rule with one for pausedTabIds; rejects when the browser refuses it. */
+function installTabPauseRule(): Promise<void> {
+    const addRules: chrome.declarativeNetRequest.Rule[] = pausedTabIds.length === 0 ? [] : [{
+        id: TAB_PAUSE_RULE_ID,
+        priority: TAB_PAUSE_PRIORITY,
+        action: { type: 'allow' as chrome.declarativeNetRequest.RuleActionType },
+        condition: { tabIds: pausedTabIds, resourceTypes: ALL_RESOURCE_TYPES }
+    }];
+
+    return declarativeNetRequest!.updateSessionRules({ removeRuleIds: [TAB_PAUSE_RULE_ID], addRules }).catch((error: Error) => {
+        logger.error('SitePause', 'Could not update the tab pause rule:', error.message);
+        throw error;
+    });
+}
+
+function persistToStorage(): void {
+    storage.local.set({ pausedDomains }, () => {
+        logger.debug('SitePause', 'Persisted', pausedDomains.length, 'paused domains');
+    });
+}
@@ -5,6 +5,7 @@
 import { tabs, windows, webNavigation, runtime } from '../../utils/browser-api.js';
 import { isTrackableUrl, normalizeUrlForTracking } from './url-utils';
 import { tabsWithActiveRules, checkIfUrlMatchesAnyRule } from './request-tracker';
+import { releaseTab, replaceTab } from './site-pause';
 
 import type { IRecordingService } from '../../types/recording';
 import { logger } from '../../utils/logger';
@@ -107,6 +108,7 @@ export function setupTabListeners(updateBadgeCallback: () => void, recordingServ
     // Clean up tracking when tabs are closed
     tabs.onRemoved?.addListener((tabId: number) => {
         tabsWithActiveRules.delete(tabId);
+        void releaseTab(tabId);
         if (recordingService) {
             recordingService.cleanupTab(tabId);
         }
@@ -116,6 +118,7 @@ export function setupTabListeners(updateBadgeCallback: () => void, recordingServ
     // Clear tracking when tab is replaced (e.g., when navigating to a completely new site)
     tabs.onReplaced?.addListener((addedTabId: number, removedTabId: number) => {
         logger.info('TabListeners', `Tab ${removedTabId} replaced by ${addedTabId}, transferring tracking`);
+        void replaceTab(removedTabId, addedTabId);
 
         // Transfer tracking from old tab to new tab if any exists
         if (tabsWithActiveRules.has(removedTabId)) {
@@ -0,0 +1,119 @@
+/**
+ * TagActions — bulk enable/disable of the rules sharing a tag, from the
+ * TagManager: switch a tag on or off, or solo it (enable its rules, disable
+ * every other rule).
+ *
+ * Each action is one savedData write through the toggle outbox, like a
+ * profile switch: it works without the app, and app rule changes are queued
+ * for it. The enabled states an action replaced are kept as a snapshot
+ * (storage.local), so the last action can be undone.
+ */
+
+import { storage } from '../../utils/browser-api.js';
+import { logger } from '../../utils/logger';
+import { applyRuleStates } from './toggle-outbox';
+
+import type { HeaderEntry, TagAction, TagSnapshot } from '../../types/header';
+
+export interface TagActionResult {
+    success: boolean;
+    /** Whether anything in savedData changed */
+    changed: boolean;
+    /** Rules whose enabled state changed */
+    count: number;
+    error?: string;
+}
+
+// ── In-memory cache ──────────────────────────────────────────────────
+
+let snapshot: TagSnapshot | null = null;
+
+// ── Public API ───────────────────────────────────────────────────────
+
+/**
+ * Apply `action` to the rules tagged `tag` (null for untagged rules). The
+ * rules it changes are snapshotted first; an action that changes nothing
+ * keeps the previous snapshot.
+ */
+export async function applyTagAction(tag: string | null, action: TagAction, now: number = Date.now()): Promise<TagActionResult> {
+    const tagName = tag || null;
+    const previous: Record<string, boolean> = {};
+
+    const { changed } = await applyRuleStates((ruleId: string, entry: HeaderEntry) => {
+        const inTag = (entry.tag || null) === tagName;
+        let enabled: boolean | undefined;
+        if (action === 'solo') enabled = inTag;
+        else if (inTag) enabled = action === 'enable';
+        if (enabled !== undefined && (entry.isEnabled !== false) !== enabled) {
+            previous[ruleId] = entry.isEnabled !== false;
+        }
+        return enabled;
+    }, true, now);
+
+    const count = Object.keys(previous).length;
+    if (changed) {
+        snapshot = { label: describeAction(tagName, action), ruleStates: previous, takenAt: now };
+        persistToStorage();
+    }
+
+    logger.info('TagActions', `${describeAction(tagName, action)}: ${count} rules changed`);
+    return { success: true, changed, count };
+}
+
+/**
+ * Put the rules the last tag action changed back the way they were, then
+ * drop the snapshot. Rules deleted since are skipped.
+ */
+export async function restoreTagSnapshot(now: number = Date.now()): Promise<TagActionResult> {
+    if (!snapshot) return { success: false, changed: false, count: 0, error: 'Nothing to restore' };
+
+    const { ruleStates, label } = snapshot;
+    let count = 0;
+    const { changed } = await applyRuleStates((ruleId: string, entry: HeaderEntry) => {
+        const enabled = ruleStates[ruleId];
+        if (enabled !== undefined && (entry.isEnabled !== false) !== enabled) count++;
+        return enabled;
+    }, true, now);
+
+    snapshot = null;
+    persistToStorage();
+
+    logger.info('TagActions', `Restored the state before ${label}: ${count} rules changed`);
+    return { success: true, changed, count };
+}
+
+/** The snapshot of the last tag action, for the popup. */
+export function getTagSnapshot(): TagSnapshot | null {
+    return snapshot;
+}
+
+/**
+ * Hydrate in-memory cache from storage.local.
+ * Called once at startup so the last action can still be undone.
+ */
+export function hydrateTagSnapshotFromStorage(): Promise<TagSnapshot | null> {
+    return new Promise((resolve) => {
+        storage.local.get(['tagSnapshot'], (result: Record<string, unknown>) => {
+            const stored = result.tagSnapshot as TagSnapshot | null | undefined;
+            snapshot = stored && typeof stored.ruleStates === 'object' ? stored : null;
+            resolve(snapshot);
+        });
+    });
+}
+
+// ── Internal ─────────────────────────────────────────────────────────
+
+function describeAction(tag: string | null, action: TagAction): string {
+    const name = tag ? `"${tag}"` : 'untagged rules';
+    switch (action) {
+        case 'enable': return `Enable ${name}`;
+        case 'disable': return `Disable ${name}`;
+        case 'solo': return `Solo ${name}`;
+    }
+}
+
+function persistToStorage(): void {
+    storage.local.set({ tagSnapshot: snapshot }, () => {
+        logger.debug('TagActions', 'Persisted tag snapshot:', snapshot?.label ?? 'none');
+    });
+}
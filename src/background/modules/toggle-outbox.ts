@@ -0,0 +1,207 @@
+/**
+ * ToggleOutbox — rule toggles made while the desktop app is away.
+ *
+ * A toggle of an app rule without a connection is applied to savedData right
+ * away (the rules update optimistically) and queued in storage.local, so it
+ * survives service worker restarts. When the socket opens, the queue is
+ * replayed as toggleRule messages. Each rules-update from the app is then
+ * reconciled against the queue (reconcileOutbox):
+ *
+ * - the app has the queued state      → confirmed, dequeued
+ * - the rule was deleted in the app   → conflict, the app wins
+ * - the app changed the rule after the toggle (updatedAt) → conflict, the app wins
+ * - the replayed toggle still isn't taken after REPLAY_GRACE_MS → conflict, the app wins
+ * - otherwise (the update predates the replay) → the queued state is kept
+ *
+ * Profile switches queue their app rule changes here too, connected or not,
+ * so the whole switch lands in one write. Conflicts are kept for the popup
+ * until dismissed. Local rules never go through the outbox — they are
+ * toggled in place.
+ */
+
+import { storage } from '../../utils/browser-api.js';
+import { logger } from '../../utils/logger';
+import { isLocalRule } from '../../utils/local-rule';
+import { updateSavedData } from './local-rules';
+
+import type { HeaderEntry, QueuedToggle, SavedDataMap, ToggleConflict, ToggleConflictReason } from '../../types/header';
+
+/** How long a replayed toggle may go unconfirmed before the app's state wins */
+export const REPLAY_GRACE_MS = 10_000;
+
+const MAX_CONFLICTS = 20;
+
+// ── In-memory cache ──────────────────────────────────────────────────
+
+let queue: QueuedToggle[] = [];
+let conflicts: ToggleConflict[] = [];
+
+// ── Public API ───────────────────────────────────────────────────────
+
+/**
+ * Set the enabled state of the given rules in savedData. Local rules are
+ * always toggled here; app rules only when `queueForApp` is set, in which case
+ * they are also queued for replay. Resolves with the app rule IDs among
+ * `ruleIds` and whether anything changed.
+ */
+export function applyToggles(
+    ruleIds: string[],
+    enabled: boolean,
+    queueForApp: boolean,
+    now: number = Date.now()
+): Promise<{ appRuleIds: string[]; changed: boolean }> {
+    return applyRuleStates(ruleId => (ruleIds.includes(ruleId) ? enabled : undefined), queueForApp, now);
+}
+
+/**
+ * applyToggles with a state per rule, read against the stored rules in the
+ * same write — `stateOf` is called with each stored rule and returns
+ * undefined to leave it alone. Only app
+ * rules whose state changes (or that are already queued) are queued.
+ */
+export async function applyRuleStates(
+    stateOf: (ruleId: string, entry: HeaderEntry) => boolean | undefined,
+    queueForApp: boolean,
+    now: number = Date.now()
+): Promise<{ appRuleIds: string[]; changed: boolean }> {
+    const appRuleIds: string[] = [];
+    const toQueue: QueuedToggle[] = [];
+    let changed = false;
+
+    await updateSavedData((current) => {
+        const next = { ...current };
+        for (const [id, entry] of Object.entries(current)) {
+            const enabled = stateOf(id, entry);
+            if (enabled === undefined) continue;
+            const local = isLocalRule(entry);
+            const differs = (entry.isEnabled !== false) !== enabled;
+            if (!local) {
+                appRuleIds.push(id);
+                if (queueForApp && (differs || queue.some(toggle => toggle.ruleId === id))) {
+                    toQueue.push({ ruleId: id, headerName: entry.headerName, enabled, queuedAt: now });
+                }
+            }
+            if ((local || queueForApp) && differs) {
+                next[id] = { ...entry, isEnabled: enabled };
+                changed = true;
+            }
+        }
+        return changed ? next : null;
+    });
+
+    if (toQueue.length > 0) {
+        // A later toggle of the same rule replaces the earlier one
+        queue = [...queue.filter(toggle => !toQueue.some(queued => queued.ruleId === toggle.ruleId)), ...toQueue];
+        logger.info('ToggleOutbox', `Queued ${toQueue.length} toggles for the app, ${queue.length} pending`);
+        persistToStorage();
+    } else if (!queueForApp && queue.some(toggle => appRuleIds.includes(toggle.ruleId))) {
+        // Toggled again with the app connected; that toggle goes to the app directly
+        queue = queue.filter(toggle => !appRuleIds.includes(toggle.ruleId));
+        persistToStorage();
+    }
+
+    return { appRuleIds, changed };
+}
+
+/**
+ * Send every queued toggle to the app — called when the socket opens. They
+ * stay queued until a rules-update confirms them.
+ */
+export function replayOutbox(send: (message: Record<string, unknown>) => boolean, now: number = Date.now()): void {
+    if (queue.length === 0) return;
+
+    let sentCount = 0;
+    queue = queue.map((toggle) => {
+        if (!send({ type: 'toggleRule', ruleId: toggle.ruleId, enabled: toggle.enabled })) return toggle;
+        sentCount++;
+        return { ...toggle, sentAt: now };
+    });
+    logger.info('ToggleOutbox', `Replayed ${sentCount} of ${queue.length} queued toggles to the app`);
+    persistToStorage();
+}
+
+/**
+ * Resolve the queue against the app's header rules (savedData form) and
+ * return them with the queued states that still stand applied.
+ */
+export function reconcileOutbox(fromApp: SavedDataMap, now: number = Date.now()): SavedDataMap {
+    if (queue.length === 0) return fromApp;
+
+    const result = { ...fromApp };
+    const stillQueued: QueuedToggle[] = [];
+    const resolved: ToggleConflict[] = [];
+    const conflict = (toggle: QueuedToggle, applied: boolean | null, reason: ToggleConflictReason) => {
+        resolved.push({ ruleId: toggle.ruleId, headerName: toggle.headerName, queued: toggle.enabled, applied, reason, resolvedAt: now });
+    };
+
+    for (const toggle of queue) {
+        const appRule = fromApp[toggle.ruleId];
+        if (!appRule) {
+            conflict(toggle, null, 'deleted');
+            continue;
+        }
+        const appEnabled = appRule.isEnabled !== false;
+        if (appEnabled === toggle.enabled) continue;
+
+        const appUpdatedAt = appRule.updatedAt ? Date.parse(appRule.updatedAt) : NaN;
+        if (appUpdatedAt > toggle.queuedAt) {
+            conflict(toggle, appEnabled, 'changed_in_app');
+        } else if (toggle.sentAt !== undefined && now - toggle.sentAt > REPLAY_GRACE_MS) {
+            conflict(toggle, appEnabled, 'rejected');
+        } else {
+            result[toggle.ruleId] = { ...appRule, isEnabled: toggle.enabled };
+            stillQueued.push(toggle);
+        }
+    }
+
+    if (stillQueued.length !== queue.length) {
+        logger.info('ToggleOutbox', `${queue.length - stillQueued.length - resolved.length} queued toggles confirmed, ${resolved.length} conflicts, ${stillQueued.length} pending`);
+        queue = stillQueued;
+        conflicts = [...resolved.reverse(), ...conflicts].slice(0, MAX_CONFLICTS);
+        persistToStorage();
+    }
+
+    return result;
+}
+
+/** Toggles waiting for the app — for the popup. */
+export function getQueuedToggles(): QueuedToggle[] {
+    return queue;
+}
+
+/** Queued toggles the app's state won over, newest first — for the popup. */
+export function getToggleConflicts(): ToggleConflict[] {
+    return conflicts;
+}
+
+/** Clear the conflicts once the popup has shown them. */
+export function dismissToggleConflicts(): void {
+    if (conflicts.length === 0) return;
+    conflicts = [];
+    persistToStorage();
+}
+
+/**
+ * Hydrate in-memory cache from storage.local.
+ * Called once at startup so toggles queued before a restart are replayed.
+ */
+export function hydrateOutboxFromStorage(): Promise<QueuedToggle[]> {
+    return new Promise((resolve) => {
+        storage.local.get(['toggleOutbox', 'toggleConflicts'], (result: Record<string, unknown>) => {
+            queue = Array.isArray(result.toggleOutbox) ? result.toggleOutbox as QueuedToggle[] : [];
+            conflicts = Array.isArray(result.toggleConflicts) ? result.toggleConflicts as ToggleConflict[] : [];
+            if (queue.length > 0) {
+                logger.info('ToggleOutbox', 'Hydrated', queue.length, 'queued toggles from storage');
+            }
+            resolve(queue);
+        });
+    });
+}
+
+// ── Internal ─────────────────────────────────────────────────────────
+
+function persistToStorage(): void {
+    storage.local.set({ toggleOutbox: queue, toggleConflicts: conflicts }, () => {
+        logger.debug('ToggleOutbox', 'Persisted', queue.length, 'queued toggles and', conflicts.length, 'conflicts');
+    });
+}
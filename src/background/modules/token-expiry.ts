@@ -0,0 +1,89 @@
+/**
+ * TokenExpiry — exp/nbf of the JWTs in the installed header values.
+ *
+ * Every rule update reports the tokens it found (trackTokenExpiry). Tokens
+ * close to expiry get their source refreshed by the desktop app, once per
+ * token; expired ones put the badge in its "expired credentials" state. A
+ * one-shot alarm wakes the worker for the next of those moments. Like the
+ * TOTP alarm, it is only recreated when that moment changes: Chrome delays an
+ * alarm to at least 30 s out, so recreating it on every rule update would keep
+ * pushing the refresh back.
+ */
+
+import { alarms } from '../../utils/browser-api.js';
+import { logger } from '../../utils/logger';
+import { getJwtStatus, JWT_REFRESH_LEAD_SECONDS } from '../../utils/jwt';
+
+import type { TokenExpiry } from '../../types/header';
+
+export const TOKEN_EXPIRY_ALARM = 'tokenExpiry';
+
+// ── In-memory cache ──────────────────────────────────────────────────
+
+let tokens: TokenExpiry[] = [];
+/** Source ID → exp of the token a refresh was already requested for */
+const refreshRequested = new Map<string, number>();
+let requestRefresh: ((sourceId: string) => boolean) | null = null;
+
+// When the alarm is set to fire; null when it isn't set
+let scheduledCheck: number | null = null;
+
+// ── Public API ───────────────────────────────────────────────────────
+
+/**
+ * How to ask the app for a fresh source; returns false when the request
+ * couldn't be sent (it is retried on the next check).
+ */
+export function setRefreshRequester(requester: (sourceId: string) => boolean): void {
+    requestRefresh = requester;
+}
+
+/** Replace the tracked tokens with those of the latest rule update, then check them. */
+export function trackTokenExpiry(next: TokenExpiry[], now: number = Date.now()): void {
+    tokens = next;
+    for (const sourceId of refreshRequested.keys()) {
+        if (!tokens.some(token => token.sourceId === sourceId)) refreshRequested.delete(sourceId);
+    }
+    checkTokenExpiry(now);
+}
+
+/**
+ * Request refreshes for tokens that are expiring or expired, and set the
+ * alarm for the next token that will be.
+ */
+export function checkTokenExpiry(now: number = Date.now()): void {
+    for (const token of tokens) {
+        if (!token.sourceId || token.exp === undefined) continue;
+        const status = getJwtStatus(token, now);
+        if (status !== 'expiring' && status !== 'expired') continue;
+        if (refreshRequested.get(token.sourceId) === token.exp) continue;
+
+        const sent = requestRefresh?.(token.sourceId) ?? false;
+        logger.info('TokenExpiry', `Token in "${token.headerName}" ${status === 'expired' ? 'has expired' : 'expires soon'}, ${sent ? 'requested a refresh of' : 'could not request a refresh of'} source #${token.sourceId}`);
+        if (sent) refreshRequested.set(token.sourceId, token.exp);
+    }
+
+    const nextCheck = Math.min(...tokens.flatMap(token => [
+        token.exp !== undefined ? (token.exp - JWT_REFRESH_LEAD_SECONDS) * 1000 : Infinity,
+        token.exp !== undefined ? token.exp * 1000 : Infinity,
+        token.nbf !== undefined ? token.nbf * 1000 : Infinity,
+    ]).filter(time => time > now));
+
+    if (nextCheck === Infinity) {
+        alarms?.clear(TOKEN_EXPIRY_ALARM);
+        scheduledCheck = null;
+    } else if (nextCheck !== scheduledCheck) {
+        alarms?.create(TOKEN_EXPIRY_ALARM, { when: nextCheck });
+        scheduledCheck = nextCheck;
+    }
+}
+
+/** Tokens of the last rule update — for the popup. */
+export function getTokenExpiries(): TokenExpiry[] {
+    return tokens;
+}
+
+/** Whether the entry's header currently carries an expired token. */
+export function isTokenExpired(entryId: string, now: number = Date.now()): boolean {
+    return tokens.some(token => token.entryId === entryId && getJwtStatus(token, now) === 'expired');
+}
@@ -0,0 +1,111 @@
+/**
+ * TotpCodes — current TOTP codes for {{totp:ID}} references in header values.
+ *
+ * The secret comes from the referenced source's request options, so codes
+ * keep rotating while the desktop app is disconnected. WebCrypto is async and
+ * rules are built synchronously, so every rule update first computes the
+ * codes (syncTotpCodes), and processEntry then looks them up. A timer at the
+ * next period boundary triggers the update that rotates them. Chrome delays an
+ * alarm to at least 30 s out, which for a 30 s period would leave the code
+ * stale for part of every period, so the one-shot alarm at the same moment is
+ * only a backstop that wakes a suspended worker. Both are only recreated when
+ * the boundary moves, so rule updates late in a period don't push it back.
+ *
+ * Secrets and codes are credentials — they are never logged.
+ */
+
+import { alarms } from '../../utils/browser-api.js';
+import { logger } from '../../utils/logger';
+import { findTotpRefs, generateTotp, nextTotpBoundary, parseTotpSecret } from '../../utils/totp';
+
+import type { HeaderEntry } from '../../types/header';
+import type { Source } from '../../types/websocket';
+
+export const TOTP_ALARM = 'totpRefresh';
+
+// ── In-memory cache ──────────────────────────────────────────────────
+
+let codes = new Map<string, string>();
+
+// When the timer and alarm are set to fire; null when they aren't set
+let scheduledRotation: number | null = null;
+let rotationTimer: ReturnType<typeof setTimeout> | null = null;
+let onRotation: (() => void) | null = null;
+
+// ── Public API ───────────────────────────────────────────────────────
+
+/** What to run at a period boundary — the rule update that rotates the codes. */
+export function setRotationHandler(handler: () => void): void {
+    onRotation = handler;
+}
+
+/**
+ * Compute the codes the given entries reference and schedule the next
+ * rotation (or cancel it when no entry needs one). Never rejects: a
+ * source without a usable secret simply has no code.
+ */
+export async function syncTotpCodes(entries: HeaderEntry[], sources: Source[], now: number = Date.now()): Promise<void> {
+    const sourceIds = new Set<string>();
+    for (const entry of entries) {
+        for (const template of [entry.headerValue, entry.prefix, entry.suffix]) {
+            if (template) findTotpRefs(template).forEach(id => sourceIds.add(id));
+        }
+    }
+
+    const next = new Map<string, string>();
+    let nextRotation = Infinity;
+    await Promise.all([...sourceIds].map(async (sourceId) => {
+        const source = sources.find(s => s.sourceId?.toString() === sourceId);
+        const params = parseTotpSecret(source?.requestOptions?.totpSecret);
+        if (!params) {
+            logger.warn('TotpCodes', `Source #${sourceId} ${source ? 'has no valid TOTP secret' : 'not found'}`);
+            return;
+        }
+        try {
+            next.set(sourceId, await generateTotp(params, now));
+            nextRotation = Math.min(nextRotation, nextTotpBoundary(params, now));
+        } catch (error) {
+            logger.warn('TotpCodes', `Could not generate a TOTP code for source #${sourceId}:`, error instanceof Error ? error.name : error);
+        }
+    }));
+
+    codes = next;
+
+    if (nextRotation === Infinity) {
+        cancelRotation();
+    } else if (nextRotation !== scheduledRotation) {
+        scheduleRotation(nextRotation, now);
+        logger.debug('TotpCodes', `${codes.size} TOTP codes current, next rotation at ${new Date(nextRotation).toISOString()}`);
+    }
+}
+
+/** The current code of the source's TOTP secret; undefined when there is none. */
+export function getTotpCode(sourceId: string): string | undefined {
+    return codes.get(sourceId);
+}
+
+/** Current codes by source ID — for the popup. */
+export function getTotpCodes(): Record<string, string> {
+    return Object.fromEntries(codes);
+}
+
+// ── Internal ─────────────────────────────────────────────────────────
+
+function scheduleRotation(at: number, now: number): void {
+    if (rotationTimer) clearTimeout(rotationTimer);
+    rotationTimer = setTimeout(() => {
+        rotationTimer = null;
+        // A timer that fires a little early must not leave the boundary marked as scheduled
+        scheduledRotation = null;
+        onRotation?.();
+    }, Math.max(0, at - now));
+    alarms?.create(TOTP_ALARM, { when: at });
+    scheduledRotation = at;
+}
+
+function cancelRotation(): void {
+    if (rotationTimer) clearTimeout(rotationTimer);
+    rotationTimer = null;
+    alarms?.clear(TOTP_ALARM);
+    scheduledRotation = null;
+}
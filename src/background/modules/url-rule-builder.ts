@@ -0,0 +1,322 @@
+/**
+ * URL Rule Builder — translates URL rules pushed by the desktop app
+ * (redirect / block / rewrite) into declarativeNetRequest rules.
+ *
+ * Match types map onto DNR conditions as follows:
+ * - contains → urlFilter (substring match)
+ * - exact    → urlFilter anchored on both ends (|pattern|)
+ * - regex    → regexFilter
+ *
+ * Rewrites (action 'modify' with a replacePattern) always use a regexFilter so
+ * DNR can substitute the matched part of the URL via regexSubstitution.
+ * Query-parameter changes (action 'modify' with modifyParams) become a
+ * separate redirect rule using transform.queryTransform.
+ */
+
+import { toDnrDomains } from './url-utils';
+import { logger } from '../../utils/logger';
+import { validateQueryParamModification } from '../../utils/query-param-validator';
+
+import type { UrlRule, UrlRuleCondition } from '../../types/header';
+import type { QueryParamModification, UrlRuleFromApp, UrlRuleAction } from '../../types/websocket';
+import type { RuleIdAllocator } from './utils';
+
+// URL rules must also catch top-level navigations, which DNR skips when
+// resourceTypes is omitted.
+const URL_RULE_RESOURCE_TYPES: chrome.declarativeNetRequest.ResourceType[] = [
+    'main_frame', 'sub_frame', 'stylesheet', 'script', 'image',
+    'font', 'object', 'xmlhttprequest', 'ping', 'media', 'websocket', 'other'
+] as chrome.declarativeNetRequest.ResourceType[];
+
+// Above request header rules (100) so a block/redirect is decided before headers are touched
+const URL_RULE_PRIORITY = 500;
+
+/**
+ * Build DNR rules for all enabled URL rules. IDs come from allocateId, keyed by
+ * the URL rule's id, so they stay stable across updates.
+ */
+export function createUrlRules(rules: UrlRuleFromApp[], allocateId: RuleIdAllocator): UrlRule[] {
+    const result: UrlRule[] = [];
+
+    for (const rule of rules) {
+        if (rule.isEnabled === false) {
+            logger.debug('UrlRuleBuilder', `Skipping disabled URL rule ${rule.id}`);
+            continue;
+        }
+
+        if (!rule.matchPattern || !rule.matchPattern.trim()) {
+            logger.debug('UrlRuleBuilder', `Skipping URL rule ${rule.id} - no match pattern`);
+            continue;
+        }
+
+        if (rule.matchType === 'regex' && !isValidRegex(rule.matchPattern)) {
+            logger.warn('UrlRuleBuilder', `Skipping URL rule ${rule.id} - invalid regex "${rule.matchPattern}"`);
+            continue;
+        }
+
+        const built = buildUrlRule(rule, allocateId(`url\0${rule.id}`));
+        if (built) {
+            result.push(built);
+        }
+
+        const queryRule = buildQueryTransformRule(rule, allocateId(`url\0${rule.id}\0query`));
+        if (queryRule) {
+            result.push(queryRule);
+        }
+    }
+
+    return result;
+}
+
+function resolveAction(rule: UrlRuleFromApp): UrlRuleAction {
+    if (rule.action) return rule.action;
+    // Older app versions omit the action on parameter-only rules
+    return rule.modifyParams && rule.modifyParams.length > 0 && !rule.redirectTo ? 'modify' : 'redirect';
+}
+
+function buildUrlRule(rule: UrlRuleFromApp, id: number): UrlRule | null {
+    const action = resolveAction(rule);
+
+    if (action === 'block') {
+        return {
+            id,
+            priority: URL_RULE_PRIORITY,
+            action: { type: 'block' },
+            condition: buildMatchCondition(rule)
+        };
+    }
+
+    if (action === 'redirect') {
+        if (!rule.redirectTo || !rule.redirectTo.trim()) {
+            logger.debug('UrlRuleBuilder', `Skipping redirect rule ${rule.id} - no redirect target`);
+            return null;
+        }
+
+        if (rule.matchType === 'regex') {
+            const substitution = toRegexSubstitution(rule.redirectTo);
+            if (rewritesIntoItself(rule.matchPattern, substitution)) {
+                logger.warn('UrlRuleBuilder', `Skipping redirect rule ${rule.id} - target matches its own pattern`);
+                return null;
+            }
+
+            // DNR substitutes only the matched part of the URL; an absolute
+            // target replaces all of it, as a plain redirect does
+            const condition = buildMatchCondition(rule);
+            if (isAbsoluteUrl(rule.redirectTo)) {
+                condition.regexFilter = toWholeUrlRegex(rule.matchPattern);
+            }
+
+            return {
+                id,
+                priority: URL_RULE_PRIORITY,
+                action: { type: 'redirect', redirect: { regexSubstitution: substitution } },
+                condition
+            };
+        }
+
+        if (!isAbsoluteUrl(rule.redirectTo)) {
+            logger.warn('UrlRuleBuilder', `Skipping redirect rule ${rule.id} - "${rule.redirectTo}" is not an absolute URL`);
+            return null;
+        }
+
+        // A target that matches its own filter would redirect forever
+        if (rule.redirectTo.includes(rule.matchPattern)) {
+            logger.warn('UrlRuleBuilder', `Skipping redirect rule ${rule.id} - target matches its own pattern`);
+            return null;
+        }
+
+        return {
+            id,
+            priority: URL_RULE_PRIORITY,
+            action: { type: 'redirect', redirect: { url: rule.redirectTo.trim() } },
+            condition: buildMatchCondition(rule)
+        };
+    }
+
+    // action === 'modify' — rewrite the matched part of the URL
+    if (rule.replacePattern === undefined || rule.replacePattern === null) {
+        if (!rule.modifyParams || rule.modifyParams.length === 0) {
+            logger.debug('UrlRuleBuilder', `Skipping modify rule ${rule.id} - nothing to rewrite`);
+        }
+        return null;
+    }
+
+    const substitution = rule.matchType === 'regex'
+        ? toRegexSubstitution(rule.replacePattern)
+        : escapeSubstitution(rule.replacePattern);
+    const regexFilter = toRegexFilter(rule);
+
+    if (rewritesIntoItself(regexFilter, substitution)) {
+        logger.warn('UrlRuleBuilder', `Skipping modify rule ${rule.id} - the rewritten URL matches its own pattern`);
+        return null;
+    }
+
+    return {
+        id,
+        priority: URL_RULE_PRIORITY,
+        action: { type: 'redirect', redirect: { regexSubstitution: substitution } },
+        condition: {
+            ...buildDomainCondition(rule),
+            regexFilter,
+            resourceTypes: URL_RULE_RESOURCE_TYPES
+        }
+    };
+}
+
+/**
+ * Build the queryTransform redirect for a modify rule's modifyParams.
+ * Invalid parameters are dropped individually; returns null if none remain.
+ */
+function buildQueryTransformRule(rule: UrlRuleFromApp, id: number): UrlRule | null {
+    if (resolveAction(rule) !== 'modify' || !rule.modifyParams || rule.modifyParams.length === 0) {
+        return null;
+    }
+
+    const validParams = rule.modifyParams.filter(param => {
+        const validation = validateQueryParamModification(param);
+        if (!validation.valid) {
+            logger.warn('UrlRuleBuilder', `Skipping query parameter "${param?.key}" in rule ${rule.id} - ${validation.message}`);
+        }
+        return validation.valid;
+    });
+
+    const queryTransform = buildQueryTransform(validParams);
+    if (!queryTransform) {
+        logger.debug('UrlRuleBuilder', `Skipping query parameters for rule ${rule.id} - none valid`);
+        return null;
+    }
+
+    return {
+        id,
+        priority: URL_RULE_PRIORITY,
+        action: { type: 'redirect', redirect: { transform: { queryTransform } } },
+        condition: buildMatchCondition(rule)
+    };
+}
+
+/**
+ * Map validated parameter changes onto a DNR QueryTransform:
+ * add → addOrReplaceParams, replace → addOrReplaceParams with replaceOnly,
+ * remove → removeParams. When a key appears more than once the last change wins.
+ */
+export function buildQueryTransform(params: QueryParamModification[]): chrome.declarativeNetRequest.QueryTransform | null {
+    const byKey = new Map<string, QueryParamModification>();
+    for (const param of params) {
+        const key = param.key.trim();
+        byKey.delete(key);
+        byKey.set(key, param);
+    }
+
+    const removeParams: string[] = [];
+    const addOrReplaceParams: chrome.declarativeNetRequest.QueryKeyValue[] = [];
+
+    for (const [key, param] of byKey) {
+        const action = param.action || 'add';
+        if (action === 'remove') {
+            removeParams.push(key);
+        } else {
+            addOrReplaceParams.push({
+                key,
+                value: param.value ?? '',
+                ...(action === 'replace' ? { replaceOnly: true } : {})
+            });
+        }
+    }
+
+    if (removeParams.length === 0 && addOrReplaceParams.length === 0) return null;
+
+    return {
+        ...(removeParams.length > 0 ? { removeParams } : {}),
+        ...(addOrReplaceParams.length > 0 ? { addOrReplaceParams } : {})
+    };
+}
+
+function buildMatchCondition(rule: UrlRuleFromApp): UrlRuleCondition {
+    const condition: UrlRuleCondition = {
+        ...buildDomainCondition(rule),
+        resourceTypes: URL_RULE_RESOURCE_TYPES
+    };
+
+    if (rule.matchType === 'regex') {
+        condition.regexFilter = rule.matchPattern;
+    } else if (rule.matchType === 'exact') {
+        condition.urlFilter = `|${rule.matchPattern}|`;
+    } else {
+        condition.urlFilter = rule.matchPattern;
+    }
+
+    return condition;
+}
+
+function buildDomainCondition(rule: UrlRuleFromApp): Pick<UrlRuleCondition, 'requestDomains'> {
+    const requestDomains = toDnrDomains(rule.domains);
+    return requestDomains.length > 0 ? { requestDomains } : {};
+}
+
+function toRegexFilter(rule: UrlRuleFromApp): string {
+    if (rule.matchType === 'regex') return rule.matchPattern;
+    const escaped = escapeRegex(rule.matchPattern);
+    return rule.matchType === 'exact' ? `^${escaped}$` : escaped;
+}
+
+/**
+ * A regex that matches the whole URL wherever the pattern matches in it. The
+ * group is non-capturing, so \1 and up still refer to the pattern's groups.
+ */
+function toWholeUrlRegex(pattern: string): string {
+    if (pattern.startsWith('^') && pattern.endsWith('$') && !pattern.endsWith('\\$')) return pattern;
+    return `^.*(?:${pattern}).*$`;
+}
+
+/**
+ * Convert JavaScript-style replacement references ($1, $&) to the RE2-style
+ * backreferences DNR expects (\1, \0).
+ */
+export function toRegexSubstitution(replacement: string): string {
+    return replacement
+        .replace(/\\/g, '\\\\')
+        .replace(/\$&/g, '\\0')
+        .replace(/\$(\d)/g, '\\$1');
+}
+
+/**
+ * Whether the text a regexSubstitution writes into the URL matches the rule's
+ * regexFilter again; DNR would then redirect forever. Captured groups depend
+ * on the request, so their references count as empty — only the text the rule
+ * writes itself is checked.
+ */
+function rewritesIntoItself(regexFilter: string, substitution: string): boolean {
+    const written = substitution.replace(/\\(\\|\d)/g, (_match, char: string) => char === '\\' ? '\\' : '');
+    try {
+        // DNR regex filters are case-insensitive by default
+        return new RegExp(regexFilter, 'i').test(written);
+    } catch (_e) {
+        return false;
+    }
+}
+
+function escapeSubstitution(replacement: string): string {
+    return replacement.replace(/\\/g, '\\\\');
+}
+
+function escapeRegex(value: string): string {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function isValidRegex(pattern: string): boolean {
+    try {
+        new RegExp(pattern);
+        return true;
+    } catch (_e) {
+        return false;
+    }
+}
+
+function isAbsoluteUrl(value: string): boolean {
+    try {
+        new URL(value.trim());
+        return true;
+    } catch (_e) {
+        return false;
+    }
+}
@@ -0,0 +1,68 @@
+/**
+ * UrlRulesStore — single owner of URL rule state (redirect / block / rewrite).
+ *
+ * Mirrors SourcesStore: the desktop app is authoritative and pushes URL rules
+ * as part of every rules-update; storage.local keeps them for offline starts.
+ */
+
+import { storage } from '../../utils/browser-api.js';
+import { logger } from '../../utils/logger';
+
+import type { RulesData, UrlRuleFromApp } from '../../types/websocket';
+
+// ── In-memory cache ──────────────────────────────────────────────────
+
+let urlRules: UrlRuleFromApp[] = [];
+
+// ── Public API ───────────────────────────────────────────────────────
+
+/** Return the current URL rules (in-memory cache). */
+export function getCurrentUrlRules(): UrlRuleFromApp[] {
+    return urlRules;
+}
+
+/**
+ * Authoritative write — called when the desktop app pushes a rules-update.
+ * Overwrites both memory and storage.
+ */
+export function setUrlRulesFromApp(incoming: UrlRuleFromApp[]): void {
+    urlRules = incoming;
+    persistToStorage();
+}
+
+/**
+ * Pull URL rules out of the unified rules payload. The app sends them in
+ * their own `url` bucket; older app versions mixed them into `response`
+ * with `type: 'url'`, so both are accepted.
+ */
+export function extractUrlRules(rules: RulesData): UrlRuleFromApp[] {
+    const fromUrlBucket = Array.isArray(rules.url) ? rules.url : [];
+    const fromResponseBucket = Array.isArray(rules.response)
+        ? rules.response.filter((r): r is UrlRuleFromApp => (r as UrlRuleFromApp).type === 'url')
+        : [];
+    return [...fromUrlBucket, ...fromResponseBucket];
+}
+
+/**
+ * Hydrate in-memory cache from storage.local.
+ * Called once at startup so URL rules keep working before the WebSocket connects.
+ */
+export function hydrateUrlRulesFromStorage(): Promise<UrlRuleFromApp[]> {
+    return new Promise((resolve) => {
+        storage.local.get(['urlRules'], (result: Record<string, unknown>) => {
+            if (Array.isArray(result.urlRules) && (result.urlRules as UrlRuleFromApp[]).length > 0) {
+                urlRules = result.urlRules as UrlRuleFromApp[];
+                logger.info('UrlRulesStore', 'Hydrated', urlRules.length, 'URL rules from storage');
+            }
+            resolve(urlRules);
+        });
+    });
+}
+
+// ── Internal ─────────────────────────────────────────────────────────
+
+function persistToStorage(): void {
+    storage.local.set({ urlRules }, () => {
+        logger.debug('UrlRulesStore', 'Persisted', urlRules.length, 'URL rules to storage');
+    });
+}
@@ -2,15 +2,21 @@
  * URL Utilities - Common URL handling functions
  */
 
+import type { DomainPatternType } from '../../types/header';
+
 // ── Pre-compiled pattern cache ─────────────────────────────────────
 // Key: raw pattern string → Value: compiled RegExp (or null for '*')
 const compiledPatternCache = new Map<string, RegExp | null>();
 
+// Key: regex pattern of a 'regex' rule → Value: compiled RegExp (or null if it doesn't compile)
+const compiledRegexCache = new Map<string, RegExp | null>();
+
 /**
  * Clear pattern caches — call when rules change
  */
 export function clearPatternCache(): void {
     compiledPatternCache.clear();
+    compiledRegexCache.clear();
 }
 
 /**
@@ -77,6 +83,161 @@ function compileAndCachePattern(pattern: string): void {
     compiledPatternCache.set(pattern, regex);
 }
 
+/**
+ * Reduce a domain pattern to the bare hostname form declarativeNetRequest
+ * expects in requestDomains-style conditions (no protocol, port, path or
+ * leading wildcard, punycode for IDN). Returns null for patterns that
+ * cannot be expressed as a domain, such as the '*' wildcard.
+ */
+export function toDnrDomain(pattern: string): string | null {
+    let domain = (pattern || '').trim().toLowerCase();
+    if (!domain || domain === '*') return null;
+
+    const protocolEnd = domain.indexOf('://');
+    if (protocolEnd >= 0) {
+        domain = domain.substring(protocolEnd + 3);
+    }
+
+    domain = domain.split('/')[0];
+
+    if (domain.startsWith('*.')) {
+        domain = domain.substring(2);
+    }
+
+    // IPv6 literal — keep the brackets, drop the port
+    if (domain.startsWith('[')) {
+        const end = domain.indexOf(']');
+        return end > 0 ? domain.substring(0, end + 1) : null;
+    }
+
+    // DNR domain conditions have no notion of ports
+    domain = domain.replace(/:\d*$/, '');
+
+    if (!domain || domain.includes('*')) return null;
+
+    try {
+        return new URL('http://' + domain).hostname;
+    } catch (_e) {
+        return null;
+    }
+}
+
+/**
+ * Reduce a list of domain patterns to distinct DNR domains, dropping the ones
+ * toDnrDomain cannot express.
+ */
+export function toDnrDomains(patterns: readonly string[] | undefined): string[] {
+    if (!Array.isArray(patterns)) return [];
+    return [...new Set(patterns.map(toDnrDomain).filter((d): d is string => d !== null))];
+}
+
+/**
+ * Hosts a wildcard domain list names both plainly and as *.host
+ * (example.com and *.example.com). Together the two patterns match the host
+ * and all its subdomains, which is what a requestDomains condition matches,
+ * so their rules collapse into one. The one difference: requestDomains also
+ * matches the host on a non-default port, which *://host/* does not. Only
+ * plain ASCII hostnames qualify; IPs, localhost and patterns with a scheme,
+ * port or path keep their own rules.
+ */
+export function findSiteDomains(patterns: readonly string[] | undefined): string[] {
+    if (!Array.isArray(patterns)) return [];
+    const normalized = new Set(patterns.map(p => (p || '').trim().toLowerCase()));
+    return [...normalized].filter(host =>
+        /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(host) &&
+        !/^(\d{1,3}\.){3}\d{1,3}$/.test(host) &&
+        normalized.has('*.' + host)
+    );
+}
+
+/**
+ * Match a URL against a rule's whole domains list, the way its DNR rules do:
+ * hosts collapsed by findSiteDomains match on any port, every other pattern
+ * is matched on its own.
+ */
+export function doesUrlMatchDomains(url: string, patterns: readonly string[], patternType: DomainPatternType = 'wildcard'): boolean {
+    if (patternType !== 'regex') {
+        const sites = findSiteDomains(patterns);
+        const hostname = sites.length > 0 ? getHostname(url) : null;
+        if (hostname && hostMatchesDnrDomains(hostname, sites)) return true;
+    }
+    return patterns.some(pattern => doesUrlMatchDomainPattern(url, pattern, patternType));
+}
+
+/**
+ * Whether a domain pattern names a port (localhost:3000, https://host:8443/).
+ * DNR domain conditions have no notion of ports, so toDnrDomain drops it.
+ */
+export function hasPort(pattern: string): boolean {
+    let domain = (pattern || '').trim();
+    const protocolEnd = domain.indexOf('://');
+    if (protocolEnd >= 0) {
+        domain = domain.substring(protocolEnd + 3);
+    }
+    return /:\d+$/.test(domain.split('/')[0]);
+}
+
+/**
+ * Reduce an excluded or initiator domain list to DNR domains. Entries that
+ * name a port are left out: as a domain they would match every port of the
+ * host, which is broader than what was asked for.
+ */
+export function toDnrConditionDomains(patterns: readonly string[] | undefined): string[] {
+    if (!Array.isArray(patterns)) return [];
+    return toDnrDomains(patterns.filter(pattern => !hasPort(pattern)));
+}
+
+/**
+ * Domain conditions beyond a rule's own domain list, in the form they are
+ * stored on a rule (any pattern toDnrDomain understands, without a port).
+ */
+export interface DomainConditions {
+    excludedDomains?: string[];
+    initiatorDomains?: string[];
+    excludedInitiatorDomains?: string[];
+}
+
+/**
+ * Check a hostname against DNR domains the way declarativeNetRequest does:
+ * a domain also matches all of its subdomains.
+ */
+export function hostMatchesDnrDomains(hostname: string, domains: readonly string[]): boolean {
+    const host = hostname.toLowerCase();
+    return domains.some(domain => host === domain || host.endsWith('.' + domain));
+}
+
+/**
+ * Check a request against a rule's excluded and initiator domain conditions.
+ * The initiator is the origin that started the request; when the caller
+ * doesn't know it, the initiator conditions are not checked.
+ */
+export function matchesDomainConditions(url: string, conditions: DomainConditions, initiator?: string): boolean {
+    const excluded = toDnrConditionDomains(conditions.excludedDomains);
+    if (excluded.length > 0) {
+        const hostname = getHostname(url);
+        if (hostname && hostMatchesDnrDomains(hostname, excluded)) return false;
+    }
+
+    const initiatorHost = initiator ? getHostname(initiator) : null;
+    if (!initiatorHost) return true;
+
+    const initiators = toDnrConditionDomains(conditions.initiatorDomains);
+    if (initiators.length > 0 && !hostMatchesDnrDomains(initiatorHost, initiators)) return false;
+
+    const excludedInitiators = toDnrConditionDomains(conditions.excludedInitiatorDomains);
+    if (excludedInitiators.length > 0 && hostMatchesDnrDomains(initiatorHost, excludedInitiators)) return false;
+
+    return true;
+}
+
+function getHostname(url: string): string | null {
+    try {
+        return new URL(url).hostname || null;
+    } catch (_e) {
+        return null;
+    }
+}
+
 /**
  * Normalize a URL for consistent tracking
  * Removes fragments, normalizes case, handles IDN domains
@@ -133,6 +294,30 @@ export function isTrackableUrl(url: string): boolean {
     return true;
 }
 
+/**
+ * Match a URL against a regex domain pattern the way a DNR regexFilter does:
+ * unanchored unless the pattern anchors itself, case-insensitive.
+ */
+export function doesUrlMatchRegex(url: string, pattern: string): boolean {
+    let cached = compiledRegexCache.get(pattern);
+    if (cached === undefined) {
+        try {
+            cached = new RegExp(pattern.trim(), 'i');
+        } catch (_e) {
+            cached = null;
+        }
+        compiledRegexCache.set(pattern, cached);
+    }
+    return cached !== null && cached.test(url);
+}
+
+/**
+ * Match a URL against one entry of a rule's domains list, honouring the rule's pattern type.
+ */
+export function doesUrlMatchDomainPattern(url: string, pattern: string, patternType: DomainPatternType = 'wildcard'): boolean {
+    return patternType === 'regex' ? doesUrlMatchRegex(url, pattern) : doesUrlMatchPattern(url, pattern);
+}
+
 /**
  * Enhanced URL pattern matching using pre-compiled regex cache
  */
@@ -22,7 +22,7 @@ export function debounce<T extends (...args: Parameters<T>) => void>(
 
 /**
  * Fast numeric hash (FNV-1a 32-bit).
- * Used for change detection — not cryptographic.
+ * Used for change detection and rule IDs — not cryptographic.
  */
 function fnv1a(str: string): number {
     let hash = 0x811c9dc5;
@@ -33,6 +33,59 @@ function fnv1a(str: string): number {
     return hash;
 }
 
+/**
+ * JSON with object keys sorted and undefined values dropped, so two rules
+ * compare equal regardless of how their properties were assembled.
+ */
+export function canonicalJson(value: unknown): string {
+    if (Array.isArray(value)) {
+        return '[' + value.map(canonicalJson).join(',') + ']';
+    }
+    if (value !== null && typeof value === 'object') {
+        const obj = value as Record<string, unknown>;
+        const keys = Object.keys(obj).filter(k => obj[k] !== undefined).sort();
+        return '{' + keys.map(k => JSON.stringify(k) + ':' + canonicalJson(obj[k])).join(',') + '}';
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Short hash of a value's canonical JSON — equal for structurally equal values.
+ */
+export function fingerprint(value: unknown): string {
+    return fnv1a(canonicalJson(value)).toString(36);
+}
+
+// declarativeNetRequest rule IDs are positive 32-bit integers
+const MAX_RULE_ID = 0x7fffffff;
+
+/** Hands out declarativeNetRequest rule IDs for one rule build */
+export type RuleIdAllocator = (key: string) => number;
+
+/**
+ * Stable rule ID for a rule key — the same key always yields the same ID,
+ * so unchanged rules keep their IDs across updates.
+ */
+export function stableRuleId(key: string): number {
+    return (fnv1a(key) % MAX_RULE_ID) + 1;
+}
+
+/**
+ * Create an allocator for one rule build. A key whose ID is already taken in
+ * this build probes upward to the next free ID.
+ */
+export function createRuleIdAllocator(): RuleIdAllocator {
+    const used = new Set<number>();
+    return (key: string): number => {
+        let id = stableRuleId(key);
+        while (used.has(id)) {
+            id = id >= MAX_RULE_ID ? 1 : id + 1;
+        }
+        used.add(id);
+        return id;
+    };
+}
+
 /**
  * Generate a hash of sources to detect changes.
  * Returns a short numeric string — much faster than JSON.stringify comparison.
@@ -43,14 +96,19 @@ export function generateSourcesHash(sources: Source[]): string {
     let combined = '';
     for (let i = 0; i < sources.length; i++) {
         const s = sources[i];
-        combined += (s.sourceId || '') + '\0' + (s.sourceContent || '') + '\x01';
+        // Header rules can take their value from a response header instead of the content,
+        // or a TOTP code from the secret
+        combined += (s.sourceId || '') + '\0' + (s.sourceContent || '') + '\0'
+            + (s.responseHeaders ? canonicalJson(s.responseHeaders) : '') + '\0'
+            + (s.requestOptions?.totpSecret || '') + '\x01';
     }
 
     return fnv1a(combined).toString(36);
 }
 
 /**
- * Generate a hash of saved data to detect meaningful changes.
+ * Generate a hash of saved data to detect meaningful changes: every field
+ * that affects the generated rules is part of it, metadata such as tags isn't.
  */
 export function generateSavedDataHash(savedData: SavedDataMap): string {
     if (!savedData) return '';
@@ -64,7 +122,16 @@ export function generateSavedDataHash(savedData: SavedDataMap): string {
         const e = savedData[id];
         combined += id + '\0' + e.headerName + '\0' + e.headerValue + '\0'
             + (e.isDynamic ? '1' : '0') + '\0' + (e.sourceId || '') + '\0'
-            + (e.sourceMissing ? '1' : '0') + '\x01';
+            + (e.sourceMissing ? '1' : '0') + '\0' + (e.operation || 'set') + '\0'
+            + (e.cacheBusting || '') + '\0' + (e.resourceTypes || []).join(',') + '\0'
+            + (e.requestMethods || []).join(',') + '\0'
+            + (e.transforms ? JSON.stringify(e.transforms) : '') + '\0'
+            + (e.sourceHeader || '') + '\0'
+            + [e.cookieName, e.cookieDomain, e.cookiePath, e.cookieTopLevelSite].map(v => v || '').join(',') + '\0'
+            + (e.isEnabled === false ? '0' : '1') + '\0' + (e.isResponse ? '1' : '0') + '\0'
+            + (e.prefix || '') + '\0' + (e.suffix || '') + '\0'
+            + (e.patternType || 'wildcard') + '\0' + canonicalJson(e.domains || []) + '\0' + (e.domain || '') + '\0'
+            + [e.excludedDomains, e.initiatorDomains, e.excludedInitiatorDomains].map(v => canonicalJson(v || [])).join(',') + '\x01';
     }
 
     return fnv1a(combined).toString(36);
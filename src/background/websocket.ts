@@ -3,14 +3,19 @@
  */
 import { runtime, storage, isSafari, isFirefox, isChrome, isEdge } from '../utils/browser-api.js';
 import { adaptWebSocketUrl, safariPreCheck } from './safari-websocket-adapter';
-import { getChunkedData, setChunkedData } from '../utils/storage-chunking.js';
 import { sendMessageWithCallback } from '../utils/messaging';
 import { logger } from '../utils/logger';
 import { generateSourcesHash } from './modules/utils';
 import { scheduleUpdate } from './modules/rule-engine';
 import { getCurrentSources, setSourcesFromApp } from './modules/sources-store';
-
-import type { Source, OnSourcesReceivedCallback, RulesData, HeaderRuleFromApp } from '../types/websocket';
+import { extractUrlRules, setUrlRulesFromApp } from './modules/url-rules-store';
+import { setEnvironmentsFromApp, getActiveEnvironment } from './modules/environment-store';
+import { normalizeResourceTypes, normalizeRequestMethods } from './modules/request-filters';
+import { updateSavedData, mergeAppRules } from './modules/local-rules';
+import { reconcileOutbox, replayOutbox } from './modules/toggle-outbox';
+import { findSourceRefs } from '../utils/source-template';
+
+import type { Source, OnSourcesReceivedCallback, RulesData, HeaderRuleFromApp, EnvironmentsData } from '../types/websocket';
 import type { SavedDataMap } from '../types/header';
 
 // Configuration
@@ -214,15 +219,20 @@ function handleSourcesMessage(
     if (removedSourceIds.length > 0) {
         logger.info('WebSocket', 'Detected removed sources:', removedSourceIds.join(', '));
 
-        getChunkedData('savedData', (savedData: SavedDataMap | null) => {
-            savedData = savedData || {};
+        updateSavedData((savedData) => {
             let headersNeedUpdate = false;
             const updatedSavedData: SavedDataMap = { ...savedData };
 
             for (const id in savedData) {
                 const entry = savedData[id];
-                if (entry.isDynamic && removedSourceIds.includes(entry.sourceId?.toString() || '')) {
-                    logger.info('WebSocket', `Header "${entry.headerName}" was using removed source ${entry.sourceId}`);
+                // {{source:ID}} references count as well as the entry's own source
+                const usedSourceIds = [
+                    ...(entry.isDynamic ? [entry.sourceId?.toString() || ''] : []),
+                    ...[entry.headerValue, entry.prefix, entry.suffix].flatMap(template => findSourceRefs(template || ''))
+                ];
+                const removedUsed = usedSourceIds.filter(sourceId => removedSourceIds.includes(sourceId));
+                if (removedUsed.length > 0) {
+                    logger.info('WebSocket', `Header "${entry.headerName}" was using removed source ${removedUsed.join(', ')}`);
                     updatedSavedData[id] = {
                         ...entry,
                         sourceMissing: true
@@ -231,14 +241,11 @@ function handleSourcesMessage(
                 }
             }
 
-            if (headersNeedUpdate) {
-                logger.info('WebSocket', 'Updating header configuration to reflect removed sources');
-                setChunkedData('savedData', updatedSavedData, () => {
-                    if (runtime.lastError) {
-                        logger.error('WebSocket', 'Error updating header configuration:', runtime.lastError);
-                    }
-                });
-            }
+            if (!headersNeedUpdate) return null;
+            logger.info('WebSocket', 'Updating header configuration to reflect removed sources');
+            return updatedSavedData;
+        }).catch((error: Error) => {
+            logger.error('WebSocket', 'Error updating header configuration:', error.message);
         });
     }
 
@@ -283,30 +290,53 @@ function handleRulesUpdateMessage(parsed: { data: { rules: RulesData } }): void
     const headerRules: HeaderRuleFromApp[] = (rules as RulesData & { header?: HeaderRuleFromApp[] }).header || [];
     logger.info('WebSocket', 'Extracted', headerRules.length, 'header rules from unified format');
 
+    // URL rules are not part of savedData — they live in their own store and
+    // are picked up by the same scheduleUpdate('rules') below
+    const urlRules = extractUrlRules(rules);
+    setUrlRulesFromApp(urlRules);
+    logger.info('WebSocket', 'Extracted', urlRules.length, 'URL rules from unified format');
+
     const savedData: SavedDataMap = {};
     headerRules.forEach((rule) => {
         savedData[rule.id] = {
             headerName: rule.headerName,
             headerValue: rule.headerValue || '',
             domains: rule.domains || [],
+            patternType: rule.patternType === 'regex' ? 'regex' : undefined,
             isDynamic: rule.isDynamic || false,
             sourceId: rule.sourceId || '',
             prefix: rule.prefix || '',
             suffix: rule.suffix || '',
+            sourceHeader: rule.sourceHeader || undefined,
+            transforms: Array.isArray(rule.transforms) && rule.transforms.length > 0 ? rule.transforms : undefined,
             isResponse: rule.isResponse || false,
+            operation: rule.operation || 'set',
+            cacheBusting: rule.cacheBusting,
+            resourceTypes: normalizeResourceTypes(rule.resourceTypes),
+            requestMethods: normalizeRequestMethods(rule.requestMethods),
+            excludedDomains: rule.excludedDomains,
+            initiatorDomains: rule.initiatorDomains,
+            excludedInitiatorDomains: rule.excludedInitiatorDomains,
             isEnabled: rule.isEnabled !== false,
             tag: rule.tag || '',
-            createdAt: rule.createdAt || new Date().toISOString()
+            hasEnvVars: rule.hasEnvVars,
+            envVars: rule.envVars,
+            cookieName: rule.cookieName || undefined,
+            cookieDomain: rule.cookieDomain || undefined,
+            cookiePath: rule.cookiePath || undefined,
+            cookieTopLevelSite: rule.cookieTopLevelSite || undefined,
+            createdAt: rule.createdAt || new Date().toISOString(),
+            updatedAt: rule.updatedAt || undefined
         };
     });
 
-    setChunkedData('savedData', savedData, () => {
-        if (runtime.lastError) {
-            logger.error('WebSocket', 'Error saving header rules:', runtime.lastError);
-        } else {
-            logger.debug('WebSocket', 'Header rules saved to sync storage');
-        }
-
+    // The app owns only its own rules; local rules edited in the popup are kept,
+    // and toggles queued while offline are reconciled with the app's state
+    updateSavedData(current => mergeAppRules(current, reconcileOutbox(savedData))).then((merged) => {
+        logger.debug('WebSocket', 'Header rules saved to sync storage,', Object.keys(merged).length - headerRules.length, 'local rules kept');
+    }, (error: Error) => {
+        logger.error('WebSocket', 'Error saving header rules:', error.message);
+    }).then(() => {
         scheduleUpdate('rules');
 
         sendMessageWithCallback({
@@ -323,6 +353,17 @@ function handleRulesUpdateMessage(parsed: { data: { rules: RulesData } }): void
     });
 }
 
+/**
+ * Handle incoming environments-update messages
+ */
+function handleEnvironmentsMessage(parsed: { data: EnvironmentsData }): void {
+    setEnvironmentsFromApp(parsed.data);
+    logger.info('WebSocket', 'Environments received, active:', getActiveEnvironment());
+
+    // Header values with {{VAR}} templates resolve against the new variables
+    scheduleUpdate('environments');
+}
+
 /**
  * Handle other WebSocket message types (hotkeys, video recording, etc.)
  */
@@ -375,6 +416,8 @@ function createMessageHandler(onSourcesReceived: OnSourcesReceivedCallback | und
                 handleSourcesMessage(parsed, onSourcesReceived);
             } else if (parsed.type === 'rules-update' && parsed.data) {
                 handleRulesUpdateMessage(parsed);
+            } else if (parsed.type === 'environments-update' && parsed.data) {
+                handleEnvironmentsMessage(parsed);
             } else {
                 handleOtherMessages(parsed);
             }
@@ -435,6 +478,7 @@ function connectStandardWebSocket(url: string, onSourcesReceived: OnSourcesRecei
                 reconnectAttempts = 0;
                 broadcastConnectionStatus();
                 sendBrowserInfo();
+                replayOutbox(sendViaWebSocket);
             };
 
             socket.onmessage = createMessageHandler(onSourcesReceived);
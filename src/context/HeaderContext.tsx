@@ -3,7 +3,8 @@ import { storage, runtime } from '../utils/browser-api';
 import { getChunkedData } from '../utils/storage-chunking';
 import { sendMessageWithCallback } from '../utils/messaging';
 import { getBrowserAPI } from '../types/browser';
-import type { HeaderEntry } from '../types/header';
+import type { HeaderEntry, RuleIssue, ResolvedValue, RuleBudget, TokenExpiry, QueuedToggle, ToggleConflict, RuleProfile, TagSnapshot } from '../types/header';
+import type { UrlRuleFromApp, RefreshOptions, RefreshStatus } from '../types/websocket';
 
 // Re-export HeaderEntry from the canonical types location
 export type { HeaderEntry } from '../types/header';
@@ -21,6 +22,9 @@ export interface DynamicSource {
   locationUrl?: string;
   sourceType?: string;
   locationType?: string;
+  responseHeaders?: Record<string, string> | null;
+  refreshOptions?: RefreshOptions;
+  refreshStatus?: RefreshStatus;
   [key: string]: unknown;
 }
 
@@ -36,6 +40,27 @@ export interface UiState {
 export interface HeaderContextValue {
   headerEntries: Record<string, HeaderEntry>;
   dynamicSources: DynamicSource[];
+  urlRules: UrlRuleFromApp[];
+  /** Rules the background left out of the last update */
+  ruleIssues: RuleIssue[];
+  /** The value or placeholder the background resolved for each enabled entry, by entry ID */
+  resolvedValues: Record<string, ResolvedValue>;
+  /** Rule quota usage of the last update; null until the background reports it */
+  ruleBudget: RuleBudget | null;
+  /** Environments pushed by the app, for {{VAR}} templates in header values */
+  environments: string[];
+  activeEnvironment: string | null;
+  /** exp/nbf of the JWTs in the installed header values */
+  tokenExpiries: TokenExpiry[];
+  /** Rule toggles made while the app was away, not yet confirmed by it */
+  queuedToggles: QueuedToggle[];
+  /** Queued toggles the app's state won over */
+  toggleConflicts: ToggleConflict[];
+  /** Named sets of enabled rules, and the one switched to last */
+  profiles: RuleProfile[];
+  activeProfileId: string | null;
+  /** States replaced by the last TagManager bulk action, for "restore" */
+  tagSnapshot: TagSnapshot | null;
   isConnected: boolean;
   isStatusLoaded: boolean;
   rulesFromApp: boolean;
@@ -44,6 +69,9 @@ export interface HeaderContextValue {
   loadDynamicSources: () => void;
   refreshHeaderEntries: () => void;
   updateUiState: (updates: Partial<UiState>) => void;
+  switchEnvironment: (name: string) => void;
+  dismissToggleConflicts: () => void;
+  switchProfile: (id: string) => void;
 }
 
 // Wrapper to adapt sendMessageWithCallback to the expected signature
@@ -60,6 +88,18 @@ const sendContextMessage = (
 const defaultContextValue: HeaderContextValue = {
   headerEntries: {},
   dynamicSources: [],
+  urlRules: [],
+  ruleIssues: [],
+  resolvedValues: {},
+  ruleBudget: null,
+  environments: [],
+  activeEnvironment: null,
+  tokenExpiries: [],
+  queuedToggles: [],
+  toggleConflicts: [],
+  profiles: [],
+  activeProfileId: null,
+  tagSnapshot: null,
   isConnected: false,
   isStatusLoaded: false,
   rulesFromApp: false,
@@ -73,7 +113,10 @@ const defaultContextValue: HeaderContextValue = {
   loadHeaderEntries: () => {},
   loadDynamicSources: () => {},
   refreshHeaderEntries: () => {},
-  updateUiState: () => {}
+  updateUiState: () => {},
+  switchEnvironment: () => {},
+  dismissToggleConflicts: () => {},
+  switchProfile: () => {}
 };
 
 export const HeaderContext = createContext<HeaderContextValue>(defaultContextValue);
@@ -88,6 +131,18 @@ interface HeaderProviderProps {
 export const HeaderProvider: React.FC<HeaderProviderProps> = ({ children }) => {
   const [headerEntries, setHeaderEntries] = useState<Record<string, HeaderEntry>>({});
   const [dynamicSources, setDynamicSources] = useState<DynamicSource[]>([]);
+  const [urlRules, setUrlRules] = useState<UrlRuleFromApp[]>([]);
+  const [ruleIssues, setRuleIssues] = useState<RuleIssue[]>([]);
+  const [resolvedValues, setResolvedValues] = useState<Record<string, ResolvedValue>>({});
+  const [ruleBudget, setRuleBudget] = useState<RuleBudget | null>(null);
+  const [environments, setEnvironments] = useState<string[]>([]);
+  const [activeEnvironment, setActiveEnvironment] = useState<string | null>(null);
+  const [tokenExpiries, setTokenExpiries] = useState<TokenExpiry[]>([]);
+  const [queuedToggles, setQueuedToggles] = useState<QueuedToggle[]>([]);
+  const [toggleConflicts, setToggleConflicts] = useState<ToggleConflict[]>([]);
+  const [profiles, setProfiles] = useState<RuleProfile[]>([]);
+  const [activeProfileId, setActiveProfileId] = useState<string | null>(null);
+  const [tagSnapshot, setTagSnapshot] = useState<TagSnapshot | null>(null);
   const [isConnected, setIsConnected] = useState(false);
   const [isStatusLoaded, setIsStatusLoaded] = useState(false);
   const [rulesFromApp, setRulesFromApp] = useState(false);
@@ -127,6 +182,18 @@ export const HeaderProvider: React.FC<HeaderProviderProps> = ({ children }) => {
       if (!error && response) {
         const sources = (response.sources as DynamicSource[]) || [];
         setDynamicSources(sources);
+        setUrlRules((response.urlRules as UrlRuleFromApp[]) || []);
+        setRuleIssues((response.ruleIssues as RuleIssue[]) || []);
+        setResolvedValues((response.resolvedValues as Record<string, ResolvedValue>) || {});
+        setRuleBudget((response.ruleBudget as RuleBudget) || null);
+        setEnvironments((response.environments as string[]) || []);
+        setActiveEnvironment((response.activeEnvironment as string) || null);
+        setTokenExpiries((response.tokenExpiries as TokenExpiry[]) || []);
+        setQueuedToggles((response.queuedToggles as QueuedToggle[]) || []);
+        setToggleConflicts((response.toggleConflicts as ToggleConflict[]) || []);
+        setProfiles((response.profiles as RuleProfile[]) || []);
+        setActiveProfileId((response.activeProfileId as string) || null);
+        setTagSnapshot((response.tagSnapshot as TagSnapshot) || null);
         setIsConnected((response.isConnected as boolean) || false);
         setIsStatusLoaded(true);
         setRulesFromApp((response.rulesFromApp as boolean) || false);
@@ -142,6 +209,28 @@ export const HeaderProvider: React.FC<HeaderProviderProps> = ({ children }) => {
     });
   }, []);
 
+  const switchEnvironment = useCallback((name: string) => {
+    setActiveEnvironment(name);
+    sendContextMessage({ type: 'setActiveEnvironment', environment: name }, () => {
+      // Reload either way: on failure this restores the real active environment
+      loadDynamicSources();
+    });
+  }, [loadDynamicSources]);
+
+  const dismissToggleConflicts = useCallback(() => {
+    setToggleConflicts([]);
+    sendContextMessage({ type: 'dismissToggleConflicts' });
+  }, []);
+
+  const switchProfile = useCallback((id: string) => {
+    setActiveProfileId(id);
+    sendContextMessage({ type: 'switchProfile', profileId: id }, () => {
+      // The switch rewrites the enabled state of every rule
+      loadHeaderEntries(true);
+      loadDynamicSources();
+    });
+  }, [loadHeaderEntries, loadDynamicSources]);
+
   const refreshHeaderEntries = useCallback(() => {
     loadHeaderEntries(true);
     loadDynamicSources();
@@ -170,7 +259,8 @@ export const HeaderProvider: React.FC<HeaderProviderProps> = ({ children }) => {
     storage.onChanged.addListener(handleStorageChange);
 
     const messageListener = (message: { type?: string; entries?: Record<string, HeaderEntry> }) => {
-      if (message.type === 'dynamicSourcesUpdated') {
+      // sourcesUpdated is relayed for every push from the app, so refresh progress shows live
+      if (message.type === 'dynamicSourcesUpdated' || message.type === 'sourcesUpdated') {
         console.log(new Date().toISOString(), 'INFO ', '[HeaderContext]', 'HeaderContext: Dynamic sources updated notification received');
         loadDynamicSources();
       } else if (message.type === 'headerEntriesUpdated' && message.entries) {
@@ -236,6 +326,18 @@ export const HeaderProvider: React.FC<HeaderProviderProps> = ({ children }) => {
   const contextValue: HeaderContextValue = {
     headerEntries,
     dynamicSources,
+    urlRules,
+    ruleIssues,
+    resolvedValues,
+    ruleBudget,
+    environments,
+    activeEnvironment,
+    tokenExpiries,
+    queuedToggles,
+    toggleConflicts,
+    profiles,
+    activeProfileId,
+    tagSnapshot,
     isConnected,
     isStatusLoaded,
     rulesFromApp,
@@ -243,7 +345,10 @@ export const HeaderProvider: React.FC<HeaderProviderProps> = ({ children }) => {
     loadHeaderEntries,
     loadDynamicSources,
     refreshHeaderEntries,
-    updateUiState
+    updateUiState,
+    switchEnvironment,
+    dismissToggleConflicts,
+    switchProfile
   };
 
   return (
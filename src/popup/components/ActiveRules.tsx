@@ -1,8 +1,11 @@
-import React, { useState, useEffect } from 'react';
-import { Table, Tag, Space, Empty, Typography, Tooltip, Spin, Alert, Divider } from 'antd';
-import { FileTextOutlined, GlobalOutlined, CheckCircleOutlined, CloseCircleOutlined, ExclamationCircleOutlined, LinkOutlined } from '@ant-design/icons';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Table, Tag, Space, Empty, Typography, Tooltip, Spin, Alert, Divider, Button, Dropdown, App } from 'antd';
+import { FileTextOutlined, GlobalOutlined, CheckCircleOutlined, CloseCircleOutlined, ExclamationCircleOutlined, LinkOutlined, PauseCircleOutlined, PlayCircleOutlined } from '@ant-design/icons';
 import { useHeader } from '../../hooks/useHeader';
+import { sendMessage } from '../../utils/messaging';
+import TokenExpiryTag from './TokenExpiryTag';
 import type { ColumnsType } from 'antd/es/table';
+import type { SitePause } from '../../types/header';
 
 declare const browser: typeof chrome | undefined;
 
@@ -13,6 +16,7 @@ interface ActiveRule {
   headerName: string;
   headerValue?: string;
   isResponse?: boolean;
+  operation?: string;
   isEnabled?: boolean;
   domains?: string[];
   tag?: string;
@@ -30,31 +34,48 @@ interface CurrentTabInfo {
 interface TableRecord extends ActiveRule { key: string | number; }
 
 const ActiveRules: React.FC = () => {
-  const { isConnected } = useHeader();
+  const { isConnected, tokenExpiries } = useHeader();
+  const { message } = App.useApp();
   const [currentTab, setCurrentTab] = useState<CurrentTabInfo | null>(null);
   const [activeRules, setActiveRules] = useState<ActiveRule[]>([]);
+  const [sitePause, setSitePause] = useState<SitePause | null>(null);
   const [loading, setLoading] = useState(true);
 
-  useEffect(() => {
-    const fetchActiveRules = async () => {
-      try {
-        const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
-        const tabs = await browserAPI.tabs.query({ active: true, currentWindow: true });
-        if (tabs[0]) {
-          const tab = tabs[0];
-          const url = new URL(tab.url!);
-          const response = await new Promise<{ activeRules?: ActiveRule[] }>((resolve) => {
-            browserAPI.runtime.sendMessage({ type: 'getActiveRulesForTab', tabId: tab.id, tabUrl: tab.url }, (resp) => {
-              resolve((resp as { activeRules?: ActiveRule[] }) || { activeRules: [] });
-            });
+  const fetchActiveRules = useCallback(async () => {
+    try {
+      const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+      const tabs = await browserAPI.tabs.query({ active: true, currentWindow: true });
+      if (tabs[0]) {
+        const tab = tabs[0];
+        const url = new URL(tab.url!);
+        const response = await new Promise<{ activeRules?: ActiveRule[]; sitePause?: SitePause | null }>((resolve) => {
+          browserAPI.runtime.sendMessage({ type: 'getActiveRulesForTab', tabId: tab.id, tabUrl: tab.url }, (resp) => {
+            resolve((resp as { activeRules?: ActiveRule[]; sitePause?: SitePause | null }) || { activeRules: [] });
           });
-          setCurrentTab({ id: tab.id!, url: tab.url!, domain: url.hostname, title: tab.title || '' });
-          setActiveRules(response.activeRules || []);
-        }
-      } catch (error) { console.error(new Date().toISOString(), 'ERROR', '[ActiveRules]', 'Error getting active rules:', error); setActiveRules([]); }
-      finally { setLoading(false); }
-    };
+        });
+        setCurrentTab({ id: tab.id!, url: tab.url!, domain: url.hostname, title: tab.title || '' });
+        setActiveRules(response.activeRules || []);
+        setSitePause(response.sitePause || null);
+      }
+    } catch (error) { console.error(new Date().toISOString(), 'ERROR', '[ActiveRules]', 'Error getting active rules:', error); setActiveRules([]); }
+    finally { setLoading(false); }
+  }, []);
+
+  // Rules keep applying on other sites and tabs while paused here
+  const setPausedHere = async (scope: 'domain' | 'tab', paused: boolean) => {
+    if (!currentTab) return;
+    const target = scope === 'tab' ? { tabId: currentTab.id } : { domain: sitePause?.domain ?? currentTab.domain };
+    const response = await sendMessage({ type: 'setSitePaused', ...target, paused });
+    if (!response.success) { message.error(response.error || 'Failed to update the pause'); return; }
+    fetchActiveRules();
+  };
+
+  const resumeHere = async () => {
+    if (sitePause?.tab) await setPausedHere('tab', false);
+    if (sitePause?.domain) await setPausedHere('domain', false);
+  };
 
+  useEffect(() => {
     fetchActiveRules();
 
     const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
@@ -71,14 +92,21 @@ const ActiveRules: React.FC = () => {
       browserAPI.tabs.onActivated.removeListener(fetchActiveRules);
       browserAPI.storage.onChanged.removeListener(handleStorageChange);
     };
-  }, []);
+  }, [fetchActiveRules]);
 
   const columns: ColumnsType<TableRecord> = [
     { title: 'Header', dataIndex: 'headerName', key: 'headerName', width: 180,
       render: (text: string, record: TableRecord) => {
-        let displayValue = record.headerValue || '[Dynamic]';
-        if (displayValue !== '[Dynamic]' && displayValue.length > 20) displayValue = `${displayValue.substring(0, 10)}...${displayValue.substring(displayValue.length - 5)}`;
-        return <Space direction="vertical" size={0}><Text strong style={{ fontSize: '13px' }}>{text}</Text><Text type="secondary" style={{ fontSize: '11px' }}>{displayValue}</Text></Space>;
+        let displayValue = record.operation === 'remove' ? '[Removed]' : record.headerValue || '[Dynamic]';
+        if (displayValue !== '[Dynamic]' && displayValue !== '[Removed]' && displayValue.length > 20) displayValue = `${displayValue.substring(0, 10)}...${displayValue.substring(displayValue.length - 5)}`;
+        const expiry = tokenExpiries.find(token => token.entryId === record.id);
+        return (
+          <Space direction="vertical" size={0}>
+            <Text strong style={{ fontSize: '13px' }}>{text}</Text>
+            <Text type="secondary" style={{ fontSize: '11px' }}>{displayValue}</Text>
+            {expiry && <TokenExpiryTag expiry={expiry} style={{ margin: '2px 0 0', fontSize: '11px' }} />}
+          </Space>
+        );
       },
     },
     { title: 'Type', key: 'type', width: 100, align: 'center',
@@ -136,7 +164,24 @@ const ActiveRules: React.FC = () => {
           {activeRules.length} rule{activeRules.length !== 1 ? 's' : ''} active
           {indirectMatches > 0 && ` (${directMatches} direct, ${indirectMatches} via resources)`}
         </Text>
+        <Divider type="vertical" style={{ margin: '0 4px', height: '14px' }} />
+        {sitePause ? (
+          <Button size="small" icon={<PlayCircleOutlined />} onClick={resumeHere}>Resume here</Button>
+        ) : (
+          <Tooltip title="Stop applying rules here; other sites and tabs keep them">
+            <Dropdown trigger={['click']} menu={{ items: [
+              { key: 'domain', label: `Pause on ${currentTab.domain}`, onClick: () => setPausedHere('domain', true) },
+              { key: 'tab', label: 'Pause in this tab only', onClick: () => setPausedHere('tab', true) },
+            ] }}>
+              <Button size="small" icon={<PauseCircleOutlined />}>Pause here</Button>
+            </Dropdown>
+          </Tooltip>
+        )}
       </div>
+      {sitePause && (
+        <Alert type="warning" showIcon style={{ margin: '8px 16px 0', fontSize: '12px' }}
+          message={`Rules are paused ${[sitePause.domain && `on ${sitePause.domain}`, sitePause.tab && 'in this tab'].filter(Boolean).join(' and ')} — they still apply elsewhere`} />
+      )}
       <div style={{ flex: 1, overflow: 'auto', padding: '12px 16px' }}>
         <Table
           dataSource={activeRules.map((rule, index) => ({ ...rule, key: rule.id || index }))}
@@ -7,6 +7,7 @@ import {
 } from '@ant-design/icons';
 import { runtime } from '../../utils/browser-api';
 import RecordingButton from './RecordingButton';
+import RuleDiagnostics from './RuleDiagnostics';
 import { getAppLauncher } from '../../utils/app-launcher';
 import { useHeader } from '../../hooks/useHeader';
 import { sendMessage } from '../../utils/messaging';
@@ -23,10 +24,11 @@ const Footer: React.FC = () => {
   const [recordingHotkeyEnabled, setRecordingHotkeyEnabled] = useState(true);
   const [optionsTooltipOpen, setOptionsTooltipOpen] = useState(false);
   const [isRulesExecutionPaused, setIsRulesExecutionPaused] = useState(false);
+  const [diagnosticsOpen, setDiagnosticsOpen] = useState(false);
   const { message } = App.useApp();
   const appLauncher = getAppLauncher();
 
-  const { headerEntries, isConnected } = useHeader();
+  const { headerEntries, isConnected, ruleBudget } = useHeader();
   const totalRules = Object.keys(headerEntries).length;
   const enabledRules = Object.values(headerEntries).filter(rule => rule.isEnabled !== false).length;
 
@@ -196,6 +198,13 @@ const Footer: React.FC = () => {
               <Tooltip title={isRulesExecutionPaused ? "Resume rules execution" : "Pause all rules (preserves individual rule settings)"}>
                 <Switch size="default" checked={!isRulesExecutionPaused} onChange={handleGlobalRulesToggle} checkedChildren="Active" unCheckedChildren="Paused" />
               </Tooltip>
+              {ruleBudget && (
+                <Tooltip title={`Browser rule quota: ${ruleBudget.used} of ${ruleBudget.available} rules, ${ruleBudget.regexUsed} of ${ruleBudget.regexAvailable} regex rules — click for diagnostics`}>
+                  <Text onClick={() => setDiagnosticsOpen(true)} style={{ fontSize: '11px', cursor: 'pointer', color: ruleBudget.used >= ruleBudget.available || ruleBudget.regexUsed >= ruleBudget.regexAvailable ? token.colorError : token.colorTextTertiary }}>
+                    {ruleBudget.used} / {ruleBudget.available}
+                  </Text>
+                </Tooltip>
+              )}
             </div>
           )}
         </div>
@@ -206,6 +215,8 @@ const Footer: React.FC = () => {
             <Button type="text" icon={<GlobalOutlined />} onClick={handleOpenWebsite} size="small" style={{ padding: '0 4px', height: '20px', minWidth: 'auto' }} />
           </Space>
         </div>
+
+        <RuleDiagnostics open={diagnosticsOpen} onClose={() => setDiagnosticsOpen(false)} />
       </div>
   );
 };
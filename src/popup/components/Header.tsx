@@ -2,9 +2,11 @@ import React, { useState, useEffect } from 'react';
 import { Typography, Space, Badge, Button, Dropdown, Switch, Select, Tooltip, type MenuProps } from 'antd';
 import { BulbOutlined, BulbFilled, CompressOutlined, MenuOutlined, QuestionCircleOutlined, CloseCircleOutlined, WarningOutlined, InfoCircleOutlined, BugOutlined } from '@ant-design/icons';
 import { useHeader } from '../../hooks/useHeader';
+import ProfileMenu from './ProfileMenu';
 import { useTheme } from '../../context';
 import { logger, type LogLevel } from '../../utils/logger';
 import { getBrowserAPI } from '../../types/browser';
+import type { CacheBustingMode } from '../../types/header';
 
 const { Title, Text } = Typography;
 
@@ -27,20 +29,35 @@ const LOG_LEVEL_OPTIONS: Array<{ value: LogLevel; label: React.ReactNode }> = [
     { value: 'debug', label: <Space size={4}><BugOutlined style={{ fontSize: 12, color: '#52c41a' }} /><span>Debug</span></Space> },
 ];
 
+const CACHE_BUSTING_OPTIONS: Array<{ value: CacheBustingMode; label: string }> = [
+    { value: 'all', label: 'All resources' },
+    { value: 'main_frame', label: 'Main document' },
+    { value: 'off', label: 'Off' },
+];
+
 const Header: React.FC<HeaderProps> = ({ onOpenSetupGuide }) => {
-    const { isConnected, isStatusLoaded } = useHeader();
+    const { isConnected, isStatusLoaded, environments, activeEnvironment, switchEnvironment } = useHeader();
     const { isDarkMode, themeMode, setThemeMode, isCompactMode, toggleCompactMode } = useTheme();
     const [logLevel, setLogLevel] = useState<LogLevel>(logger.getLevel());
+    const [cacheBusting, setCacheBusting] = useState<CacheBustingMode>('all');
 
     useEffect(() => {
         const browserAPI = getBrowserAPI();
-        browserAPI.storage.sync.get(['logLevel'], (result: Record<string, unknown>) => {
+        browserAPI.storage.sync.get(['logLevel', 'cacheBustingDefault'], (result: Record<string, unknown>) => {
             if (result.logLevel && typeof result.logLevel === 'string') {
                 setLogLevel(result.logLevel as LogLevel);
             }
+            if (CACHE_BUSTING_OPTIONS.some(o => o.value === result.cacheBustingDefault)) {
+                setCacheBusting(result.cacheBustingDefault as CacheBustingMode);
+            }
         });
     }, []);
 
+    const handleCacheBustingChange = (mode: CacheBustingMode) => {
+        setCacheBusting(mode);
+        getBrowserAPI().storage.sync.set({ cacheBustingDefault: mode });
+    };
+
     const handleLogLevelChange = (level: LogLevel) => {
         setLogLevel(level);
         logger.setLevel(level);
@@ -168,6 +185,34 @@ const Header: React.FC<HeaderProps> = ({ onOpenSetupGuide }) => {
                     />
                 </div>
             ),
+        },
+        {
+            key: 'cacheBusting',
+            label: (
+                <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', minWidth: '200px' }} onClick={(e: React.MouseEvent) => e.stopPropagation()}>
+                    <Tooltip overlayStyle={{ maxWidth: 280 }} title={
+                        <>
+                            <div style={{ marginBottom: 4, opacity: 0.75 }}>Adds Cache-Control/Pragma: no-cache to matched requests. Rules with their own setting keep it.</div>
+                            <div><strong>All resources:</strong> <span style={{ opacity: 0.75 }}>Every matched request (default)</span></div>
+                            <div><strong>Main document:</strong> <span style={{ opacity: 0.75 }}>Page loads only, assets stay cached</span></div>
+                            <div><strong>Off:</strong> <span style={{ opacity: 0.75 }}>Normal HTTP caching</span></div>
+                        </>
+                    }>
+                        <Space>
+                            <span>No-cache</span>
+                            <QuestionCircleOutlined style={{ fontSize: 11, cursor: 'help' }} />
+                        </Space>
+                    </Tooltip>
+                    <Select
+                        size="small"
+                        value={cacheBusting}
+                        onChange={handleCacheBustingChange}
+                        options={CACHE_BUSTING_OPTIONS}
+                        style={{ width: 110 }}
+                        popupMatchSelectWidth={false}
+                    />
+                </div>
+            ),
         }
     ];
 
@@ -178,6 +223,19 @@ const Header: React.FC<HeaderProps> = ({ onOpenSetupGuide }) => {
                 <Text type="secondary" style={{ fontSize: '12px' }}>Extension</Text>
             </Space>
             <Space align="center" size={12}>
+                <ProfileMenu />
+                {environments.length > 0 && (
+                    <Tooltip title="Environment used for {{VARIABLE}} templates in header values">
+                        <Select
+                            size="small"
+                            value={activeEnvironment ?? undefined}
+                            onChange={switchEnvironment}
+                            options={environments.map(name => ({ value: name, label: name }))}
+                            style={{ width: 120 }}
+                            popupMatchSelectWidth={false}
+                        />
+                    </Tooltip>
+                )}
                 <div className="connection-status">
                     <Space align="center" size={6}>
                         <Badge
@@ -1,22 +1,33 @@
 import React, { useState, useEffect } from 'react';
 import {
-  Table, Tag, Space, Button, Switch, Tooltip, Input, Typography, Empty, App, Dropdown
+  Table, Tag, Space, Button, Switch, Tooltip, Input, Typography, Empty, App, Dropdown, Alert, Popconfirm
 } from 'antd';
 import {
   EditOutlined, DeleteOutlined, FileTextOutlined, ExclamationCircleOutlined,
   PlusOutlined, DownOutlined, SwapOutlined, ApiOutlined, LinkOutlined,
-  StopOutlined, MoreOutlined, SendOutlined, CodeOutlined
+  StopOutlined, MoreOutlined, SendOutlined, CodeOutlined, SyncOutlined, CopyOutlined, LaptopOutlined
 } from '@ant-design/icons';
 import { useHeader } from '../../hooks/useHeader';
 import { getAppLauncher } from '../../utils/app-launcher';
+import { sendMessage } from '../../utils/messaging';
+import { isLocalRule, toLocalCopy } from '../../utils/local-rule';
+import { findSourceRefs } from '../../utils/source-template';
+import { describeTransform } from '../../utils/value-transforms';
+import { findTotpRefs } from '../../utils/totp';
+import { toCookieSelector, describeCookieSelector } from '../../utils/cookie-selector';
 import type { HeaderEntry, DynamicSource } from '../../context/HeaderContext';
+import TokenExpiryTag from './TokenExpiryTag';
+import LocalRuleEditor from './LocalRuleEditor';
+import { getJwtStatus } from '../../utils/jwt';
+import type { HeaderOperation, CacheBustingMode, DomainPatternType, PlaceholderReason, TokenExpiry, ToggleConflict } from '../../types/header';
+import type { RefreshStatus } from '../../types/websocket';
 import type { ColumnsType } from 'antd/es/table';
 import type { FilterValue, SorterResult } from 'antd/es/table/interface';
 
 const { Search } = Input;
 const { Text } = Typography;
 
-type PlaceholderType = 'source_not_found' | 'empty_source' | 'empty_value' | null;
+type PlaceholderType = PlaceholderReason | null;
 
 interface TableRecord {
   key: string;
@@ -24,26 +35,53 @@ interface TableRecord {
   headerName: string;
   headerValue: string;
   domains: string[];
+  patternType: DomainPatternType;
   isDynamic: boolean | undefined;
   sourceId: string | number | null | undefined;
   prefix: string;
   suffix: string;
   isResponse: boolean | undefined;
+  operation: HeaderOperation;
+  cacheBusting: CacheBustingMode | undefined;
+  excludedDomains: string[];
+  initiatorDomains: string[];
+  excludedInitiatorDomains: string[];
   isEnabled: boolean;
+  /** Edited in the popup and stored in this browser only */
+  isLocal: boolean;
+  /** Toggled while the app was away; not yet confirmed by it */
+  isQueued: boolean;
   sourceInfo: string;
   sourceTag: string;
   placeholderType: PlaceholderType;
+  /** The missing or empty sources behind a source placeholder */
+  placeholderSources: string[];
+  /** Template variables the active environment doesn't define */
+  missingVars: string[];
+  /** Which transform step failed, and why */
+  transformError: string;
+  /** The response header a source placeholder is about */
+  placeholderHeader: string;
+  /** The cookie a cookie-backed entry reads */
+  cookieName: string;
+  /** The transform steps applied to the source content, e.g. "JSONPath → Trim" */
+  transformSteps: string;
   actualValue: string;
   tag: string;
   isCachedValue: boolean;
-}
-
-interface DynamicValueInfo {
-  sourceInfo: string;
-  sourceTag: string;
-  placeholderType: PlaceholderType;
-  actualValue: string;
-  isCachedValue: boolean;
+  /** Why the background couldn't install (part of) this rule */
+  issues: string[];
+  /** Whether one of the issues left the whole rule out */
+  isNotInstalled: boolean;
+  /** The browser's error message when the rule is quarantined */
+  quarantineReason: string;
+  /** exp/nbf of the JWT in the installed value */
+  tokenExpiry: TokenExpiry | null;
+  /** The source the row's value comes from, when the app can refresh it */
+  refreshSourceId: string;
+  refreshStatus: RefreshStatus | null;
+  /** When the app refreshes the source next (ms since the epoch); null without auto-refresh */
+  nextRefresh: number | null;
 }
 
 const HeaderTable: React.FC = () => {
@@ -51,7 +89,8 @@ const HeaderTable: React.FC = () => {
   const appLauncher = getAppLauncher();
 
   const {
-    headerEntries, dynamicSources, isConnected, uiState, updateUiState
+    headerEntries, dynamicSources, ruleIssues, resolvedValues, activeEnvironment, tokenExpiries,
+    queuedToggles, toggleConflicts, dismissToggleConflicts, isConnected, uiState, updateUiState
   } = useHeader();
 
   const [searchText, setSearchText] = useState(uiState?.tableState?.searchText || '');
@@ -61,6 +100,11 @@ const HeaderTable: React.FC = () => {
   const [sortedInfo, setSortedInfo] = useState<SorterResult<TableRecord>>(
     (uiState?.tableState?.sortedInfo as SorterResult<TableRecord>) || {}
   );
+  // Sources with a refresh request in flight
+  const [pendingRefreshes, setPendingRefreshes] = useState<string[]>([]);
+  const [now, setNow] = useState(Date.now());
+  // Open local rule editor: the rule being edited (null = new) and its starting values
+  const [editor, setEditor] = useState<{ ruleId: string | null; initial: HeaderEntry | null } | null>(null);
 
   useEffect(() => {
     if (uiState?.tableState) {
@@ -70,49 +114,87 @@ const HeaderTable: React.FC = () => {
     }
   }, [uiState?.tableState]);
 
-  function getDynamicValueInfo(entry: HeaderEntry, sources: DynamicSource[], connected: boolean): DynamicValueInfo {
-    if (!entry.isDynamic || !entry.sourceId) {
-      if (!entry.headerValue || !entry.headerValue.trim()) {
-        return { sourceInfo: '', sourceTag: '', placeholderType: 'empty_value', actualValue: '', isCachedValue: false };
-      }
-      return { sourceInfo: '', sourceTag: '', placeholderType: null, actualValue: entry.headerValue, isCachedValue: false };
+  function findSource(sources: DynamicSource[], sourceId: string): DynamicSource | undefined {
+    return sources.find(s => s.sourceId?.toString() === sourceId || s.locationId?.toString() === sourceId);
+  }
+
+  /** Where an entry's value comes from, e.g. "$API_TOKEN › ETag header" or "Sources #1, #2 + TOTP #3" */
+  function describeValueSource(entry: HeaderEntry, sources: DynamicSource[]): { sourceInfo: string; sourceTag: string } {
+    // A remove never injects a value, so it has no source
+    if (entry.operation === 'remove') {
+      return { sourceInfo: '', sourceTag: '' };
+    }
+
+    const cookie = entry.cookieName ? toCookieSelector(entry) : null;
+    if (cookie) {
+      return { sourceInfo: describeCookieSelector(cookie).replace(/^cookie/, 'Cookie'), sourceTag: '' };
     }
 
-    const source = sources.find(s =>
-        (s.sourceId?.toString() === entry.sourceId?.toString()) ||
-        (s.locationId?.toString() === entry.sourceId?.toString())
-    );
+    if (!entry.isDynamic || !entry.sourceId) {
+      // A value composed from {{source:ID}} references shows the sources it uses
+      const sourceRefs = findSourceRefs(entry.headerValue || '');
+      const totpRefs = findTotpRefs(entry.headerValue || '');
+      const sourceInfo = [
+        sourceRefs.length > 0 ? `${sourceRefs.length > 1 ? 'Sources' : 'Source'} ${sourceRefs.map(id => `#${id}`).join(', ')}` : '',
+        totpRefs.length > 0 ? `TOTP ${totpRefs.map(id => `#${id}`).join(', ')}` : '',
+      ].filter(Boolean).join(' + ');
+      return { sourceInfo, sourceTag: '' };
+    }
 
+    const source = findSource(sources, String(entry.sourceId));
     const sourceTag = source ? (source.sourceTag || source.locationTag || '') : '';
     const sourcePath = source ? (source.sourcePath || source.locationPath || source.sourceUrl || source.locationUrl || '') : '';
     const sourceType = source ? (source.sourceType || source.locationType || '') : '';
     const displayPath = sourceType.toLowerCase().includes('env') && sourcePath && !sourcePath.startsWith('$')
         ? `$${sourcePath}` : sourcePath;
-    const sourceInfo = displayPath || `Source #${entry.sourceId}`;
-    const content = source ? (source.sourceContent || source.locationContent || '') : '';
-    const actualValue = content ? `${entry.prefix || ''}${content}${entry.suffix || ''}` : '';
-
-    if (!source) {
-      return { sourceInfo, sourceTag, placeholderType: 'source_not_found', actualValue: '', isCachedValue: false };
-    }
-
-    if (!content) {
-      return { sourceInfo, sourceTag, placeholderType: 'empty_source', actualValue: '', isCachedValue: false };
-    }
+    // Rules reading a response header instead of the body name it after the source
+    const sourceHeader = entry.sourceHeader?.trim() || '';
+    return { sourceInfo: `${displayPath || `Source #${entry.sourceId}`}${sourceHeader ? ` › ${sourceHeader} header` : ''}`, sourceTag };
+  }
 
-    return { sourceInfo, sourceTag, placeholderType: null, actualValue, isCachedValue: !connected };
+  /** Whether the entry's value is taken from app sources, which go stale while the app is away */
+  function readsAppSources(entry: HeaderEntry): boolean {
+    if (entry.cookieName) return false;
+    return entry.isDynamic && entry.sourceId ? true : findSourceRefs(entry.headerValue || '').length > 0;
   }
 
   const dataSource: TableRecord[] = Object.entries(headerEntries).map(([id, entry]) => {
-    const dynamicInfo = getDynamicValueInfo(entry, dynamicSources, isConnected);
+    // The value and placeholder come from the background's last update, so they match what it injects
+    const resolved = resolvedValues[id];
+    const placeholder = resolved?.placeholder;
+    const { sourceInfo, sourceTag } = describeValueSource(entry, dynamicSources);
+    const refreshSource = entry.isDynamic && entry.sourceId && !entry.cookieName ? findSource(dynamicSources, String(entry.sourceId)) : undefined;
+    const refreshOptions = refreshSource?.refreshOptions;
     return {
       key: id, id, headerName: entry.headerName, headerValue: entry.headerValue,
-      domains: entry.domains || [], isDynamic: entry.isDynamic, sourceId: entry.sourceId,
+      domains: entry.domains || [], patternType: entry.patternType || 'wildcard',
+      isDynamic: entry.isDynamic, sourceId: entry.sourceId,
       prefix: entry.prefix || '', suffix: entry.suffix || '', isResponse: entry.isResponse,
+      operation: entry.operation || 'set',
+      cacheBusting: entry.cacheBusting,
+      excludedDomains: entry.excludedDomains || [], initiatorDomains: entry.initiatorDomains || [],
+      excludedInitiatorDomains: entry.excludedInitiatorDomains || [],
       isEnabled: entry.isEnabled !== false,
-      sourceInfo: dynamicInfo.sourceInfo, sourceTag: dynamicInfo.sourceTag,
-      placeholderType: dynamicInfo.placeholderType, actualValue: dynamicInfo.actualValue,
-      isCachedValue: dynamicInfo.isCachedValue, tag: entry.tag || ''
+      isLocal: isLocalRule(entry),
+      isQueued: queuedToggles.some(toggle => toggle.ruleId === id),
+      sourceInfo, sourceTag,
+      placeholderType: placeholder?.reason || null,
+      placeholderSources: placeholder?.sourceIds || (placeholder?.sourceId ? [String(placeholder.sourceId)] : []),
+      missingVars: placeholder?.missingVars || [], transformError: placeholder?.transformError || '',
+      placeholderHeader: placeholder?.sourceHeader || '',
+      cookieName: entry.cookieName || '',
+      transformSteps: entry.isDynamic || entry.cookieName ? (entry.transforms || []).map(describeTransform).join(' → ') : '',
+      actualValue: resolved?.value || '',
+      isCachedValue: !!resolved?.value && !isConnected && readsAppSources(entry), tag: entry.tag || '',
+      // An ignored domain leaves the rule installed, just without it
+      issues: ruleIssues.filter(issue => issue.ruleId === id)
+        .map(issue => issue.reason === 'domain_port' ? issue.message : `Not installed — ${issue.message}`),
+      isNotInstalled: ruleIssues.some(issue => issue.ruleId === id && issue.reason !== 'domain_port'),
+      quarantineReason: ruleIssues.find(issue => issue.ruleId === id && issue.reason === 'quarantined')?.message || '',
+      tokenExpiry: tokenExpiries.find(expiry => expiry.entryId === id) || null,
+      refreshSourceId: refreshSource ? String(entry.sourceId) : '',
+      refreshStatus: refreshSource?.refreshStatus || null,
+      nextRefresh: refreshOptions?.enabled && refreshOptions.nextRefresh ? refreshOptions.nextRefresh : null
     };
   });
 
@@ -123,9 +205,19 @@ const HeaderTable: React.FC = () => {
       item.tag.toLowerCase().includes(searchText.toLowerCase())
   );
 
+  // Tick once a second while a countdown or a refresh is on screen
+  const needsClock = dataSource.some(item => item.nextRefresh || item.refreshStatus?.isRefreshing);
+  useEffect(() => {
+    if (!needsClock) return;
+    const intervalId = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(intervalId);
+  }, [needsClock]);
+
   const enabledCount = dataSource.filter(item => item.isEnabled).length;
   const injectingCount = dataSource.filter(item => item.isEnabled && !item.placeholderType).length;
   const totalCount = dataSource.length;
+  const regexLimitIssues = ruleIssues.filter(issue => issue.reason === 'regex_limit');
+  const ruleLimitIssues = ruleIssues.filter(issue => issue.reason === 'rule_limit');
 
   const handleChange = (_pagination: unknown, filters: Record<string, FilterValue | null>, sorter: SorterResult<TableRecord> | SorterResult<TableRecord>[]) => {
     setFilteredInfo(filters);
@@ -152,6 +244,19 @@ const HeaderTable: React.FC = () => {
     }
   };
 
+  const OPERATION_LABELS: Record<HeaderOperation, string> = { set: 'Set', remove: 'Remove', append: 'Append' };
+
+  const CACHE_BUSTING_TAGS: Record<CacheBustingMode, { label: string; tip: string }> = {
+    off: { label: 'HTTP cache', tip: 'No forced no-cache headers for this rule' },
+    main_frame: { label: 'No-cache: doc', tip: 'Forces no-cache on the main document only' },
+    all: { label: 'No-cache: all', tip: 'Forces no-cache on every matched request' },
+  };
+
+  const PLACEHOLDER_LABELS: Record<NonNullable<PlaceholderType>, string> = {
+    source_not_found: 'Missing', empty_source: 'Empty', empty_value: 'Empty', unresolved_env_vars: 'Unresolved',
+    transform_failed: 'Transform failed', cookie_not_found: 'No cookie', totp_unavailable: 'No TOTP',
+  };
+
   const TAG_COLORS = ['blue', 'volcano', 'green', 'purple', 'orange', 'cyan', 'magenta', 'gold', 'geekblue', 'red'] as const;
 
   function getTagColor(tag: string): string {
@@ -162,11 +267,74 @@ const HeaderTable: React.FC = () => {
     return TAG_COLORS[hash % TAG_COLORS.length];
   }
 
-  function getPlaceholderTooltip(type: PlaceholderType, sourceId?: string | number | null): string {
-    switch (type) {
-      case 'source_not_found': return `Not injecting — source #${sourceId} was deleted. Recreate to resume.`;
-      case 'empty_source': return `Not injecting — source #${sourceId} is empty. Will resume when it has content.`;
+  function isTokenExpired(record: TableRecord): boolean {
+    return !!record.tokenExpiry && getJwtStatus(record.tokenExpiry, Date.now()) === 'expired';
+  }
+
+  /** 0:42, 4:05, 1:02:05 */
+  function formatCountdown(ms: number): string {
+    const total = Math.max(0, Math.ceil(ms / 1000));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const seconds = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+  }
+
+  function getRefreshProgress(record: TableRecord): { label: string; tip: string; failed: boolean } | null {
+    const status = record.refreshStatus;
+    if (status?.isRefreshing) {
+      const attempt = status.attemptNumber && status.attemptNumber > 1
+        ? ` (attempt ${status.attemptNumber}${status.totalAttempts ? ` of ${status.totalAttempts}` : ''})` : '';
+      return { label: `Refreshing${attempt}...`, tip: `Refreshing source #${record.refreshSourceId}${attempt}`, failed: false };
+    }
+    if (status?.error && status.success === false) {
+      return { label: 'Refresh failed', tip: `Last refresh failed — ${status.error}`, failed: true };
+    }
+    if (record.nextRefresh && record.nextRefresh > now) {
+      return { label: `Next refresh in ${formatCountdown(record.nextRefresh - now)}`, tip: `Auto-refresh at ${new Date(record.nextRefresh).toLocaleTimeString()}`, failed: false };
+    }
+    return null;
+  }
+
+  async function requestRefresh(record: TableRecord): Promise<void> {
+    const sourceId = record.refreshSourceId;
+    setPendingRefreshes(prev => [...prev, sourceId]);
+    const response = await sendMessage({ type: 'refreshSource', sourceId });
+    setPendingRefreshes(prev => prev.filter(id => id !== sourceId));
+    if (response.success) { message.info(`Refresh of source #${sourceId} requested`); }
+    else { message.error(response.error || 'Failed to request refresh'); }
+  }
+
+  async function deleteLocalRule(record: TableRecord): Promise<void> {
+    const response = await sendMessage({ type: 'deleteLocalRule', ruleId: record.id });
+    if (response.success) { message.success('Local rule deleted'); }
+    else { message.error(response.error || 'Failed to delete rule'); }
+  }
+
+  function describeToggleConflict(conflict: ToggleConflict): string {
+    const queued = `${conflict.queued ? 'enabled' : 'disabled'} offline`;
+    const applied = conflict.applied ? 'enabled' : 'disabled';
+    switch (conflict.reason) {
+      case 'deleted': return `${queued}, but deleted in the app`;
+      case 'changed_in_app': return `${queued}, but changed in the app since — now ${applied}`;
+      case 'rejected': return `${queued}, but the app kept it ${applied}`;
+      default: return queued;
+    }
+  }
+
+  function getPlaceholderTooltip(record: TableRecord): string {
+    const { placeholderSources: sourceIds, missingVars, transformError, placeholderHeader } = record;
+    const sources = `${sourceIds.length > 1 ? 'sources' : 'source'} ${sourceIds.map(id => `#${id}`).join(', ')}`;
+    switch (record.placeholderType) {
+      case 'source_not_found': return `Not injecting — ${sources} ${sourceIds.length > 1 ? 'were' : 'was'} deleted. Recreate to resume.`;
+      case 'empty_source':
+        if (placeholderHeader) return `Not injecting — ${sources} has no ${placeholderHeader} response header. Will resume when it returns one.`;
+        return `Not injecting — ${sources} ${sourceIds.length > 1 ? 'are' : 'is'} empty. Will resume when ${sourceIds.length > 1 ? 'they have' : 'it has'} content.`;
       case 'empty_value': return 'Not injecting — header value is empty. Set a value to activate.';
+      case 'transform_failed': return `Not injecting — transforming ${record.cookieName ? `cookie "${record.cookieName}"` : sources} failed. ${transformError}.`;
+      case 'totp_unavailable': return `Not injecting — ${sources} ${sourceIds.length > 1 ? 'have' : 'has'} no valid TOTP secret.`;
+      case 'cookie_not_found': return `Not injecting — ${record.sourceInfo.replace(/^Cookie/, 'cookie')} is not set. Will resume when the browser has it.`;
+      case 'unresolved_env_vars': return `Not injecting — ${missingVars.map(name => `{{${name}}}`).join(', ')} not defined in ${activeEnvironment ? `environment "${activeEnvironment}"` : 'any environment'}. Define or switch environment to resume.`;
       default: return '';
     }
   }
@@ -182,11 +350,14 @@ const HeaderTable: React.FC = () => {
       sortOrder: sortedInfo.columnKey === 'headerName' ? sortedInfo.order : null,
       render: (text: string, record: TableRecord) => {
         const hasPlaceholder = record.placeholderType && record.isEnabled;
-        const tooltipMessage = hasPlaceholder ? getPlaceholderTooltip(record.placeholderType, record.sourceId) : '';
+        const hasIssues = record.issues.length > 0 && record.isEnabled;
+        const tooltipMessage = hasPlaceholder
+          ? getPlaceholderTooltip(record)
+          : record.issues.map((issue, i) => <div key={i}>{issue}</div>);
         return (
             <Space align="center">
               <Text strong style={{ fontSize: '13px' }}>{text}</Text>
-              {hasPlaceholder && (
+              {(hasPlaceholder || hasIssues) && (
                   <Tooltip title={tooltipMessage}>
                     <ExclamationCircleOutlined style={{ color: '#ff4d4f', fontSize: '12px' }} />
                   </Tooltip>
@@ -200,6 +371,10 @@ const HeaderTable: React.FC = () => {
       sorter: (a, b) => (a.actualValue || '').localeCompare(b.actualValue || ''),
       sortOrder: sortedInfo.columnKey === 'actualValue' ? sortedInfo.order : null,
       render: (text: string, record: TableRecord) => {
+        if (record.operation === 'remove') {
+          return <Text type="secondary" italic style={{ fontSize: '12px', opacity: record.isEnabled ? 1 : 0.5 }}>removed</Text>;
+        }
+
         let displayValue = text || '';
         if (displayValue.length > 20) {
           displayValue = `${displayValue.substring(0, 10)}...${displayValue.substring(displayValue.length - 5)}`;
@@ -219,17 +394,27 @@ const HeaderTable: React.FC = () => {
       filteredValue: filteredInfo.domains || null, filterSearch: true,
       onFilter: (value, record) => record.domains.includes(value as string),
       sortOrder: sortedInfo.columnKey === 'domains' ? sortedInfo.order : null,
-      render: (domains: string[]) => {
+      render: (domains: string[], record: TableRecord) => {
         if (domains.length === 0) return null;
+        const isRegex = record.patternType === 'regex';
+        const format = (d: string) => isRegex ? `/${d}/` : d;
         const first = domains[0].length > 18 ? `${domains[0].substring(0, 18)}...` : domains[0];
-        const label = domains.length === 1 ? first : `${first} +${domains.length - 1}`;
+        const label = domains.length === 1 ? format(first) : `${format(first)} +${domains.length - 1}`;
+        const conditions = [
+          { title: 'Except', list: record.excludedDomains },
+          { title: 'Only from', list: record.initiatorDomains },
+          { title: 'Not from', list: record.excludedInitiatorDomains },
+        ].filter(c => c.list.length > 0);
         return (
           <Tooltip title={
             <div style={{ fontFamily: 'monospace', fontSize: 12 }}>
-              {domains.map((d, i) => <div key={i}><span style={{ opacity: 0.6 }}>{i + 1}. </span>{d}</div>)}
+              {domains.map((d, i) => <div key={i}><span style={{ opacity: 0.6 }}>{i + 1}. </span>{format(d)}</div>)}
+              {conditions.map(c => (
+                <div key={c.title} style={{ marginTop: 4 }}><span style={{ opacity: 0.6 }}>{c.title}: </span>{c.list.join(', ')}</div>
+              ))}
             </div>
           } styles={{ root: { maxWidth: 500 } }}>
-            <Tag style={{ fontSize: '12px', cursor: 'default' }}>{label}</Tag>
+            <Tag style={{ fontSize: '12px', cursor: 'default' }}>{conditions.length > 0 ? `${label} *` : label}</Tag>
           </Tooltip>
         );
       },
@@ -243,13 +428,22 @@ const HeaderTable: React.FC = () => {
       },
       filters: [...new Set([
         ...dataSource.map(item => item.isResponse ? 'Response' : 'Request'),
+        ...dataSource.filter(item => item.operation !== 'set').map(item => OPERATION_LABELS[item.operation]),
+        ...dataSource.filter(item => item.isLocal).map(() => 'Local'),
+        ...dataSource.filter(item => item.isQueued).map(() => 'Queued'),
         ...dataSource.filter(item => item.tag).map(item => item.tag),
         ...dataSource.filter(item => item.isCachedValue).map(() => 'Cached'),
+        ...dataSource.filter(item => item.quarantineReason).map(() => 'Quarantined'),
+        ...dataSource.filter(item => isTokenExpired(item)).map(() => 'Expired Token'),
         ...dataSource.filter(item => item.placeholderType).map(item => {
           switch (item.placeholderType) {
             case 'source_not_found': return 'Missing';
             case 'empty_source': return 'Empty Source';
             case 'empty_value': return 'Empty Value';
+            case 'unresolved_env_vars': return 'Unresolved';
+            case 'transform_failed': return 'Transform Failed';
+            case 'cookie_not_found': return 'No Cookie';
+            case 'totp_unavailable': return 'No TOTP';
             default: return '';
           }
         }).filter(Boolean)
@@ -257,12 +451,21 @@ const HeaderTable: React.FC = () => {
       filteredValue: filteredInfo.tags || null, filterSearch: true,
       onFilter: (value, record) => {
         const tags = [record.isResponse ? 'Response' : 'Request', ...(record.tag ? [record.tag] : [])];
+        if (record.operation !== 'set') tags.push(OPERATION_LABELS[record.operation]);
+        if (record.isLocal) tags.push('Local');
+        if (record.isQueued) tags.push('Queued');
         if (record.isCachedValue) tags.push('Cached');
+        if (record.quarantineReason) tags.push('Quarantined');
+        if (isTokenExpired(record)) tags.push('Expired Token');
         if (record.placeholderType) {
           switch (record.placeholderType) {
             case 'source_not_found': tags.push('Missing'); break;
             case 'empty_source': tags.push('Empty Source'); break;
             case 'empty_value': tags.push('Empty Value'); break;
+            case 'unresolved_env_vars': tags.push('Unresolved'); break;
+            case 'transform_failed': tags.push('Transform Failed'); break;
+            case 'cookie_not_found': tags.push('No Cookie'); break;
+            case 'totp_unavailable': tags.push('No TOTP'); break;
           }
         }
         return tags.includes(value as string);
@@ -275,12 +478,34 @@ const HeaderTable: React.FC = () => {
           tags.push(<Tag key="custom-tag" color={getTagColor(record.tag)} style={tagStyle}>{record.tag}</Tag>);
         }
         tags.push(<Tooltip key="type" title={record.isResponse ? 'Response' : 'Request'}><Tag style={tagStyle}>{record.isResponse ? 'Res' : 'Req'}</Tag></Tooltip>);
+        if (record.isLocal) {
+          tags.push(<Tooltip key="local" title="Local rule — stored in this browser, not managed by the desktop app"><Tag color="cyan" style={tagStyle}>Local</Tag></Tooltip>);
+        }
+        if (record.isQueued) {
+          tags.push(<Tooltip key="queued" title={`${record.isEnabled ? 'Enabled' : 'Disabled'} while the app was away — applied here, sent to the app when it reconnects`} styles={{ root: { maxWidth: 300 } }}><Tag color="processing" style={{ ...tagStyle, cursor: 'help' }}>Queued</Tag></Tooltip>);
+        }
+        if (record.operation !== 'set') {
+          const tip = record.operation === 'remove' ? 'Header is stripped' : 'Value is appended to the existing header';
+          tags.push(<Tooltip key="operation" title={tip}><Tag color={record.operation === 'remove' ? 'red' : 'geekblue'} style={tagStyle}>{OPERATION_LABELS[record.operation]}</Tag></Tooltip>);
+        }
+        // Only rules that override the global default get a tag
+        if (!record.isResponse && record.cacheBusting && CACHE_BUSTING_TAGS[record.cacheBusting]) {
+          const cacheTag = CACHE_BUSTING_TAGS[record.cacheBusting];
+          tags.push(<Tooltip key="cache" title={cacheTag.tip}><Tag style={tagStyle}>{cacheTag.label}</Tag></Tooltip>);
+        }
         if (record.placeholderType) {
-          const tip = getPlaceholderTooltip(record.placeholderType, record.sourceId);
-          const placeholderLabel = record.placeholderType === 'source_not_found' ? 'Missing' : 'Empty';
-          const placeholderColor = record.placeholderType === 'source_not_found' ? 'error' : 'warning';
+          const tip = getPlaceholderTooltip(record);
+          const placeholderLabel = PLACEHOLDER_LABELS[record.placeholderType];
+          const placeholderColor = record.placeholderType === 'empty_source' || record.placeholderType === 'empty_value' ? 'warning' : 'error';
           tags.push(<Tooltip key="placeholder" title={tip} styles={{ root: { maxWidth: 300 } }}><Tag color={placeholderColor} style={{ ...tagStyle, cursor: 'help' }}>{placeholderLabel}</Tag></Tooltip>);
         }
+        if (record.quarantineReason && record.isEnabled) {
+          const tip = `Quarantined — ${record.quarantineReason}. Retried when the rule changes.`;
+          tags.push(<Tooltip key="quarantined" title={tip} styles={{ root: { maxWidth: 300 } }}><Tag color="error" style={{ ...tagStyle, cursor: 'help' }}>Quarantined</Tag></Tooltip>);
+        }
+        if (record.tokenExpiry && !record.placeholderType && record.isEnabled) {
+          tags.push(<TokenExpiryTag key="token" expiry={record.tokenExpiry} style={tagStyle} />);
+        }
         if (!record.placeholderType && record.isCachedValue && record.isEnabled) {
           tags.push(<Tooltip key="cached" title="Using cached value — app disconnected, source may be outdated" styles={{ root: { maxWidth: 300 } }}><Tag color="warning" style={{ ...tagStyle, cursor: 'help' }}>Cached</Tag></Tooltip>);
         }
@@ -289,16 +514,24 @@ const HeaderTable: React.FC = () => {
     },
     {
       title: 'Source', dataIndex: 'sourceInfo', key: 'sourceInfo', width: 150,
-      sorter: (a, b) => (a.isDynamic ? a.sourceInfo : 'Static').localeCompare(b.isDynamic ? b.sourceInfo : 'Static'),
+      sorter: (a, b) => (a.sourceInfo || 'Static').localeCompare(b.sourceInfo || 'Static'),
       sortOrder: sortedInfo.columnKey === 'sourceInfo' ? sortedInfo.order : null,
       render: (sourceInfo: string, record: TableRecord) => {
-        if (!record.isDynamic) {
+        if (!sourceInfo) {
           return <Text style={{ fontSize: '12px', color: 'var(--text-tertiary)' }}>Static value</Text>;
         }
+        const progress = getRefreshProgress(record);
         return (
-            <Tooltip title={sourceInfo}>
-              <Text ellipsis style={{ display: 'block', fontSize: '12px' }}>{sourceInfo}</Text>
-            </Tooltip>
+            <>
+              <Tooltip title={record.transformSteps ? `${sourceInfo} → ${record.transformSteps}` : sourceInfo}>
+                <Text ellipsis style={{ display: 'block', fontSize: '12px' }}>{sourceInfo}</Text>
+              </Tooltip>
+              {progress && (
+                  <Tooltip title={progress.tip} styles={{ root: { maxWidth: 300 } }}>
+                    <Text ellipsis type={progress.failed ? 'danger' : 'secondary'} style={{ display: 'block', fontSize: '11px' }}>{progress.label}</Text>
+                  </Tooltip>
+              )}
+            </>
         );
       },
     },
@@ -307,12 +540,12 @@ const HeaderTable: React.FC = () => {
       sorter: (a, b) => Number(b.isEnabled) - Number(a.isEnabled),
       sortOrder: sortedInfo.columnKey === 'isEnabled' ? sortedInfo.order : null,
       render: (enabled: boolean, record: TableRecord) => (
-          <Tooltip title={isConnected ? "Enable/disable rule" : "App not connected"}>
-            <Switch checked={enabled} disabled={!isConnected} onChange={async () => {
+          <Tooltip title={isConnected || record.isLocal ? "Enable/disable rule" : "Enable/disable rule — sent to the app when it reconnects"}>
+            <Switch checked={enabled} onChange={async () => {
               const { runtime } = await import('../../utils/browser-api');
               runtime.sendMessage({ type: 'toggleRule', ruleId: record.id, enabled: !enabled }, (response: unknown) => {
-                const resp = response as { success?: boolean } | undefined;
-                if (resp && resp.success) { message.success('Rule toggled'); }
+                const resp = response as { success?: boolean; queued?: boolean } | undefined;
+                if (resp && resp.success) { message.success(resp.queued ? 'Rule toggled — will sync when the app reconnects' : 'Rule toggled'); }
                 else { message.error('Failed to toggle rule'); }
               });
             }} size="small" />
@@ -320,31 +553,62 @@ const HeaderTable: React.FC = () => {
       ),
     },
     {
-      title: 'Actions', key: 'actions', width: 90, align: 'center', fixed: 'right',
+      title: 'Actions', key: 'actions', width: 140, align: 'center', fixed: 'right',
       render: (_: unknown, record: TableRecord) => (
           <Space size={2}>
-            <Tooltip title={!isConnected ? "App not connected" : "Edit in desktop app"}>
-              <Button type="text" icon={<EditOutlined />} size="small" disabled={!isConnected}
-                onClick={async () => {
-                  if (!isConnected) { message.warning('Please connect to the desktop app to edit rules'); return; }
-                  await appLauncher.launchOrFocus({ tab: 'rules', subTab: 'headers', action: 'edit', itemId: record.id });
-                  message.info('Opening edit dialog in OpenHeaders app');
-                }} />
-            </Tooltip>
-            <Tooltip title={!isConnected ? "App not connected" : "Delete in desktop app"}>
-              <Button type="text" danger icon={<DeleteOutlined />} size="small" disabled={!isConnected}
-                onClick={async () => {
-                  if (!isConnected) { message.warning('Please connect to the desktop app to delete rules'); return; }
-                  await appLauncher.launchOrFocus({ tab: 'rules', subTab: 'headers', action: 'delete', itemId: record.id });
-                  message.info('Opening delete confirmation in OpenHeaders app');
-                }} />
-            </Tooltip>
+            {record.refreshSourceId && (
+                <Tooltip title={!isConnected ? "App not connected" : record.refreshStatus?.isRefreshing ? "Refreshing..." : "Refresh source now"}>
+                  <Button type="text" icon={<SyncOutlined spin={!!record.refreshStatus?.isRefreshing} />} size="small"
+                    disabled={!isConnected || !!record.refreshStatus?.isRefreshing}
+                    loading={pendingRefreshes.includes(record.refreshSourceId)}
+                    onClick={() => requestRefresh(record)} />
+                </Tooltip>
+            )}
+            {record.isLocal ? (
+                <>
+                  <Tooltip title="Edit local rule">
+                    <Button type="text" icon={<EditOutlined />} size="small" onClick={() => setEditor({ ruleId: record.id, initial: headerEntries[record.id] })} />
+                  </Tooltip>
+                  <Tooltip title="Duplicate">
+                    <Button type="text" icon={<CopyOutlined />} size="small" onClick={() => setEditor({ ruleId: null, initial: toLocalCopy(headerEntries[record.id]) })} />
+                  </Tooltip>
+                  <Popconfirm title="Delete this local rule?" okText="Delete" okButtonProps={{ danger: true }} onConfirm={() => deleteLocalRule(record)}>
+                    <Tooltip title="Delete local rule">
+                      <Button type="text" danger icon={<DeleteOutlined />} size="small" />
+                    </Tooltip>
+                  </Popconfirm>
+                </>
+            ) : (
+                <>
+                  <Tooltip title="Duplicate as local rule">
+                    <Button type="text" icon={<CopyOutlined />} size="small" onClick={() => setEditor({ ruleId: null, initial: toLocalCopy(headerEntries[record.id]) })} />
+                  </Tooltip>
+                  <Tooltip title={!isConnected ? "App not connected" : "Edit in desktop app"}>
+                    <Button type="text" icon={<EditOutlined />} size="small" disabled={!isConnected}
+                      onClick={async () => {
+                        if (!isConnected) { message.warning('Please connect to the desktop app to edit rules'); return; }
+                        await appLauncher.launchOrFocus({ tab: 'rules', subTab: 'headers', action: 'edit', itemId: record.id });
+                        message.info('Opening edit dialog in OpenHeaders app');
+                      }} />
+                  </Tooltip>
+                  <Tooltip title={!isConnected ? "App not connected" : "Delete in desktop app"}>
+                    <Button type="text" danger icon={<DeleteOutlined />} size="small" disabled={!isConnected}
+                      onClick={async () => {
+                        if (!isConnected) { message.warning('Please connect to the desktop app to delete rules'); return; }
+                        await appLauncher.launchOrFocus({ tab: 'rules', subTab: 'headers', action: 'delete', itemId: record.id });
+                        message.info('Opening delete confirmation in OpenHeaders app');
+                      }} />
+                  </Tooltip>
+                </>
+            )}
           </Space>
       ),
     },
   ];
 
   const addRuleMenuItems = [
+    { key: 'local-rule', icon: <LaptopOutlined />, label: 'Local Header Rule (this browser only)', onClick: () => setEditor({ ruleId: null, initial: null }) },
+    { type: 'divider' as const },
     { key: 'modify-headers', icon: <SwapOutlined />, label: !isConnected ? <Tooltip title="App not connected" placement="right"><span>Modify Headers (Request/Response)</span></Tooltip> : 'Modify Headers (Request/Response)', disabled: !isConnected, onClick: async () => { await appLauncher.launchOrFocus({ tab: 'rules', subTab: 'headers', action: 'create' }); message.info('Opening new rule dialog in OpenHeaders app'); } },
     { key: 'modify-payload', icon: <ApiOutlined />, label: !isConnected ? <Tooltip title="App not connected" placement="right"><span>Modify Payload (Request/Response)</span></Tooltip> : 'Modify Payload (Request/Response)', disabled: !isConnected, onClick: async () => { await appLauncher.launchOrFocus({ tab: 'rules', subTab: 'payload', action: 'create' }); message.info('Opening payload rules in OpenHeaders app'); } },
     { key: 'modify-params', icon: <LinkOutlined />, label: !isConnected ? <Tooltip title="App not connected" placement="right"><span>Modify URL Query Params</span></Tooltip> : 'Modify URL Query Params', disabled: !isConnected, onClick: async () => { await appLauncher.launchOrFocus({ tab: 'rules', subTab: 'query-params', action: 'create' }); message.info('Opening query params rules in OpenHeaders app'); } },
@@ -379,24 +643,50 @@ const HeaderTable: React.FC = () => {
           </Space>
         </div>
 
+        {regexLimitIssues.length > 0 && (
+          <Alert type="error" showIcon style={{ margin: '0 8px 4px', fontSize: '12px' }}
+            message="Regex rule limit reached"
+            description={regexLimitIssues.map((issue, i) => (
+              <div key={i}>{issue.ruleId && headerEntries[issue.ruleId] ? `${headerEntries[issue.ruleId].headerName}: ` : ''}{issue.message}</div>
+            ))} />
+        )}
+
+        {toggleConflicts.length > 0 && (
+          <Alert type="warning" showIcon closable onClose={dismissToggleConflicts} style={{ margin: '0 8px 4px', fontSize: '12px' }}
+            message="Offline changes replaced by the app"
+            description={toggleConflicts.map((conflict, i) => (
+              <div key={i}>{conflict.headerName || conflict.ruleId}: {describeToggleConflict(conflict)}</div>
+            ))} />
+        )}
+
+        {ruleLimitIssues.length > 0 && (
+          <Alert type="error" showIcon style={{ margin: '0 8px 4px', fontSize: '12px' }}
+            message="Browser rule limit reached — lower-priority rules were dropped"
+            description={ruleLimitIssues.map((issue, i) => (
+              <div key={i}>{issue.ruleId && headerEntries[issue.ruleId] ? `${headerEntries[issue.ruleId].headerName}: ` : ''}{issue.message}</div>
+            ))} />
+        )}
+
         <div style={{ flex: 1, display: 'flex', flexDirection: 'column', minHeight: 0, paddingBottom: '8px' }}>
           <Table
               dataSource={filteredData} columns={columns}
               pagination={{ pageSize: 10, size: 'small', showSizeChanger: false, showTotal: (total, range) => `${range[0]}-${range[1]} of ${total}`, style: { marginBottom: 0, marginTop: 4 } }}
-              size="small" scroll={{ x: 920, y: 290 }} onChange={handleChange}
-              rowClassName={(record: TableRecord) => record.isEnabled && record.placeholderType ? 'row-not-injecting' : ''}
+              size="small" scroll={{ x: 970, y: 290 }} onChange={handleChange}
+              rowClassName={(record: TableRecord) => record.isEnabled && (record.placeholderType || record.isNotInstalled) ? 'row-not-injecting' : ''}
               locale={{ emptyText: (
                 <Empty image={<FileTextOutlined style={{ fontSize: 28, color: 'var(--text-tertiary)' }} />}
                   description={searchText ? <Text type="secondary">No matching headers found</Text> : (
                     <Space direction="vertical" size={4}>
                       <Text type="secondary">No header rules yet</Text>
-                      <Text type="secondary" style={{ fontSize: '12px' }}>Click "Add Rule" above to create rules in the desktop app</Text>
+                      <Text type="secondary" style={{ fontSize: '12px' }}>Click "Add Rule" above to create rules in the desktop app or in this browser</Text>
                     </Space>
                   )} style={{ padding: '32px 0' }} />
               ) }}
               className="header-rules-table" style={{ width: '100%', flex: 1 }}
           />
         </div>
+
+        <LocalRuleEditor open={!!editor} ruleId={editor?.ruleId ?? null} initial={editor?.initial ?? null} onClose={() => setEditor(null)} />
       </div>
   );
 };
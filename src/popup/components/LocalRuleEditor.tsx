@@ -0,0 +1,130 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Form, Input, Select, Radio, Switch, Typography, App } from 'antd';
+import { sendMessage } from '../../utils/messaging';
+import { validateLocalRule } from '../../utils/local-rule';
+import type { LocalRuleValidation } from '../../utils/local-rule';
+import type { HeaderEntry, HeaderOperation, DomainPatternType } from '../../types/header';
+
+const { Text } = Typography;
+
+interface LocalRuleEditorProps {
+  open: boolean;
+  /** The local rule being edited; null creates a new one */
+  ruleId: string | null;
+  /** Starting values: the rule being edited, or the rule being duplicated */
+  initial: HeaderEntry | null;
+  onClose: () => void;
+}
+
+const EMPTY_RULE: HeaderEntry = {
+  headerName: '', headerValue: '', domains: [], isDynamic: false, operation: 'set', isResponse: false, isEnabled: true, tag: '',
+};
+
+/**
+ * Create or edit a header rule stored in this browser only (see local-rules.ts).
+ * Fields are checked with the same validator the background uses.
+ */
+const LocalRuleEditor: React.FC<LocalRuleEditorProps> = ({ open, ruleId, initial, onClose }) => {
+  const { message } = App.useApp();
+  const [draft, setDraft] = useState<HeaderEntry>(EMPTY_RULE);
+  const [validation, setValidation] = useState<LocalRuleValidation | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setDraft(initial ? { ...EMPTY_RULE, ...initial } : EMPTY_RULE);
+    setValidation(null);
+  }, [open, initial]);
+
+  const update = (changes: Partial<HeaderEntry>) => {
+    const next = { ...draft, ...changes };
+    setDraft(next);
+    // Feedback updates as you type once a save has been attempted
+    if (validation) setValidation(validateLocalRule(next));
+  };
+
+  const handleSave = async () => {
+    const result = validateLocalRule(draft);
+    setValidation(result);
+    if (!result.valid) return;
+
+    setSaving(true);
+    const response = await sendMessage({ type: 'saveLocalRule', ruleId, entry: draft });
+    setSaving(false);
+    if (response.success) {
+      message.success(ruleId ? 'Local rule saved' : 'Local rule created');
+      onClose();
+    } else if (response.errors) {
+      setValidation({ valid: false, errors: response.errors as LocalRuleValidation['errors'], warnings: {} });
+    } else {
+      message.error(response.error || 'Failed to save rule');
+    }
+  };
+
+  const feedback = (field: keyof LocalRuleValidation['errors']) => {
+    const error = validation?.errors[field];
+    const warning = validation?.warnings[field];
+    if (error) return { validateStatus: 'error' as const, help: error };
+    if (warning) return { validateStatus: 'warning' as const, help: warning };
+    return {};
+  };
+
+  const operation = draft.operation || 'set';
+  const valueSource = draft.cookieName ? `cookie "${draft.cookieName}"` : draft.isDynamic ? `source #${draft.sourceId}` : '';
+
+  return (
+    <Modal
+      title={ruleId ? 'Edit Local Rule' : 'New Local Rule'} open={open} onCancel={onClose}
+      onOk={handleSave} okText="Save" confirmLoading={saving} width={480}
+    >
+      <Text type="secondary" style={{ display: 'block', fontSize: '12px', marginBottom: 12 }}>
+        Stored in this browser only. The desktop app doesn't manage local rules and keeps them when it connects.
+      </Text>
+      <Form layout="vertical" size="small">
+        <Form.Item label="Applies to">
+          <Radio.Group value={draft.isResponse ? 'response' : 'request'} onChange={e => update({ isResponse: e.target.value === 'response' })}>
+            <Radio value="request">Request headers</Radio>
+            <Radio value="response">Response headers</Radio>
+          </Radio.Group>
+        </Form.Item>
+        <Form.Item label="Header name" required {...feedback('headerName')}>
+          <Input value={draft.headerName} placeholder="X-Custom-Header" onChange={e => update({ headerName: e.target.value })} />
+        </Form.Item>
+        <Form.Item label="Operation" {...feedback('operation')}>
+          <Select<HeaderOperation> value={operation} onChange={value => update({ operation: value })}
+            options={[{ value: 'set', label: 'Set' }, { value: 'append', label: 'Append' }, { value: 'remove', label: 'Remove' }]} />
+        </Form.Item>
+        {operation !== 'remove' && (
+          valueSource ? (
+            <Form.Item label="Value">
+              <Text type="secondary" style={{ fontSize: '12px' }}>From {valueSource}{draft.prefix || draft.suffix ? ', with prefix/suffix' : ''}</Text>
+            </Form.Item>
+          ) : (
+            <Form.Item label="Value" required {...feedback('headerValue')} extra="{{VAR}}, {{source:ID}} and {{totp:ID}} templates are supported">
+              <Input value={draft.headerValue} onChange={e => update({ headerValue: e.target.value })} />
+            </Form.Item>
+          )
+        )}
+        <Form.Item label="Domains" required {...feedback('domains')}>
+          <Select mode="tags" value={draft.domains} tokenSeparators={[',', ' ']} open={false}
+            placeholder={draft.patternType === 'regex' ? '^https://api\\.example\\.com/' : '*.example.com'}
+            onChange={(domains: string[]) => update({ domains })} />
+        </Form.Item>
+        <Form.Item label="Domain patterns">
+          <Radio.Group value={draft.patternType || 'wildcard'} onChange={e => update({ patternType: e.target.value as DomainPatternType })}>
+            <Radio value="wildcard">Wildcard</Radio>
+            <Radio value="regex">Regex</Radio>
+          </Radio.Group>
+        </Form.Item>
+        <Form.Item label="Tag">
+          <Input value={draft.tag} placeholder="Optional" onChange={e => update({ tag: e.target.value })} />
+        </Form.Item>
+        <Form.Item label="Enabled" style={{ marginBottom: 0 }}>
+          <Switch checked={draft.isEnabled !== false} onChange={checked => update({ isEnabled: checked })} />
+        </Form.Item>
+      </Form>
+    </Modal>
+  );
+};
+
+export default LocalRuleEditor;
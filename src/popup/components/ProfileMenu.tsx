@@ -0,0 +1,128 @@
+import React, { useState } from 'react';
+import { App, Button, Dropdown, Input, Modal, Tooltip, type MenuProps } from 'antd';
+import { AppstoreOutlined, DeleteOutlined, DownOutlined, PlusOutlined, SaveOutlined } from '@ant-design/icons';
+import { useHeader } from '../../hooks/useHeader';
+import { sendMessage } from '../../utils/messaging';
+
+/**
+ * Switch between rule profiles (see profile-store.ts), and save the rules
+ * enabled right now as one.
+ */
+const ProfileMenu: React.FC = () => {
+    const { message, modal } = App.useApp();
+    const { profiles, activeProfileId, headerEntries, switchProfile, loadDynamicSources } = useHeader();
+    const [naming, setNaming] = useState(false);
+    const [name, setName] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    const activeProfile = profiles.find(profile => profile.id === activeProfileId) ?? null;
+    // Rules toggled since the switch, so the profile no longer describes them
+    const isModified = !!activeProfile && Object.entries(headerEntries).some(
+        ([id, entry]) => (entry.isEnabled !== false) !== activeProfile.enabledRuleIds.includes(id)
+    );
+
+    const save = async (profileId: string | null, profileName?: string): Promise<boolean> => {
+        setSaving(true);
+        const response = await sendMessage({ type: 'saveProfile', profileId, name: profileName });
+        setSaving(false);
+        if (!response.success) {
+            message.error(response.error || 'Failed to save profile');
+            return false;
+        }
+        message.success(profileId ? `Profile "${activeProfile?.name}" updated` : `Profile "${profileName}" created`);
+        loadDynamicSources();
+        return true;
+    };
+
+    const remove = (profileId: string, profileName: string) => {
+        modal.confirm({
+            title: `Delete profile "${profileName}"?`,
+            content: 'The rules stay as they are.',
+            okText: 'Delete',
+            okButtonProps: { danger: true },
+            onOk: async () => {
+                const response = await sendMessage({ type: 'deleteProfile', profileId });
+                if (response.success) message.success(`Profile "${profileName}" deleted`);
+                else message.error(response.error || 'Failed to delete profile');
+                loadDynamicSources();
+            },
+        });
+    };
+
+    const items: MenuProps['items'] = [
+        ...profiles.map(profile => ({
+            key: profile.id,
+            label: (
+                <span style={{ display: 'flex', justifyContent: 'space-between', gap: 16 }}>
+                    <span>{profile.name}</span>
+                    <span style={{ opacity: 0.5, fontSize: 12 }}>
+                        {profile.id === activeProfileId ? '✓' : `${profile.enabledRuleIds.length} rules`}
+                    </span>
+                </span>
+            ),
+            onClick: () => {
+                switchProfile(profile.id);
+                message.success(`Switched to "${profile.name}"`);
+            },
+        })),
+        ...(profiles.length > 0 ? [{ type: 'divider' as const }] : []),
+        {
+            key: 'new',
+            icon: <PlusOutlined />,
+            label: 'Save current rules as profile…',
+            onClick: () => {
+                setName('');
+                setNaming(true);
+            },
+        },
+        ...(activeProfile ? [
+            {
+                key: 'update',
+                icon: <SaveOutlined />,
+                label: `Update "${activeProfile.name}" with current rules`,
+                disabled: !isModified,
+                onClick: () => { void save(activeProfile.id); },
+            },
+            {
+                key: 'delete',
+                icon: <DeleteOutlined />,
+                danger: true,
+                label: `Delete "${activeProfile.name}"`,
+                onClick: () => remove(activeProfile.id, activeProfile.name),
+            },
+        ] : []),
+    ];
+
+    return (
+        <>
+            <Tooltip title={isModified ? 'Rules changed since switching to this profile' : 'Rule profile: switch the enabled rules at once'}>
+                <Dropdown menu={{ items }} placement="bottomRight" trigger={['click']}>
+                    <Button type="text" size="small" style={{ padding: '4px 8px', height: 'auto', display: 'flex', alignItems: 'center', gap: 6 }}>
+                        <AppstoreOutlined />
+                        <span style={{ fontSize: '12px', maxWidth: 110, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                            {activeProfile ? `${activeProfile.name}${isModified ? ' *' : ''}` : 'Profiles'}
+                        </span>
+                        <DownOutlined style={{ fontSize: 10 }} />
+                    </Button>
+                </Dropdown>
+            </Tooltip>
+            <Modal
+                title="New Profile" open={naming} onCancel={() => setNaming(false)} okText="Save" confirmLoading={saving}
+                okButtonProps={{ disabled: !name.trim() }}
+                onOk={async () => { if (await save(null, name.trim())) setNaming(false); }}
+                width={360}
+            >
+                <Input
+                    autoFocus value={name} placeholder="e.g. Staging" maxLength={40}
+                    onChange={e => setName(e.target.value)}
+                    onPressEnter={async () => { if (name.trim() && await save(null, name.trim())) setNaming(false); }}
+                />
+                <div style={{ marginTop: 8, fontSize: 12, opacity: 0.65 }}>
+                    Saves which rules are enabled now and the active environment. Switching to the profile enables exactly those rules.
+                </div>
+            </Modal>
+        </>
+    );
+};
+
+export default ProfileMenu;
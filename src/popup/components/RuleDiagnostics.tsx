@@ -0,0 +1,68 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Table, Tag, Typography, Descriptions, Empty } from 'antd';
+import { sendMessage } from '../../utils/messaging';
+import type { RuleBudget, RuleDriftEvent } from '../../types/header';
+import type { ColumnsType } from 'antd/es/table';
+
+const { Text } = Typography;
+
+interface RuleDiagnosticsProps {
+  open: boolean;
+  onClose: () => void;
+}
+
+const TRIGGER_LABELS: Record<RuleDriftEvent['trigger'], string> = {
+  post_apply: 'After update',
+  alarm: 'Periodic check',
+};
+
+function formatTime(iso: string | null): string {
+  return iso ? new Date(iso).toLocaleString() : 'Not yet';
+}
+
+const RuleDiagnostics: React.FC<RuleDiagnosticsProps> = ({ open, onClose }) => {
+  const [ruleBudget, setRuleBudget] = useState<RuleBudget | null>(null);
+  const [lastVerifiedAt, setLastVerifiedAt] = useState<string | null>(null);
+  const [driftEvents, setDriftEvents] = useState<RuleDriftEvent[]>([]);
+
+  useEffect(() => {
+    if (!open) return;
+    sendMessage({ type: 'getRuleDiagnostics' }).then(response => {
+      if (response.error) return;
+      setRuleBudget((response.ruleBudget as RuleBudget) || null);
+      setLastVerifiedAt((response.lastVerifiedAt as string) || null);
+      setDriftEvents((response.driftEvents as RuleDriftEvent[]) || []);
+    });
+  }, [open]);
+
+  const columns: ColumnsType<RuleDriftEvent> = [
+    { title: 'Time', dataIndex: 'at', key: 'at', width: 150, render: (at: string) => <Text style={{ fontSize: '12px' }}>{formatTime(at)}</Text> },
+    { title: 'Found by', dataIndex: 'trigger', key: 'trigger', width: 110, render: (trigger: RuleDriftEvent['trigger']) => <Text style={{ fontSize: '12px' }}>{TRIGGER_LABELS[trigger] || trigger}</Text> },
+    { title: 'Missing', dataIndex: 'missing', key: 'missing', width: 70, align: 'center' },
+    { title: 'Unexpected', dataIndex: 'unexpected', key: 'unexpected', width: 90, align: 'center' },
+    { title: 'Changed', dataIndex: 'changed', key: 'changed', width: 75, align: 'center' },
+    {
+      title: 'Result', dataIndex: 'repaired', key: 'repaired', width: 90, align: 'center',
+      render: (repaired: boolean, event: RuleDriftEvent) => repaired
+        ? <Tag color="success" style={{ margin: 0, fontSize: '11px' }}>Repaired</Tag>
+        : <Tag color="error" title={event.error} style={{ margin: 0, fontSize: '11px', cursor: 'help' }}>Failed</Tag>,
+    },
+  ];
+
+  return (
+    <Modal title="Rule Diagnostics" open={open} onCancel={onClose} footer={null} width={640}>
+      <Descriptions size="small" column={2} style={{ marginBottom: 12 }}>
+        <Descriptions.Item label="Rules">{ruleBudget ? `${ruleBudget.used} / ${ruleBudget.available}` : '—'}</Descriptions.Item>
+        <Descriptions.Item label="Regex rules">{ruleBudget ? `${ruleBudget.regexUsed} / ${ruleBudget.regexAvailable}` : '—'}</Descriptions.Item>
+        <Descriptions.Item label="Last verified" span={2}>{formatTime(lastVerifiedAt)}</Descriptions.Item>
+      </Descriptions>
+      <Table
+        dataSource={driftEvents} columns={columns} rowKey="at" size="small"
+        pagination={{ pageSize: 5, size: 'small', showSizeChanger: false }}
+        locale={{ emptyText: <Empty description={<Text type="secondary">No drift found — installed rules match what was applied</Text>} /> }}
+      />
+    </Modal>
+  );
+};
+
+export default RuleDiagnostics;
@@ -1,7 +1,8 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { Tabs } from 'antd';
-import { TagsTwoTone, AppstoreTwoTone, ThunderboltTwoTone } from '@ant-design/icons';
+import { TagsTwoTone, AppstoreTwoTone, ThunderboltTwoTone, ApiTwoTone } from '@ant-design/icons';
 import HeaderTable from './HeaderTable';
+import UrlRulesTable from './UrlRulesTable';
 import ActiveRules from './ActiveRules';
 import TagManager from './TagManager';
 import { useHeader } from '../../hooks/useHeader';
@@ -89,6 +90,7 @@ const RulesList: React.FC = () => {
   const items = [
     { key: 'active-rules', label: 'Active', children: <ActiveRules />, icon: <ThunderboltTwoTone /> },
     { key: 'all-rules', label: 'Rules', children: <HeaderTable />, icon: <AppstoreTwoTone /> },
+    { key: 'url-rules', label: 'URL', children: <UrlRulesTable />, icon: <ApiTwoTone /> },
     { key: 'tag-manager', label: 'Tags', children: <TagManager />, icon: <TagsTwoTone /> },
   ];
 
@@ -1,7 +1,9 @@
 import React, { useState, useMemo } from 'react';
-import { Collapse, Badge, Switch, Space, Typography, Empty, Tag, List, Tooltip, App, Divider } from 'antd';
-import { AppstoreOutlined, FolderOutlined, FolderOpenOutlined, CheckCircleOutlined, CloseCircleOutlined, GlobalOutlined, TagsOutlined } from '@ant-design/icons';
+import { Collapse, Badge, Switch, Space, Typography, Empty, Tag, List, Tooltip, App, Divider, Button } from 'antd';
+import { AppstoreOutlined, FolderOutlined, FolderOpenOutlined, CheckCircleOutlined, CloseCircleOutlined, GlobalOutlined, TagsOutlined, AimOutlined, UndoOutlined } from '@ant-design/icons';
 import { useHeader } from '../../hooks/useHeader';
+import { sendMessage } from '../../utils/messaging';
+import type { TagAction } from '../../types/header';
 import type { HeaderEntry } from '../../context/HeaderContext';
 
 const { Text } = Typography;
@@ -23,7 +25,7 @@ interface GroupStats {
 }
 
 const TagManager: React.FC = () => {
-  const { headerEntries, isConnected } = useHeader();
+  const { headerEntries, isConnected, tagSnapshot, loadDynamicSources } = useHeader();
   const { message } = App.useApp();
   const [expandedKeys, setExpandedKeys] = useState<string[]>([]);
 
@@ -48,21 +50,28 @@ const TagManager: React.FC = () => {
     });
   }, [headerEntries]);
 
-  const handleEnvironmentToggle = async (groupKey: string, enabled: boolean) => {
+  // Tag-level actions run in the background as one write, with or without the app
+  const runTagAction = async (request: { type: string; [key: string]: unknown }, describe: (count: number) => string) => {
+    const response = await sendMessage(request);
+    if (!response.success) { message.error(response.error || 'Failed to update rules'); return; }
+    message.success(`${describe(response.count as number)}${response.queued ? ' — will sync when the app reconnects' : ''}`);
+    loadDynamicSources();
+  };
+
+  const handleTagAction = (groupKey: string, action: TagAction) => {
     const group = groupedRules.find(([key]) => key === groupKey);
     if (!group) return;
     const [, groupData] = group;
-    const ruleIds = groupData.rules.map(r => r.id);
-
-    if (!isConnected) { message.warning('Please connect to the desktop app to toggle rules'); return; }
+    const tag = groupKey === '__no_tag__' ? null : groupKey;
+    void runTagAction({ type: 'applyTagAction', tag, action }, (count) => {
+      if (action === 'solo') return `Only "${groupData.name}" enabled, ${count} rules changed`;
+      return `${action === 'enable' ? 'Enabled' : 'Disabled'} ${count} rules in "${groupData.name}"`;
+    });
+  };
 
-    const { runtime } = await import('../../utils/browser-api');
-    for (const ruleId of ruleIds) {
-      runtime.sendMessage({ type: 'toggleRule', ruleId, enabled }, (response: unknown) => {
-        if (!(response as { success?: boolean })?.success) console.error(new Date().toISOString(), `ERROR`, `[TagManager]`, `Failed to toggle rule ${ruleId}`);
-      });
-    }
-    message.success(`${enabled ? 'Enabled' : 'Disabled'} ${ruleIds.length} rules in "${groupData.name}"`);
+  const handleRestore = () => {
+    if (!tagSnapshot) return;
+    void runTagAction({ type: 'restoreTagSnapshot' }, count => `Restored ${count} rules`);
   };
 
   const getGroupStats = (rules: RuleWithId[]): GroupStats => {
@@ -83,8 +92,13 @@ const TagManager: React.FC = () => {
           {stats.enabled > 0 && <Tag color="success" style={{ margin: 0, fontSize: '11px' }}>{stats.enabled} active</Tag>}
         </Space>
         <Space onClick={(e: React.MouseEvent) => e.stopPropagation()}>
-          <Tooltip title={isConnected ? `${stats.allEnabled ? 'Disable' : 'Enable'} all rules in this group` : 'App not connected'}>
-            <Switch size="small" checked={stats.allEnabled} disabled={!isConnected} onChange={(checked) => handleEnvironmentToggle(groupKey, checked)} />
+          {groupedRules.length > 1 && (
+            <Tooltip title="Solo: enable this group's rules and disable all others">
+              <Button type="text" size="small" icon={<AimOutlined />} onClick={() => handleTagAction(groupKey, 'solo')} />
+            </Tooltip>
+          )}
+          <Tooltip title={`${stats.allEnabled ? 'Disable' : 'Enable'} all rules in this group${isConnected ? '' : ' — sent to the app when it reconnects'}`}>
+            <Switch size="small" checked={stats.allEnabled} onChange={(checked) => handleTagAction(groupKey, checked ? 'enable' : 'disable')} />
           </Tooltip>
         </Space>
       </div>
@@ -108,12 +122,12 @@ const TagManager: React.FC = () => {
               </div>
             </div>
           </Space>
-          <Tooltip title={isConnected ? (isEnabled ? 'Disable rule' : 'Enable rule') : 'App not connected'}>
-            <Switch size="small" checked={isEnabled} disabled={!isConnected} onChange={async (checked) => {
-              if (!isConnected) { message.warning('Please connect to the desktop app to toggle rules'); return; }
+          <Tooltip title={`${isEnabled ? 'Disable' : 'Enable'} rule${isConnected ? '' : ' — sent to the app when it reconnects'}`}>
+            <Switch size="small" checked={isEnabled} onChange={async (checked) => {
               const { runtime } = await import('../../utils/browser-api');
               runtime.sendMessage({ type: 'toggleRule', ruleId: rule.id, enabled: checked }, (response: unknown) => {
-                if ((response as { success?: boolean })?.success) message.success(`Rule ${checked ? 'enabled' : 'disabled'}`);
+                const resp = response as { success?: boolean; queued?: boolean } | undefined;
+                if (resp?.success) message.success(`Rule ${checked ? 'enabled' : 'disabled'}${resp.queued ? ' — will sync when the app reconnects' : ''}`);
                 else message.error('Failed to toggle rule');
               });
             }} />
@@ -146,6 +160,11 @@ const TagManager: React.FC = () => {
           <Tag color="blue">{totalStats.tagGroups} tag groups</Tag>
           <Tag color="green">Total {totalStats.totalRules} rules</Tag>
         </Space>
+        {tagSnapshot && (
+          <Tooltip title={`Restore the ${Object.keys(tagSnapshot.ruleStates).length} rules changed by: ${tagSnapshot.label}`}>
+            <Button size="small" icon={<UndoOutlined />} onClick={handleRestore}>Restore</Button>
+          </Tooltip>
+        )}
       </div>
       <div style={{ flex: 1, overflow: 'auto', padding: '12px' }}>
         <Collapse activeKey={expandedKeys} onChange={(keys) => setExpandedKeys(keys as string[])} style={{ border: 'none', background: 'transparent' }}>
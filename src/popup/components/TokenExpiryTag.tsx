@@ -0,0 +1,67 @@
+import React from 'react';
+import { Tag, Tooltip } from 'antd';
+import { getJwtStatus } from '../../utils/jwt';
+import type { JwtStatus } from '../../utils/jwt';
+import type { TokenExpiry } from '../../types/header';
+
+interface TokenExpiryTagProps {
+  expiry: TokenExpiry;
+  style?: React.CSSProperties;
+}
+
+const STATUS_COLORS: Record<JwtStatus, string | undefined> = {
+  valid: undefined,
+  expiring: 'warning',
+  expired: 'error',
+  not_yet_valid: 'warning',
+};
+
+/** 45s, 12m, 3h, 2d */
+function formatDuration(seconds: number): string {
+  const abs = Math.abs(Math.round(seconds));
+  if (abs < 60) return `${abs}s`;
+  if (abs < 3600) return `${Math.floor(abs / 60)}m`;
+  if (abs < 86400) return `${Math.floor(abs / 3600)}h`;
+  return `${Math.floor(abs / 86400)}d`;
+}
+
+function formatClaim(seconds: number): string {
+  return new Date(seconds * 1000).toLocaleString();
+}
+
+/**
+ * Shows when the JWT in a header value expires (or became/becomes valid),
+ * with the exp and nbf claims in the tooltip.
+ */
+const TokenExpiryTag: React.FC<TokenExpiryTagProps> = ({ expiry, style }) => {
+  const now = Date.now();
+  const status = getJwtStatus(expiry, now);
+  const seconds = now / 1000;
+
+  let label: string;
+  switch (status) {
+    case 'expired': label = `Expired ${formatDuration(seconds - expiry.exp!)} ago`; break;
+    case 'not_yet_valid': label = `Valid in ${formatDuration(expiry.nbf! - seconds)}`; break;
+    default: label = expiry.exp !== undefined ? `Expires in ${formatDuration(expiry.exp - seconds)}` : 'No expiry';
+  }
+
+  const refreshNote = expiry.sourceId && (status === 'expired' || status === 'expiring')
+    ? `Refresh of source #${expiry.sourceId} requested from the app.`
+    : null;
+
+  const tip = (
+    <div style={{ fontSize: 12 }}>
+      <div>Expires (exp): {expiry.exp !== undefined ? formatClaim(expiry.exp) : '—'}</div>
+      <div>Not before (nbf): {expiry.nbf !== undefined ? formatClaim(expiry.nbf) : '—'}</div>
+      {refreshNote && <div style={{ marginTop: 4 }}>{refreshNote}</div>}
+    </div>
+  );
+
+  return (
+    <Tooltip title={tip} styles={{ root: { maxWidth: 300 } }}>
+      <Tag color={STATUS_COLORS[status]} style={{ ...style, cursor: 'help' }}>{label}</Tag>
+    </Tooltip>
+  );
+};
+
+export default TokenExpiryTag;
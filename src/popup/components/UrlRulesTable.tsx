@@ -0,0 +1,191 @@
+import React from 'react';
+import { Table, Tag, Space, Tooltip, Typography, Empty, Button, App } from 'antd';
+import { LinkOutlined, EditOutlined, ExclamationCircleOutlined } from '@ant-design/icons';
+import { useHeader } from '../../hooks/useHeader';
+import { getAppLauncher } from '../../utils/app-launcher';
+import { validateQueryParamModification } from '../../utils/query-param-validator';
+import type { UrlRuleFromApp, QueryParamModification } from '../../types/websocket';
+import type { ColumnsType } from 'antd/es/table';
+
+const { Text } = Typography;
+
+interface UrlTableRecord {
+  key: string;
+  id: string;
+  name: string;
+  matchPattern: string;
+  matchType: string;
+  action: string;
+  target: string;
+  modifyParams: QueryParamModification[];
+  domains: string[];
+  isEnabled: boolean;
+}
+
+const ACTION_LABELS: Record<string, { label: string; color: string }> = {
+  redirect: { label: 'Redirect', color: 'blue' },
+  block: { label: 'Block', color: 'red' },
+  modify: { label: 'Modify', color: 'purple' },
+};
+
+function getActionKey(rule: UrlRuleFromApp): string {
+  if (rule.action) return rule.action;
+  return rule.modifyParams && rule.modifyParams.length > 0 && !rule.redirectTo ? 'modify' : 'redirect';
+}
+
+function formatParam(param: QueryParamModification): string {
+  switch (param.action || 'add') {
+    case 'remove': return `−${param.key}`;
+    case 'replace': return `~${param.key}=${param.value ?? ''}`;
+    default: return `+${param.key}=${param.value ?? ''}`;
+  }
+}
+
+function getParamTooltip(param: QueryParamModification): string {
+  switch (param.action || 'add') {
+    case 'remove': return `Remove "${param.key}"`;
+    case 'replace': return `Replace "${param.key}" only if present`;
+    default: return `Add or overwrite "${param.key}"`;
+  }
+}
+
+const UrlRulesTable: React.FC = () => {
+  const { message } = App.useApp();
+  const appLauncher = getAppLauncher();
+  const { urlRules, isConnected } = useHeader();
+
+  const dataSource: UrlTableRecord[] = urlRules.map(rule => ({
+    key: rule.id,
+    id: rule.id,
+    name: rule.name || '',
+    matchPattern: rule.matchPattern,
+    matchType: rule.matchType,
+    action: getActionKey(rule),
+    target: rule.redirectTo || rule.replacePattern || '',
+    modifyParams: rule.modifyParams || [],
+    domains: rule.domains || [],
+    isEnabled: rule.isEnabled !== false,
+  }));
+
+  const enabledCount = dataSource.filter(item => item.isEnabled).length;
+
+  const columns: ColumnsType<UrlTableRecord> = [
+    {
+      title: 'Match', dataIndex: 'matchPattern', key: 'matchPattern', width: 200, fixed: 'left',
+      sorter: (a, b) => a.matchPattern.localeCompare(b.matchPattern),
+      render: (pattern: string, record: UrlTableRecord) => (
+        <Space size={4} align="center">
+          <Tag style={{ margin: 0, fontSize: '11px' }}>{record.matchType}</Tag>
+          <Tooltip title={record.name ? `${record.name}: ${pattern}` : pattern}>
+            <Text ellipsis style={{ maxWidth: 140, fontSize: '12px', fontFamily: 'monospace', opacity: record.isEnabled ? 1 : 0.5 }}>{pattern}</Text>
+          </Tooltip>
+        </Space>
+      ),
+    },
+    {
+      title: 'Action', dataIndex: 'action', key: 'action', width: 180,
+      filters: Object.entries(ACTION_LABELS).map(([value, { label }]) => ({ text: label, value })),
+      onFilter: (value, record) => record.action === value,
+      render: (action: string, record: UrlTableRecord) => {
+        const info = ACTION_LABELS[action] || { label: action, color: 'default' };
+        return (
+          <Space size={4} align="center">
+            <Tag color={info.color} style={{ margin: 0, fontSize: '11px' }}>{info.label}</Tag>
+            {record.target && (
+              <Tooltip title={record.target}>
+                <Text ellipsis style={{ maxWidth: 110, fontSize: '12px', fontFamily: 'monospace' }}>{record.target}</Text>
+              </Tooltip>
+            )}
+          </Space>
+        );
+      },
+    },
+    {
+      title: 'Query Params', dataIndex: 'modifyParams', key: 'modifyParams', width: 200,
+      render: (params: QueryParamModification[], record: UrlTableRecord) => {
+        if (params.length === 0 || record.action !== 'modify') return null;
+        const tagStyle = { margin: '0 0 2px 0', fontSize: '11px', fontFamily: 'monospace' };
+        return (
+          <Space size={2} wrap>
+            {params.map((param, i) => {
+              const validation = validateQueryParamModification(param);
+              if (!validation.valid) {
+                return (
+                  <Tooltip key={i} title={`Not applied — ${validation.message}`}>
+                    <Tag color="error" style={{ ...tagStyle, cursor: 'help' }}>
+                      <ExclamationCircleOutlined /> {formatParam(param)}
+                    </Tag>
+                  </Tooltip>
+                );
+              }
+              return (
+                <Tooltip key={i} title={validation.warning ? `${getParamTooltip(param)} — ${validation.warning}` : getParamTooltip(param)}>
+                  <Tag color={validation.warning ? 'warning' : undefined} style={tagStyle}>{formatParam(param)}</Tag>
+                </Tooltip>
+              );
+            })}
+          </Space>
+        );
+      },
+    },
+    {
+      title: 'Domains', dataIndex: 'domains', key: 'domains', width: 140,
+      render: (domains: string[]) => {
+        if (domains.length === 0) return <Text style={{ fontSize: '12px', color: 'var(--text-tertiary)' }}>All</Text>;
+        const label = domains.length === 1 ? domains[0] : `${domains[0]} +${domains.length - 1}`;
+        return (
+          <Tooltip title={domains.join(', ')}>
+            <Tag style={{ fontSize: '12px', cursor: 'default' }}>{label}</Tag>
+          </Tooltip>
+        );
+      },
+    },
+    {
+      title: 'Status', dataIndex: 'isEnabled', key: 'isEnabled', width: 80, align: 'center', fixed: 'right',
+      render: (enabled: boolean) => (
+        <Tag color={enabled ? 'success' : 'default'} style={{ margin: 0, fontSize: '11px' }}>{enabled ? 'On' : 'Off'}</Tag>
+      ),
+    },
+    {
+      title: 'Actions', key: 'actions', width: 60, align: 'center', fixed: 'right',
+      render: (_: unknown, record: UrlTableRecord) => (
+        <Tooltip title={!isConnected ? "App not connected" : "Edit in desktop app"}>
+          <Button type="text" icon={<EditOutlined />} size="small" disabled={!isConnected}
+            onClick={async () => {
+              if (!isConnected) { message.warning('Please connect to the desktop app to edit rules'); return; }
+              const subTab = record.action === 'modify' && record.modifyParams.length > 0 ? 'query-params' : record.action;
+              await appLauncher.launchOrFocus({ tab: 'rules', subTab, action: 'edit', itemId: record.id });
+              message.info('Opening edit dialog in OpenHeaders app');
+            }} />
+        </Tooltip>
+      ),
+    },
+  ];
+
+  return (
+    <div className="header-rules-section">
+      <div className="header-rules-title">
+        <Space align="center" size={8}>
+          <Text style={{ fontSize: '14px', fontWeight: 600, color: 'var(--text-primary)' }}>URL Rules</Text>
+          {dataSource.length > 0 && <Text type="secondary" style={{ fontSize: '12px' }}>{enabledCount} of {dataSource.length} active</Text>}
+        </Space>
+      </div>
+
+      <div style={{ flex: 1, display: 'flex', flexDirection: 'column', minHeight: 0, paddingBottom: '8px' }}>
+        <Table
+          dataSource={dataSource} columns={columns}
+          pagination={{ pageSize: 10, size: 'small', showSizeChanger: false, style: { marginBottom: 0, marginTop: 4 } }}
+          size="small" scroll={{ x: 860, y: 290 }}
+          locale={{ emptyText: (
+            <Empty image={<LinkOutlined style={{ fontSize: 28, color: 'var(--text-tertiary)' }} />}
+              description={<Text type="secondary">No URL rules — create redirect, block or query param rules in the desktop app</Text>}
+              style={{ padding: '32px 0' }} />
+          ) }}
+          className="header-rules-table" style={{ width: '100%', flex: 1 }}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default UrlRulesTable;
@@ -35,9 +35,21 @@ export type ExtensionMessageType =
     | 'getVideoRecordingState'
     | 'getRecordingHotkey'
     | 'toggleRule'
+    | 'refreshSource'
+    | 'saveLocalRule'
+    | 'deleteLocalRule'
     | 'getActiveRulesForTab'
+    | 'getRuleDiagnostics'
+    | 'setActiveEnvironment'
     | 'setRulesExecutionPaused'
     | 'toggleAllRules'
+    | 'dismissToggleConflicts'
+    | 'saveProfile'
+    | 'deleteProfile'
+    | 'switchProfile'
+    | 'applyTagAction'
+    | 'restoreTagSnapshot'
+    | 'setSitePaused'
     | 'connectionStatus'
     | 'ruleUpdateError'
     | 'videoRecordingStateChanged'
@@ -66,7 +78,7 @@ export interface ExtensionMessage {
 export type SendResponse = (response: unknown) => void;
 
 /** Badge states used by the badge manager */
-export type BadgeState = 'none' | 'active' | 'disconnected' | 'paused';
+export type BadgeState = 'none' | 'active' | 'expired' | 'disconnected' | 'paused' | 'site_paused';
 
 /** Pending request info tracked by the request monitor */
 export interface PendingRequest {
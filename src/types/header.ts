@@ -5,33 +5,218 @@
  * (open-headers-app/src/types/rules.ts).
  */
 
+/** How a header rule changes the header: overwrite, strip, or add alongside existing values */
+export type HeaderOperation = 'set' | 'remove' | 'append';
+
+/**
+ * Which requests of a rule also get the forced `Cache-Control: no-cache` /
+ * `Pragma: no-cache` request headers: none, only the top-level document, or everything.
+ */
+export type CacheBustingMode = 'off' | 'main_frame' | 'all';
+
+/** declarativeNetRequest resource types, as plain strings so they survive storage round-trips */
+export type RuleResourceType =
+    | 'main_frame' | 'sub_frame' | 'stylesheet' | 'script' | 'image' | 'font'
+    | 'object' | 'xmlhttprequest' | 'ping' | 'csp_report' | 'media'
+    | 'websocket' | 'webtransport' | 'webbundle' | 'other';
+
+/** declarativeNetRequest request methods (lower-case, as DNR expects them) */
+export type RuleRequestMethod =
+    | 'connect' | 'delete' | 'get' | 'head' | 'options' | 'patch' | 'post' | 'put' | 'other';
+
+/**
+ * How the entries of a rule's `domains` list are read: wildcard domain
+ * patterns (`*.example.com`) or regular expressions matched against the full URL.
+ */
+export type DomainPatternType = 'wildcard' | 'regex';
+
+/**
+ * One step of the transform pipeline applied to a dynamic source's content
+ * before the prefix and suffix are added.
+ */
+export type ValueTransform =
+    /** Extract a field: `$.data.token`, `$.items[0].id`, `$['key.with.dots']` */
+    | { type: 'jsonPath'; path: string }
+    /** Keep a capture group; defaults to the first group, or the whole match without groups */
+    | { type: 'regex'; pattern: string; flags?: string; group?: number }
+    | { type: 'base64Encode' }
+    /** Standard or URL-safe base64; the decoded bytes must be UTF-8 */
+    | { type: 'base64Decode' }
+    | { type: 'urlEncode' }
+    | { type: 'trim' }
+    /** Read a claim (dotted path allowed) from a JWT's payload, without verifying it */
+    | { type: 'jwtClaim'; claim: string }
+    /** Hex digest */
+    | { type: 'hash'; algorithm: 'sha256' };
+
 /** A saved header entry from storage */
 export interface HeaderEntry {
     headerName: string;
     headerValue: string;
     domains: string[];
     domain?: string;
+    /** Defaults to 'wildcard' */
+    patternType?: DomainPatternType;
     isDynamic: boolean;
     sourceId?: string | number | null;
     prefix?: string;
     suffix?: string;
+    /**
+     * Take a dynamic entry's value from this response header of its (HTTP)
+     * source instead of the source content; matched case-insensitively
+     */
+    sourceHeader?: string;
+    /** Applied in order to the source value of a dynamic entry */
+    transforms?: ValueTransform[];
     isResponse?: boolean;
+    /** Defaults to 'set' */
+    operation?: HeaderOperation;
+    /** Falls back to the global default when unset */
+    cacheBusting?: CacheBustingMode;
+    /** Restrict the rule to these resource types; unset = all */
+    resourceTypes?: RuleResourceType[];
+    /** Restrict the rule to these HTTP methods; unset = all */
+    requestMethods?: RuleRequestMethod[];
+    /** Domains (and their subdomains) the rule must not apply to */
+    excludedDomains?: string[];
+    /** Only apply to requests initiated from these domains; unset = any initiator */
+    initiatorDomains?: string[];
+    /** Never apply to requests initiated from these domains */
+    excludedInitiatorDomains?: string[];
     isEnabled?: boolean;
     tag?: string;
     hasEnvVars?: boolean;
     envVars?: string[];
+    /** Take the value from this cookie instead of a source (see cookie-values.ts) */
     cookieName?: string;
+    /** Host the cookie is read for, e.g. app.example.com; required with cookieName */
+    cookieDomain?: string;
+    /** Path the cookie is read for; defaults to '/' */
+    cookiePath?: string;
+    /** Top-level site of a partitioned (CHIPS) cookie, e.g. https://example.com; unset = unpartitioned */
+    cookieTopLevelSite?: string;
     createdAt?: string;
     updatedAt?: string;
     sourceMissing?: boolean;
+    /**
+     * Who owns the entry: the desktop app (unset) or the popup's local
+     * editing ('local'). App rules-updates replace only app-owned entries.
+     */
+    origin?: 'app' | 'local';
+}
+
+/** Which cookie a cookie-backed entry reads */
+export interface CookieSelector {
+    name: string;
+    /** Host the cookie must be sent to */
+    domain: string;
+    path: string;
+    topLevelSite?: string;
+}
+
+/** A watched cookie and its current value, as reported to the popup */
+export interface CookieValue extends CookieSelector {
+    /** null when the browser has no such cookie */
+    value: string | null;
 }
 
 /** A fully resolved entry — safe to create a DNR rule */
 export interface ResolvedEntry {
+    /** savedData key of the entry this was resolved from */
+    id: string;
     headerName: string;
     headerValue: string;
     domains: string[];
+    patternType: DomainPatternType;
     isResponse: boolean;
+    operation: HeaderOperation;
+    cacheBusting: CacheBustingMode;
+    resourceTypes?: RuleResourceType[];
+    requestMethods?: RuleRequestMethod[];
+    /** Domain conditions, already reduced to DNR form */
+    excludedDomains?: string[];
+    initiatorDomains?: string[];
+    excludedInitiatorDomains?: string[];
+}
+
+/**
+ * A rule toggle the app hasn't taken yet: made while it was disconnected, or
+ * part of a profile switch
+ */
+export interface QueuedToggle {
+    ruleId: string;
+    /** For the popup, should the rule be gone by the time it is resolved */
+    headerName: string;
+    enabled: boolean;
+    /** ms since the epoch */
+    queuedAt: number;
+    /** When it was last replayed to the app; unset until the app reconnects */
+    sentAt?: number;
+}
+
+/**
+ * Why a queued toggle was given up in favour of the app's state: the rule was
+ * deleted in the app, changed there after the toggle, or the app didn't take it.
+ */
+export type ToggleConflictReason = 'deleted' | 'changed_in_app' | 'rejected';
+
+/** A queued toggle that lost to the app's rules-update, for the popup */
+export interface ToggleConflict {
+    ruleId: string;
+    headerName: string;
+    /** The state toggled offline */
+    queued: boolean;
+    /** The state the app's rules-update applied; null when the rule was deleted */
+    applied: boolean | null;
+    reason: ToggleConflictReason;
+    /** ms since the epoch */
+    resolvedAt: number;
+}
+
+/** A named set of enabled header rules, switched to from the popup */
+export interface RuleProfile {
+    id: string;
+    name: string;
+    /** savedData keys of the rules the profile enables; every other rule is disabled */
+    enabledRuleIds: string[];
+    /** Environment activated with the profile; null leaves the active one as is */
+    environment: string | null;
+    /** ISO 8601 */
+    createdAt: string;
+    updatedAt?: string;
+}
+
+/** Why rules don't apply to a tab while they apply elsewhere; see site-pause.ts */
+export interface SitePause {
+    /** The paused domain the tab's URL falls under, if any */
+    domain: string | null;
+    /** Whether the tab itself is paused */
+    tab: boolean;
+}
+
+/** Bulk action on the rules of one tag, from the TagManager */
+export type TagAction = 'enable' | 'disable' | 'solo';
+
+/** Enabled states a tag action replaced, so the TagManager can restore them */
+export interface TagSnapshot {
+    /** What the action did, e.g. `Solo "staging"` */
+    label: string;
+    /** savedData key → enabled state before the action, for the rules it changed */
+    ruleStates: Record<string, boolean>;
+    /** ms since the epoch */
+    takenAt: number;
+}
+
+/** exp/nbf of a JWT found in a resolved header value */
+export interface TokenExpiry {
+    /** savedData key of the entry */
+    entryId: string;
+    headerName: string;
+    /** The source the token came from, when the app can refresh it */
+    sourceId?: string;
+    /** Seconds since the epoch, as in the claims */
+    exp?: number;
+    nbf?: number;
 }
 
 /** Result of processing a single HeaderEntry */
@@ -39,11 +224,23 @@ export type EntryResult =
     | { resolved: true; entry: ResolvedEntry }
     | { resolved: false; placeholder: PlaceholderInfo };
 
+/** What the last update resolved an enabled entry to, for the popup */
+export interface ResolvedValue {
+    /** The value the rule injects; empty for a remove and while a placeholder stands in */
+    value: string;
+    /** Why the header isn't injected, when it isn't */
+    placeholder?: PlaceholderInfo;
+}
+
 /** Reasons a header may use a placeholder value */
 export type PlaceholderReason =
     | 'source_not_found'
     | 'empty_source'
-    | 'empty_value';
+    | 'empty_value'
+    | 'unresolved_env_vars'
+    | 'transform_failed'
+    | 'cookie_not_found'
+    | 'totp_unavailable';
 
 /** Information about a header using a placeholder */
 export interface PlaceholderInfo {
@@ -51,6 +248,16 @@ export interface PlaceholderInfo {
     sourceId?: string | number | null;
     reason: PlaceholderReason;
     domains: string[];
+    /** Sources referenced with {{source:ID}} that are missing or empty, or with {{totp:ID}} that have no code */
+    sourceIds?: string[];
+    /** The response header an empty_source entry reads, when it doesn't use the content */
+    sourceHeader?: string;
+    /** The cookie a cookie-backed entry reads */
+    cookieName?: string;
+    /** Template variables the active environment doesn't define */
+    missingVars?: string[];
+    /** Which transform step failed, and why */
+    transformError?: string;
 }
 
 /** A header rule suitable for chrome.declarativeNetRequest */
@@ -63,16 +270,93 @@ export interface HeaderRule {
         responseHeaders?: HeaderModification[];
     };
     condition: {
-        urlFilter: string;
+        /**
+         * Exactly one of urlFilter / regexFilter / requestDomains is set: the
+         * filter for the pattern type, or requestDomains for hosts named both
+         * as host and *.host (findSiteDomains)
+         */
+        urlFilter?: string;
+        regexFilter?: string;
+        requestDomains?: string[];
         resourceTypes: chrome.declarativeNetRequest.ResourceType[];
+        requestMethods?: chrome.declarativeNetRequest.RequestMethod[];
+        excludedRequestDomains?: string[];
+        initiatorDomains?: string[];
+        excludedInitiatorDomains?: string[];
     };
 }
 
+/** Condition shared by URL rules (redirect / block / rewrite) */
+export interface UrlRuleCondition {
+    urlFilter?: string;
+    regexFilter?: string;
+    requestDomains?: string[];
+    excludedRequestDomains?: string[];
+    /** Only set for paused sites (withSitePause) */
+    excludedInitiatorDomains?: string[];
+    resourceTypes: chrome.declarativeNetRequest.ResourceType[];
+}
+
+/** A URL rule suitable for chrome.declarativeNetRequest */
+export interface UrlRule {
+    id: number;
+    priority: number;
+    action: {
+        type: 'redirect' | 'block';
+        redirect?: chrome.declarativeNetRequest.Redirect;
+    };
+    condition: UrlRuleCondition;
+}
+
+/** Any rule the extension installs as a dynamic declarativeNetRequest rule */
+export type NetworkRule = HeaderRule | UrlRule;
+
+/** Why (part of) a rule could not be installed */
+export type RuleIssueReason = 'invalid_regex' | 'regex_limit' | 'rule_limit' | 'quarantined' | 'domain_port';
+
+/** A rule that was left out of the last rule update, reported to the popup */
+export interface RuleIssue {
+    /** savedData key of the header rule; unset when the issue covers several URL rules */
+    ruleId?: string;
+    reason: RuleIssueReason;
+    message: string;
+}
+
+/** The browser's declarativeNetRequest quotas for dynamic rules */
+export interface RuleLimits {
+    maxRules: number;
+    maxRegexRules: number;
+}
+
+/** How much of the rule quota the last update used, reported to the popup */
+export interface RuleBudget {
+    used: number;
+    available: number;
+    regexUsed: number;
+    regexAvailable: number;
+}
+
+/** What ran the check that found rule drift */
+export type RuleDriftTrigger = 'post_apply' | 'alarm';
+
+/** Installed dynamic rules found out of line with the expected set */
+export interface RuleDriftEvent {
+    at: string;
+    trigger: RuleDriftTrigger;
+    missing: number;
+    unexpected: number;
+    changed: number;
+    repaired: boolean;
+    /** Why the repair failed */
+    error?: string;
+}
+
 /** A single header modification operation */
 export interface HeaderModification {
     header: string;
-    operation: 'set' | 'remove' | 'append';
-    value: string;
+    operation: HeaderOperation;
+    /** Omitted for 'remove' — DNR rejects a value on remove */
+    value?: string;
 }
 
 
@@ -5,6 +5,8 @@
  * (open-headers-app/src/types/source.ts, websocket.ts, rules.ts).
  */
 
+import type { CacheBustingMode, DomainPatternType, HeaderOperation, RuleRequestMethod, RuleResourceType, ValueTransform } from './header';
+
 // ── Source types (from desktop app) ────────────────────────────────
 
 export type SourceType = 'http' | 'file' | 'manual' | 'env';
@@ -100,6 +102,16 @@ export type ContentType = 'any' | 'json' | 'xml' | 'text' | 'form';
 
 export type UrlRuleAction = 'modify' | 'redirect' | 'block';
 
+export type QueryParamAction = 'add' | 'replace' | 'remove';
+
+/** A single query-parameter change attached to a URL rule */
+export interface QueryParamModification {
+    key: string;
+    value?: string;
+    /** Defaults to 'add' (add or overwrite) */
+    action?: QueryParamAction;
+}
+
 /** A header rule as received from the desktop app */
 export interface HeaderRuleFromApp {
     id: string;
@@ -109,16 +121,30 @@ export interface HeaderRuleFromApp {
     headerName: string;
     headerValue?: string;
     domains?: string[];
+    patternType?: DomainPatternType;
     isDynamic?: boolean;
     sourceId?: string | number | null;
     prefix?: string;
     suffix?: string;
+    sourceHeader?: string;
+    transforms?: ValueTransform[];
     isResponse?: boolean;
+    operation?: HeaderOperation;
+    cacheBusting?: CacheBustingMode;
+    resourceTypes?: RuleResourceType[];
+    /** The app may send upper-case methods; they are normalized before use */
+    requestMethods?: RuleRequestMethod[] | string[];
+    excludedDomains?: string[];
+    initiatorDomains?: string[];
+    excludedInitiatorDomains?: string[];
     isEnabled?: boolean;
     tag?: string;
     hasEnvVars?: boolean;
     envVars?: string[];
     cookieName?: string;
+    cookieDomain?: string;
+    cookiePath?: string;
+    cookieTopLevelSite?: string;
     createdAt?: string;
     updatedAt?: string;
 }
@@ -151,7 +177,7 @@ export interface UrlRuleFromApp {
     matchType: MatchType;
     replacePattern?: string;
     redirectTo?: string;
-    modifyParams?: Array<{ key: string; value?: string; action?: string }>;
+    modifyParams?: QueryParamModification[];
     action?: UrlRuleAction;
     domains?: string[];
     isEnabled?: boolean;
@@ -162,8 +188,20 @@ export interface UrlRuleFromApp {
 /** Unified rules data from the desktop app */
 export interface RulesData {
     header?: HeaderRuleFromApp[];
+    url?: UrlRuleFromApp[];
     request?: PayloadRuleFromApp[];
     response?: Array<HeaderRuleFromApp | PayloadRuleFromApp | UrlRuleFromApp>;
     [key: string]: unknown;
 }
 
+
+// ── Environments from desktop app ──────────────────────────────────
+
+/** Variable name → value, as used by {{VAR}} templates in header values */
+export type EnvironmentVariables = Record<string, string>;
+
+/** Payload of an environments-update message */
+export interface EnvironmentsData {
+    environments: Record<string, EnvironmentVariables>;
+    activeEnvironment?: string | null;
+}
@@ -7,6 +7,8 @@
 declare const browser: typeof chrome | undefined;
 import { logger } from './logger';
 
+import type { RuleLimits } from '../types/header';
+
 const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
 
 // Browser detection flags — use userAgent, not `typeof browser`, because
@@ -205,6 +207,7 @@ export const tabs = {
 // Cross-browser alarms API
 export const alarms = browserAPI.alarms ? {
   create: (name: string, alarmInfo: chrome.alarms.AlarmCreateInfo): void => { browserAPI.alarms.create(name, alarmInfo); },
+  clear: (name: string): void => { browserAPI.alarms.clear(name); },
   onAlarm: {
     addListener: (listener: (alarm: chrome.alarms.Alarm) => void): void => browserAPI.alarms.onAlarm.addListener(listener),
     removeListener: (listener: (alarm: chrome.alarms.Alarm) => void): void => browserAPI.alarms.onAlarm.removeListener(listener)
@@ -250,6 +253,80 @@ export const declarativeNetRequest = browserAPI.declarativeNetRequest ? {
         }
       });
     }
+  },
+  // Session rules live until the browser closes — used for per-tab state, since
+  // tabIds/excludedTabIds are only accepted on session rules. Browsers without
+  // them get a rejected update and an empty list
+  updateSessionRules: (options: chrome.declarativeNetRequest.UpdateRuleOptions): Promise<void> => {
+    if (typeof browserAPI.declarativeNetRequest.updateSessionRules !== 'function') {
+      return Promise.reject(new Error('Session rules are not supported by this browser'));
+    }
+    if (isFirefox) {
+      return browserAPI.declarativeNetRequest.updateSessionRules(options);
+    } else {
+      return new Promise<void>((resolve, reject) => {
+        try {
+          browserAPI.declarativeNetRequest.updateSessionRules(options, () => {
+            if (browserAPI.runtime.lastError) {
+              reject(browserAPI.runtime.lastError);
+            } else {
+              resolve();
+            }
+          });
+        } catch (e) {
+          reject(e);
+        }
+      });
+    }
+  },
+  getSessionRules: (): Promise<chrome.declarativeNetRequest.Rule[]> => {
+    if (typeof browserAPI.declarativeNetRequest.getSessionRules !== 'function') {
+      return Promise.resolve([]);
+    }
+    if (isFirefox) {
+      return browserAPI.declarativeNetRequest.getSessionRules();
+    } else {
+      return new Promise<chrome.declarativeNetRequest.Rule[]>((resolve, reject) => {
+        try {
+          browserAPI.declarativeNetRequest.getSessionRules((rules) => {
+            if (browserAPI.runtime.lastError) {
+              reject(browserAPI.runtime.lastError);
+            } else {
+              resolve(rules);
+            }
+          });
+        } catch (e) {
+          reject(e);
+        }
+      });
+    }
+  },
+  // Browsers without isRegexSupported report every regex as supported;
+  // updateDynamicRules still rejects the ones the engine can't compile
+  isRegexSupported: (regexOptions: chrome.declarativeNetRequest.RegexOptions): Promise<chrome.declarativeNetRequest.IsRegexSupportedResult> => {
+    if (typeof browserAPI.declarativeNetRequest.isRegexSupported !== 'function') {
+      return Promise.resolve({ isSupported: true });
+    }
+    if (isFirefox) {
+      return browserAPI.declarativeNetRequest.isRegexSupported(regexOptions);
+    } else {
+      return new Promise<chrome.declarativeNetRequest.IsRegexSupportedResult>((resolve, reject) => {
+        try {
+          browserAPI.declarativeNetRequest.isRegexSupported(regexOptions, resolve);
+        } catch (e) {
+          reject(e);
+        }
+      });
+    }
+  },
+  // modifyHeaders and redirect rules count as "unsafe", so the unsafe quota is the
+  // one that binds; older browsers only expose the combined dynamic + session limit
+  getRuleLimits: (): RuleLimits => {
+    const dnr: Partial<typeof chrome.declarativeNetRequest> = browserAPI.declarativeNetRequest;
+    return {
+      maxRules: dnr.MAX_NUMBER_OF_UNSAFE_DYNAMIC_RULES ?? dnr.MAX_NUMBER_OF_DYNAMIC_AND_SESSION_RULES ?? 5000,
+      maxRegexRules: dnr.MAX_NUMBER_OF_REGEX_RULES ?? 1000
+    };
   }
 } : null;
 
@@ -274,7 +351,11 @@ export const cookies = browserAPI.cookies ? {
     } else {
       return browserAPI.cookies.getAll(details, callback!);
     }
-  }
+  },
+  onChanged: browserAPI.cookies.onChanged ? {
+    addListener: (listener: (changeInfo: chrome.cookies.CookieChangeInfo) => void): void => browserAPI.cookies.onChanged.addListener(listener),
+    removeListener: (listener: (changeInfo: chrome.cookies.CookieChangeInfo) => void): void => browserAPI.cookies.onChanged.removeListener(listener)
+  } : null
 } : null;
 
 // Cross-browser windows API
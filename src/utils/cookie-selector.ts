@@ -0,0 +1,48 @@
+/**
+ * Which cookie a cookie-backed header entry reads. Shared by the background
+ * (reading and watching the cookie) and the popup (matching the values it is
+ * sent back to entries).
+ */
+
+import type { CookieSelector, HeaderEntry } from '../types/header';
+
+/** A bare host, optionally with a port: app.example.com, localhost:8080 */
+const HOST_PATTERN = /^[A-Za-z0-9.-]+(:\d+)?$/;
+
+/**
+ * The entry's cookie selector, or null when it has no cookie name or no
+ * usable domain. The domain may be given as a URL or with a leading dot; the
+ * path defaults to '/'.
+ */
+export function toCookieSelector(entry: Pick<HeaderEntry, 'cookieName' | 'cookieDomain' | 'cookiePath' | 'cookieTopLevelSite'>): CookieSelector | null {
+  const name = entry.cookieName?.trim();
+  const domain = (entry.cookieDomain || '')
+    .trim()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//i, '')
+    .split('/')[0]
+    .replace(/^\./, '')
+    .toLowerCase();
+  if (!name || !domain || !HOST_PATTERN.test(domain)) return null;
+
+  const rawPath = entry.cookiePath?.trim();
+  const path = !rawPath ? '/' : rawPath.startsWith('/') ? rawPath : `/${rawPath}`;
+  const topLevelSite = entry.cookieTopLevelSite?.trim().replace(/\/+$/, '') || undefined;
+
+  return topLevelSite ? { name, domain, path, topLevelSite } : { name, domain, path };
+}
+
+/**
+ * Stable key for a selector, e.g. for caching values per selector.
+ */
+export function cookieSelectorKey(selector: CookieSelector): string {
+  return JSON.stringify([selector.name, selector.domain, selector.path, selector.topLevelSite || '']);
+}
+
+/**
+ * Short description for logs and the popup: `session` on app.example.com/api
+ */
+export function describeCookieSelector(selector: CookieSelector): string {
+  const path = selector.path === '/' ? '' : selector.path;
+  const partition = selector.topLevelSite ? ` (partitioned for ${selector.topLevelSite})` : '';
+  return `cookie "${selector.name}" on ${selector.domain}${path}${partition}`;
+}
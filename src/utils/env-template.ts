@@ -0,0 +1,34 @@
+/**
+ * Resolves {{VAR}} templates in header values against the variables of the
+ * active environment. Shared by the background (rule building) and the popup
+ * (showing the injected value and what is missing).
+ */
+
+/** {{NAME}}, with optional whitespace inside the braces */
+const TEMPLATE_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_.-]*)\s*\}\}/g;
+
+export interface TemplateResult {
+  value: string;
+  /** Variables the template uses that the environment doesn't define, in order of first use */
+  missing: string[];
+}
+
+/**
+ * Substitutes every {{VAR}} in the template. Unknown variables are left in
+ * place and listed in `missing`, so callers can refuse to use the value.
+ */
+export function resolveTemplate(template: string, variables: Record<string, string>): TemplateResult {
+  const missing: string[] = [];
+
+  const value = template.replace(TEMPLATE_PATTERN, (match, name: string) => {
+    if (Object.prototype.hasOwnProperty.call(variables, name)) {
+      return variables[name];
+    }
+    if (!missing.includes(name)) {
+      missing.push(name);
+    }
+    return match;
+  });
+
+  return { value, missing };
+}
@@ -69,6 +69,32 @@ export function validateHeaderName(name: string, isResponse = false): Validation
   return { valid: true, sanitized: trimmedName, warning, message: '' };
 }
 
+// Request headers Chrome allows the 'append' operation on; any other request
+// header makes updateDynamicRules reject the whole batch
+const APPENDABLE_REQUEST_HEADERS = new Set([
+  'accept', 'accept-encoding', 'accept-language', 'access-control-request-headers',
+  'cache-control', 'connection', 'content-language', 'cookie', 'forwarded',
+  'if-match', 'if-none-match', 'keep-alive', 'range', 'te', 'trailer',
+  'transfer-encoding', 'upgrade', 'user-agent', 'via', 'want-digest', 'x-forwarded-for'
+]);
+
+/**
+ * Validates that an operation (set / remove / append) can be applied to a header
+ */
+export function validateHeaderOperation(name: string, operation: string | undefined, isResponse = false): ValidationResult {
+  const op = operation || 'set';
+
+  if (op !== 'set' && op !== 'remove' && op !== 'append') {
+    return { valid: false, message: `Unknown header operation "${op}"` };
+  }
+
+  if (op === 'append' && !isResponse && !APPENDABLE_REQUEST_HEADERS.has((name || '').trim().toLowerCase())) {
+    return { valid: false, message: `"${(name || '').trim()}" does not support append on requests; use set instead` };
+  }
+
+  return { valid: true, message: '' };
+}
+
 /**
  * Validates if a header value is acceptable for browser APIs
  */
@@ -0,0 +1,64 @@
+/**
+ * Finds a JWT in a header value (bare or e.g. after "Bearer ") and reads its
+ * exp and nbf claims, so expired credentials show up before the 401s do.
+ * Shared by the background (badge, refresh requests) and the popup.
+ *
+ * The signature is not verified — this is only about timing.
+ */
+
+import { decodeBase64 } from './value-transforms';
+
+/** header.payload.signature in base64url; a JSON header always starts with eyJ ('{"') */
+const JWT_PATTERN = /eyJ[A-Za-z0-9_-]*\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/;
+
+/** Tokens expiring within this many seconds count as expiring; their source gets refreshed */
+export const JWT_REFRESH_LEAD_SECONDS = 60;
+
+export interface JwtTiming {
+  token: string;
+  /** Seconds since the epoch, as in the claims */
+  exp?: number;
+  nbf?: number;
+}
+
+export type JwtStatus = 'valid' | 'expiring' | 'expired' | 'not_yet_valid';
+
+/**
+ * The first JWT in the value with its exp and nbf claims, or null when the
+ * value holds nothing that decodes as a JWT.
+ */
+export function decodeJwtTiming(value: string | null | undefined): JwtTiming | null {
+  const match = value ? JWT_PATTERN.exec(value) : null;
+  if (!match) return null;
+
+  const [header, payload] = match[0].split('.');
+  let claims: Record<string, unknown>;
+  try {
+    const parsedHeader: unknown = JSON.parse(decodeBase64(header));
+    const parsedPayload: unknown = JSON.parse(decodeBase64(payload));
+    if (!isObject(parsedHeader) || typeof parsedHeader.alg !== 'string' || !isObject(parsedPayload)) return null;
+    claims = parsedPayload;
+  } catch {
+    return null;
+  }
+
+  const timing: JwtTiming = { token: match[0] };
+  if (typeof claims.exp === 'number' && Number.isFinite(claims.exp)) timing.exp = claims.exp;
+  if (typeof claims.nbf === 'number' && Number.isFinite(claims.nbf)) timing.nbf = claims.nbf;
+  return timing;
+}
+
+/**
+ * Where the token stands at the given time (ms since the epoch).
+ */
+export function getJwtStatus(timing: Pick<JwtTiming, 'exp' | 'nbf'>, now: number): JwtStatus {
+  const seconds = now / 1000;
+  if (timing.exp !== undefined && timing.exp <= seconds) return 'expired';
+  if (timing.nbf !== undefined && timing.nbf > seconds) return 'not_yet_valid';
+  if (timing.exp !== undefined && timing.exp - seconds <= JWT_REFRESH_LEAD_SECONDS) return 'expiring';
+  return 'valid';
+}
+
+function isObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
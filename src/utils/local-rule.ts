@@ -0,0 +1,84 @@
+/**
+ * Header rules created in the popup instead of the desktop app. They live in
+ * savedData next to the app's rules, marked `origin: 'local'` and keyed with
+ * a `local-` ID so they never collide with the app's. Shared by the popup
+ * (form feedback) and the background (which re-validates before writing).
+ */
+
+import { validateHeaderName, validateHeaderOperation, validateHeaderValue } from './header-validator';
+import type { HeaderEntry } from '../types/header';
+
+export const LOCAL_RULE_ID_PREFIX = 'local-';
+
+/** Form fields a validation message can belong to */
+export type LocalRuleField = 'headerName' | 'headerValue' | 'operation' | 'domains';
+
+export interface LocalRuleValidation {
+  valid: boolean;
+  errors: Partial<Record<LocalRuleField, string>>;
+  warnings: Partial<Record<LocalRuleField, string>>;
+}
+
+export function isLocalRule(entry: Pick<HeaderEntry, 'origin'> | null | undefined): boolean {
+  return entry?.origin === 'local';
+}
+
+export function createLocalRuleId(): string {
+  return `${LOCAL_RULE_ID_PREFIX}${crypto.randomUUID()}`;
+}
+
+/**
+ * Checks a local rule the way the background will install it: a valid header
+ * name for the direction, an operation the header supports, a value unless it
+ * comes from a source or cookie (or the header is removed), and at least one
+ * domain pattern.
+ */
+export function validateLocalRule(entry: HeaderEntry): LocalRuleValidation {
+  const errors: LocalRuleValidation['errors'] = {};
+  const warnings: LocalRuleValidation['warnings'] = {};
+  const isResponse = !!entry.isResponse;
+
+  const name = validateHeaderName(entry.headerName || '', isResponse);
+  if (!name.valid) {
+    errors.headerName = name.message;
+  } else {
+    if (name.warning) warnings.headerName = name.warning;
+    const operation = validateHeaderOperation(entry.headerName, entry.operation, isResponse);
+    if (!operation.valid) errors.operation = operation.message;
+  }
+
+  const takesValue = (entry.operation || 'set') !== 'remove' && !entry.isDynamic && !entry.cookieName;
+  if (takesValue) {
+    const value = validateHeaderValue(entry.headerValue || '', entry.headerName || '');
+    if (!value.valid) errors.headerValue = value.message;
+    else if (value.warning) warnings.headerValue = value.warning;
+  }
+
+  const domains = (entry.domains || []).map(domain => domain.trim()).filter(Boolean);
+  if (domains.length === 0) {
+    errors.domains = 'Add at least one domain pattern';
+  } else if (entry.patternType === 'regex') {
+    const invalid = domains.find(pattern => !isValidRegex(pattern));
+    if (invalid) errors.domains = `"${invalid}" is not a valid regular expression`;
+  }
+
+  return { valid: Object.keys(errors).length === 0, errors, warnings };
+}
+
+/**
+ * A local copy of a rule, e.g. to change an app rule without the app: same
+ * settings, new owner, fresh timestamps.
+ */
+export function toLocalCopy(entry: HeaderEntry, now: Date = new Date()): HeaderEntry {
+  const { updatedAt: _updatedAt, ...copy } = entry;
+  return { ...copy, origin: 'local', createdAt: now.toISOString() };
+}
+
+function isValidRegex(pattern: string): boolean {
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * Functions for validating query-parameter modifications before they are
+ * turned into declarativeNetRequest queryTransform rules.
+ */
+
+import type { ValidationResult } from './header-validator';
+import type { QueryParamAction, QueryParamModification } from '../types/websocket';
+
+const QUERY_PARAM_ACTIONS: readonly QueryParamAction[] = ['add', 'replace', 'remove'];
+
+/**
+ * Validates a query parameter key
+ */
+export function validateQueryParamKey(key: string): ValidationResult {
+  if (!key) {
+    return { valid: false, message: 'Query parameter name cannot be empty' };
+  }
+
+  const trimmedKey = key.trim();
+
+  if (!trimmedKey) {
+    return { valid: false, message: 'Query parameter name cannot be only whitespace' };
+  }
+
+  if (trimmedKey.length > 256) {
+    return { valid: false, message: 'Query parameter name is too long (max 256 characters)' };
+  }
+
+  if (/[\x00-\x1F\x7F]/.test(trimmedKey)) {
+    return { valid: false, message: 'Query parameter name contains invalid control characters' };
+  }
+
+  // These would split or terminate the query string instead of naming a parameter
+  if (/[&=#?\s]/.test(trimmedKey)) {
+    return { valid: false, message: 'Query parameter name cannot contain whitespace or &, =, #, ?' };
+  }
+
+  if (/[^\x00-\x7F]/.test(trimmedKey)) {
+    return { valid: true, sanitized: trimmedKey, warning: 'Query parameter name contains non-ASCII characters', message: '' };
+  }
+
+  return { valid: true, sanitized: trimmedKey, message: '' };
+}
+
+/**
+ * Validates a query parameter value. Empty values are allowed (`?flag=`).
+ */
+export function validateQueryParamValue(value: string): ValidationResult {
+  if (value === undefined || value === null) {
+    return { valid: false, message: 'Query parameter value is required' };
+  }
+
+  if (value.length > 2048) {
+    return { valid: false, message: 'Query parameter value is too long (max 2048 characters)' };
+  }
+
+  if (/[\x00-\x1F\x7F]/.test(value)) {
+    return { valid: false, message: 'Query parameter value contains invalid control characters' };
+  }
+
+  if (/[&#]/.test(value)) {
+    return { valid: false, message: 'Query parameter value cannot contain & or #' };
+  }
+
+  if (/\s/.test(value)) {
+    return { valid: true, warning: 'Query parameter value contains whitespace', message: '' };
+  }
+
+  return { valid: true, message: '' };
+}
+
+/**
+ * Validates a complete query parameter modification (key, value and action)
+ */
+export function validateQueryParamModification(param: QueryParamModification): ValidationResult {
+  if (!param || typeof param !== 'object') {
+    return { valid: false, message: 'Query parameter modification must be an object' };
+  }
+
+  const action = param.action || 'add';
+  if (!QUERY_PARAM_ACTIONS.includes(action)) {
+    return { valid: false, message: `Unknown query parameter action "${action}"` };
+  }
+
+  const keyResult = validateQueryParamKey(param.key);
+  if (!keyResult.valid) return keyResult;
+
+  if (action === 'remove') return keyResult;
+
+  const valueResult = validateQueryParamValue(param.value as string);
+  if (!valueResult.valid) return valueResult;
+
+  return {
+    valid: true,
+    sanitized: keyResult.sanitized,
+    warning: keyResult.warning || valueResult.warning,
+    message: ''
+  };
+}
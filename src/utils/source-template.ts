@@ -0,0 +1,53 @@
+/**
+ * Resolves {{source:ID}} references in header values, so one value can be
+ * composed from several dynamic sources and literal text. Shared by the
+ * background (rule building) and the popup (showing the injected value).
+ */
+
+/** {{source:ID}}, with optional whitespace inside the braces */
+const SOURCE_REF_PATTERN = /\{\{\s*source:\s*([A-Za-z0-9_-]+)\s*\}\}/g;
+
+export interface SourceRefResult {
+  value: string;
+  /** Referenced sources that don't exist, in order of first use */
+  missing: string[];
+  /** Referenced sources that exist but have no content */
+  empty: string[];
+}
+
+/**
+ * IDs of the sources a template references, each once, in order of first use.
+ */
+export function findSourceRefs(template: string): string[] {
+  const ids = new Set<string>();
+  for (const match of template.matchAll(SOURCE_REF_PATTERN)) {
+    ids.add(match[1]);
+  }
+  return [...ids];
+}
+
+/**
+ * Substitutes every {{source:ID}} with the source's content. `getContent`
+ * returns undefined for an unknown source. Unresolved references are left in
+ * place and listed, so callers can refuse to use the value. Substituted
+ * content is not scanned again.
+ */
+export function resolveSourceRefs(template: string, getContent: (id: string) => string | null | undefined): SourceRefResult {
+  const missing: string[] = [];
+  const empty: string[] = [];
+
+  const value = template.replace(SOURCE_REF_PATTERN, (match, id: string) => {
+    const content = getContent(id);
+    if (content === undefined) {
+      if (!missing.includes(id)) missing.push(id);
+      return match;
+    }
+    if (!content) {
+      if (!empty.includes(id)) empty.push(id);
+      return match;
+    }
+    return content;
+  });
+
+  return { value, missing, empty };
+}
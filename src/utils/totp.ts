@@ -0,0 +1,138 @@
+/**
+ * Time-based one-time passwords (RFC 6238) for {{totp:ID}} references in
+ * header values, where ID is a source whose request options hold the TOTP
+ * secret. Codes are generated with WebCrypto, so generation is async; the
+ * background computes them before building rules.
+ */
+
+/** {{totp:ID}}, with optional whitespace inside the braces */
+const TOTP_REF_PATTERN = /\{\{\s*totp:\s*([A-Za-z0-9_-]+)\s*\}\}/g;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export type TotpAlgorithm = 'SHA-1' | 'SHA-256' | 'SHA-512';
+
+export interface TotpParams {
+  key: Uint8Array<ArrayBuffer>;
+  /** Seconds each code is valid for */
+  period: number;
+  digits: number;
+  algorithm: TotpAlgorithm;
+}
+
+export interface TotpRefResult {
+  value: string;
+  /** Referenced sources without a usable TOTP secret, in order of first use */
+  missing: string[];
+}
+
+/**
+ * Parse a TOTP secret: either a base32 secret (30 s period, 6 digits, SHA-1,
+ * as most authenticator apps assume) or an otpauth://totp/ URI that sets its
+ * own parameters. Returns null when the secret can't be used.
+ */
+export function parseTotpSecret(secret: string | null | undefined): TotpParams | null {
+  const text = secret?.trim();
+  if (!text) return null;
+
+  if (!/^otpauth:/i.test(text)) {
+    const key = decodeBase32(text);
+    return key ? { key, period: 30, digits: 6, algorithm: 'SHA-1' } : null;
+  }
+
+  let uri: URL;
+  try {
+    uri = new URL(text);
+  } catch {
+    return null;
+  }
+  if (uri.host.toLowerCase() !== 'totp') return null;
+
+  const key = decodeBase32(uri.searchParams.get('secret') || '');
+  const period = Number(uri.searchParams.get('period') || 30);
+  const digits = Number(uri.searchParams.get('digits') || 6);
+  const algorithm = (uri.searchParams.get('algorithm') || 'SHA1').toUpperCase().replace(/^SHA-?/, 'SHA-') as TotpAlgorithm;
+
+  if (!key || !Number.isInteger(period) || period <= 0 || !Number.isInteger(digits) || digits < 6 || digits > 10) return null;
+  if (!['SHA-1', 'SHA-256', 'SHA-512'].includes(algorithm)) return null;
+  return { key, period, digits, algorithm };
+}
+
+/**
+ * The code for the given time (ms since the epoch).
+ */
+export async function generateTotp(params: TotpParams, now: number): Promise<string> {
+  const counter = Math.floor(now / 1000 / params.period);
+  const message = new Uint8Array(8);
+  const view = new DataView(message.buffer);
+  view.setUint32(0, Math.floor(counter / 0x100000000));
+  view.setUint32(4, counter >>> 0);
+
+  const key = await crypto.subtle.importKey('raw', params.key, { name: 'HMAC', hash: params.algorithm }, false, ['sign']);
+  const mac = new Uint8Array(await crypto.subtle.sign('HMAC', key, message));
+
+  // Dynamic truncation (RFC 4226, section 5.3)
+  const offset = mac[mac.length - 1] & 0x0f;
+  const binary = ((mac[offset] & 0x7f) << 24) | (mac[offset + 1] << 16) | (mac[offset + 2] << 8) | mac[offset + 3];
+  return String(binary % 10 ** params.digits).padStart(params.digits, '0');
+}
+
+/**
+ * When the code for the given time stops being valid (ms since the epoch).
+ */
+export function nextTotpBoundary(params: Pick<TotpParams, 'period'>, now: number): number {
+  const periodMs = params.period * 1000;
+  return (Math.floor(now / periodMs) + 1) * periodMs;
+}
+
+/**
+ * IDs of the sources a template takes TOTP codes from, each once, in order of first use.
+ */
+export function findTotpRefs(template: string): string[] {
+  const ids = new Set<string>();
+  for (const match of template.matchAll(TOTP_REF_PATTERN)) {
+    ids.add(match[1]);
+  }
+  return [...ids];
+}
+
+/**
+ * Substitutes every {{totp:ID}} with the source's current code. `getCode`
+ * returns undefined when there is no code for the source. Unresolved
+ * references are left in place and listed in `missing`.
+ */
+export function resolveTotpRefs(template: string, getCode: (id: string) => string | undefined): TotpRefResult {
+  const missing: string[] = [];
+
+  const value = template.replace(TOTP_REF_PATTERN, (match, id: string) => {
+    const code = getCode(id);
+    if (code === undefined) {
+      if (!missing.includes(id)) missing.push(id);
+      return match;
+    }
+    return code;
+  });
+
+  return { value, missing };
+}
+
+/** RFC 4648 base32, case-insensitive, ignoring spaces, dashes and padding */
+function decodeBase32(text: string): Uint8Array<ArrayBuffer> | null {
+  const clean = text.replace(/[\s-]/g, '').replace(/=+$/, '').toUpperCase();
+  if (!clean) return null;
+
+  const bytes: number[] = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) return null;
+    buffer = ((buffer << 5) | index) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >>> bits) & 0xff);
+    }
+  }
+  return bytes.length > 0 ? new Uint8Array(bytes) : null;
+}
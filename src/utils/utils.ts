@@ -14,3 +14,14 @@ export const normalizeHeaderName = (headerName: string): string => {
     .map(part => part.charAt(0).toUpperCase() + part.slice(1).toLowerCase())
     .join('-');
 };
+
+/**
+ * Looks up a header in a name → value map, ignoring the case of the name
+ */
+export const findHeaderValue = (headers: Record<string, string> | null | undefined, name: string): string | undefined => {
+  if (!headers) return undefined;
+
+  const wanted = name.trim().toLowerCase();
+  const key = Object.keys(headers).find(k => k.toLowerCase() === wanted);
+  return key === undefined ? undefined : headers[key];
+};
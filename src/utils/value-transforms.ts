@@ -0,0 +1,208 @@
+/**
+ * Per-rule transforms applied, in order, to a dynamic source's content before
+ * the prefix and suffix are added — e.g. pull one field out of a JSON
+ * response, or one claim out of a JWT. Shared by the background (rule
+ * building) and the popup (showing the injected value).
+ *
+ * Everything here is synchronous, since rules are built synchronously; that
+ * is why SHA-256 is computed in JS rather than with crypto.subtle.
+ */
+
+import type { ValueTransform } from '../types/header';
+
+export type TransformResult =
+  | { ok: true; value: string }
+  | { ok: false; error: string };
+
+const TRANSFORM_LABELS: Record<ValueTransform['type'], string> = {
+  jsonPath: 'JSONPath',
+  regex: 'Regex',
+  base64Encode: 'Base64 encode',
+  base64Decode: 'Base64 decode',
+  urlEncode: 'URL-encode',
+  trim: 'Trim',
+  jwtClaim: 'JWT claim',
+  hash: 'Hash',
+};
+
+/**
+ * Short label for a transform, e.g. for error messages and the popup.
+ */
+export function describeTransform(transform: ValueTransform): string {
+  return TRANSFORM_LABELS[transform.type] || transform.type;
+}
+
+/**
+ * Run the transforms in order. The first failure stops the pipeline; its
+ * error names the step, so it can be shown as is.
+ */
+export function applyTransforms(value: string, transforms: readonly ValueTransform[] | undefined): TransformResult {
+  let current = value;
+  for (const [index, transform] of (transforms || []).entries()) {
+    try {
+      current = applyTransform(current, transform);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      return { ok: false, error: `Step ${index + 1} (${describeTransform(transform)}): ${message}` };
+    }
+  }
+  return { ok: true, value: current };
+}
+
+function applyTransform(value: string, transform: ValueTransform): string {
+  switch (transform.type) {
+    case 'jsonPath':
+      return stringifyResult(getPath(parseJson(value, 'content is not valid JSON'), transform.path), transform.path);
+    case 'regex': {
+      let pattern: RegExp;
+      try {
+        pattern = new RegExp(transform.pattern, transform.flags);
+      } catch {
+        throw new Error(`invalid pattern ${transform.pattern}`);
+      }
+      const match = pattern.exec(value);
+      if (!match) throw new Error(`${transform.pattern} did not match`);
+      // The first capture group by default, the whole match when there is none
+      const group = transform.group ?? (match.length > 1 ? 1 : 0);
+      if (match[group] === undefined) throw new Error(`group ${group} did not capture anything`);
+      return match[group];
+    }
+    case 'base64Encode':
+      return bytesToBase64(new TextEncoder().encode(value));
+    case 'base64Decode':
+      return decodeBase64(value);
+    case 'urlEncode':
+      return encodeURIComponent(value);
+    case 'trim':
+      return value.trim();
+    case 'jwtClaim': {
+      const parts = value.trim().split('.');
+      if (parts.length !== 3) throw new Error('content is not a JWT');
+      const payload = parseJson(decodeBase64(parts[1]), 'JWT payload is not valid JSON');
+      return stringifyResult(getPath(payload, transform.claim), transform.claim);
+    }
+    case 'hash':
+      if (transform.algorithm !== 'sha256') throw new Error(`unsupported algorithm ${transform.algorithm}`);
+      return sha256Hex(new TextEncoder().encode(value));
+    default:
+      throw new Error(`unknown transform ${(transform as { type: string }).type}`);
+  }
+}
+
+// ── JSON ─────────────────────────────────────────────────────────────
+
+function parseJson(text: string, message: string): unknown {
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error(message);
+  }
+}
+
+/** .name, ['name'] or [index] */
+const PATH_SEGMENT = /\.([^.[\]]+)|\[(\d+)\]|\[(['"])(.*?)\3\]/y;
+
+/**
+ * Evaluate a simple JSONPath: `$.data.items[0].token`, `$['key.with.dots']`.
+ * The leading `$` is optional, so a plain `data.token` works too.
+ */
+function getPath(root: unknown, path: string): unknown {
+  const normalized = path.trim().replace(/^\$/, '');
+  const expression = normalized && !/^[.[]/.test(normalized) ? `.${normalized}` : normalized;
+
+  let current = root;
+  PATH_SEGMENT.lastIndex = 0;
+  while (PATH_SEGMENT.lastIndex < expression.length) {
+    const start = PATH_SEGMENT.lastIndex;
+    const match = PATH_SEGMENT.exec(expression);
+    if (!match) throw new Error(`invalid path ${path} at "${expression.slice(start)}"`);
+
+    const key = match[1] ?? match[2] ?? match[4];
+    if (current === null || typeof current !== 'object' || !Object.prototype.hasOwnProperty.call(current, key)) {
+      throw new Error(`${path} not found`);
+    }
+    current = (current as Record<string, unknown>)[key];
+  }
+  return current;
+}
+
+function stringifyResult(result: unknown, path: string): string {
+  if (result === null || result === undefined) throw new Error(`${path} is empty`);
+  return typeof result === 'object' ? JSON.stringify(result) : String(result);
+}
+
+// ── Base64 ───────────────────────────────────────────────────────────
+
+function bytesToBase64(bytes: Uint8Array): string {
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
+
+/** Accepts standard and URL-safe base64, with or without padding; the result must be UTF-8 */
+export function decodeBase64(text: string): string {
+  const standard = text.trim().replace(/-/g, '+').replace(/_/g, '/');
+  const padded = standard + '='.repeat((4 - (standard.length % 4)) % 4);
+  let binary: string;
+  try {
+    binary = atob(padded);
+  } catch {
+    throw new Error('content is not valid base64');
+  }
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch {
+    throw new Error('decoded content is not UTF-8 text');
+  }
+}
+
+// ── SHA-256 ──────────────────────────────────────────────────────────
+
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+function sha256Hex(message: Uint8Array): string {
+  // Pad to a multiple of 64 bytes: 0x80, zeros, then the bit length as 64-bit big-endian
+  const paddedLength = Math.ceil((message.length + 9) / 64) * 64;
+  const data = new Uint8Array(paddedLength);
+  data.set(message);
+  data[message.length] = 0x80;
+  const view = new DataView(data.buffer);
+  view.setUint32(paddedLength - 8, Math.floor(message.length / 0x20000000));
+  view.setUint32(paddedLength - 4, (message.length << 3) >>> 0);
+
+  const hash = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+  const w = new Uint32Array(64);
+  const rotr = (x: number, n: number) => (x >>> n) | (x << (32 - n));
+
+  for (let offset = 0; offset < paddedLength; offset += 64) {
+    for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+    }
+
+    let [a, b, c, d, e, f, g, h] = hash;
+    for (let i = 0; i < 64; i++) {
+      const t1 = h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i];
+      const t2 = (rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c));
+      h = g; g = f; f = e; e = (d + t1) >>> 0;
+      d = c; c = b; b = a; a = (t1 + t2) >>> 0;
+    }
+
+    hash[0] += a; hash[1] += b; hash[2] += c; hash[3] += d;
+    hash[4] += e; hash[5] += f; hash[6] += g; hash[7] += h;
+  }
+
+  return Array.from(hash, word => word.toString(16).padStart(8, '0')).join('');
+}
@@ -68,6 +68,8 @@ const alarmsMock = {
 const declarativeNetRequestMock = {
     updateDynamicRules: vi.fn(() => Promise.resolve()),
     getDynamicRules: vi.fn(() => Promise.resolve([])),
+    updateSessionRules: vi.fn(() => Promise.resolve()),
+    getSessionRules: vi.fn(() => Promise.resolve([])),
 };
 
 const webRequestMock = {
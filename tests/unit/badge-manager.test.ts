@@ -110,6 +110,27 @@ describe('updateExtensionBadge', () => {
             });
         });
 
+        it('shows expired badge, in red with the rule count, when an active rule sends an expired token', async () => {
+            const action = getActionMock();
+            await updateExtensionBadge(true, makeActiveRules(4), false, null, 0, 1);
+
+            expect(action.setBadgeText).toHaveBeenCalledWith({ text: '4' }, expect.any(Function));
+            expect(action.setBadgeBackgroundColor).toHaveBeenCalledWith(
+                { color: '#ff4d4f' },
+                expect.any(Function)
+            );
+            expect(action.setTitle).toHaveBeenCalledWith({
+                title: 'Open Headers - Expired credentials\n1 rule sends an expired token on this site',
+            });
+        });
+
+        it('shows paused badge over expired credentials', async () => {
+            const action = getActionMock();
+            await updateExtensionBadge(true, makeActiveRules(4), true, null, 0, 2);
+
+            expect(action.setBadgeText).toHaveBeenCalledWith({ text: '\u2212' }, expect.any(Function));
+        });
+
         it('clears badge when connected, not paused, no rules', async () => {
             const action = getActionMock();
             await updateExtensionBadge(true, [], false, null, 0);
@@ -257,6 +278,89 @@ describe('updateExtensionBadge', () => {
             await updateExtensionBadge(true, makeActiveRules(10), false, null, 0);
             expect(action.setBadgeText).toHaveBeenCalledTimes(2);
         });
+
+        it('updates badge when a token expires with the same rules', async () => {
+            const action = getActionMock();
+
+            await updateExtensionBadge(true, makeActiveRules(5), false, null, 0, 0);
+            await updateExtensionBadge(true, makeActiveRules(5), false, null, 0, 1);
+
+            expect(action.setBadgeText).toHaveBeenCalledTimes(2);
+            expect(action.setBadgeBackgroundColor).toHaveBeenLastCalledWith({ color: '#ff4d4f' }, expect.any(Function));
+        });
+
+        it('updates the tooltip when the profile is switched with the same rules', async () => {
+            const action = getActionMock();
+
+            await updateExtensionBadge(true, makeActiveRules(5), false, null, 0, 0, 'Staging');
+            await updateExtensionBadge(true, makeActiveRules(5), false, null, 0, 0, 'Local backend');
+
+            expect(action.setTitle).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    // ── Site pause ──
+
+    describe('site pause', () => {
+        it('shows an orange dash and the paused domain', async () => {
+            const action = getActionMock();
+            await updateExtensionBadge(true, [], false, null, 0, 0, null, { domain: 'app.example.com', tab: false });
+
+            expect(action.setBadgeText).toHaveBeenCalledWith({ text: '\u2212' }, expect.any(Function));
+            expect(action.setBadgeBackgroundColor).toHaveBeenCalledWith({ color: '#fa8c16' }, expect.any(Function));
+            expect(action.setTitle).toHaveBeenCalledWith({
+                title: 'Open Headers - Paused on this site\nRules are paused on app.example.com, active elsewhere',
+            });
+        });
+
+        it('names the tab when only the tab is paused', async () => {
+            const action = getActionMock();
+            await updateExtensionBadge(true, [], false, null, 0, 0, 'Staging', { domain: null, tab: true });
+
+            expect(action.setTitle).toHaveBeenCalledWith({
+                title: 'Open Headers - Paused on this site\nRules are paused in this tab, active elsewhere\nProfile: Staging',
+            });
+        });
+
+        it('ranks below the global pause and above expired credentials', async () => {
+            const action = getActionMock();
+            const sitePause = { domain: 'app.example.com', tab: false };
+
+            await updateExtensionBadge(true, makeActiveRules(2), true, null, 0, 1, null, sitePause);
+            expect(action.setBadgeBackgroundColor).toHaveBeenLastCalledWith({ color: '#8c8c8c' }, expect.any(Function));
+
+            await updateExtensionBadge(true, makeActiveRules(2), false, null, 0, 1, null, sitePause);
+            expect(action.setBadgeBackgroundColor).toHaveBeenLastCalledWith({ color: '#fa8c16' }, expect.any(Function));
+        });
+    });
+
+    // ── Active profile ──
+
+    describe('active profile', () => {
+        it('names the profile in the active tooltip', async () => {
+            const action = getActionMock();
+            await updateExtensionBadge(true, makeActiveRules(2), false, null, 0, 0, 'Staging');
+
+            expect(action.setTitle).toHaveBeenCalledWith({
+                title: 'Open Headers - Active\n2 rules active for this site\nProfile: Staging',
+            });
+        });
+
+        it('names the profile when no rules are active', async () => {
+            const action = getActionMock();
+            await updateExtensionBadge(true, [], false, null, 0, 0, 'Prod read-only');
+
+            expect(action.setTitle).toHaveBeenCalledWith({ title: 'Open Headers\nProfile: Prod read-only' });
+        });
+
+        it('names the profile while paused', async () => {
+            const action = getActionMock();
+            await updateExtensionBadge(true, makeActiveRules(2), true, null, 0, 0, 'Staging');
+
+            expect(action.setTitle).toHaveBeenCalledWith({
+                title: 'Open Headers - Paused\nRules execution is paused\nProfile: Staging',
+            });
+        });
     });
 
     // ── resetBadgeState ──
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { toCookieSelector, cookieSelectorKey, describeCookieSelector } from '../../src/utils/cookie-selector';
+
+describe('toCookieSelector', () => {
+    it('defaults the path to / and leaves out the partition', () => {
+        expect(toCookieSelector({ cookieName: 'session', cookieDomain: 'app.example.com' }))
+            .toEqual({ name: 'session', domain: 'app.example.com', path: '/' });
+    });
+
+    it('accepts the domain as a URL or with a leading dot', () => {
+        expect(toCookieSelector({ cookieName: 'session', cookieDomain: 'https://App.Example.com/login' })?.domain).toBe('app.example.com');
+        expect(toCookieSelector({ cookieName: 'session', cookieDomain: '.example.com' })?.domain).toBe('example.com');
+        expect(toCookieSelector({ cookieName: 'session', cookieDomain: 'localhost:8080' })?.domain).toBe('localhost:8080');
+    });
+
+    it('normalizes the path and the top-level site', () => {
+        expect(toCookieSelector({ cookieName: 'session', cookieDomain: 'example.com', cookiePath: 'api', cookieTopLevelSite: 'https://example.com/' }))
+            .toEqual({ name: 'session', domain: 'example.com', path: '/api', topLevelSite: 'https://example.com' });
+    });
+
+    it('returns null without a name or a usable domain', () => {
+        expect(toCookieSelector({ cookieName: '', cookieDomain: 'example.com' })).toBeNull();
+        expect(toCookieSelector({ cookieName: 'session' })).toBeNull();
+        expect(toCookieSelector({ cookieName: 'session', cookieDomain: '*.example.com' })).toBeNull();
+    });
+});
+
+describe('cookieSelectorKey', () => {
+    it('tells partitioned and unpartitioned selectors apart', () => {
+        const plain = { name: 'session', domain: 'example.com', path: '/' };
+        expect(cookieSelectorKey(plain)).toBe(cookieSelectorKey({ ...plain }));
+        expect(cookieSelectorKey(plain)).not.toBe(cookieSelectorKey({ ...plain, topLevelSite: 'https://example.com' }));
+    });
+});
+
+describe('describeCookieSelector', () => {
+    it('names the cookie, where it is read and its partition', () => {
+        expect(describeCookieSelector({ name: 'session', domain: 'example.com', path: '/' })).toBe('cookie "session" on example.com');
+        expect(describeCookieSelector({ name: 'sid', domain: 'example.com', path: '/api', topLevelSite: 'https://shop.com' }))
+            .toBe('cookie "sid" on example.com/api (partitioned for https://shop.com)');
+    });
+});
@@ -0,0 +1,160 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import type { HeaderEntry } from '../../src/types/header';
+
+// ── Mocks ────────────────────────────────────────────────────────────
+
+let browserCookies: chrome.cookies.Cookie[] = [];
+let changeListeners: ((changeInfo: chrome.cookies.CookieChangeInfo) => void)[] = [];
+
+vi.mock('../../src/utils/browser-api', () => ({
+    cookies: {
+        getAll: vi.fn((details: chrome.cookies.GetAllDetails, cb: (found: chrome.cookies.Cookie[]) => void) => {
+            cb(browserCookies.filter(cookie => cookie.name === details.name));
+        }),
+        onChanged: {
+            addListener: vi.fn((listener: (changeInfo: chrome.cookies.CookieChangeInfo) => void) => { changeListeners.push(listener); }),
+            removeListener: vi.fn((listener: (changeInfo: chrome.cookies.CookieChangeInfo) => void) => {
+                changeListeners = changeListeners.filter(l => l !== listener);
+            }),
+        },
+    },
+}));
+
+vi.mock('../../src/utils/logger', () => ({
+    logger: {
+        info: vi.fn(),
+        debug: vi.fn(),
+        warn: vi.fn(),
+        error: vi.fn(),
+    },
+}));
+
+import { syncCookieValues, getCookieValue, getCookieValues, watchCookieChanges } from '../../src/background/modules/cookie-values';
+import { logger } from '../../src/utils/logger';
+
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+function makeCookie(overrides: Partial<chrome.cookies.Cookie> = {}): chrome.cookies.Cookie {
+    return {
+        name: 'session', value: 'token-1', domain: 'app.example.com', path: '/',
+        hostOnly: true, secure: true, httpOnly: true, session: true, sameSite: 'lax', storeId: '0',
+        ...overrides,
+    };
+}
+
+function makeEntry(overrides: Partial<HeaderEntry> = {}): HeaderEntry {
+    return { headerName: 'Authorization', headerValue: '', domains: [], isDynamic: false, cookieName: 'session', cookieDomain: 'app.example.com', ...overrides };
+}
+
+function fireChange(cookie: chrome.cookies.Cookie, removed = false): void {
+    changeListeners.forEach(listener => listener({ cookie, removed, cause: 'explicit' }));
+}
+
+const SESSION = { name: 'session', domain: 'app.example.com', path: '/' };
+
+// ── Tests ────────────────────────────────────────────────────────────
+
+describe('cookie-values', () => {
+    beforeEach(async () => {
+        vi.clearAllMocks();
+        browserCookies = [];
+        changeListeners = [];
+        await syncCookieValues([]);
+    });
+
+    describe('syncCookieValues', () => {
+        it('reads the cookies of the given entries once per selector', async () => {
+            browserCookies = [makeCookie()];
+
+            await syncCookieValues([makeEntry(), makeEntry({ headerName: 'X-Session' }), makeEntry({ cookieName: undefined })]);
+
+            expect(getCookieValue(SESSION)).toBe('token-1');
+            expect(getCookieValues()).toEqual([{ ...SESSION, value: 'token-1' }]);
+        });
+
+        it('prefers the more specific domain when paths are equal', async () => {
+            browserCookies = [
+                makeCookie({ value: 'parent', domain: '.example.com', hostOnly: false }),
+                makeCookie({ value: 'host' }),
+            ];
+
+            await syncCookieValues([makeEntry()]);
+
+            expect(getCookieValue(SESSION)).toBe('host');
+        });
+
+        it('reports a missing cookie as null', async () => {
+            await syncCookieValues([makeEntry()]);
+
+            expect(getCookieValues()).toEqual([{ ...SESSION, value: null }]);
+        });
+
+        it('never logs cookie values', async () => {
+            browserCookies = [makeCookie({ value: 'very-secret' })];
+            await syncCookieValues([makeEntry()]);
+            const onChange = vi.fn();
+            watchCookieChanges(onChange);
+
+            browserCookies = [makeCookie({ value: 'even-more-secret' })];
+            fireChange(browserCookies[0]);
+            await flushPromises();
+
+            expect(onChange).toHaveBeenCalled();
+            const logged = JSON.stringify(Object.values(logger).flatMap(fn => (fn as ReturnType<typeof vi.fn>).mock.calls));
+            expect(logged).not.toContain('secret');
+        });
+    });
+
+    describe('watchCookieChanges', () => {
+        it('calls back when a watched cookie changes value', async () => {
+            browserCookies = [makeCookie()];
+            await syncCookieValues([makeEntry()]);
+            const onChange = vi.fn();
+            watchCookieChanges(onChange);
+
+            browserCookies = [makeCookie({ value: 'token-2' })];
+            fireChange(browserCookies[0]);
+            await flushPromises();
+
+            expect(onChange).toHaveBeenCalledTimes(1);
+            expect(getCookieValue(SESSION)).toBe('token-2');
+        });
+
+        it('calls back when a watched cookie is removed', async () => {
+            browserCookies = [makeCookie()];
+            await syncCookieValues([makeEntry()]);
+            const onChange = vi.fn();
+            watchCookieChanges(onChange);
+
+            const removed = browserCookies[0];
+            browserCookies = [];
+            fireChange(removed, true);
+            await flushPromises();
+
+            expect(onChange).toHaveBeenCalledTimes(1);
+            expect(getCookieValue(SESSION)).toBeNull();
+        });
+
+        it('ignores writes that keep the value, and unwatched cookies', async () => {
+            browserCookies = [makeCookie()];
+            await syncCookieValues([makeEntry()]);
+            const onChange = vi.fn();
+            watchCookieChanges(onChange);
+
+            fireChange(makeCookie());
+            fireChange(makeCookie({ name: 'other', value: 'x' }));
+            fireChange(makeCookie({ domain: 'other.com', value: 'x' }));
+            await flushPromises();
+
+            expect(onChange).not.toHaveBeenCalled();
+        });
+
+        it('replaces the listener when called again', async () => {
+            const first = vi.fn();
+            watchCookieChanges(first);
+            watchCookieChanges(vi.fn());
+
+            expect(changeListeners).toHaveLength(1);
+        });
+    });
+});
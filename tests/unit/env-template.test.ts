@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { resolveTemplate } from '../../src/utils/env-template';
+
+describe('resolveTemplate', () => {
+    it('substitutes defined variables', () => {
+        expect(resolveTemplate('Bearer {{API_TOKEN}}', { API_TOKEN: 'abc123' })).toEqual({ value: 'Bearer abc123', missing: [] });
+    });
+
+    it('allows whitespace inside the braces', () => {
+        expect(resolveTemplate('{{ HOST }}:{{PORT }}', { HOST: 'localhost', PORT: '8080' }).value).toBe('localhost:8080');
+    });
+
+    it('accepts dots and dashes in names after the first character', () => {
+        expect(resolveTemplate('{{api.key-v2}}', { 'api.key-v2': 'k' }).value).toBe('k');
+    });
+
+    it('leaves undefined variables in place and lists them once, in order of use', () => {
+        const result = resolveTemplate('{{B}} {{A}} {{B}} {{C}}', { C: 'c' });
+        expect(result.value).toBe('{{B}} {{A}} {{B}} c');
+        expect(result.missing).toEqual(['B', 'A']);
+    });
+
+    it('treats a variable defined as an empty string as resolved', () => {
+        expect(resolveTemplate('x{{EMPTY}}y', { EMPTY: '' })).toEqual({ value: 'xy', missing: [] });
+    });
+
+    it('does not look up inherited object properties', () => {
+        expect(resolveTemplate('{{toString}}', {}).missing).toEqual(['toString']);
+    });
+
+    it('ignores text that is not a valid template', () => {
+        const template = '{{}} {{1ABC}} {single} {{ spaced name }}';
+        expect(resolveTemplate(template, {})).toEqual({ value: template, missing: [] });
+    });
+
+    it('returns values without templates unchanged', () => {
+        expect(resolveTemplate('plain-value', { A: 'a' })).toEqual({ value: 'plain-value', missing: [] });
+    });
+});
@@ -0,0 +1,100 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// ── Mocks ────────────────────────────────────────────────────────────
+
+let stored: Record<string, unknown> = {};
+
+vi.mock('../../src/utils/browser-api', () => ({
+    storage: {
+        local: {
+            get: vi.fn((_keys: string[], cb: (result: Record<string, unknown>) => void) => cb({ ...stored })),
+            set: vi.fn((items: Record<string, unknown>, cb?: () => void) => {
+                stored = { ...stored, ...items };
+                cb?.();
+            }),
+        },
+    },
+}));
+
+vi.mock('../../src/utils/logger', () => ({
+    logger: {
+        info: vi.fn(),
+        debug: vi.fn(),
+        warn: vi.fn(),
+        error: vi.fn(),
+    },
+}));
+
+import {
+    getEnvironmentNames, getActiveEnvironment, getActiveVariables,
+    setEnvironmentsFromApp, setActiveEnvironment, hydrateEnvironmentsFromStorage
+} from '../../src/background/modules/environment-store';
+
+const ENVIRONMENTS = {
+    Development: { API_TOKEN: 'dev-token' },
+    Production: { API_TOKEN: 'prod-token' },
+};
+
+// ── Tests ────────────────────────────────────────────────────────────
+
+describe('environment-store', () => {
+    beforeEach(() => {
+        setEnvironmentsFromApp({ environments: {} });
+        stored = {};
+    });
+
+    it('has no active environment or variables when the app sent none', () => {
+        expect(getEnvironmentNames()).toEqual([]);
+        expect(getActiveEnvironment()).toBeNull();
+        expect(getActiveVariables()).toEqual({});
+    });
+
+    it('uses the active environment sent by the app', () => {
+        setEnvironmentsFromApp({ environments: ENVIRONMENTS, activeEnvironment: 'Production' });
+
+        expect(getEnvironmentNames()).toEqual(['Development', 'Production']);
+        expect(getActiveEnvironment()).toBe('Production');
+        expect(getActiveVariables()).toEqual({ API_TOKEN: 'prod-token' });
+    });
+
+    it('falls back to the first environment when the active one is unknown', () => {
+        setEnvironmentsFromApp({ environments: ENVIRONMENTS, activeEnvironment: 'Staging' });
+        expect(getActiveEnvironment()).toBe('Development');
+    });
+
+    it('keeps the current environment when an update names none', () => {
+        setEnvironmentsFromApp({ environments: ENVIRONMENTS, activeEnvironment: 'Production' });
+        setEnvironmentsFromApp({ environments: { ...ENVIRONMENTS, Staging: {} } });
+        expect(getActiveEnvironment()).toBe('Production');
+    });
+
+    it('switches to a known environment and persists the choice', () => {
+        setEnvironmentsFromApp({ environments: ENVIRONMENTS, activeEnvironment: 'Development' });
+
+        expect(setActiveEnvironment('Production')).toBe(true);
+        expect(getActiveVariables()).toEqual({ API_TOKEN: 'prod-token' });
+        expect(stored.activeEnvironment).toBe('Production');
+    });
+
+    it('refuses to switch to an unknown environment', () => {
+        setEnvironmentsFromApp({ environments: ENVIRONMENTS, activeEnvironment: 'Development' });
+
+        expect(setActiveEnvironment('Staging')).toBe(false);
+        expect(getActiveEnvironment()).toBe('Development');
+    });
+
+    it('hydrates environments and the active one from storage', async () => {
+        stored = { environments: ENVIRONMENTS, activeEnvironment: 'Production' };
+
+        await expect(hydrateEnvironmentsFromStorage()).resolves.toBe('Production');
+        expect(getActiveVariables()).toEqual({ API_TOKEN: 'prod-token' });
+    });
+
+    it('keeps the in-memory state when storage has no environments', async () => {
+        setEnvironmentsFromApp({ environments: ENVIRONMENTS, activeEnvironment: 'Production' });
+        stored = {};
+
+        await hydrateEnvironmentsFromStorage();
+        expect(getActiveEnvironment()).toBe('Production');
+    });
+});
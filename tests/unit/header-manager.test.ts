@@ -1,10 +1,14 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import type { Source } from '../../src/types/websocket';
 import type { SavedDataMap } from '../../src/types/header';
+import type { UrlRuleFromApp } from '../../src/types/websocket';
 
 // ── Mocks ────────────────────────────────────────────────────────────
 
 let mockSavedData: SavedDataMap = {};
+let mockUrlRules: UrlRuleFromApp[] = [];
+let mockInstalledRules: chrome.declarativeNetRequest.Rule[] = [];
+let mockCookies: chrome.cookies.Cookie[] = [];
 
 vi.mock('../../src/utils/storage-chunking', () => ({
     getChunkedData: vi.fn((_key: string, cb: (data: SavedDataMap | null) => void) => {
@@ -17,8 +21,29 @@ vi.mock('../../src/utils/browser-api', () => ({
     declarativeNetRequest: {
         getDynamicRules: vi.fn(() => Promise.resolve([])),
         updateDynamicRules: vi.fn(() => Promise.resolve()),
+        isRegexSupported: vi.fn(() => Promise.resolve({ isSupported: true })),
+        getRuleLimits: vi.fn(() => ({ maxRules: 5000, maxRegexRules: 1000 })),
     },
-    storage: { sync: { get: vi.fn((_k: string[], cb: (r: Record<string, unknown>) => void) => cb({})) } },
+    storage: {
+        sync: { get: vi.fn((_k: string[], cb: (r: Record<string, unknown>) => void) => cb({})) },
+        local: {
+            get: vi.fn((_k: string[], cb: (r: Record<string, unknown>) => void) => cb({})),
+            set: vi.fn((_items: Record<string, unknown>, cb?: () => void) => cb?.()),
+        },
+    },
+    alarms: {
+        create: vi.fn(),
+        clear: vi.fn(),
+    },
+    cookies: {
+        getAll: vi.fn((details: chrome.cookies.GetAllDetails, cb: (found: chrome.cookies.Cookie[]) => void) => {
+            cb(mockCookies.filter(cookie => cookie.name === details.name));
+        }),
+    },
+}));
+
+vi.mock('../../src/background/modules/url-rules-store', () => ({
+    getCurrentUrlRules: vi.fn(() => mockUrlRules),
 }));
 
 vi.mock('../../src/utils/messaging', () => ({
@@ -34,11 +59,19 @@ vi.mock('../../src/utils/logger', () => ({
     },
 }));
 
-import { updateNetworkRules, setRulesPaused, formatUrlPattern } from '../../src/background/header-manager';
-import { declarativeNetRequest } from '../../src/utils/browser-api';
+import { updateNetworkRules, setRulesPaused, setDefaultCacheBusting, formatUrlPattern, getRuleIssues, getResolvedValues, getRuleBudget, verifyNetworkRules } from '../../src/background/header-manager';
+import { hydrateQuarantineFromStorage, getQuarantineRecord } from '../../src/background/modules/quarantine-store';
+import { setEnvironmentsFromApp, setActiveEnvironment } from '../../src/background/modules/environment-store';
+import { getTokenExpiries } from '../../src/background/modules/token-expiry';
+import { setDomainPaused, getPausedDomains } from '../../src/background/modules/site-pause';
+import { declarativeNetRequest, storage } from '../../src/utils/browser-api';
+import { sendMessageWithCallback } from '../../src/utils/messaging';
 
 const mockGetDynamicRules = declarativeNetRequest!.getDynamicRules as ReturnType<typeof vi.fn>;
 const mockUpdateDynamicRules = declarativeNetRequest!.updateDynamicRules as ReturnType<typeof vi.fn>;
+const mockIsRegexSupported = declarativeNetRequest!.isRegexSupported as ReturnType<typeof vi.fn>;
+const mockGetRuleLimits = declarativeNetRequest!.getRuleLimits as ReturnType<typeof vi.fn>;
+const mockLocalSet = storage.local.set as unknown as ReturnType<typeof vi.fn>;
 
 /** Flush the getDynamicRules().then(...) promise chain */
 const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
@@ -73,12 +106,24 @@ function getRulesFromLastCall(): unknown[] {
 // ── Tests ────────────────────────────────────────────────────────────
 
 describe('header-manager', () => {
-    beforeEach(() => {
+    beforeEach(async () => {
         vi.clearAllMocks();
+        await hydrateQuarantineFromStorage();
+        setEnvironmentsFromApp({ environments: {} });
         mockSavedData = {};
+        mockUrlRules = [];
+        mockCookies = [];
         setRulesPaused(false);
-        mockGetDynamicRules.mockResolvedValue([]);
-        mockUpdateDynamicRules.mockResolvedValue(undefined);
+        setDefaultCacheBusting('all');
+        // Behaves like the browser: reads return what earlier updates installed
+        mockInstalledRules = [];
+        mockGetDynamicRules.mockImplementation(() => Promise.resolve(mockInstalledRules));
+        mockUpdateDynamicRules.mockImplementation(({ removeRuleIds = [], addRules = [] }: chrome.declarativeNetRequest.UpdateRuleOptions) => {
+            mockInstalledRules = [...mockInstalledRules.filter(rule => !removeRuleIds.includes(rule.id)), ...addRules];
+            return Promise.resolve();
+        });
+        mockIsRegexSupported.mockResolvedValue({ isSupported: true });
+        mockGetRuleLimits.mockReturnValue({ maxRules: 5000, maxRegexRules: 1000 });
     });
 
     // ── Dynamic headers with cached sources (no connection gate) ──
@@ -109,10 +154,10 @@ describe('header-manager', () => {
             updateNetworkRules([]);
             await flushPromises();
 
-            expect(mockUpdateDynamicRules).toHaveBeenCalledTimes(1);
-            // No matching source → source_not_found, no rules produced
-            const rules = getRulesFromLastCall();
-            expect(rules).toHaveLength(0);
+            // No matching source → source_not_found, no rules produced —
+            // and with nothing installed there is nothing to update
+            expect(mockGetDynamicRules).toHaveBeenCalledTimes(1);
+            expect(mockUpdateDynamicRules).not.toHaveBeenCalled();
         });
 
         it('produces source_not_found when source is missing', () => {
@@ -224,121 +269,1780 @@ describe('header-manager', () => {
         });
     });
 
-    // ── Disabled rules ──
+    // ── Resolved values for the popup ──
 
-    describe('disabled rules', () => {
-        it('skips disabled rules entirely', () => {
+    describe('getResolvedValues', () => {
+        it('records the injected value or the placeholder of each enabled entry', async () => {
+            mockSavedData = {
+                'rule-1': makeSavedEntry({ sourceId: 'src-1', prefix: 'Bearer ' }),
+                'rule-2': makeSavedEntry({ sourceId: 'src-missing' }),
+                'rule-3': makeSavedEntry({ sourceId: 'src-1', isEnabled: false }),
+            };
+
+            updateNetworkRules([makeSource({ sourceId: 'src-1', sourceContent: 'token-abc-123' })]);
+            await flushPromises();
+
+            expect(getResolvedValues()).toEqual({
+                'rule-1': { value: 'Bearer token-abc-123' },
+                'rule-2': { value: '', placeholder: expect.objectContaining({ reason: 'source_not_found', sourceId: 'src-missing' }) },
+            });
+        });
+
+        it('forgets the values while rules are paused', async () => {
+            mockSavedData = { 'rule-1': makeSavedEntry({ isDynamic: false, sourceId: undefined, headerValue: 'on' }) };
+            updateNetworkRules([]);
+            await flushPromises();
+
+            setRulesPaused(true);
+            updateNetworkRules([]);
+            await flushPromises();
+
+            expect(getResolvedValues()).toEqual({});
+        });
+    });
+
+    // ── Environment templates ──
+
+    describe('environment templates', () => {
+        beforeEach(() => {
+            setEnvironmentsFromApp({
+                environments: {
+                    Development: { API_TOKEN: 'dev-token', TENANT: 'acme' },
+                    Production: { API_TOKEN: 'prod-token' },
+                },
+                activeEnvironment: 'Development',
+            });
+        });
+
+        function getInjectedValues(): string[] {
+            return (getRulesFromLastCall() as { action: { requestHeaders: { value: string }[] } }[])
+                .map(rule => rule.action.requestHeaders[0].value);
+        }
+
+        it('substitutes variables of the active environment in static values', async () => {
+            mockSavedData = {
+                'rule-1': makeSavedEntry({ isDynamic: false, sourceId: undefined, headerValue: 'Bearer {{API_TOKEN}}' }),
+            };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            expect(getInjectedValues()).toContain('Bearer dev-token');
+        });
+
+        it('substitutes variables in the prefix and suffix of dynamic values, not in source content', async () => {
+            const source = makeSource({ sourceId: 'src-1', sourceContent: '{{TENANT}}-token' });
+            mockSavedData = {
+                'rule-1': makeSavedEntry({ sourceId: 'src-1', prefix: '{{TENANT}}:', suffix: ';{{ API_TOKEN }}' }),
+            };
+
+            updateNetworkRules([source]);
+            await flushPromises();
+
+            expect(getInjectedValues()).toContain('acme:{{TENANT}}-token;dev-token');
+        });
+
+        it('resolves against the new environment after switching', async () => {
+            mockSavedData = {
+                'rule-1': makeSavedEntry({ isDynamic: false, sourceId: undefined, headerValue: 'Bearer {{API_TOKEN}}' }),
+            };
+
+            setActiveEnvironment('Production');
+            updateNetworkRules([]);
+            await flushPromises();
+
+            expect(getInjectedValues()).toContain('Bearer prod-token');
+        });
+
+        it('leaves out a rule with undefined variables instead of sending the template', async () => {
+            mockSavedData = {
+                'rule-1': makeSavedEntry({ isDynamic: false, sourceId: undefined, headerValue: '{{TENANT}}/{{REGION}}' }),
+            };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            expect(getRulesFromLastCall()).toHaveLength(0);
+        });
+
+        it('leaves out a dynamic rule whose prefix uses an undefined variable', async () => {
+            setActiveEnvironment('Production');
             const source = makeSource({ sourceId: 'src-1', sourceContent: 'token' });
             mockSavedData = {
-                'rule-1': makeSavedEntry({ isEnabled: false }),
+                'rule-1': makeSavedEntry({ sourceId: 'src-1', prefix: '{{TENANT}}:' }),
             };
 
             updateNetworkRules([source]);
+            await flushPromises();
 
-            const rules = getRulesFromLastCall();
-            expect(rules).toHaveLength(0);
+            expect(getRulesFromLastCall()).toHaveLength(0);
         });
-    });
 
-    // ── Paused state ──
+        it('leaves out a rule whose value is empty after substitution', async () => {
+            setEnvironmentsFromApp({ environments: { Empty: { API_TOKEN: '' } }, activeEnvironment: 'Empty' });
+            mockSavedData = {
+                'rule-1': makeSavedEntry({ isDynamic: false, sourceId: undefined, headerValue: ' {{API_TOKEN}} ' }),
+            };
 
-    describe('paused state', () => {
-        it('clears all rules when paused', async () => {
-            setRulesPaused(true);
+            updateNetworkRules([]);
+            await flushPromises();
 
-            updateNetworkRules([makeSource()]);
+            expect(getRulesFromLastCall()).toHaveLength(0);
+        });
+
+        it('still removes headers whose rule has no value to resolve', async () => {
+            mockSavedData = {
+                'rule-1': makeSavedEntry({ isDynamic: false, sourceId: undefined, headerName: 'X-Debug', headerValue: '{{UNDEFINED}}', operation: 'remove' }),
+            };
+
+            updateNetworkRules([]);
             await flushPromises();
 
-            expect(mockUpdateDynamicRules).toHaveBeenCalledWith(
-                expect.objectContaining({ addRules: [] })
-            );
+            expect(getRulesFromLastCall()).toHaveLength(1);
         });
     });
 
-    // ── Response headers ──
+    // ── Response header mode ──
 
-    describe('response headers', () => {
-        it('creates response header rules with higher priority', async () => {
+    describe('values from a source response header', () => {
+        it('uses the named response header instead of the content', async () => {
+            const source = makeSource({ sourceId: 'src-1', sourceContent: '', responseHeaders: { 'x-auth-token': 'tok-from-header', 'content-type': 'text/plain' } });
+            mockSavedData = {
+                'rule-1': makeSavedEntry({ sourceId: 'src-1', prefix: 'Bearer ', sourceHeader: 'X-Auth-Token' }),
+            };
+
+            updateNetworkRules([source]);
+            await flushPromises();
+
+            const rule = getRulesFromLastCall()[0] as { action: { requestHeaders: { value: string }[] } };
+            expect(rule.action.requestHeaders[0].value).toBe('Bearer tok-from-header');
+        });
+
+        it('applies transforms to the header value', async () => {
+            const source = makeSource({ sourceId: 'src-1', responseHeaders: { 'Set-Cookie': 'session=abc123; Path=/; HttpOnly' } });
             mockSavedData = {
                 'rule-1': makeSavedEntry({
-                    isDynamic: false,
-                    sourceId: undefined,
-                    headerName: 'X-Frame-Options',
-                    headerValue: 'DENY',
-                    isResponse: true,
-                    domains: ['example.com'],
+                    sourceId: 'src-1', sourceHeader: 'set-cookie',
+                    transforms: [{ type: 'regex', pattern: 'session=([^;]+)' }],
                 }),
             };
 
-            updateNetworkRules([]);
+            updateNetworkRules([source]);
             await flushPromises();
 
-            const rules = getRulesFromLastCall();
-            expect(rules.length).toBeGreaterThan(0);
-            const rule = rules[0] as { priority: number; action: { responseHeaders: { header: string }[] } };
-            expect(rule.priority).toBe(1000);
-            expect(rule.action.responseHeaders[0].header).toBe('X-Frame-Options');
+            const rule = getRulesFromLastCall()[0] as { action: { requestHeaders: { value: string }[] } };
+            expect(rule.action.requestHeaders[0].value).toBe('abc123');
+        });
+
+        it('leaves out the rule when the source lacks the header, even with content', async () => {
+            const source = makeSource({ sourceId: 'src-1', sourceContent: 'body-token', responseHeaders: { 'content-type': 'text/plain' } });
+            mockSavedData = {
+                'rule-1': makeSavedEntry({ sourceId: 'src-1', sourceHeader: 'X-Auth-Token' }),
+            };
+
+            updateNetworkRules([source]);
+            await flushPromises();
+
+            expect(getRulesFromLastCall()).toHaveLength(0);
+        });
+
+        it('leaves out the rule when the source has no response headers at all', async () => {
+            const source = makeSource({ sourceId: 'src-1', sourceContent: 'body-token', responseHeaders: null });
+            mockSavedData = {
+                'rule-1': makeSavedEntry({ sourceId: 'src-1', sourceHeader: 'X-Auth-Token' }),
+            };
+
+            updateNetworkRules([source]);
+            await flushPromises();
+
+            expect(getRulesFromLastCall()).toHaveLength(0);
         });
     });
 
-    // ── Multiple domains ──
+    // ── Cookie-backed values ──
 
-    describe('multiple domains', () => {
-        it('creates one rule per domain', async () => {
+    describe('values from a browser cookie', () => {
+        function makeCookie(overrides: Partial<chrome.cookies.Cookie> = {}): chrome.cookies.Cookie {
+            return {
+                name: 'session', value: 'cookie-token', domain: 'app.openheaders.io', path: '/',
+                hostOnly: true, secure: true, httpOnly: true, session: true, sameSite: 'lax', storeId: '0',
+                ...overrides,
+            };
+        }
+
+        function getInjectedValue(): string | undefined {
+            const rule = getRulesFromLastCall()[0] as { action: { requestHeaders: { value: string }[] } } | undefined;
+            return rule?.action.requestHeaders[0].value;
+        }
+
+        it('injects the cookie value with prefix and transforms', async () => {
+            mockCookies = [makeCookie({ value: '  tok-123  ' })];
             mockSavedData = {
                 'rule-1': makeSavedEntry({
-                    isDynamic: false,
-                    sourceId: undefined,
-                    headerName: 'X-Test',
-                    headerValue: 'value',
-                    domains: ['example.com', 'other.com', 'third.com'],
+                    isDynamic: false, sourceId: undefined, prefix: 'Bearer ',
+                    cookieName: 'session', cookieDomain: 'app.openheaders.io', transforms: [{ type: 'trim' }],
                 }),
             };
 
             updateNetworkRules([]);
             await flushPromises();
 
-            const rules = getRulesFromLastCall();
-            expect(rules).toHaveLength(3);
+            expect(getInjectedValue()).toBe('Bearer tok-123');
         });
 
-        it('skips empty domain strings', async () => {
+        it('prefers the cookie with the most specific path', async () => {
+            mockCookies = [
+                makeCookie({ value: 'root-token', path: '/' }),
+                makeCookie({ value: 'api-token', path: '/api' }),
+            ];
             mockSavedData = {
-                'rule-1': makeSavedEntry({
-                    isDynamic: false,
-                    sourceId: undefined,
-                    headerName: 'X-Test',
-                    headerValue: 'value',
-                    domains: ['example.com', '', '  '],
-                }),
+                'rule-1': makeSavedEntry({ isDynamic: false, cookieName: 'session', cookieDomain: 'app.openheaders.io', cookiePath: '/api' }),
             };
 
             updateNetworkRules([]);
             await flushPromises();
 
-            const rules = getRulesFromLastCall();
-            expect(rules).toHaveLength(1);
+            expect(getInjectedValue()).toBe('api-token');
+        });
+
+        it('reads the partitioned cookie only when a top-level site is given', async () => {
+            mockCookies = [
+                makeCookie({ value: 'unpartitioned' }),
+                makeCookie({ value: 'partitioned', partitionKey: { topLevelSite: 'https://openheaders.io' } }),
+            ];
+            mockSavedData = {
+                'rule-1': makeSavedEntry({ isDynamic: false, cookieName: 'session', cookieDomain: 'app.openheaders.io', cookieTopLevelSite: 'https://openheaders.io/' }),
+                'rule-2': makeSavedEntry({ isDynamic: false, headerName: 'X-Session', cookieName: 'session', cookieDomain: 'app.openheaders.io' }),
+            };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const values = (getRulesFromLastCall() as { action: { requestHeaders: { header: string; value: string }[] } }[])
+                .flatMap(rule => rule.action.requestHeaders.map(h => `${h.header}=${h.value}`));
+            expect(values).toContain('Authorization=partitioned');
+            expect(values).toContain('X-Session=unpartitioned');
+        });
+
+        it('leaves out the rule when the cookie is not set', async () => {
+            mockSavedData = {
+                'rule-1': makeSavedEntry({ isDynamic: false, cookieName: 'session', cookieDomain: 'app.openheaders.io' }),
+            };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            expect(getRulesFromLastCall()).toHaveLength(0);
+        });
+
+        it('leaves out the rule when the cookie domain is missing', async () => {
+            mockCookies = [makeCookie()];
+            mockSavedData = {
+                'rule-1': makeSavedEntry({ isDynamic: false, cookieName: 'session' }),
+            };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            expect(getRulesFromLastCall()).toHaveLength(0);
         });
     });
 
-    // ── No domains ──
+    // ── TOTP codes ──
+
+    describe('TOTP codes from {{totp:ID}} references', () => {
+        // RFC 6238 SHA-1 test secret
+        const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+        function getInjectedValues(): string[] {
+            return (getRulesFromLastCall() as { action: { requestHeaders: { value: string }[] } }[])
+                .map(rule => rule.action.requestHeaders[0].value);
+        }
+
+        it('injects the current code of the source secret', async () => {
+            vi.useFakeTimers({ toFake: ['Date'] });
+            vi.setSystemTime(59_000);
+            try {
+                const source = makeSource({ sourceId: 'otp', sourceContent: '', requestOptions: { totpSecret: SECRET } });
+                mockSavedData = {
+                    'rule-1': makeSavedEntry({ isDynamic: false, sourceId: undefined, headerName: 'X-OTP', headerValue: '{{totp:otp}}' }),
+                };
+
+                updateNetworkRules([source]);
+
+                // WebCrypto resolves outside the microtask queue
+                await vi.waitFor(() => expect(getInjectedValues()).toEqual(['287082']));
+            } finally {
+                vi.useRealTimers();
+            }
+        });
 
-    describe('no domains', () => {
-        it('skips entry with empty domains array', () => {
+        it('only replaces the rules using the code when it rotates', async () => {
+            vi.useFakeTimers({ toFake: ['Date'] });
+            try {
+                const source = makeSource({ sourceId: 'otp', sourceContent: 'static-token', requestOptions: { totpSecret: SECRET } });
+                mockSavedData = {
+                    'rule-otp': makeSavedEntry({ isDynamic: false, sourceId: undefined, headerName: 'X-OTP', headerValue: '{{totp:otp}}', domains: ['otp.openheaders.io'] }),
+                    'rule-token': makeSavedEntry({ sourceId: 'otp', domains: ['api.openheaders.io'] }),
+                };
+
+                vi.setSystemTime(59_000);
+                updateNetworkRules([source]);
+                await vi.waitFor(() => expect(mockInstalledRules).toHaveLength(2));
+                const before = [...mockInstalledRules];
+
+                vi.setSystemTime(60_000);
+                updateNetworkRules([source]);
+                await vi.waitFor(() => expect(mockUpdateDynamicRules).toHaveBeenCalledTimes(2));
+
+                const { removeRuleIds, addRules } = mockUpdateDynamicRules.mock.calls.at(-1)![0];
+                expect(addRules).toHaveLength(1);
+                expect(addRules[0].action.requestHeaders[0]).toMatchObject({ header: 'X-OTP' });
+                expect(addRules[0].action.requestHeaders[0].value).not.toBe('287082');
+                expect(removeRuleIds).toHaveLength(1);
+                expect(before.find(rule => rule.id === removeRuleIds[0])?.action.requestHeaders?.[0].header).toBe('X-OTP');
+            } finally {
+                vi.useRealTimers();
+            }
+        });
+
+        it('leaves out the rule when the source has no valid secret', async () => {
+            const source = makeSource({ sourceId: 'otp', requestOptions: { totpSecret: 'not base32!' } });
+            mockSavedData = {
+                'rule-1': makeSavedEntry({ isDynamic: false, sourceId: undefined, headerValue: '{{totp:otp}}' }),
+            };
+
+            updateNetworkRules([source]);
+            await flushPromises();
+
+            expect(getRulesFromLastCall()).toHaveLength(0);
+        });
+    });
+
+    // ── JWT expiry ──
+
+    describe('JWT expiry tracking', () => {
+        function makeJwt(claims: Record<string, unknown>): string {
+            const encode = (value: unknown) => btoa(JSON.stringify(value)).replace(/=+$/, '');
+            return `${encode({ alg: 'RS256' })}.${encode(claims)}.sig`;
+        }
+
+        it('reports exp and nbf of tokens in installed values, with their source', async () => {
+            const token = makeJwt({ exp: 2000000000, nbf: 1000000000 });
+            const source = makeSource({ sourceId: 'src-1', sourceContent: token });
+            mockSavedData = {
+                'rule-1': makeSavedEntry({ sourceId: 'src-1', prefix: 'Bearer ' }),
+                'rule-2': makeSavedEntry({ isDynamic: false, sourceId: undefined, headerName: 'X-Token', headerValue: 'jwt={{source:src-1}}' }),
+                'rule-3': makeSavedEntry({ isDynamic: false, sourceId: undefined, headerName: 'X-Static', headerValue: 'plain-value' }),
+            };
+
+            updateNetworkRules([source]);
+            await flushPromises();
+
+            expect(getTokenExpiries()).toEqual([
+                { entryId: 'rule-1', headerName: 'Authorization', sourceId: 'src-1', exp: 2000000000, nbf: 1000000000 },
+                { entryId: 'rule-2', headerName: 'X-Token', sourceId: 'src-1', exp: 2000000000, nbf: 1000000000 },
+            ]);
+        });
+
+        it('leaves out tokens without exp or nbf and unresolved entries', async () => {
+            mockSavedData = {
+                'rule-1': makeSavedEntry({ isDynamic: false, sourceId: undefined, headerValue: `Bearer ${makeJwt({ sub: 'alice' })}` }),
+                'rule-2': makeSavedEntry({ sourceId: 'missing' }),
+            };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            expect(getTokenExpiries()).toEqual([]);
+        });
+    });
+
+    // ── Value transforms ──
+
+    describe('value transforms', () => {
+        it('transforms the source content before adding prefix and suffix', async () => {
+            const source = makeSource({ sourceId: 'src-1', sourceContent: '{"access_token":"  tok-123  ","expires_in":3600}' });
             mockSavedData = {
                 'rule-1': makeSavedEntry({
-                    isDynamic: false,
-                    sourceId: undefined,
-                    headerName: 'X-Test',
-                    headerValue: 'value',
-                    domains: [],
+                    sourceId: 'src-1', prefix: 'Bearer ', suffix: '!',
+                    transforms: [{ type: 'jsonPath', path: '$.access_token' }, { type: 'trim' }],
                 }),
             };
 
-            updateNetworkRules([]);
+            updateNetworkRules([source]);
+            await flushPromises();
 
-            const rules = getRulesFromLastCall();
-            expect(rules).toHaveLength(0);
+            const rule = getRulesFromLastCall()[0] as { action: { requestHeaders: { value: string }[] } };
+            expect(rule.action.requestHeaders[0].value).toBe('Bearer tok-123!');
+        });
+
+        it('leaves out the rule when a transform fails', async () => {
+            const source = makeSource({ sourceId: 'src-1', sourceContent: '<html>error</html>' });
+            mockSavedData = {
+                'rule-1': makeSavedEntry({ sourceId: 'src-1', transforms: [{ type: 'jsonPath', path: '$.access_token' }] }),
+            };
+
+            updateNetworkRules([source]);
+            await flushPromises();
+
+            expect(getRulesFromLastCall()).toHaveLength(0);
+        });
+
+        it('leaves out the rule when the transforms produce an empty value', async () => {
+            const source = makeSource({ sourceId: 'src-1', sourceContent: '   ' });
+            mockSavedData = {
+                'rule-1': makeSavedEntry({ sourceId: 'src-1', transforms: [{ type: 'trim' }] }),
+            };
+
+            updateNetworkRules([source]);
+            await flushPromises();
+
+            expect(getRulesFromLastCall()).toHaveLength(0);
+        });
+    });
+
+    // ── Composite values ──
+
+    describe('composite values from {{source:ID}} references', () => {
+        function getInjectedValues(): string[] {
+            return (getRulesFromLastCall() as { action: { requestHeaders: { value: string }[] } }[])
+                .map(rule => rule.action.requestHeaders[0].value);
+        }
+
+        function makeCompositeEntry(headerValue: string) {
+            return makeSavedEntry({ isDynamic: false, sourceId: undefined, headerName: 'X-Tenant-Auth', headerValue });
+        }
+
+        it('builds the value from several sources and literal text', async () => {
+            mockSavedData = { 'rule-1': makeCompositeEntry('tenant={{source:4}}; token={{source:12}}') };
+
+            updateNetworkRules([
+                makeSource({ sourceId: '4', sourceContent: 'acme' }),
+                makeSource({ sourceId: '12', sourceContent: 'tok-123' }),
+            ]);
+            await flushPromises();
+
+            expect(getInjectedValues()).toContain('tenant=acme; token=tok-123');
+        });
+
+        it('resolves references in the prefix and suffix of a dynamic header', async () => {
+            mockSavedData = {
+                'rule-1': makeSavedEntry({ sourceId: 'user', prefix: 'user=', suffix: '; pass={{source:pass}}' }),
+            };
+
+            updateNetworkRules([
+                makeSource({ sourceId: 'user', sourceContent: 'alice' }),
+                makeSource({ sourceId: 'pass', sourceContent: 's3cret' }),
+            ]);
+            await flushPromises();
+
+            expect(getInjectedValues()).toContain('user=alice; pass=s3cret');
+        });
+
+        it('combines environment variables and source references', async () => {
+            setEnvironmentsFromApp({ environments: { Dev: { TENANT: 'acme' } }, activeEnvironment: 'Dev' });
+            mockSavedData = { 'rule-1': makeCompositeEntry('{{TENANT}}:{{source:4}}') };
+
+            updateNetworkRules([makeSource({ sourceId: '4', sourceContent: 'tok' })]);
+            await flushPromises();
+
+            expect(getInjectedValues()).toContain('acme:tok');
+        });
+
+        it('leaves out the rule when a referenced source is missing or empty', async () => {
+            mockSavedData = {
+                'rule-missing': makeCompositeEntry('{{source:4}}:{{source:99}}'),
+                'rule-empty': makeCompositeEntry('{{source:4}}:{{source:7}}'),
+            };
+
+            updateNetworkRules([
+                makeSource({ sourceId: '4', sourceContent: 'acme' }),
+                makeSource({ sourceId: '7', sourceContent: '' }),
+            ]);
+            await flushPromises();
+
+            expect(getRulesFromLastCall()).toHaveLength(0);
+        });
+
+        it('re-evaluates the value when a referenced source changes', async () => {
+            mockSavedData = { 'rule-1': makeCompositeEntry('{{source:4}}/{{source:12}}') };
+
+            updateNetworkRules([
+                makeSource({ sourceId: '4', sourceContent: 'acme' }),
+                makeSource({ sourceId: '12', sourceContent: 'v1' }),
+            ]);
+            await flushPromises();
+            updateNetworkRules([
+                makeSource({ sourceId: '4', sourceContent: 'acme' }),
+                makeSource({ sourceId: '12', sourceContent: 'v2' }),
+            ]);
+            await flushPromises();
+
+            expect(getInjectedValues()).toContain('acme/v2');
+            expect(JSON.stringify(mockInstalledRules)).not.toContain('acme/v1');
+        });
+    });
+
+    // ── Header operations ──
+
+    describe('header operations', () => {
+        type ModRule = { action: { requestHeaders?: Record<string, unknown>[]; responseHeaders?: Record<string, unknown>[] } };
+
+        it('removes a request header without a value', async () => {
+            mockSavedData = {
+                'rule-1': makeSavedEntry({
+                    isDynamic: false,
+                    sourceId: undefined,
+                    headerName: 'Referer',
+                    headerValue: '',
+                    operation: 'remove',
+                    domains: ['example.com'],
+                }),
+            };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const [rule] = getRulesFromLastCall() as ModRule[];
+            expect(rule.action.requestHeaders![0]).toEqual({ header: 'Referer', operation: 'remove' });
+        });
+
+        it('removes even when the dynamic source is missing', async () => {
+            mockSavedData = {
+                'rule-1': makeSavedEntry({ headerName: 'X-Forwarded-For', sourceId: 'src-missing', operation: 'remove' }),
+            };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const rules = getRulesFromLastCall() as ModRule[];
+            expect(rules.length).toBeGreaterThan(0);
+            expect(rules[0].action.requestHeaders![0]).toEqual({ header: 'X-Forwarded-For', operation: 'remove' });
+        });
+
+        it('removes a response header', async () => {
+            mockSavedData = {
+                'rule-1': makeSavedEntry({
+                    isDynamic: false,
+                    sourceId: undefined,
+                    headerName: 'Content-Security-Policy',
+                    operation: 'remove',
+                    isResponse: true,
+                    domains: ['example.com'],
+                }),
+            };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const rules = getRulesFromLastCall() as ModRule[];
+            expect(rules).toHaveLength(2);
+            rules.forEach(rule => {
+                expect(rule.action.responseHeaders).toEqual([{ header: 'Content-Security-Policy', operation: 'remove' }]);
+            });
+        });
+
+        it('appends to an appendable request header', async () => {
+            mockSavedData = {
+                'rule-1': makeSavedEntry({
+                    isDynamic: false,
+                    sourceId: undefined,
+                    headerName: 'Accept',
+                    headerValue: 'application/vnd.openheaders+json',
+                    operation: 'append',
+                    domains: ['example.com'],
+                }),
+            };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const [rule] = getRulesFromLastCall() as ModRule[];
+            expect(rule.action.requestHeaders![0]).toEqual({ header: 'Accept', operation: 'append', value: 'application/vnd.openheaders+json' });
+        });
+
+        it('appends to any response header', async () => {
+            mockSavedData = {
+                'rule-1': makeSavedEntry({
+                    isDynamic: false,
+                    sourceId: undefined,
+                    headerName: 'Set-Cookie',
+                    headerValue: 'debug=1; Path=/',
+                    operation: 'append',
+                    isResponse: true,
+                    domains: ['example.com'],
+                }),
+            };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const [rule] = getRulesFromLastCall() as ModRule[];
+            expect(rule.action.responseHeaders![0]).toEqual({ header: 'Set-Cookie', operation: 'append', value: 'debug=1; Path=/' });
+        });
+
+        it('skips append on request headers Chrome does not allow', async () => {
+            mockSavedData = {
+                'rule-1': makeSavedEntry({
+                    isDynamic: false,
+                    sourceId: undefined,
+                    headerName: 'X-Custom',
+                    headerValue: 'value',
+                    operation: 'append',
+                    domains: ['example.com'],
+                }),
+            };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            expect(getRulesFromLastCall()).toHaveLength(0);
+        });
+
+        it('still requires a value for append', async () => {
+            mockSavedData = {
+                'rule-1': makeSavedEntry({
+                    isDynamic: false,
+                    sourceId: undefined,
+                    headerName: 'Accept',
+                    headerValue: '',
+                    operation: 'append',
+                    domains: ['example.com'],
+                }),
+            };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            expect(getRulesFromLastCall()).toHaveLength(0);
+        });
+
+        it('does not add the forced cache header when the rule targets it', async () => {
+            mockSavedData = {
+                'rule-1': makeSavedEntry({
+                    isDynamic: false,
+                    sourceId: undefined,
+                    headerName: 'Cache-Control',
+                    operation: 'remove',
+                    domains: ['example.com'],
+                }),
+            };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const [rule] = getRulesFromLastCall() as ModRule[];
+            const names = rule.action.requestHeaders!.map(h => h.header);
+            expect(names).toEqual(['Cache-Control', 'Pragma']);
+            expect(rule.action.requestHeaders![0]).toEqual({ header: 'Cache-Control', operation: 'remove' });
+        });
+    });
+
+    // ── Cache busting ──
+
+    describe('cache busting', () => {
+        type ReqRule = { condition: { resourceTypes: string[] }; action: { requestHeaders: { header: string }[] } };
+
+        function makeStaticEntry(overrides: Partial<SavedDataMap[string]> = {}): SavedDataMap[string] {
+            return makeSavedEntry({
+                isDynamic: false,
+                sourceId: undefined,
+                headerName: 'X-Env',
+                headerValue: 'staging',
+                domains: ['app.example.com'],
+                ...overrides,
+            });
+        }
+
+        const headerNames = (rule: ReqRule) => rule.action.requestHeaders.map(h => h.header);
+
+        it('adds no-cache headers to all resources by default', async () => {
+            mockSavedData = { 'rule-1': makeStaticEntry() };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const rules = getRulesFromLastCall() as ReqRule[];
+            expect(rules).toHaveLength(1);
+            expect(headerNames(rules[0])).toEqual(['X-Env', 'Cache-Control', 'Pragma']);
+            expect(rules[0].condition.resourceTypes).toContain('main_frame');
+            expect(rules[0].condition.resourceTypes).toContain('script');
+        });
+
+        it('adds no headers besides the rule header when off', async () => {
+            mockSavedData = { 'rule-1': makeStaticEntry({ cacheBusting: 'off' }) };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const rules = getRulesFromLastCall() as ReqRule[];
+            expect(rules).toHaveLength(1);
+            expect(headerNames(rules[0])).toEqual(['X-Env']);
+        });
+
+        it('splits main document and sub-resources for main_frame', async () => {
+            mockSavedData = { 'rule-1': makeStaticEntry({ cacheBusting: 'main_frame' }) };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const rules = getRulesFromLastCall() as ReqRule[];
+            expect(rules).toHaveLength(2);
+            expect(rules[0].condition.resourceTypes).toEqual(['main_frame']);
+            expect(headerNames(rules[0])).toEqual(['X-Env', 'Cache-Control', 'Pragma']);
+            expect(rules[1].condition.resourceTypes).not.toContain('main_frame');
+            expect(headerNames(rules[1])).toEqual(['X-Env']);
+        });
+
+        it('uses the global default for rules without their own mode', async () => {
+            setDefaultCacheBusting('off');
+            mockSavedData = {
+                'rule-1': makeStaticEntry(),
+                'rule-2': makeStaticEntry({ headerName: 'X-Other', cacheBusting: 'all', domains: ['other.example.com'] }),
+            };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const rules = getRulesFromLastCall() as ReqRule[];
+            expect(headerNames(rules[0])).toEqual(['X-Env']);
+            expect(headerNames(rules[1])).toEqual(['X-Other', 'Cache-Control', 'Pragma']);
+        });
+
+        it('falls back to all for an unknown default', async () => {
+            setDefaultCacheBusting('sometimes');
+            mockSavedData = { 'rule-1': makeStaticEntry() };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const rules = getRulesFromLastCall() as ReqRule[];
+            expect(headerNames(rules[0])).toEqual(['X-Env', 'Cache-Control', 'Pragma']);
+        });
+
+        it('keeps the cache headers when rules that differ only in cache policy are merged', async () => {
+            mockSavedData = {
+                'rule-1': makeStaticEntry({ cacheBusting: 'off' }),
+                'rule-2': makeStaticEntry({ cacheBusting: 'all' }),
+            };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const rules = getRulesFromLastCall() as ReqRule[];
+            expect(rules).toHaveLength(1);
+            expect(headerNames(rules[0])).toEqual(['X-Env', 'Cache-Control', 'Pragma']);
+        });
+
+        it('never adds cache headers to response rules', async () => {
+            mockSavedData = { 'rule-1': makeStaticEntry({ isResponse: true, headerName: 'X-Frame-Options', headerValue: 'DENY' }) };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const rules = getRulesFromLastCall() as { action: { responseHeaders: { header: string }[] } }[];
+            rules.forEach(rule => expect(rule.action.responseHeaders.map(h => h.header)).toEqual(['X-Frame-Options']));
+        });
+    });
+
+    // ── Resource type / method filters ──
+
+    describe('resource type and method filters', () => {
+        type FilteredRule = { priority: number; condition: { resourceTypes: string[]; requestMethods?: string[] } };
+
+        function makeFilteredEntry(overrides: Partial<SavedDataMap[string]> = {}): SavedDataMap[string] {
+            return makeSavedEntry({
+                isDynamic: false,
+                sourceId: undefined,
+                headerName: 'Authorization',
+                headerValue: 'Bearer token',
+                domains: ['api.example.com'],
+                ...overrides,
+            });
+        }
+
+        it('restricts request rules to the given resource types', async () => {
+            mockSavedData = { 'rule-1': makeFilteredEntry({ resourceTypes: ['xmlhttprequest'] }) };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const rules = getRulesFromLastCall() as FilteredRule[];
+            expect(rules).toHaveLength(1);
+            expect(rules[0].condition.resourceTypes).toEqual(['xmlhttprequest']);
+            expect(rules[0].condition.requestMethods).toBeUndefined();
+        });
+
+        it('adds lower-cased request methods to the condition', async () => {
+            mockSavedData = { 'rule-1': makeFilteredEntry({ requestMethods: ['POST', 'PUT'] as unknown as ['post', 'put'] }) };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const rules = getRulesFromLastCall() as FilteredRule[];
+            expect(rules[0].condition.requestMethods).toEqual(['post', 'put']);
+        });
+
+        it('combines resource types with main-document cache busting', async () => {
+            mockSavedData = { 'rule-1': makeFilteredEntry({ resourceTypes: ['xmlhttprequest'], cacheBusting: 'main_frame' }) };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const rules = getRulesFromLastCall() as FilteredRule[];
+            expect(rules).toHaveLength(1);
+            expect(rules[0].condition.resourceTypes).toEqual(['xmlhttprequest']);
+        });
+
+        it('creates only the main_frame response rule for a main_frame-only rule', async () => {
+            mockSavedData = { 'rule-1': makeFilteredEntry({ isResponse: true, headerName: 'X-Frame-Options', headerValue: 'DENY', resourceTypes: ['main_frame'] }) };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const rules = getRulesFromLastCall() as FilteredRule[];
+            expect(rules).toHaveLength(1);
+            expect(rules[0].priority).toBe(1000);
+            expect(rules[0].condition.resourceTypes).toEqual(['main_frame']);
+        });
+
+        it('keeps the response priority split for mixed resource types', async () => {
+            mockSavedData = { 'rule-1': makeFilteredEntry({ isResponse: true, headerName: 'X-Debug', headerValue: '1', resourceTypes: ['main_frame', 'xmlhttprequest'], requestMethods: ['get'] }) };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const rules = getRulesFromLastCall() as FilteredRule[];
+            expect(rules.map(r => r.priority)).toEqual([1000, 950]);
+            expect(rules[1].condition.resourceTypes).toEqual(['xmlhttprequest']);
+            rules.forEach(rule => expect(rule.condition.requestMethods).toEqual(['get']));
+        });
+
+        it('skips a rule whose filters contain no valid value', async () => {
+            mockSavedData = { 'rule-1': makeFilteredEntry({ requestMethods: ['TRACE'] as unknown as ['get'] }) };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            expect(getRulesFromLastCall()).toHaveLength(0);
+        });
+    });
+
+    // ── Excluded / initiator domains ──
+
+    describe('excluded and initiator domains', () => {
+        type DomainRule = { condition: { excludedRequestDomains?: string[]; initiatorDomains?: string[]; excludedInitiatorDomains?: string[] } };
+
+        function makeDomainEntry(overrides: Partial<SavedDataMap[string]> = {}): SavedDataMap[string] {
+            return makeSavedEntry({
+                isDynamic: false,
+                sourceId: undefined,
+                headerName: 'Authorization',
+                headerValue: 'Bearer token',
+                domains: ['*.example.com'],
+                ...overrides,
+            });
+        }
+
+        it('maps the lists onto DNR domain conditions', async () => {
+            mockSavedData = { 'rule-1': makeDomainEntry({
+                excludedDomains: ['auth.example.com'],
+                initiatorDomains: ['localhost', 'http://127.0.0.1/app'],
+                excludedInitiatorDomains: ['*.staging.example.com'],
+            }) };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const [rule] = getRulesFromLastCall() as DomainRule[];
+            expect(rule.condition.excludedRequestDomains).toEqual(['auth.example.com']);
+            expect(rule.condition.initiatorDomains).toEqual(['localhost', '127.0.0.1']);
+            expect(rule.condition.excludedInitiatorDomains).toEqual(['staging.example.com']);
+        });
+
+        it('leaves the conditions out when no lists are set', async () => {
+            mockSavedData = { 'rule-1': makeDomainEntry() };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const [rule] = getRulesFromLastCall() as DomainRule[];
+            expect(rule.condition).not.toHaveProperty('excludedRequestDomains');
+            expect(rule.condition).not.toHaveProperty('initiatorDomains');
+            expect(rule.condition).not.toHaveProperty('excludedInitiatorDomains');
+        });
+
+        it('applies the conditions to response rules as well', async () => {
+            mockSavedData = { 'rule-1': makeDomainEntry({ isResponse: true, headerName: 'X-Debug', headerValue: '1', excludedDomains: ['auth.example.com'] }) };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const rules = getRulesFromLastCall() as DomainRule[];
+            expect(rules).toHaveLength(2);
+            rules.forEach(rule => expect(rule.condition.excludedRequestDomains).toEqual(['auth.example.com']));
+        });
+
+        it('leaves out domains that name a port and reports them', async () => {
+            mockSavedData = { 'rule-1': makeDomainEntry({
+                excludedDomains: ['auth.example.com', 'localhost:3000'],
+                initiatorDomains: ['https://app.example.com:8443/'],
+            }) };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            // The initiator list has nothing left, so the rule isn't widened to any initiator
+            expect(getRulesFromLastCall()).toHaveLength(0);
+            expect(getRuleIssues()).toEqual([
+                { ruleId: 'rule-1', reason: 'domain_port', message: '"localhost:3000" in excluded domains ignored — domain conditions match every port, remove the port' },
+                { ruleId: 'rule-1', reason: 'domain_port', message: '"https://app.example.com:8443/" in initiator domains ignored — domain conditions match every port, remove the port' },
+            ]);
+        });
+
+        it('keeps the rest of a list that has a port-qualified domain', async () => {
+            mockSavedData = { 'rule-1': makeDomainEntry({ excludedDomains: ['auth.example.com', 'localhost:3000'] }) };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const [rule] = getRulesFromLastCall() as DomainRule[];
+            expect(rule.condition.excludedRequestDomains).toEqual(['auth.example.com']);
+        });
+
+        it('skips a rule whose initiator list has no usable domain', async () => {
+            mockSavedData = { 'rule-1': makeDomainEntry({ initiatorDomains: ['*'] }) };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            expect(getRulesFromLastCall()).toHaveLength(0);
+        });
+    });
+
+    // ── Regex domain patterns ──
+
+    describe('regex domain patterns', () => {
+        type RegexRule = { priority: number; condition: { urlFilter?: string; regexFilter?: string } };
+
+        const PREVIEW_REGEX = '^https://pr-\\d+\\.preview\\.example\\.com/api/';
+
+        function makeRegexEntry(overrides: Partial<SavedDataMap[string]> = {}): SavedDataMap[string] {
+            return makeSavedEntry({
+                isDynamic: false,
+                sourceId: undefined,
+                headerName: 'X-Preview',
+                headerValue: '1',
+                patternType: 'regex',
+                domains: [PREVIEW_REGEX],
+                ...overrides,
+            });
+        }
+
+        it('turns each pattern into a regexFilter', async () => {
+            mockSavedData = { 'rule-1': makeRegexEntry() };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const rules = getRulesFromLastCall() as RegexRule[];
+            expect(rules).toHaveLength(1);
+            expect(rules[0].condition.regexFilter).toBe(PREVIEW_REGEX);
+            expect(rules[0].condition).not.toHaveProperty('urlFilter');
+            expect(mockIsRegexSupported).toHaveBeenCalledWith({ regex: PREVIEW_REGEX, isCaseSensitive: false });
+            expect(getRuleIssues()).toEqual([]);
+        });
+
+        it('uses regexFilter for response rules as well', async () => {
+            mockSavedData = { 'rule-1': makeRegexEntry({ isResponse: true }) };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const rules = getRulesFromLastCall() as RegexRule[];
+            expect(rules.map(r => r.priority)).toEqual([1000, 950]);
+            rules.forEach(rule => expect(rule.condition.regexFilter).toBe(PREVIEW_REGEX));
+        });
+
+        it('drops patterns the browser does not support and reports them', async () => {
+            mockIsRegexSupported.mockImplementation(({ regex }: { regex: string }) =>
+                Promise.resolve(regex.includes('(?=') ? { isSupported: false, reason: 'syntaxError' } : { isSupported: true }));
+            mockSavedData = { 'rule-1': makeRegexEntry({ domains: [PREVIEW_REGEX, 'api(?=v2)'] }) };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const rules = getRulesFromLastCall() as RegexRule[];
+            expect(rules).toHaveLength(1);
+            expect(rules[0].condition.regexFilter).toBe(PREVIEW_REGEX);
+            expect(getRuleIssues()).toEqual([
+                { ruleId: 'rule-1', reason: 'invalid_regex', message: 'Regex "api(?=v2)" is not supported (syntaxError)' },
+            ]);
+        });
+
+        it('rejects invalid syntax without asking the browser', async () => {
+            mockSavedData = { 'rule-1': makeRegexEntry({ domains: ['(unclosed'] }) };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            expect(getRulesFromLastCall()).toHaveLength(0);
+            expect(mockIsRegexSupported).not.toHaveBeenCalled();
+            expect(getRuleIssues()[0]).toMatchObject({ ruleId: 'rule-1', reason: 'invalid_regex' });
+        });
+
+        it('skips a whole rule that would exceed the regex rule limit', async () => {
+            const domains = Array.from({ length: 1001 }, (_, i) => `^https://pr-${i}\\.example\\.com/`);
+            mockSavedData = {
+                'rule-1': makeRegexEntry({ domains }),
+                'rule-2': makeRegexEntry({ headerName: 'X-Other', patternType: undefined, domains: ['example.com'] }),
+            };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const rules = getRulesFromLastCall() as RegexRule[];
+            expect(rules).toHaveLength(1);
+            expect(rules[0].condition.urlFilter).toBe('*://example.com/*');
+            expect(getRuleIssues()).toEqual([
+                { ruleId: 'rule-1', reason: 'regex_limit', message: 'Needs 1001 regex rules, but only 1000 of 1000 are left' },
+            ]);
+        });
+
+        it('counts regex URL rules against the same limit, keeping higher-priority rules', async () => {
+            const domains = Array.from({ length: 999 }, (_, i) => `^https://pr-${i}\\.example\\.com/`);
+            mockSavedData = { 'rule-1': makeRegexEntry({ domains }) };
+            mockUrlRules = [
+                { id: 'url-1', type: 'url', matchPattern: '^https://a\\.example\\.com/', matchType: 'regex', action: 'block', isEnabled: true },
+                { id: 'url-2', type: 'url', matchPattern: '^https://b\\.example\\.com/', matchType: 'regex', action: 'block', isEnabled: true },
+                { id: 'url-3', type: 'url', matchPattern: 'tracker.example.com', matchType: 'contains', action: 'block', isEnabled: true },
+            ];
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            // URL rules (priority 500) outrank request header rules (100)
+            const rules = getRulesFromLastCall() as RegexRule[];
+            expect(rules).toHaveLength(3);
+            expect(getRuleIssues()).toEqual([
+                { ruleId: 'rule-1', reason: 'regex_limit', message: 'Not installed — all 1000 regex rules are taken by higher-priority rules' },
+            ]);
+        });
+
+        it('clears reported issues while paused', async () => {
+            mockSavedData = { 'rule-1': makeRegexEntry({ domains: ['(unclosed'] }) };
+            updateNetworkRules([]);
+            await flushPromises();
+            expect(getRuleIssues()).toHaveLength(1);
+
+            setRulesPaused(true);
+            updateNetworkRules([]);
+            await flushPromises();
+
+            expect(getRuleIssues()).toEqual([]);
+        });
+    });
+
+    // ── Disabled rules ──
+
+    describe('disabled rules', () => {
+        it('skips disabled rules entirely', () => {
+            const source = makeSource({ sourceId: 'src-1', sourceContent: 'token' });
+            mockSavedData = {
+                'rule-1': makeSavedEntry({ isEnabled: false }),
+            };
+
+            updateNetworkRules([source]);
+
+            const rules = getRulesFromLastCall();
+            expect(rules).toHaveLength(0);
+        });
+    });
+
+    // ── Paused state ──
+
+    describe('paused state', () => {
+        it('clears all rules when paused', async () => {
+            mockGetDynamicRules.mockResolvedValue([
+                { id: 11, priority: 100, action: { type: 'block' }, condition: { urlFilter: 'a' } },
+                { id: 12, priority: 100, action: { type: 'block' }, condition: { urlFilter: 'b' } },
+            ]);
+            setRulesPaused(true);
+
+            updateNetworkRules([makeSource()]);
+            await flushPromises();
+
+            expect(mockUpdateDynamicRules).toHaveBeenCalledWith({ removeRuleIds: [11, 12], addRules: [] });
+        });
+    });
+
+    // ── Site pause ──
+
+    describe('site pause', () => {
+        type DomainRule = { condition: { excludedRequestDomains?: string[]; excludedInitiatorDomains?: string[] } };
+
+        beforeEach(() => {
+            for (const domain of getPausedDomains()) setDomainPaused(domain, false);
+        });
+
+        it('excludes paused domains on every rule', async () => {
+            mockSavedData = {
+                'rule-1': makeSavedEntry({ isDynamic: false, sourceId: undefined, headerName: 'X-Test', headerValue: 'value', domains: ['*.example.com'] }),
+            };
+            mockUrlRules = [{ id: 'url-1', matchPattern: 'tracker.openheaders.io', matchType: 'contains', action: 'block' }];
+            setDomainPaused('https://app.example.com/dashboard', true);
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const rules = getRulesFromLastCall() as DomainRule[];
+            expect(rules).toHaveLength(2);
+            rules.forEach(rule => expect(rule.condition.excludedRequestDomains).toEqual(['app.example.com']));
+        });
+
+        it('leaves the requests a paused page makes to other domains alone', async () => {
+            mockSavedData = {
+                'rule-1': makeSavedEntry({ isDynamic: false, sourceId: undefined, headerName: 'X-Test', headerValue: 'value', domains: ['api.other.com'] }),
+            };
+            setDomainPaused('example.com', true);
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const [rule] = getRulesFromLastCall() as DomainRule[];
+            expect(rule.condition.excludedInitiatorDomains).toEqual(['example.com']);
+        });
+
+        it('merges paused domains with the rule exclusions', async () => {
+            mockSavedData = {
+                'rule-1': makeSavedEntry({ isDynamic: false, sourceId: undefined, headerName: 'X-Test', headerValue: 'value', domains: ['*.example.com'], excludedDomains: ['auth.example.com'] }),
+            };
+            setDomainPaused('app.example.com', true);
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const [rule] = getRulesFromLastCall() as DomainRule[];
+            expect(rule.condition.excludedRequestDomains).toEqual(['auth.example.com', 'app.example.com']);
+        });
+
+        it('reinstalls the rules without the exclusion once resumed', async () => {
+            mockSavedData = {
+                'rule-1': makeSavedEntry({ isDynamic: false, sourceId: undefined, headerName: 'X-Test', headerValue: 'value', domains: ['*.example.com'] }),
+            };
+            setDomainPaused('app.example.com', true);
+            updateNetworkRules([]);
+            await flushPromises();
+
+            setDomainPaused('app.example.com', false);
+            updateNetworkRules([]);
+            await flushPromises();
+
+            expect(mockInstalledRules).toHaveLength(1);
+            expect(mockInstalledRules[0].condition).not.toHaveProperty('excludedRequestDomains');
+            expect(mockInstalledRules[0].condition).not.toHaveProperty('excludedInitiatorDomains');
+        });
+    });
+
+    // ── Response headers ──
+
+    describe('response headers', () => {
+        it('creates response header rules with higher priority', async () => {
+            mockSavedData = {
+                'rule-1': makeSavedEntry({
+                    isDynamic: false,
+                    sourceId: undefined,
+                    headerName: 'X-Frame-Options',
+                    headerValue: 'DENY',
+                    isResponse: true,
+                    domains: ['example.com'],
+                }),
+            };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const rules = getRulesFromLastCall();
+            expect(rules.length).toBeGreaterThan(0);
+            const rule = rules[0] as { priority: number; action: { responseHeaders: { header: string }[] } };
+            expect(rule.priority).toBe(1000);
+            expect(rule.action.responseHeaders[0].header).toBe('X-Frame-Options');
+        });
+    });
+
+    // ── Multiple domains ──
+
+    describe('multiple domains', () => {
+        it('creates one rule per domain', async () => {
+            mockSavedData = {
+                'rule-1': makeSavedEntry({
+                    isDynamic: false,
+                    sourceId: undefined,
+                    headerName: 'X-Test',
+                    headerValue: 'value',
+                    domains: ['example.com', 'other.com', 'third.com'],
+                }),
+            };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const rules = getRulesFromLastCall();
+            expect(rules).toHaveLength(3);
+        });
+
+        it('skips empty domain strings', async () => {
+            mockSavedData = {
+                'rule-1': makeSavedEntry({
+                    isDynamic: false,
+                    sourceId: undefined,
+                    headerName: 'X-Test',
+                    headerValue: 'value',
+                    domains: ['example.com', '', '  '],
+                }),
+            };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const rules = getRulesFromLastCall();
+            expect(rules).toHaveLength(1);
+        });
+
+        it('collapses host and *.host into one requestDomains rule', async () => {
+            mockSavedData = {
+                'rule-1': makeSavedEntry({
+                    isDynamic: false,
+                    sourceId: undefined,
+                    headerName: 'X-Test',
+                    headerValue: 'value',
+                    cacheBusting: 'off',
+                    domains: ['example.com', '*.example.com', 'Other.com', '*.other.com', 'third.com'],
+                }),
+            };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            // Five domains, two of them folded pairs: two rules instead of five
+            const rules = getRulesFromLastCall() as chrome.declarativeNetRequest.Rule[];
+            expect(rules).toHaveLength(2);
+            expect(rules[0].condition).toMatchObject({ requestDomains: ['example.com', 'other.com'] });
+            expect(rules[0].condition).not.toHaveProperty('urlFilter');
+            expect(rules[1].condition.urlFilter).toBe('*://third.com/*');
+        });
+
+        it('merges entries whose collapsed hosts are the same', async () => {
+            const entry = { isDynamic: false, sourceId: undefined, headerValue: 'v', cacheBusting: 'off' as const, domains: ['openheaders.io', '*.openheaders.io'] };
+            mockSavedData = {
+                'rule-1': makeSavedEntry({ ...entry, headerName: 'X-One' }),
+                'rule-2': makeSavedEntry({ ...entry, headerName: 'X-Two' }),
+            };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const rules = getRulesFromLastCall() as chrome.declarativeNetRequest.Rule[];
+            expect(rules).toHaveLength(1);
+            expect(rules[0].condition.requestDomains).toEqual(['openheaders.io']);
+            expect(rules[0].action.requestHeaders!.map(h => h.header)).toEqual(['X-One', 'X-Two']);
+        });
+
+        it('keeps its own rules for a host without *.host, and for localhost', async () => {
+            mockSavedData = {
+                'rule-1': makeSavedEntry({
+                    isDynamic: false,
+                    sourceId: undefined,
+                    headerName: 'X-Test',
+                    headerValue: 'value',
+                    cacheBusting: 'off',
+                    domains: ['example.com', '*.other.com', 'localhost', '*.localhost'],
+                }),
+            };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const rules = getRulesFromLastCall() as chrome.declarativeNetRequest.Rule[];
+            expect(rules).toHaveLength(4);
+            rules.forEach(rule => expect(rule.condition).not.toHaveProperty('requestDomains'));
+        });
+    });
+
+    // ── No domains ──
+
+    describe('no domains', () => {
+        it('skips entry with empty domains array', () => {
+            mockSavedData = {
+                'rule-1': makeSavedEntry({
+                    isDynamic: false,
+                    sourceId: undefined,
+                    headerName: 'X-Test',
+                    headerValue: 'value',
+                    domains: [],
+                }),
+            };
+
+            updateNetworkRules([]);
+
+            const rules = getRulesFromLastCall();
+            expect(rules).toHaveLength(0);
+        });
+    });
+
+    // ── URL rules ──
+
+    describe('URL rules', () => {
+        it('appends URL rules after header rules with their own ids', async () => {
+            mockSavedData = {
+                'rule-1': makeSavedEntry({
+                    isDynamic: false,
+                    sourceId: undefined,
+                    headerName: 'X-Test',
+                    headerValue: 'value',
+                    domains: ['api.openheaders.io'],
+                }),
+            };
+            mockUrlRules = [{
+                id: 'url-1',
+                matchPattern: 'tracker.openheaders.io',
+                matchType: 'contains',
+                action: 'block',
+            }];
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const rules = getRulesFromLastCall() as { id: number; action: { type: string } }[];
+            expect(rules).toHaveLength(2);
+            expect(rules[1].action.type).toBe('block');
+            expect(rules[1].id).not.toBe(rules[0].id);
+        });
+
+        it('applies URL rules when there are no header rules', async () => {
+            mockUrlRules = [{
+                id: 'url-1',
+                matchPattern: 'api.openheaders.io/v1/',
+                matchType: 'contains',
+                action: 'redirect',
+                redirectTo: 'https://staging.example.com/v1/',
+            }];
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const rules = getRulesFromLastCall() as { action: { type: string } }[];
+            expect(rules).toHaveLength(1);
+            expect(rules[0].action.type).toBe('redirect');
+        });
+    });
+
+    // ── Incremental updates ──
+
+    describe('incremental updates', () => {
+        type InstalledRule = chrome.declarativeNetRequest.Rule;
+
+        function makeStaticEntry(overrides: Partial<SavedDataMap[string]> = {}): SavedDataMap[string] {
+            return makeSavedEntry({ isDynamic: false, sourceId: undefined, headerValue: 'v', domains: ['api.openheaders.io'], ...overrides });
+        }
+
+        /** Run one update and return the rules it installed */
+        async function installOnce(): Promise<InstalledRule[]> {
+            updateNetworkRules([]);
+            await flushPromises();
+            return getRulesFromLastCall() as InstalledRule[];
+        }
+
+        it('keeps rule ids stable when another entry is toggled off', async () => {
+            mockSavedData = {
+                'rule-1': makeStaticEntry({ headerName: 'X-One' }),
+                'rule-2': makeStaticEntry({ headerName: 'X-Two', domains: ['app.openheaders.io'] }),
+            };
+            const installed = await installOnce();
+            const idOfTwo = installed.find(r => JSON.stringify(r).includes('X-Two'))!.id;
+
+            mockGetDynamicRules.mockResolvedValue(installed);
+            mockSavedData = {
+                'rule-1': makeStaticEntry({ headerName: 'X-One', isEnabled: false }),
+                'rule-2': makeStaticEntry({ headerName: 'X-Two', domains: ['app.openheaders.io'] }),
+            };
+            mockUpdateDynamicRules.mockClear();
+            await installOnce();
+
+            const idOfOne = installed.find(r => JSON.stringify(r).includes('X-One'))!.id;
+            expect(mockUpdateDynamicRules).toHaveBeenCalledWith({ removeRuleIds: [idOfOne], addRules: [] });
+            expect(idOfTwo).not.toBe(idOfOne);
+        });
+
+        it('skips the update when nothing changed', async () => {
+            mockSavedData = { 'rule-1': makeStaticEntry() };
+            const installed = await installOnce();
+
+            mockGetDynamicRules.mockResolvedValue(installed);
+            mockUpdateDynamicRules.mockClear();
+            await installOnce();
+
+            expect(mockUpdateDynamicRules).not.toHaveBeenCalled();
+        });
+
+        it('skips the update when the browser returns the rules with its defaults filled in', async () => {
+            // Firefox reads rules back with isUrlFilterCaseSensitive: false
+            mockGetDynamicRules.mockImplementation(() => Promise.resolve(mockInstalledRules.map(rule => ({
+                ...rule, condition: { ...rule.condition, isUrlFilterCaseSensitive: false }
+            }))));
+            mockSavedData = { 'rule-1': makeStaticEntry() };
+            await installOnce();
+
+            mockUpdateDynamicRules.mockClear();
+            await installOnce();
+
+            expect(mockUpdateDynamicRules).not.toHaveBeenCalled();
+        });
+
+        it('replaces a changed rule under the same id', async () => {
+            mockSavedData = { 'rule-1': makeStaticEntry({ headerValue: 'old' }) };
+            const [before] = await installOnce();
+
+            mockGetDynamicRules.mockResolvedValue([before]);
+            mockSavedData = { 'rule-1': makeStaticEntry({ headerValue: 'new' }) };
+            mockUpdateDynamicRules.mockClear();
+            await installOnce();
+
+            const update = mockUpdateDynamicRules.mock.calls[0][0];
+            expect(update.removeRuleIds).toEqual([before.id]);
+            expect(update.addRules).toHaveLength(1);
+            expect(update.addRules[0].id).toBe(before.id);
+            expect(update.addRules[0].action.requestHeaders[0].value).toBe('new');
+        });
+
+        it('removes stale rules left by an older version', async () => {
+            mockSavedData = { 'rule-1': makeStaticEntry() };
+            const installed = await installOnce();
+
+            const stale = { id: 1, priority: 100, action: { type: 'block' }, condition: { urlFilter: 'old' } } as InstalledRule;
+            mockGetDynamicRules.mockResolvedValue([...installed, stale]);
+            mockUpdateDynamicRules.mockClear();
+            await installOnce();
+
+            expect(mockUpdateDynamicRules).toHaveBeenCalledWith({ removeRuleIds: [1], addRules: [] });
+        });
+
+        it('gives every domain and direction its own id', async () => {
+            mockSavedData = {
+                'rule-1': makeStaticEntry({ domains: ['a.openheaders.io', 'b.openheaders.io'] }),
+                'rule-2': makeStaticEntry({ headerName: 'X-Frame-Options', isResponse: true, domains: ['a.openheaders.io'] }),
+            };
+            const rules = await installOnce();
+
+            expect(rules).toHaveLength(4);
+            expect(new Set(rules.map(r => r.id)).size).toBe(4);
+        });
+
+        it('merges entries that share a domain into one rule', async () => {
+            mockSavedData = {
+                'rule-1': makeStaticEntry({ headerName: 'X-One', cacheBusting: 'off' }),
+                'rule-2': makeStaticEntry({ headerName: 'X-Two', cacheBusting: 'off' }),
+                'rule-3': makeStaticEntry({ headerName: 'X-Three', cacheBusting: 'off', domains: ['app.openheaders.io'] }),
+            };
+            const rules = await installOnce();
+
+            expect(rules).toHaveLength(2);
+            expect(rules[0].action.requestHeaders!.map(h => h.header)).toEqual(['X-One', 'X-Two']);
+            expect(rules[1].action.requestHeaders!.map(h => h.header)).toEqual(['X-Three']);
+        });
+    });
+
+    // ── Rule quota ──
+
+    describe('rule quota', () => {
+        function makeStaticEntry(overrides: Partial<SavedDataMap[string]> = {}): SavedDataMap[string] {
+            return makeSavedEntry({ isDynamic: false, sourceId: undefined, headerValue: 'v', cacheBusting: 'off', ...overrides });
+        }
+
+        it('reports the budget used by the last update', async () => {
+            mockSavedData = { 'rule-1': makeStaticEntry({ domains: ['a.openheaders.io', 'b.openheaders.io'] }) };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            expect(getRuleBudget()).toEqual({ used: 2, available: 5000, regexUsed: 0, regexAvailable: 1000 });
+        });
+
+        it('counts merged rules, not entries', async () => {
+            mockGetRuleLimits.mockReturnValue({ maxRules: 1, maxRegexRules: 1000 });
+            mockSavedData = {
+                'rule-1': makeStaticEntry({ headerName: 'X-One', domains: ['api.openheaders.io'] }),
+                'rule-2': makeStaticEntry({ headerName: 'X-Two', domains: ['api.openheaders.io'] }),
+            };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            expect(getRulesFromLastCall()).toHaveLength(1);
+            expect(getRuleIssues()).toEqual([]);
+        });
+
+        it('drops lower-priority entries when the rule limit is exceeded', async () => {
+            mockGetRuleLimits.mockReturnValue({ maxRules: 2, maxRegexRules: 1000 });
+            mockSavedData = {
+                'rule-1': makeStaticEntry({ headerName: 'X-Request', domains: ['a.openheaders.io'] }),
+                'rule-2': makeStaticEntry({ headerName: 'X-Frame-Options', isResponse: true, domains: ['b.openheaders.io'] }),
+            };
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            const rules = getRulesFromLastCall() as { priority: number }[];
+            expect(rules.map(r => r.priority)).toEqual([1000, 950]);
+            expect(getRuleIssues()).toEqual([
+                { ruleId: 'rule-1', reason: 'rule_limit', message: 'Not installed — all 2 dynamic rules are taken by higher-priority rules' },
+            ]);
+            expect(getRuleBudget()).toMatchObject({ used: 2, available: 2 });
+        });
+
+        it('summarises dropped URL rules in one issue', async () => {
+            mockGetRuleLimits.mockReturnValue({ maxRules: 1, maxRegexRules: 1000 });
+            mockUrlRules = [
+                { id: 'url-1', type: 'url', matchPattern: 'a.openheaders.io', matchType: 'contains', action: 'block', isEnabled: true },
+                { id: 'url-2', type: 'url', matchPattern: 'b.openheaders.io', matchType: 'contains', action: 'block', isEnabled: true },
+                { id: 'url-3', type: 'url', matchPattern: 'c.openheaders.io', matchType: 'contains', action: 'block', isEnabled: true },
+            ];
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            expect(getRulesFromLastCall()).toHaveLength(1);
+            expect(getRuleIssues()).toEqual([
+                { reason: 'rule_limit', message: '2 URL rules skipped — all 1 dynamic rules are in use' },
+            ]);
+        });
+
+        it('reports an empty budget while paused', async () => {
+            setRulesPaused(true);
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            expect(getRuleBudget()).toEqual({ used: 0, available: 5000, regexUsed: 0, regexAvailable: 1000 });
+        });
+    });
+
+    // ── Rejected rules ──
+
+    describe('rejected rules', () => {
+        const REJECTION = 'Rule with id 1 specifies an incorrect value for the "urlFilter" key.';
+
+        function makeStaticEntry(overrides: Partial<SavedDataMap[string]> = {}): SavedDataMap[string] {
+            return makeSavedEntry({ isDynamic: false, sourceId: undefined, headerValue: 'v', cacheBusting: 'off', ...overrides });
+        }
+
+        let accepted: chrome.declarativeNetRequest.Rule[] = [];
+
+        /** The browser rejects any batch whose JSON contains the marker */
+        function rejectBatchesWith(marker: string) {
+            accepted = [];
+            mockUpdateDynamicRules.mockImplementation(({ addRules = [] }: chrome.declarativeNetRequest.UpdateRuleOptions) => {
+                if (JSON.stringify(addRules).includes(marker)) return Promise.reject(new Error(REJECTION));
+                accepted.push(...addRules);
+                return Promise.resolve();
+            });
+        }
+
+        const rejectBadDomain = () => rejectBatchesWith('bad.openheaders.io');
+
+        function installedHeaders(): string[] {
+            return accepted.flatMap(rule => (rule.action.requestHeaders || []).map(h => h.header));
+        }
+
+        async function settle() {
+            for (let i = 0; i < 5; i++) await flushPromises();
+        }
+
+        it('installs the valid rules and quarantines the rejected entry', async () => {
+            rejectBadDomain();
+            mockSavedData = {
+                'rule-1': makeStaticEntry({ headerName: 'X-Good', domains: ['api.openheaders.io'] }),
+                'rule-2': makeStaticEntry({ headerName: 'X-Bad', domains: ['bad.openheaders.io'] }),
+            };
+
+            updateNetworkRules([]);
+            await settle();
+
+            expect(installedHeaders()).toContain('X-Good');
+            expect(installedHeaders()).not.toContain('X-Bad');
+            expect(getQuarantineRecord('rule-2')?.reason).toBe(REJECTION);
+            expect(getQuarantineRecord('rule-1')).toBeUndefined();
+            expect(getRuleIssues()).toEqual([
+                { ruleId: 'rule-2', reason: 'quarantined', message: `Rejected by the browser: ${REJECTION}` },
+            ]);
+        });
+
+        it('only quarantines the broken member of a merged rule', async () => {
+            rejectBatchesWith('X-Bad');
+            mockSavedData = {
+                'rule-1': makeStaticEntry({ headerName: 'X-Good', domains: ['api.openheaders.io'] }),
+                'rule-2': makeStaticEntry({ headerName: 'X-Bad', domains: ['api.openheaders.io'] }),
+            };
+
+            updateNetworkRules([]);
+            await settle();
+
+            expect(getQuarantineRecord('rule-2')).toBeDefined();
+            expect(getQuarantineRecord('rule-1')).toBeUndefined();
+            expect(installedHeaders()).toContain('X-Good');
+        });
+
+        it('expects the members it installed in place of a rejected merged rule', async () => {
+            // The browser takes each header on its own, but not the two merged
+            mockUpdateDynamicRules.mockImplementation(({ removeRuleIds = [], addRules = [] }: chrome.declarativeNetRequest.UpdateRuleOptions) => {
+                if (addRules.some(rule => (rule.action.requestHeaders || []).length > 1)) return Promise.reject(new Error(REJECTION));
+                mockInstalledRules = [...mockInstalledRules.filter(rule => !removeRuleIds.includes(rule.id)), ...addRules];
+                return Promise.resolve();
+            });
+            mockSavedData = {
+                'rule-1': makeStaticEntry({ headerName: 'X-One', domains: ['api.openheaders.io'] }),
+                'rule-2': makeStaticEntry({ headerName: 'X-Two', domains: ['api.openheaders.io'] }),
+            };
+
+            updateNetworkRules([]);
+            await settle();
+            expect(mockInstalledRules).toHaveLength(2);
+
+            mockUpdateDynamicRules.mockClear();
+            await verifyNetworkRules('alarm');
+
+            expect(mockUpdateDynamicRules).not.toHaveBeenCalled();
+            expect(mockInstalledRules).toHaveLength(2);
+        });
+
+        it('skips a quarantined entry until its rules change', async () => {
+            rejectBadDomain();
+            mockSavedData = { 'rule-1': makeStaticEntry({ headerName: 'X-Bad', domains: ['bad.openheaders.io'] }) };
+            updateNetworkRules([]);
+            await settle();
+
+            mockUpdateDynamicRules.mockClear();
+            updateNetworkRules([]);
+            await settle();
+            expect(mockUpdateDynamicRules).not.toHaveBeenCalled();
+
+            mockSavedData = { 'rule-1': makeStaticEntry({ headerName: 'X-Bad', headerValue: 'edited', domains: ['ok.openheaders.io'] }) };
+            updateNetworkRules([]);
+            await settle();
+
+            expect(getQuarantineRecord('rule-1')).toBeUndefined();
+            expect(installedHeaders()).toContain('X-Bad');
+        });
+
+        it('releases the record of a deleted entry', async () => {
+            rejectBadDomain();
+            mockSavedData = { 'rule-1': makeStaticEntry({ domains: ['bad.openheaders.io'] }) };
+            updateNetworkRules([]);
+            await settle();
+            expect(getQuarantineRecord('rule-1')).toBeDefined();
+
+            mockSavedData = {};
+            updateNetworkRules([]);
+            await settle();
+
+            expect(getQuarantineRecord('rule-1')).toBeUndefined();
+        });
+    });
+
+    // ── Failed updates ──
+
+    describe('failed updates', () => {
+        it('reports an error thrown while building the rules', async () => {
+            mockSavedData = { 'rule-1': makeSavedEntry({ isDynamic: false, sourceId: undefined, headerValue: 'v' }) };
+            mockGetRuleLimits.mockImplementationOnce(() => {
+                throw new Error('Rule limits unavailable');
+            });
+
+            updateNetworkRules([]);
+            await flushPromises();
+
+            expect(mockUpdateDynamicRules).not.toHaveBeenCalled();
+            expect(sendMessageWithCallback).toHaveBeenCalledWith(
+                { type: 'ruleUpdateError', error: 'Rule limits unavailable' },
+                expect.any(Function)
+            );
+        });
+    });
+
+    // ── Verification ──
+
+    describe('verification', () => {
+        const STALE = { id: 1, priority: 100, action: { type: 'block' }, condition: { urlFilter: 'old' } } as chrome.declarativeNetRequest.Rule;
+
+        function lastDriftEvents(): Record<string, unknown>[] {
+            const call = mockLocalSet.mock.calls.filter(([items]) => 'ruleDriftEvents' in items).at(-1);
+            return call?.[0].ruleDriftEvents ?? [];
+        }
+
+        beforeEach(() => {
+            mockSavedData = { 'rule-1': makeSavedEntry({ isDynamic: false, sourceId: undefined, headerValue: 'v' }) };
+        });
+
+        it('does not report drift when the browser has the expected rules', async () => {
+            updateNetworkRules([]);
+            await flushPromises();
+
+            expect(mockUpdateDynamicRules).toHaveBeenCalledTimes(1);
+            expect(lastDriftEvents()).toEqual([]);
+        });
+
+        it('does not report drift when the browser fills in defaults', async () => {
+            // Firefox reads rules back with isUrlFilterCaseSensitive: false
+            mockGetDynamicRules.mockImplementation(() => Promise.resolve(mockInstalledRules.map(rule => ({
+                ...rule, condition: { ...rule.condition, isUrlFilterCaseSensitive: false }
+            }))));
+            updateNetworkRules([]);
+            await flushPromises();
+
+            await verifyNetworkRules('alarm');
+
+            expect(mockUpdateDynamicRules).toHaveBeenCalledTimes(1);
+            expect(lastDriftEvents()).toEqual([]);
+        });
+
+        it('removes rules that appear behind its back after applying', async () => {
+            mockUpdateDynamicRules.mockImplementationOnce(({ addRules = [] }: chrome.declarativeNetRequest.UpdateRuleOptions) => {
+                // Another service-worker instance installs a rule at the same time
+                mockInstalledRules = [...addRules, STALE];
+                return Promise.resolve();
+            });
+
+            updateNetworkRules([]);
+            await flushPromises();
+            await flushPromises();
+
+            expect(mockUpdateDynamicRules).toHaveBeenLastCalledWith({ removeRuleIds: [1], addRules: [] });
+            expect(mockInstalledRules.map(r => r.id)).not.toContain(1);
+            expect(lastDriftEvents()[0]).toMatchObject({ trigger: 'post_apply', missing: 0, unexpected: 1, changed: 0, repaired: true });
+        });
+
+        it('reinstalls missing rules on the periodic check', async () => {
+            updateNetworkRules([]);
+            await flushPromises();
+            const installed = mockInstalledRules;
+
+            mockInstalledRules = [];
+            await verifyNetworkRules('alarm');
+
+            expect(mockInstalledRules).toEqual(installed);
+            expect(lastDriftEvents()[0]).toMatchObject({ trigger: 'alarm', missing: installed.length, repaired: true });
+        });
+
+        it('records a failed repair', async () => {
+            updateNetworkRules([]);
+            await flushPromises();
+
+            mockInstalledRules = [];
+            mockUpdateDynamicRules.mockRejectedValueOnce(new Error('Internal error'));
+            await verifyNetworkRules('alarm');
+
+            expect(lastDriftEvents()[0]).toMatchObject({ repaired: false, error: 'Internal error' });
         });
     });
 
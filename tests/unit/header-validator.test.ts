@@ -2,6 +2,7 @@ import { describe, it, expect } from 'vitest';
 import {
     validateHeaderName,
     validateHeaderValue,
+    validateHeaderOperation,
     sanitizeHeaderValue,
 } from '../../src/utils/header-validator';
 
@@ -72,6 +73,43 @@ describe('validateHeaderName', () => {
     });
 });
 
+// ---------------------------------------------------------------------------
+//  validateHeaderOperation
+// ---------------------------------------------------------------------------
+
+describe('validateHeaderOperation', () => {
+    it('accepts set and remove on any header', () => {
+        expect(validateHeaderOperation('X-Custom', 'set').valid).toBe(true);
+        expect(validateHeaderOperation('Referer', 'remove').valid).toBe(true);
+        expect(validateHeaderOperation('Content-Security-Policy', 'remove', true).valid).toBe(true);
+    });
+
+    it('defaults to set when no operation is given', () => {
+        expect(validateHeaderOperation('X-Custom', undefined).valid).toBe(true);
+    });
+
+    it('accepts append on allowed request headers (case-insensitive)', () => {
+        expect(validateHeaderOperation('Accept', 'append').valid).toBe(true);
+        expect(validateHeaderOperation('x-forwarded-for', 'append').valid).toBe(true);
+        expect(validateHeaderOperation('Cookie', 'append').valid).toBe(true);
+    });
+
+    it('rejects append on other request headers', () => {
+        const result = validateHeaderOperation('X-Custom', 'append');
+        expect(result.valid).toBe(false);
+        expect(result.message).toContain('append');
+    });
+
+    it('accepts append on any response header', () => {
+        expect(validateHeaderOperation('Set-Cookie', 'append', true).valid).toBe(true);
+        expect(validateHeaderOperation('X-Custom', 'append', true).valid).toBe(true);
+    });
+
+    it('rejects unknown operations', () => {
+        expect(validateHeaderOperation('X-Custom', 'replace').valid).toBe(false);
+    });
+});
+
 // ---------------------------------------------------------------------------
 //  validateHeaderValue
 // ---------------------------------------------------------------------------
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { decodeJwtTiming, getJwtStatus, JWT_REFRESH_LEAD_SECONDS } from '../../src/utils/jwt';
+
+function base64url(value: unknown): string {
+    return btoa(JSON.stringify(value)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function makeJwt(claims: Record<string, unknown>, header: Record<string, unknown> = { alg: 'RS256', typ: 'JWT' }): string {
+    return `${base64url(header)}.${base64url(claims)}.c2lnbmF0dXJl`;
+}
+
+describe('decodeJwtTiming', () => {
+    it('reads exp and nbf from a bare token', () => {
+        const token = makeJwt({ sub: 'alice', exp: 1700000600, nbf: 1700000000 });
+        expect(decodeJwtTiming(token)).toEqual({ token, exp: 1700000600, nbf: 1700000000 });
+    });
+
+    it('finds the token after a scheme', () => {
+        const token = makeJwt({ exp: 1700000600 });
+        expect(decodeJwtTiming(`Bearer ${token}`)).toEqual({ token, exp: 1700000600 });
+    });
+
+    it('returns the token without timing when it has no exp or nbf', () => {
+        const token = makeJwt({ sub: 'alice' });
+        expect(decodeJwtTiming(token)).toEqual({ token });
+    });
+
+    it('ignores non-numeric claims', () => {
+        expect(decodeJwtTiming(makeJwt({ exp: 'tomorrow' }))).toEqual({ token: expect.any(String) });
+    });
+
+    it('returns null for values that are not JWTs', () => {
+        expect(decodeJwtTiming('')).toBeNull();
+        expect(decodeJwtTiming(undefined)).toBeNull();
+        expect(decodeJwtTiming('Bearer abc.def.ghi')).toBeNull();
+        expect(decodeJwtTiming(makeJwt({ exp: 1 }, { typ: 'JWT' }))).toBeNull();
+        expect(decodeJwtTiming(`${base64url({ alg: 'none' })}.bm90IGpzb24.sig`)).toBeNull();
+    });
+});
+
+describe('getJwtStatus', () => {
+    const now = 1700000000 * 1000;
+
+    it('is expired at and after exp', () => {
+        expect(getJwtStatus({ exp: 1700000000 }, now)).toBe('expired');
+        expect(getJwtStatus({ exp: 1699999000 }, now)).toBe('expired');
+    });
+
+    it('is expiring within the refresh lead', () => {
+        expect(getJwtStatus({ exp: 1700000000 + JWT_REFRESH_LEAD_SECONDS }, now)).toBe('expiring');
+        expect(getJwtStatus({ exp: 1700000000 + JWT_REFRESH_LEAD_SECONDS + 1 }, now)).toBe('valid');
+    });
+
+    it('is not yet valid before nbf', () => {
+        expect(getJwtStatus({ nbf: 1700000100, exp: 1700003600 }, now)).toBe('not_yet_valid');
+        expect(getJwtStatus({ nbf: 1700000000 }, now)).toBe('valid');
+    });
+});
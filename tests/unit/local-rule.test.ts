@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { validateLocalRule, toLocalCopy, isLocalRule, createLocalRuleId, LOCAL_RULE_ID_PREFIX } from '../../src/utils/local-rule';
+import type { HeaderEntry } from '../../src/types/header';
+
+function makeEntry(overrides: Partial<HeaderEntry> = {}): HeaderEntry {
+    return {
+        headerName: 'X-Debug',
+        headerValue: 'on',
+        domains: ['*.example.com'],
+        isDynamic: false,
+        ...overrides,
+    };
+}
+
+describe('validateLocalRule', () => {
+    it('accepts a complete static rule', () => {
+        expect(validateLocalRule(makeEntry())).toEqual({ valid: true, errors: {}, warnings: {} });
+    });
+
+    it('reports header name problems from the header validator', () => {
+        expect(validateLocalRule(makeEntry({ headerName: '' })).errors.headerName).toBe('Header name cannot be empty');
+        expect(validateLocalRule(makeEntry({ headerName: 'Host' })).errors.headerName).toMatch(/protected header/);
+        expect(validateLocalRule(makeEntry({ headerName: 'Bad Name' })).errors.headerName).toMatch(/invalid characters/);
+    });
+
+    it('checks the name against the rule direction', () => {
+        expect(validateLocalRule(makeEntry({ headerName: 'Vary' })).valid).toBe(true);
+        expect(validateLocalRule(makeEntry({ headerName: 'Vary', isResponse: true })).valid).toBe(false);
+    });
+
+    it('reports operations the header does not support', () => {
+        const result = validateLocalRule(makeEntry({ operation: 'append' }));
+        expect(result.errors.operation).toMatch(/does not support append/);
+    });
+
+    it('reports value problems from the header validator', () => {
+        expect(validateLocalRule(makeEntry({ headerValue: '' })).errors.headerValue).toBe('Header value cannot be empty');
+        expect(validateLocalRule(makeEntry({ headerValue: 'a\r\nb' })).errors.headerValue).toMatch(/line breaks/);
+    });
+
+    it('does not need a value for removals, sources or cookies', () => {
+        expect(validateLocalRule(makeEntry({ headerValue: '', operation: 'remove' })).valid).toBe(true);
+        expect(validateLocalRule(makeEntry({ headerValue: '', isDynamic: true, sourceId: '7' })).valid).toBe(true);
+        expect(validateLocalRule(makeEntry({ headerValue: '', cookieName: 'session', cookieDomain: 'example.com' })).valid).toBe(true);
+    });
+
+    it('passes on warnings without failing', () => {
+        const result = validateLocalRule(makeEntry({ headerName: 'Referrer' }));
+        expect(result.valid).toBe(true);
+        expect(result.warnings.headerName).toMatch(/Referer/);
+    });
+
+    it('requires at least one domain pattern', () => {
+        expect(validateLocalRule(makeEntry({ domains: [] })).errors.domains).toBe('Add at least one domain pattern');
+        expect(validateLocalRule(makeEntry({ domains: ['  '] })).errors.domains).toBe('Add at least one domain pattern');
+    });
+
+    it('rejects invalid regex domain patterns', () => {
+        const result = validateLocalRule(makeEntry({ patternType: 'regex', domains: ['^https://ok\\.com/', '(['] }));
+        expect(result.errors.domains).toBe('"([" is not a valid regular expression');
+    });
+});
+
+describe('toLocalCopy', () => {
+    it('copies the settings under local ownership with a fresh creation time', () => {
+        const now = new Date('2026-01-02T03:04:05.000Z');
+        const copy = toLocalCopy(makeEntry({ tag: 'api', createdAt: '2025-01-01T00:00:00.000Z', updatedAt: '2025-06-01T00:00:00.000Z' }), now);
+
+        expect(copy).toEqual(makeEntry({ tag: 'api', origin: 'local', createdAt: '2026-01-02T03:04:05.000Z' }));
+    });
+});
+
+describe('isLocalRule / createLocalRuleId', () => {
+    it('recognizes local rules by their origin', () => {
+        expect(isLocalRule(makeEntry({ origin: 'local' }))).toBe(true);
+        expect(isLocalRule(makeEntry())).toBe(false);
+        expect(isLocalRule(undefined)).toBe(false);
+    });
+
+    it('creates unique prefixed IDs', () => {
+        const a = createLocalRuleId();
+        const b = createLocalRuleId();
+        expect(a.startsWith(LOCAL_RULE_ID_PREFIX)).toBe(true);
+        expect(a).not.toBe(b);
+    });
+});
@@ -0,0 +1,161 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import type { HeaderEntry, SavedDataMap } from '../../src/types/header';
+
+// ── Mocks ────────────────────────────────────────────────────────────
+
+let storedSavedData: SavedDataMap | null = null;
+
+vi.mock('../../src/utils/storage-chunking', () => ({
+    getChunkedData: vi.fn((_key: string, cb: (data: SavedDataMap | null) => void) => {
+        // Asynchronous like storage.sync, so interleaving writes would lose data
+        setTimeout(() => cb(storedSavedData ? structuredClone(storedSavedData) : null), 0);
+    }),
+    setChunkedData: vi.fn((_key: string, data: SavedDataMap, cb?: () => void) => {
+        setTimeout(() => {
+            storedSavedData = structuredClone(data);
+            if (cb) cb();
+        }, 0);
+    }),
+}));
+
+vi.mock('../../src/utils/browser-api', () => ({
+    runtime: { lastError: null },
+}));
+
+vi.mock('../../src/utils/logger', () => ({
+    logger: {
+        info: vi.fn(),
+        debug: vi.fn(),
+        warn: vi.fn(),
+        error: vi.fn(),
+    },
+}));
+
+import { updateSavedData, mergeAppRules, saveLocalRule, deleteLocalRule } from '../../src/background/modules/local-rules';
+import { setChunkedData } from '../../src/utils/storage-chunking';
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+function makeEntry(overrides: Partial<HeaderEntry> = {}): HeaderEntry {
+    return {
+        headerName: 'X-Debug',
+        headerValue: 'on',
+        domains: ['*.example.com'],
+        isDynamic: false,
+        isEnabled: true,
+        ...overrides,
+    };
+}
+
+// ── Tests ────────────────────────────────────────────────────────────
+
+describe('local-rules', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        storedSavedData = null;
+    });
+
+    describe('mergeAppRules', () => {
+        it('replaces app rules and keeps local ones', () => {
+            const current: SavedDataMap = {
+                'app-1': makeEntry({ headerName: 'X-Old' }),
+                'local-a': makeEntry({ headerName: 'X-Mine', origin: 'local' }),
+            };
+            const fromApp: SavedDataMap = { 'app-2': makeEntry({ headerName: 'X-New' }) };
+
+            expect(mergeAppRules(current, fromApp)).toEqual({
+                'local-a': makeEntry({ headerName: 'X-Mine', origin: 'local' }),
+                'app-2': makeEntry({ headerName: 'X-New' }),
+            });
+        });
+
+        it('never lets an app rule overwrite a local rule with the same ID', () => {
+            const current: SavedDataMap = { 'local-a': makeEntry({ origin: 'local' }) };
+            const merged = mergeAppRules(current, { 'local-a': makeEntry({ headerName: 'X-App' }) });
+
+            expect(merged['local-a'].headerName).toBe('X-Debug');
+        });
+    });
+
+    describe('saveLocalRule', () => {
+        it('creates a local rule with a new ID and creation time', async () => {
+            storedSavedData = { 'app-1': makeEntry() };
+
+            const result = await saveLocalRule(null, makeEntry({ headerName: ' X-Mine ', domains: ['a.com', ' '] }));
+
+            expect(result.success).toBe(true);
+            expect(result.id).toMatch(/^local-/);
+            expect(storedSavedData![result.id!]).toEqual(makeEntry({
+                headerName: 'X-Mine', domains: ['a.com'], origin: 'local', createdAt: expect.any(String),
+            }));
+            expect(storedSavedData!['app-1']).toEqual(makeEntry());
+        });
+
+        it('updates a local rule and keeps its creation time', async () => {
+            storedSavedData = { 'local-a': makeEntry({ origin: 'local', createdAt: '2026-01-01T00:00:00.000Z' }) };
+
+            const result = await saveLocalRule('local-a', makeEntry({ headerValue: 'off' }));
+
+            expect(result).toEqual({ success: true, id: 'local-a' });
+            expect(storedSavedData!['local-a']).toMatchObject({ headerValue: 'off', origin: 'local', createdAt: '2026-01-01T00:00:00.000Z' });
+            expect(storedSavedData!['local-a'].updatedAt).toEqual(expect.any(String));
+        });
+
+        it('refuses invalid rules with field errors and writes nothing', async () => {
+            const result = await saveLocalRule(null, makeEntry({ headerName: 'Host', domains: [] }));
+
+            expect(result.success).toBe(false);
+            expect(result.errors).toEqual({
+                headerName: expect.stringMatching(/protected header/),
+                domains: 'Add at least one domain pattern',
+            });
+            expect(setChunkedData).not.toHaveBeenCalled();
+        });
+
+        it('refuses to overwrite app rules', async () => {
+            storedSavedData = { 'app-1': makeEntry() };
+
+            const result = await saveLocalRule('app-1', makeEntry({ headerValue: 'off' }));
+
+            expect(result).toEqual({ success: false, error: 'Rule is managed by the desktop app' });
+            expect(setChunkedData).not.toHaveBeenCalled();
+        });
+
+        it('refuses to update a rule that no longer exists', async () => {
+            const result = await saveLocalRule('local-gone', makeEntry());
+
+            expect(result).toEqual({ success: false, error: 'Rule not found' });
+        });
+    });
+
+    describe('deleteLocalRule', () => {
+        it('deletes local rules only', async () => {
+            storedSavedData = { 'app-1': makeEntry(), 'local-a': makeEntry({ origin: 'local' }) };
+
+            expect(await deleteLocalRule('app-1')).toEqual({ success: false, error: 'Rule is managed by the desktop app' });
+            expect(await deleteLocalRule('local-a')).toEqual({ success: true, id: 'local-a' });
+            expect(storedSavedData).toEqual({ 'app-1': makeEntry() });
+        });
+    });
+
+    describe('updateSavedData', () => {
+        it('runs concurrent writes one after another so none is lost', async () => {
+            storedSavedData = { 'app-1': makeEntry() };
+
+            await Promise.all([
+                saveLocalRule(null, makeEntry({ headerName: 'X-One' })),
+                updateSavedData(current => mergeAppRules(current, { 'app-2': makeEntry({ headerName: 'X-App' }) })),
+                saveLocalRule(null, makeEntry({ headerName: 'X-Two' })),
+            ]);
+
+            expect(Object.values(storedSavedData!).map(entry => entry.headerName).sort()).toEqual(['X-App', 'X-One', 'X-Two']);
+        });
+
+        it('keeps the queue going after a failed write', async () => {
+            await expect(updateSavedData(() => { throw new Error('boom'); })).rejects.toThrow('boom');
+            await saveLocalRule(null, makeEntry());
+
+            expect(Object.keys(storedSavedData!)).toHaveLength(1);
+        });
+    });
+});
@@ -0,0 +1,162 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import type { MessageHandlerContext } from '../../src/types/browser';
+import type { Source } from '../../src/types/websocket';
+
+// ── Mocks ────────────────────────────────────────────────────────────
+
+vi.mock('../../src/background/header-manager', () => ({
+    getRuleIssues: vi.fn(() => []),
+    getResolvedValues: vi.fn(() => ({ 'rule-1': { value: 'Bearer token-abc-123' } })),
+    getRuleBudget: vi.fn(() => ({ used: 3, available: 5000, regexUsed: 0, regexAvailable: 1000 })),
+    getLastVerifiedAt: vi.fn(() => '2026-01-01T12:00:00.000Z'),
+}));
+
+vi.mock('../../src/background/modules/rule-verifier', () => ({
+    getDriftEvents: vi.fn(() => Promise.resolve([])),
+}));
+
+vi.mock('../../src/background/modules/site-pause', () => ({
+    getSitePause: vi.fn(() => null),
+    setDomainPaused: vi.fn(() => 'example.com'),
+    setTabPaused: vi.fn(() => Promise.resolve()),
+}));
+
+vi.mock('../../src/utils/logger', () => ({
+    logger: {
+        info: vi.fn(),
+        debug: vi.fn(),
+        warn: vi.fn(),
+        error: vi.fn(),
+    },
+}));
+
+import { handleGeneralMessage } from '../../src/background/modules/message-handler';
+import { getDriftEvents } from '../../src/background/modules/rule-verifier';
+import { setTabPaused } from '../../src/background/modules/site-pause';
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+const SOURCES: Source[] = [
+    { sourceId: '7', sourceType: 'http', sourcePath: 'https://auth.openheaders.io/token', sourceContent: 'token-abc-123' },
+];
+
+function makeContext(overrides: Partial<MessageHandlerContext> = {}): MessageHandlerContext {
+    return {
+        getCurrentSources: vi.fn(() => []),
+        isWebSocketConnected: vi.fn(() => true),
+        sendViaWebSocket: vi.fn(() => true),
+        scheduleUpdate: vi.fn(),
+        revalidateTrackedRequests: vi.fn(() => Promise.resolve()),
+        updateBadgeCallback: vi.fn(),
+        lastSourcesHash: '',
+        setLastSourcesHash: vi.fn(),
+        lastRulesUpdateTime: 0,
+        setLastRulesUpdateTime: vi.fn(),
+        lastSavedDataHash: '',
+        setLastSavedDataHash: vi.fn(),
+        ...overrides,
+    };
+}
+
+/** Send a message and wait for the handler's response */
+function send(message: Record<string, unknown>, ctx: MessageHandlerContext = makeContext()): Promise<Record<string, unknown>> {
+    return new Promise((resolve) => {
+        handleGeneralMessage(message, {} as chrome.runtime.MessageSender, response => resolve(response as Record<string, unknown>), ctx);
+    });
+}
+
+// ── Tests ────────────────────────────────────────────────────────────
+
+describe('message-handler', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    describe('getRuleDiagnostics', () => {
+        it('responds with the budget, last verification and drift events', async () => {
+            const response = await send({ type: 'getRuleDiagnostics' });
+
+            expect(response).toEqual({
+                ruleBudget: { used: 3, available: 5000, regexUsed: 0, regexAvailable: 1000 },
+                lastVerifiedAt: '2026-01-01T12:00:00.000Z',
+                driftEvents: [],
+            });
+        });
+
+        it('responds with the error when the drift events cannot be read', async () => {
+            vi.mocked(getDriftEvents).mockRejectedValueOnce(new Error('Storage unavailable'));
+
+            expect(await send({ type: 'getRuleDiagnostics' })).toEqual({ error: 'Storage unavailable' });
+        });
+    });
+
+    describe('getDynamicSources', () => {
+        it('includes the values the background resolved for the entries', async () => {
+            const ctx = makeContext({ getCurrentSources: vi.fn(() => SOURCES) });
+
+            const response = await send({ type: 'getDynamicSources' }, ctx);
+
+            expect(response.sources).toEqual(SOURCES);
+            expect(response.resolvedValues).toEqual({ 'rule-1': { value: 'Bearer token-abc-123' } });
+        });
+    });
+
+    describe('setSitePaused', () => {
+        it('pauses a tab and updates the badge', async () => {
+            const ctx = makeContext();
+
+            expect(await send({ type: 'setSitePaused', tabId: 7, paused: true }, ctx)).toEqual({ success: true });
+            expect(setTabPaused).toHaveBeenCalledWith(7, true);
+            expect(ctx.updateBadgeCallback).toHaveBeenCalled();
+        });
+
+        it('reports a tab pause the browser refused', async () => {
+            vi.mocked(setTabPaused).mockRejectedValueOnce(new Error('Session rules are not supported by this browser'));
+            const ctx = makeContext();
+
+            const response = await send({ type: 'setSitePaused', tabId: 7, paused: true }, ctx);
+
+            expect(response).toEqual({ success: false, error: 'Session rules are not supported by this browser' });
+            expect(ctx.updateBadgeCallback).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('refreshSource', () => {
+        it('asks the app to re-fetch the source when connected', async () => {
+            const ctx = makeContext({ getCurrentSources: vi.fn(() => SOURCES) });
+
+            const response = await send({ type: 'refreshSource', sourceId: 7 }, ctx);
+
+            expect(response).toEqual({ success: true });
+            expect(ctx.sendViaWebSocket).toHaveBeenCalledWith({ type: 'refreshSource', sourceId: '7', reason: 'user' });
+        });
+
+        it('reports a message the app did not get', async () => {
+            const ctx = makeContext({ getCurrentSources: vi.fn(() => SOURCES), sendViaWebSocket: vi.fn(() => false) });
+
+            expect(await send({ type: 'refreshSource', sourceId: '7' }, ctx)).toEqual({ success: false });
+        });
+
+        it('refuses while the app is disconnected', async () => {
+            const ctx = makeContext({ getCurrentSources: vi.fn(() => SOURCES), isWebSocketConnected: vi.fn(() => false) });
+
+            const response = await send({ type: 'refreshSource', sourceId: '7' }, ctx);
+
+            expect(response).toEqual({ success: false, error: 'Not connected to desktop app' });
+            expect(ctx.sendViaWebSocket).not.toHaveBeenCalled();
+        });
+
+        it('refuses an unknown source', async () => {
+            const ctx = makeContext({ getCurrentSources: vi.fn(() => SOURCES) });
+
+            const response = await send({ type: 'refreshSource', sourceId: '99' }, ctx);
+
+            expect(response).toEqual({ success: false, error: 'Source #99 not found' });
+            expect(ctx.sendViaWebSocket).not.toHaveBeenCalled();
+        });
+
+        it('refuses a message without a source ID', async () => {
+            expect(await send({ type: 'refreshSource' })).toEqual({ success: false, error: 'Missing source ID' });
+        });
+    });
+});
@@ -0,0 +1,236 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import type { HeaderEntry, SavedDataMap } from '../../src/types/header';
+
+// ── Mocks ────────────────────────────────────────────────────────────
+
+let storedSavedData: SavedDataMap | null = null;
+let localStore: Record<string, unknown> = {};
+
+vi.mock('../../src/utils/storage-chunking', () => ({
+    getChunkedData: vi.fn((_key: string, cb: (data: SavedDataMap | null) => void) => {
+        setTimeout(() => cb(storedSavedData ? structuredClone(storedSavedData) : null), 0);
+    }),
+    setChunkedData: vi.fn((_key: string, data: SavedDataMap, cb?: () => void) => {
+        setTimeout(() => {
+            storedSavedData = structuredClone(data);
+            if (cb) cb();
+        }, 0);
+    }),
+}));
+
+vi.mock('../../src/utils/browser-api', () => ({
+    runtime: { lastError: null },
+    storage: {
+        local: {
+            get: vi.fn((keys: string[], cb: (result: Record<string, unknown>) => void) => {
+                cb(Object.fromEntries(keys.filter(key => key in localStore).map(key => [key, structuredClone(localStore[key])])));
+            }),
+            set: vi.fn((items: Record<string, unknown>, cb?: () => void) => {
+                Object.assign(localStore, structuredClone(items));
+                if (cb) cb();
+            }),
+        },
+    },
+}));
+
+vi.mock('../../src/utils/logger', () => ({
+    logger: {
+        info: vi.fn(),
+        debug: vi.fn(),
+        warn: vi.fn(),
+        error: vi.fn(),
+    },
+}));
+
+import {
+    getProfiles,
+    getActiveProfile,
+    saveProfile,
+    deleteProfile,
+    switchProfile,
+    hydrateProfilesFromStorage,
+} from '../../src/background/modules/profile-store';
+import { getQueuedToggles, hydrateOutboxFromStorage } from '../../src/background/modules/toggle-outbox';
+import { getActiveEnvironment, setEnvironmentsFromApp } from '../../src/background/modules/environment-store';
+import { setChunkedData } from '../../src/utils/storage-chunking';
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+function makeEntry(overrides: Partial<HeaderEntry> = {}): HeaderEntry {
+    return {
+        headerName: 'X-Debug',
+        headerValue: 'on',
+        domains: ['*.example.com'],
+        isDynamic: false,
+        isEnabled: true,
+        ...overrides,
+    };
+}
+
+// ── Tests ────────────────────────────────────────────────────────────
+
+describe('profile-store', () => {
+    beforeEach(async () => {
+        storedSavedData = {
+            'app-1': makeEntry({ headerName: 'X-Backend' }),
+            'app-2': makeEntry({ headerName: 'X-Flags', isEnabled: false }),
+            'local-a': makeEntry({ headerName: 'X-Local', origin: 'local' }),
+        };
+        localStore = {};
+        setEnvironmentsFromApp({ environments: { Default: {}, Staging: {} }, activeEnvironment: 'Default' });
+        await hydrateOutboxFromStorage();
+        await hydrateProfilesFromStorage();
+        vi.mocked(setChunkedData).mockClear();
+    });
+
+    describe('saveProfile', () => {
+        it('captures the enabled rules and the active environment', async () => {
+            const result = await saveProfile(null, '  Local backend ');
+
+            expect(result.success).toBe(true);
+            expect(result.profile).toMatchObject({
+                name: 'Local backend',
+                enabledRuleIds: ['app-1', 'local-a'],
+                environment: 'Default',
+            });
+            expect(result.profile!.id).toMatch(/^profile-/);
+            expect(getActiveProfile()).toEqual(result.profile);
+            expect(localStore.ruleProfiles).toEqual([result.profile]);
+        });
+
+        it('updates an existing profile with the current rules', async () => {
+            const { profile } = await saveProfile(null, 'Staging');
+            storedSavedData!['app-2'].isEnabled = true;
+
+            const result = await saveProfile(profile!.id);
+
+            expect(result.profile).toMatchObject({ id: profile!.id, name: 'Staging', createdAt: profile!.createdAt });
+            expect(result.profile!.enabledRuleIds).toEqual(['app-1', 'app-2', 'local-a']);
+            expect(result.profile!.updatedAt).toBeDefined();
+            expect(getProfiles()).toHaveLength(1);
+        });
+
+        it('refuses an empty or duplicate name', async () => {
+            await saveProfile(null, 'Staging');
+
+            expect(await saveProfile(null, '  ')).toEqual({ success: false, error: 'Profile name is required' });
+            expect((await saveProfile(null, 'staging')).error).toBe('A profile named "staging" already exists');
+            expect(getProfiles()).toHaveLength(1);
+        });
+
+        it('refuses an unknown profile ID', async () => {
+            expect(await saveProfile('profile-missing', 'X')).toEqual({ success: false, error: 'Profile not found' });
+        });
+
+        it('does not write savedData', async () => {
+            await saveProfile(null, 'Staging');
+            expect(setChunkedData).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('switchProfile', () => {
+        it('enables exactly the profile rules in one write', async () => {
+            const { profile } = await saveProfile(null, 'Flags only');
+            storedSavedData = {
+                'app-1': makeEntry({ headerName: 'X-Backend', isEnabled: false }),
+                'app-2': makeEntry({ headerName: 'X-Flags', isEnabled: true }),
+                'local-a': makeEntry({ headerName: 'X-Local', origin: 'local', isEnabled: false }),
+                'app-3': makeEntry({ headerName: 'X-New' }),
+            };
+
+            const result = await switchProfile(profile!.id);
+
+            expect(result).toMatchObject({ success: true, changed: true });
+            expect(setChunkedData).toHaveBeenCalledTimes(1);
+            expect(storedSavedData['app-1'].isEnabled).toBe(true);
+            expect(storedSavedData['app-2'].isEnabled).toBe(false);
+            expect(storedSavedData['local-a'].isEnabled).toBe(true);
+            // Added after the profile was saved, so not part of it
+            expect(storedSavedData['app-3'].isEnabled).toBe(false);
+        });
+
+        it('queues the app rule changes for the app, not the local ones', async () => {
+            const { profile } = await saveProfile(null, 'Default');
+            storedSavedData!['app-1'].isEnabled = false;
+            storedSavedData!['local-a'].isEnabled = false;
+
+            await switchProfile(profile!.id);
+
+            expect(getQueuedToggles().map(toggle => [toggle.ruleId, toggle.enabled])).toEqual([['app-1', true]]);
+        });
+
+        it('writes nothing when the rules already match', async () => {
+            const { profile } = await saveProfile(null, 'Default');
+
+            const result = await switchProfile(profile!.id);
+
+            expect(result.changed).toBe(false);
+            expect(setChunkedData).not.toHaveBeenCalled();
+            expect(getQueuedToggles()).toEqual([]);
+        });
+
+        it('switches the environment saved with the profile', async () => {
+            setEnvironmentsFromApp({ environments: { Default: {}, Staging: {} }, activeEnvironment: 'Staging' });
+            const { profile } = await saveProfile(null, 'Staging');
+            setEnvironmentsFromApp({ environments: { Default: {}, Staging: {} }, activeEnvironment: 'Default' });
+
+            const result = await switchProfile(profile!.id);
+
+            expect(result.environment).toBe('Staging');
+            expect(getActiveEnvironment()).toBe('Staging');
+        });
+
+        it('keeps the active environment when the saved one is gone', async () => {
+            setEnvironmentsFromApp({ environments: { Default: {}, Staging: {} }, activeEnvironment: 'Staging' });
+            const { profile } = await saveProfile(null, 'Staging');
+            setEnvironmentsFromApp({ environments: { Default: {} }, activeEnvironment: 'Default' });
+
+            const result = await switchProfile(profile!.id);
+
+            expect(result.success).toBe(true);
+            expect(result.environment).toBeUndefined();
+            expect(getActiveEnvironment()).toBe('Default');
+        });
+
+        it('makes the profile the active one', async () => {
+            const { profile: first } = await saveProfile(null, 'First');
+            await saveProfile(null, 'Second');
+
+            await switchProfile(first!.id);
+
+            expect(getActiveProfile()?.name).toBe('First');
+            expect(localStore.activeProfileId).toBe(first!.id);
+        });
+
+        it('refuses an unknown profile', async () => {
+            expect(await switchProfile('profile-missing')).toEqual({ success: false, error: 'Profile not found' });
+        });
+    });
+
+    describe('deleteProfile', () => {
+        it('removes the profile and clears it as active', async () => {
+            const { profile } = await saveProfile(null, 'Staging');
+
+            expect(deleteProfile(profile!.id).success).toBe(true);
+            expect(getProfiles()).toEqual([]);
+            expect(getActiveProfile()).toBeNull();
+        });
+
+        it('leaves the rules as they are', async () => {
+            const { profile } = await saveProfile(null, 'Staging');
+            deleteProfile(profile!.id);
+            expect(setChunkedData).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('hydrateProfilesFromStorage', () => {
+        it('restores the profiles and the active one', async () => {
+            const { profile } = await saveProfile(null, 'Staging');
+
+            const active = await hydrateProfilesFromStorage();
+
+            expect(active).toEqual(profile);
+            expect(getProfiles()).toEqual([profile]);
+        });
+    });
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import {
+    validateQueryParamKey,
+    validateQueryParamValue,
+    validateQueryParamModification,
+} from '../../src/utils/query-param-validator';
+
+// ---------------------------------------------------------------------------
+//  validateQueryParamKey
+// ---------------------------------------------------------------------------
+
+describe('validateQueryParamKey', () => {
+    it('accepts common parameter names', () => {
+        expect(validateQueryParamKey('debug').valid).toBe(true);
+        expect(validateQueryParamKey('feature_flag').valid).toBe(true);
+        expect(validateQueryParamKey('utm_source').valid).toBe(true);
+        expect(validateQueryParamKey('filter[status]').valid).toBe(true);
+    });
+
+    it('rejects empty and whitespace-only names', () => {
+        expect(validateQueryParamKey('').valid).toBe(false);
+        expect(validateQueryParamKey('   ').valid).toBe(false);
+    });
+
+    it('rejects names that would break the query string', () => {
+        expect(validateQueryParamKey('a&b').valid).toBe(false);
+        expect(validateQueryParamKey('a=b').valid).toBe(false);
+        expect(validateQueryParamKey('a#b').valid).toBe(false);
+        expect(validateQueryParamKey('a?b').valid).toBe(false);
+        expect(validateQueryParamKey('feature flag').valid).toBe(false);
+    });
+
+    it('rejects control characters', () => {
+        expect(validateQueryParamKey('de\u0000bug').valid).toBe(false);
+    });
+
+    it('rejects names longer than 256 characters', () => {
+        expect(validateQueryParamKey('a'.repeat(257)).valid).toBe(false);
+    });
+
+    it('provides sanitized (trimmed) name', () => {
+        expect(validateQueryParamKey('  debug ').sanitized).toBe('debug');
+    });
+
+    it('warns on non-ASCII names', () => {
+        const result = validateQueryParamKey('größe');
+        expect(result.valid).toBe(true);
+        expect(result.warning).toBeDefined();
+    });
+});
+
+// ---------------------------------------------------------------------------
+//  validateQueryParamValue
+// ---------------------------------------------------------------------------
+
+describe('validateQueryParamValue', () => {
+    it('accepts regular and empty values', () => {
+        expect(validateQueryParamValue('1').valid).toBe(true);
+        expect(validateQueryParamValue('x').valid).toBe(true);
+        expect(validateQueryParamValue('').valid).toBe(true);
+    });
+
+    it('rejects missing values', () => {
+        expect(validateQueryParamValue(undefined as unknown as string).valid).toBe(false);
+    });
+
+    it('rejects & and #', () => {
+        expect(validateQueryParamValue('a&b=c').valid).toBe(false);
+        expect(validateQueryParamValue('a#frag').valid).toBe(false);
+    });
+
+    it('rejects control characters', () => {
+        expect(validateQueryParamValue('a\r\nb').valid).toBe(false);
+    });
+
+    it('rejects values longer than 2048 characters', () => {
+        expect(validateQueryParamValue('a'.repeat(2049)).valid).toBe(false);
+    });
+
+    it('warns on whitespace', () => {
+        const result = validateQueryParamValue('a b');
+        expect(result.valid).toBe(true);
+        expect(result.warning).toBeDefined();
+    });
+});
+
+// ---------------------------------------------------------------------------
+//  validateQueryParamModification
+// ---------------------------------------------------------------------------
+
+describe('validateQueryParamModification', () => {
+    it('defaults to add and requires a value', () => {
+        expect(validateQueryParamModification({ key: 'debug', value: '1' }).valid).toBe(true);
+        expect(validateQueryParamModification({ key: 'debug' }).valid).toBe(false);
+    });
+
+    it('does not require a value for remove', () => {
+        expect(validateQueryParamModification({ key: 'utm_source', action: 'remove' }).valid).toBe(true);
+    });
+
+    it('rejects unknown actions', () => {
+        const result = validateQueryParamModification({ key: 'debug', value: '1', action: 'toggle' as 'add' });
+        expect(result.valid).toBe(false);
+        expect(result.message).toContain('toggle');
+    });
+
+    it('rejects invalid keys before checking values', () => {
+        const result = validateQueryParamModification({ key: '', value: '1' });
+        expect(result.valid).toBe(false);
+        expect(result.message).toContain('name');
+    });
+
+    it('rejects non-object input', () => {
+        expect(validateQueryParamModification(null as unknown as { key: string }).valid).toBe(false);
+    });
+});
@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import {
+    normalizeResourceTypes,
+    normalizeRequestMethods,
+    matchesRequestFilters,
+} from '../../src/background/modules/request-filters';
+
+// ---------------------------------------------------------------------------
+//  normalizeResourceTypes / normalizeRequestMethods
+// ---------------------------------------------------------------------------
+
+describe('normalizeResourceTypes', () => {
+    it('returns undefined when no restriction is set', () => {
+        expect(normalizeResourceTypes(undefined)).toBeUndefined();
+        expect(normalizeResourceTypes([])).toBeUndefined();
+    });
+
+    it('keeps known types, lower-cased and de-duplicated', () => {
+        expect(normalizeResourceTypes(['XMLHttpRequest', 'main_frame', 'xmlhttprequest'])).toEqual(['xmlhttprequest', 'main_frame']);
+    });
+
+    it('returns an empty list when every type is unknown', () => {
+        expect(normalizeResourceTypes(['fetch', 'document'])).toEqual([]);
+    });
+});
+
+describe('normalizeRequestMethods', () => {
+    it('returns undefined when no restriction is set', () => {
+        expect(normalizeRequestMethods(undefined)).toBeUndefined();
+        expect(normalizeRequestMethods([])).toBeUndefined();
+    });
+
+    it('lower-cases methods sent by the app', () => {
+        expect(normalizeRequestMethods(['POST', 'Put'])).toEqual(['post', 'put']);
+    });
+
+    it('drops unknown methods', () => {
+        expect(normalizeRequestMethods(['POST', 'TRACE'])).toEqual(['post']);
+        expect(normalizeRequestMethods(['TRACE'])).toEqual([]);
+    });
+});
+
+// ---------------------------------------------------------------------------
+//  matchesRequestFilters
+// ---------------------------------------------------------------------------
+
+describe('matchesRequestFilters', () => {
+    it('matches everything when the entry has no filters', () => {
+        expect(matchesRequestFilters({}, { type: 'image', method: 'GET' })).toBe(true);
+    });
+
+    it('checks the resource type', () => {
+        const entry = { resourceTypes: ['xmlhttprequest' as const] };
+        expect(matchesRequestFilters(entry, { type: 'xmlhttprequest' })).toBe(true);
+        expect(matchesRequestFilters(entry, { type: 'main_frame' })).toBe(false);
+    });
+
+    it('checks the method case-insensitively', () => {
+        const entry = { requestMethods: ['post' as const, 'put' as const] };
+        expect(matchesRequestFilters(entry, { method: 'POST' })).toBe(true);
+        expect(matchesRequestFilters(entry, { method: 'GET' })).toBe(false);
+    });
+
+    it('requires both filters to match', () => {
+        const entry = { resourceTypes: ['xmlhttprequest' as const], requestMethods: ['post' as const] };
+        expect(matchesRequestFilters(entry, { type: 'xmlhttprequest', method: 'POST' })).toBe(true);
+        expect(matchesRequestFilters(entry, { type: 'xmlhttprequest', method: 'GET' })).toBe(false);
+        expect(matchesRequestFilters(entry, { type: 'script', method: 'POST' })).toBe(false);
+    });
+
+    it('does not check details the caller does not know', () => {
+        const entry = { resourceTypes: ['main_frame' as const], requestMethods: ['post' as const] };
+        expect(matchesRequestFilters(entry, { type: 'main_frame' })).toBe(true);
+        expect(matchesRequestFilters(entry, {})).toBe(true);
+    });
+});
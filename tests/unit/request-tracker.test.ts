@@ -0,0 +1,167 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import type { SavedDataMap, SitePause } from '../../src/types/header';
+
+// ── Mocks ────────────────────────────────────────────────────────────
+
+let mockSavedData: SavedDataMap = {};
+let mockSitePause: SitePause | null = null;
+
+vi.mock('../../src/utils/storage-chunking', () => ({
+    getChunkedData: vi.fn((_key: string, cb: (data: SavedDataMap | null) => void) => {
+        cb(mockSavedData);
+    }),
+}));
+
+vi.mock('../../src/utils/browser-api', () => ({
+    storage: { onChanged: { addListener: vi.fn() } },
+    tabs: { query: vi.fn() },
+}));
+
+vi.mock('../../src/background/modules/site-pause', () => ({
+    getSitePause: vi.fn(() => mockSitePause),
+}));
+
+import {
+    checkIfUrlMatchesAnyRule,
+    getActiveRulesForTab,
+    refreshSavedDataCache,
+    clearAllTracking,
+    addTrackedUrl,
+} from '../../src/background/modules/request-tracker';
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+function makeEntry(overrides: Partial<SavedDataMap[string]> = {}): SavedDataMap[string] {
+    return {
+        headerName: 'Authorization',
+        headerValue: 'Bearer token',
+        domains: ['api.openheaders.io'],
+        isDynamic: false,
+        isEnabled: true,
+        ...overrides,
+    };
+}
+
+function setSavedData(data: SavedDataMap): void {
+    mockSavedData = data;
+    refreshSavedDataCache();
+}
+
+// ── Tests ────────────────────────────────────────────────────────────
+
+describe('request-tracker', () => {
+    beforeEach(() => {
+        clearAllTracking();
+        setSavedData({});
+        mockSitePause = null;
+    });
+
+    describe('checkIfUrlMatchesAnyRule', () => {
+        it('matches by domain when no request details are given', async () => {
+            setSavedData({ 'rule-1': makeEntry({ resourceTypes: ['xmlhttprequest'] }) });
+
+            expect(await checkIfUrlMatchesAnyRule('https://api.openheaders.io/v1/users')).toBe(true);
+        });
+
+        it('ignores rules restricted to other resource types', async () => {
+            setSavedData({ 'rule-1': makeEntry({ resourceTypes: ['xmlhttprequest'] }) });
+
+            expect(await checkIfUrlMatchesAnyRule('https://api.openheaders.io/v1/users', { type: 'xmlhttprequest' })).toBe(true);
+            expect(await checkIfUrlMatchesAnyRule('https://api.openheaders.io/logo.png', { type: 'image' })).toBe(false);
+        });
+
+        it('ignores rules restricted to other methods', async () => {
+            setSavedData({ 'rule-1': makeEntry({ requestMethods: ['post', 'put'] }) });
+
+            expect(await checkIfUrlMatchesAnyRule('https://api.openheaders.io/v1/users', { type: 'xmlhttprequest', method: 'POST' })).toBe(true);
+            expect(await checkIfUrlMatchesAnyRule('https://api.openheaders.io/v1/users', { type: 'xmlhttprequest', method: 'GET' })).toBe(false);
+        });
+
+        it('ignores excluded domains', async () => {
+            setSavedData({ 'rule-1': makeEntry({ domains: ['*.openheaders.io'], excludedDomains: ['auth.openheaders.io'] }) });
+
+            expect(await checkIfUrlMatchesAnyRule('https://api.openheaders.io/v1')).toBe(true);
+            expect(await checkIfUrlMatchesAnyRule('https://auth.openheaders.io/login')).toBe(false);
+        });
+
+        it('checks the initiator when it is known', async () => {
+            setSavedData({ 'rule-1': makeEntry({ initiatorDomains: ['localhost'] }) });
+
+            expect(await checkIfUrlMatchesAnyRule('https://api.openheaders.io/v1', { initiator: 'http://localhost:3000' })).toBe(true);
+            expect(await checkIfUrlMatchesAnyRule('https://api.openheaders.io/v1', { initiator: 'https://app.openheaders.io' })).toBe(false);
+        });
+
+        it('matches regex rules against the full URL', async () => {
+            setSavedData({ 'rule-1': makeEntry({ patternType: 'regex', domains: ['^https://pr-\\d+\\.preview\\.openheaders\\.io/api/'] }) });
+
+            expect(await checkIfUrlMatchesAnyRule('https://pr-7.preview.openheaders.io/api/users')).toBe(true);
+            expect(await checkIfUrlMatchesAnyRule('https://pr-7.preview.openheaders.io/docs')).toBe(false);
+        });
+
+        it('skips disabled rules', async () => {
+            setSavedData({ 'rule-1': makeEntry({ isEnabled: false }) });
+
+            expect(await checkIfUrlMatchesAnyRule('https://api.openheaders.io/')).toBe(false);
+        });
+    });
+
+    describe('getActiveRulesForTab', () => {
+        it('reports a direct match for rules that apply to the document', async () => {
+            setSavedData({ 'rule-1': makeEntry({ domains: ['app.openheaders.io'] }) });
+
+            const rules = await getActiveRulesForTab(1, 'https://app.openheaders.io/dashboard');
+            expect(rules).toHaveLength(1);
+            expect(rules[0].matchType).toBe('direct');
+        });
+
+        it('does not report a direct match for XHR-only rules', async () => {
+            setSavedData({ 'rule-1': makeEntry({ domains: ['app.openheaders.io'], resourceTypes: ['xmlhttprequest'] }) });
+
+            expect(await getActiveRulesForTab(1, 'https://app.openheaders.io/dashboard')).toHaveLength(0);
+        });
+
+        it('does not report a direct match on an excluded domain', async () => {
+            setSavedData({ 'rule-1': makeEntry({ domains: ['*.openheaders.io'], excludedDomains: ['auth.openheaders.io'] }) });
+
+            expect(await getActiveRulesForTab(1, 'https://auth.openheaders.io/login')).toHaveLength(0);
+        });
+
+        it('uses the tab as initiator for indirect matches', async () => {
+            setSavedData({ 'rule-1': makeEntry({ domains: ['api.openheaders.io'], initiatorDomains: ['localhost'] }) });
+            addTrackedUrl(1, 'https://api.openheaders.io/v1/users');
+            addTrackedUrl(2, 'https://api.openheaders.io/v1/users');
+
+            expect(await getActiveRulesForTab(1, 'http://localhost:3000/')).toHaveLength(1);
+            expect(await getActiveRulesForTab(2, 'https://app.openheaders.io/')).toHaveLength(0);
+        });
+
+        it('reports a regex rule as indirect when a tracked URL matches it', async () => {
+            setSavedData({ 'rule-1': makeEntry({ patternType: 'regex', domains: ['openheaders\\.io/api/'] }) });
+            addTrackedUrl(1, 'https://api.openheaders.io/api/users');
+
+            const rules = await getActiveRulesForTab(1, 'https://app.example.com/');
+            expect(rules).toHaveLength(1);
+            expect(rules[0].matchType).toBe('indirect');
+        });
+
+        it('reports an XHR-only rule as indirect once a matching request was tracked', async () => {
+            setSavedData({ 'rule-1': makeEntry({ domains: ['api.openheaders.io'], resourceTypes: ['xmlhttprequest'] }) });
+            addTrackedUrl(1, 'https://api.openheaders.io/v1/users');
+
+            const rules = await getActiveRulesForTab(1, 'https://app.openheaders.io/dashboard');
+            expect(rules).toHaveLength(1);
+            expect(rules[0].matchType).toBe('indirect');
+        });
+
+        it('reports nothing while rules are paused for the site or tab', async () => {
+            setSavedData({ 'rule-1': makeEntry({ domains: ['app.openheaders.io'] }) });
+            addTrackedUrl(1, 'https://api.openheaders.io/v1/users');
+
+            mockSitePause = { domain: 'app.openheaders.io', tab: false };
+            expect(await getActiveRulesForTab(1, 'https://app.openheaders.io/dashboard')).toHaveLength(0);
+
+            mockSitePause = { domain: null, tab: true };
+            expect(await getActiveRulesForTab(1, 'https://app.openheaders.io/dashboard')).toHaveLength(0);
+        });
+    });
+});
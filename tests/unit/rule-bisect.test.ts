@@ -0,0 +1,79 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../src/utils/browser-api', () => ({
+    declarativeNetRequest: {
+        updateDynamicRules: vi.fn(() => Promise.resolve()),
+    },
+}));
+
+import { addRulesBisecting } from '../../src/background/modules/rule-bisect';
+import { declarativeNetRequest } from '../../src/utils/browser-api';
+import type { NetworkRule } from '../../src/types/header';
+
+const mockUpdateDynamicRules = declarativeNetRequest!.updateDynamicRules as ReturnType<typeof vi.fn>;
+
+function makeRule(id: number): NetworkRule {
+    return { id, priority: 500, action: { type: 'block' }, condition: { urlFilter: `rule-${id}`, resourceTypes: [] } };
+}
+
+/** The browser rejects every batch containing one of the given rule IDs */
+function rejectIds(...ids: number[]) {
+    mockUpdateDynamicRules.mockImplementation(({ addRules = [] }: chrome.declarativeNetRequest.UpdateRuleOptions) => {
+        const bad = addRules.find(rule => ids.includes(rule.id));
+        return bad ? Promise.reject(new Error(`Rule with id ${bad.id} is invalid`)) : Promise.resolve();
+    });
+}
+
+
+describe('addRulesBisecting', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        mockUpdateDynamicRules.mockResolvedValue(undefined);
+    });
+
+    it('installs everything in one call when the batch is accepted', async () => {
+        const rules = [makeRule(1), makeRule(2)];
+        const { added, rejected } = await addRulesBisecting(rules);
+
+        expect(added).toEqual(rules);
+        expect(rejected).toEqual([]);
+        expect(mockUpdateDynamicRules).toHaveBeenCalledTimes(1);
+    });
+
+    it('isolates each rejected rule with its error', async () => {
+        rejectIds(3, 6);
+        const rules = [1, 2, 3, 4, 5, 6, 7, 8].map(makeRule);
+
+        const { added, rejected } = await addRulesBisecting(rules);
+
+        expect(added.map(rule => rule.id)).toEqual([1, 2, 4, 5, 7, 8]);
+        expect(rejected).toEqual([
+            { rule: rules[2], error: 'Rule with id 3 is invalid' },
+            { rule: rules[5], error: 'Rule with id 6 is invalid' },
+        ]);
+    });
+
+    it('installs every valid rule along the way', async () => {
+        const accepted: number[] = [];
+        mockUpdateDynamicRules.mockImplementation(({ addRules = [] }: chrome.declarativeNetRequest.UpdateRuleOptions) => {
+            if (addRules.some(rule => rule.id === 2)) return Promise.reject(new Error('invalid'));
+            accepted.push(...addRules.map(rule => rule.id));
+            return Promise.resolve();
+        });
+
+        await addRulesBisecting([1, 2, 3, 4].map(makeRule));
+
+        expect(accepted.sort()).toEqual([1, 3, 4]);
+    });
+
+    it('retries a rejected merged rule as its members', async () => {
+        rejectIds(10, 2);
+        const merged = makeRule(10);
+        const members = [makeRule(1), makeRule(2)];
+
+        const { added, rejected } = await addRulesBisecting([merged], rule => rule.id === 10 ? members : undefined);
+
+        expect(added.map(rule => rule.id)).toEqual([1]);
+        expect(rejected.map(r => r.rule.id)).toEqual([2]);
+    });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import { assembleRules, countRules, fitRuleBudget } from '../../src/background/modules/rule-budget';
+import { createRuleIdAllocator } from '../../src/background/modules/utils';
+import type { RuleUnit } from '../../src/background/modules/rule-budget';
+import type { HeaderRule, UrlRule } from '../../src/types/header';
+
+const RESOURCE_TYPES = ['xmlhttprequest' as chrome.declarativeNetRequest.ResourceType];
+
+function headerUnit(id: string, ruleId: number, host: string, priority = 100): RuleUnit {
+    const rule: HeaderRule = {
+        id: ruleId,
+        priority,
+        action: { type: 'modifyHeaders', requestHeaders: [{ header: `X-${id}`, operation: 'set', value: '1' }] },
+        condition: { urlFilter: `*://${host}/*`, resourceTypes: RESOURCE_TYPES },
+    };
+    return { kind: 'header', id, rules: [rule] };
+}
+
+function urlUnit(id: string, ruleId: number, regexFilter?: string): RuleUnit {
+    const rule: UrlRule = {
+        id: ruleId,
+        priority: 500,
+        action: { type: 'block' },
+        condition: regexFilter ? { regexFilter, resourceTypes: RESOURCE_TYPES } : { urlFilter: id, resourceTypes: RESOURCE_TYPES },
+    };
+    return { kind: 'url', id, rules: [rule] };
+}
+
+describe('assembleRules', () => {
+    it('merges header rules and appends URL rules', () => {
+        const rules = assembleRules([
+            urlUnit('url-1', 1),
+            headerUnit('a', 2, 'api.openheaders.io'),
+            headerUnit('b', 3, 'api.openheaders.io'),
+        ], createRuleIdAllocator());
+
+        expect(rules).toHaveLength(2);
+        expect(rules[0].action.type).toBe('modifyHeaders');
+        expect(rules[1].id).toBe(1);
+    });
+});
+
+describe('countRules', () => {
+    it('counts all and regex rules', () => {
+        const rules = [...urlUnit('url-1', 1, '^https://a/').rules, ...urlUnit('url-2', 2).rules];
+
+        expect(countRules(rules)).toEqual({ total: 2, regex: 1 });
+    });
+});
+
+describe('fitRuleBudget', () => {
+    const limits = { maxRules: 2, maxRegexRules: 1 };
+
+    it('keeps everything that fits', () => {
+        const units = [headerUnit('a', 1, 'a.openheaders.io'), headerUnit('b', 2, 'b.openheaders.io')];
+
+        expect(fitRuleBudget(units, limits)).toEqual({ kept: units, dropped: [], exceeded: null });
+    });
+
+    it('counts after merging', () => {
+        const units = ['a', 'b', 'c'].map((id, i) => headerUnit(id, i + 1, 'api.openheaders.io'));
+
+        expect(fitRuleBudget(units, { maxRules: 1, maxRegexRules: 1 }).dropped).toEqual([]);
+    });
+
+    it('drops the lowest-priority units first', () => {
+        const low = headerUnit('low', 1, 'a.openheaders.io', 100);
+        const high = headerUnit('high', 2, 'b.openheaders.io', 1000);
+        const url = urlUnit('url-1', 3);
+
+        const result = fitRuleBudget([low, high, url], limits);
+
+        expect(result.kept).toEqual([high, url]);
+        expect(result.dropped).toEqual([low]);
+        expect(result.exceeded).toBe('rules');
+    });
+
+    it('drops later units of equal priority first', () => {
+        const units = ['a', 'b', 'c'].map((id, i) => headerUnit(id, i + 1, `${id}.openheaders.io`));
+
+        expect(fitRuleBudget(units, limits).dropped.map(u => u.id)).toEqual(['c']);
+    });
+
+    it('reports the regex limit when that is what binds', () => {
+        const result = fitRuleBudget([urlUnit('url-1', 1, '^https://a/'), urlUnit('url-2', 2, '^https://b/')], limits);
+
+        expect(result.dropped.map(u => u.id)).toEqual(['url-2']);
+        expect(result.exceeded).toBe('regex');
+    });
+});
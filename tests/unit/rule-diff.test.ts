@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { diffRules } from '../../src/background/modules/rule-diff';
+import type { HeaderRule } from '../../src/types/header';
+
+function makeRule(id: number, value = 'Bearer token'): HeaderRule {
+    return {
+        id,
+        priority: 100,
+        action: {
+            type: 'modifyHeaders',
+            requestHeaders: [{ header: 'Authorization', operation: 'set', value }],
+        },
+        condition: { urlFilter: '*://api.openheaders.io/*', resourceTypes: ['xmlhttprequest' as chrome.declarativeNetRequest.ResourceType] },
+    };
+}
+
+describe('diffRules', () => {
+    it('adds everything when nothing is installed', () => {
+        const rules = [makeRule(1), makeRule(2)];
+
+        expect(diffRules([], rules)).toEqual({ removeRuleIds: [], addRules: rules, unchanged: 0 });
+    });
+
+    it('leaves identical rules alone', () => {
+        expect(diffRules([makeRule(1)], [makeRule(1)])).toEqual({ removeRuleIds: [], addRules: [], unchanged: 1 });
+    });
+
+    it('ignores property order and undefined values', () => {
+        const installed = {
+            condition: { resourceTypes: ['xmlhttprequest'], urlFilter: '*://api.openheaders.io/*' },
+            action: { requestHeaders: [{ value: 'Bearer token', operation: 'set', header: 'Authorization' }], type: 'modifyHeaders' },
+            priority: 100,
+            id: 1,
+        } as unknown as chrome.declarativeNetRequest.Rule;
+        const desired = { ...makeRule(1), condition: { ...makeRule(1).condition, requestMethods: undefined } };
+
+        expect(diffRules([installed], [desired]).unchanged).toBe(1);
+    });
+
+    it('ignores nulls and defaults the browser adds to the rules it returns', () => {
+        const rule = makeRule(1);
+        const installed = {
+            ...rule,
+            action: { ...rule.action, redirect: null },
+            condition: { ...rule.condition, isUrlFilterCaseSensitive: false, regexFilter: null },
+        } as unknown as chrome.declarativeNetRequest.Rule;
+
+        expect(diffRules([installed], [rule])).toEqual({ removeRuleIds: [], addRules: [], unchanged: 1 });
+    });
+
+    it('still replaces a rule whose case sensitivity differs from the default', () => {
+        const rule = makeRule(1);
+        const installed = { ...rule, condition: { ...rule.condition, isUrlFilterCaseSensitive: true } } as chrome.declarativeNetRequest.Rule;
+
+        expect(diffRules([installed], [rule]).removeRuleIds).toEqual([1]);
+    });
+
+    it('replaces a rule whose body changed', () => {
+        const updated = makeRule(1, 'Bearer new');
+
+        expect(diffRules([makeRule(1)], [updated])).toEqual({ removeRuleIds: [1], addRules: [updated], unchanged: 0 });
+    });
+
+    it('removes installed rules that are no longer wanted', () => {
+        expect(diffRules([makeRule(1), makeRule(2)], [makeRule(2)])).toEqual({ removeRuleIds: [1], addRules: [], unchanged: 1 });
+    });
+});
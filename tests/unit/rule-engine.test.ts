@@ -150,6 +150,9 @@ describe('RuleEngine', () => {
 
             scheduleUpdate('init', { immediate: true });
             expect(mockUpdateNetworkRules).toHaveBeenCalledTimes(5);
+
+            scheduleUpdate('cacheBusting', { immediate: true });
+            expect(mockUpdateNetworkRules).toHaveBeenCalledTimes(6);
         });
 
         it('updates when sources actually change', () => {
@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import { mergeHeaderRules } from '../../src/background/modules/rule-optimizer';
+import { createRuleIdAllocator } from '../../src/background/modules/utils';
+import type { HeaderModification, HeaderRule } from '../../src/types/header';
+
+const API = '*://api.openheaders.io/*';
+const RESOURCE_TYPES = ['xmlhttprequest' as chrome.declarativeNetRequest.ResourceType];
+
+function makeRequestRule(id: number, headers: HeaderModification[], urlFilter = API, priority = 100): HeaderRule {
+    return {
+        id,
+        priority,
+        action: { type: 'modifyHeaders', requestHeaders: headers },
+        condition: { urlFilter, resourceTypes: RESOURCE_TYPES },
+    };
+}
+
+function makeResponseRule(id: number, headers: HeaderModification[], urlFilter = API): HeaderRule {
+    return {
+        id,
+        priority: 100,
+        action: { type: 'modifyHeaders', responseHeaders: headers },
+        condition: { urlFilter, resourceTypes: RESOURCE_TYPES },
+    };
+}
+
+function set(header: string, value: string): HeaderModification {
+    return { header, operation: 'set', value };
+}
+
+const headerNames = (rule: HeaderRule) =>
+    (rule.action.requestHeaders || rule.action.responseHeaders || []).map(h => h.header);
+
+describe('mergeHeaderRules', () => {
+    it('merges rules with the same condition into one', () => {
+        const rules = mergeHeaderRules([
+            makeRequestRule(1, [set('Authorization', 'Bearer a')]),
+            makeRequestRule(2, [set('X-Env', 'staging')]),
+        ], createRuleIdAllocator());
+
+        expect(rules).toHaveLength(1);
+        expect(headerNames(rules[0])).toEqual(['Authorization', 'X-Env']);
+        expect(rules[0].condition).toEqual({ urlFilter: API, resourceTypes: RESOURCE_TYPES });
+    });
+
+    it('keeps rules for different domains, priorities and directions apart', () => {
+        const rules = mergeHeaderRules([
+            makeRequestRule(1, [set('X-One', '1')]),
+            makeRequestRule(2, [set('X-Two', '2')], '*://app.openheaders.io/*'),
+            makeRequestRule(3, [set('X-Three', '3')], API, 200),
+            makeResponseRule(4, [set('X-Four', '4')]),
+        ], createRuleIdAllocator());
+
+        expect(rules.map(r => r.id)).toEqual([1, 2, 3, 4]);
+    });
+
+    it('keeps one rule per domain, without a requestDomains condition', () => {
+        const rules = mergeHeaderRules([
+            makeRequestRule(1, [set('X-Env', 'staging')]),
+            makeRequestRule(2, [set('X-Env', 'staging')], '*://app.openheaders.io/*'),
+            makeRequestRule(3, [set('X-Env', 'staging')], '*://*.openheaders.io/*'),
+        ], createRuleIdAllocator());
+
+        expect(rules.map(r => r.condition.urlFilter)).toEqual([API, '*://app.openheaders.io/*', '*://*.openheaders.io/*']);
+        rules.forEach(rule => expect(rule.condition).not.toHaveProperty('requestDomains'));
+    });
+
+    it('writes shared modifications only once', () => {
+        const noCache = [set('Cache-Control', 'no-cache'), set('Pragma', 'no-cache')];
+        const [rule] = mergeHeaderRules([
+            makeRequestRule(1, [set('X-One', '1'), ...noCache]),
+            makeRequestRule(2, [set('X-Two', '2'), ...noCache]),
+        ], createRuleIdAllocator());
+
+        expect(headerNames(rule)).toEqual(['X-One', 'Cache-Control', 'Pragma', 'X-Two']);
+    });
+
+    it('keeps conflicting modifications of one header in separate rules', () => {
+        const rules = mergeHeaderRules([
+            makeRequestRule(1, [set('Authorization', 'Bearer a')]),
+            makeRequestRule(2, [set('authorization', 'Bearer b')]),
+            makeRequestRule(3, [set('X-Env', 'staging')]),
+        ], createRuleIdAllocator());
+
+        expect(rules).toHaveLength(2);
+        expect(headerNames(rules[0])).toEqual(['Authorization', 'X-Env']);
+        expect(rules[1].id).toBe(2);
+    });
+
+    it('derives merged ids from the members regardless of order', () => {
+        const first = mergeHeaderRules([
+            makeRequestRule(1, [set('X-One', '1')]),
+            makeRequestRule(2, [set('X-Two', '2')]),
+        ], createRuleIdAllocator());
+        const second = mergeHeaderRules([
+            makeRequestRule(2, [set('X-Two', '2')]),
+            makeRequestRule(1, [set('X-One', '1')]),
+        ], createRuleIdAllocator());
+
+        expect(first[0].id).toBe(second[0].id);
+        expect(first[0].id).not.toBe(1);
+        expect(first[0].id).not.toBe(2);
+    });
+
+    it('returns an empty list unchanged', () => {
+        expect(mergeHeaderRules([], createRuleIdAllocator())).toEqual([]);
+    });
+});
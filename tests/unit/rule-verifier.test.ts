@@ -0,0 +1,68 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/utils/logger', () => ({
+    logger: {
+        info: vi.fn(),
+        debug: vi.fn(),
+        warn: vi.fn(),
+        error: vi.fn(),
+    },
+}));
+
+import { findDrift, hashRuleSet } from '../../src/background/modules/rule-verifier';
+import type { HeaderRule } from '../../src/types/header';
+
+function makeRule(id: number, value = 'Bearer token'): HeaderRule {
+    return {
+        id,
+        priority: 100,
+        action: {
+            type: 'modifyHeaders',
+            requestHeaders: [{ header: 'Authorization', operation: 'set', value }],
+        },
+        condition: { urlFilter: '*://api.openheaders.io/*', resourceTypes: ['xmlhttprequest' as chrome.declarativeNetRequest.ResourceType] },
+    };
+}
+
+const asInstalled = (rules: HeaderRule[]) => rules as unknown as chrome.declarativeNetRequest.Rule[];
+
+describe('hashRuleSet', () => {
+    it('does not depend on rule order', () => {
+        expect(hashRuleSet(asInstalled([makeRule(1), makeRule(2)]))).toBe(hashRuleSet(asInstalled([makeRule(2), makeRule(1)])));
+    });
+
+    it('ignores the nulls and defaults the browser adds', () => {
+        const rule = makeRule(1);
+        const returned = { ...rule, condition: { ...rule.condition, isUrlFilterCaseSensitive: false, regexFilter: null } };
+
+        expect(hashRuleSet(asInstalled([returned as unknown as HeaderRule]))).toBe(hashRuleSet(asInstalled([rule])));
+    });
+
+    it('changes when a rule body changes', () => {
+        expect(hashRuleSet(asInstalled([makeRule(1)]))).not.toBe(hashRuleSet(asInstalled([makeRule(1, 'other')])));
+    });
+});
+
+describe('findDrift', () => {
+    it('returns null when the sets match', () => {
+        expect(findDrift([makeRule(1), makeRule(2)], asInstalled([makeRule(2), makeRule(1)]))).toBeNull();
+    });
+
+    it('returns null for rules the browser returns with its defaults filled in', () => {
+        const rule = makeRule(1);
+        const returned = { ...rule, condition: { ...rule.condition, isUrlFilterCaseSensitive: false } };
+
+        expect(findDrift([rule], asInstalled([returned]))).toBeNull();
+    });
+
+    it('classifies missing, unexpected and changed rules', () => {
+        const drift = findDrift(
+            [makeRule(1), makeRule(2, 'new'), makeRule(3)],
+            asInstalled([makeRule(2, 'old'), makeRule(3), makeRule(4)])
+        );
+
+        expect(drift).toMatchObject({ missing: [1], unexpected: [4], changed: [2] });
+        expect(drift!.repair.removeRuleIds.sort()).toEqual([2, 4]);
+        expect(drift!.repair.addRules.map(r => r.id).sort()).toEqual([1, 2]);
+    });
+});
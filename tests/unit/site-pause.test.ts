@@ -0,0 +1,192 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import type { NetworkRule } from '../../src/types/header';
+
+// ── Mocks ────────────────────────────────────────────────────────────
+
+let localStore: Record<string, unknown> = {};
+let sessionRules: chrome.declarativeNetRequest.Rule[] = [];
+
+vi.mock('../../src/utils/browser-api', () => ({
+    storage: {
+        local: {
+            get: vi.fn((keys: string[], cb: (result: Record<string, unknown>) => void) => {
+                cb(Object.fromEntries(keys.filter(key => key in localStore).map(key => [key, structuredClone(localStore[key])])));
+            }),
+            set: vi.fn((items: Record<string, unknown>, cb?: () => void) => {
+                Object.assign(localStore, structuredClone(items));
+                if (cb) cb();
+            }),
+        },
+    },
+    declarativeNetRequest: {
+        getSessionRules: vi.fn(() => Promise.resolve(structuredClone(sessionRules))),
+        updateSessionRules: vi.fn((options: chrome.declarativeNetRequest.UpdateRuleOptions) => {
+            sessionRules = [
+                ...sessionRules.filter(rule => !options.removeRuleIds?.includes(rule.id)),
+                ...(options.addRules || []),
+            ];
+            return Promise.resolve();
+        }),
+    },
+}));
+
+vi.mock('../../src/utils/logger', () => ({
+    logger: {
+        info: vi.fn(),
+        debug: vi.fn(),
+        warn: vi.fn(),
+        error: vi.fn(),
+    },
+}));
+
+import {
+    TAB_PAUSE_RULE_ID,
+    TAB_PAUSE_PRIORITY,
+    getPausedDomains,
+    getPausedTabIds,
+    setDomainPaused,
+    setTabPaused,
+    releaseTab,
+    replaceTab,
+    getSitePause,
+    withSitePause,
+    hydrateSitePauseFromStorage,
+} from '../../src/background/modules/site-pause';
+import { declarativeNetRequest } from '../../src/utils/browser-api';
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+function makeRule(overrides: Partial<NetworkRule['condition']> = {}): NetworkRule {
+    return {
+        id: 1,
+        priority: 100,
+        action: { type: 'modifyHeaders', requestHeaders: [{ header: 'X-Debug', operation: 'set', value: 'on' }] },
+        condition: { urlFilter: '||example.com', ...overrides },
+    } as NetworkRule;
+}
+
+// ── Tests ────────────────────────────────────────────────────────────
+
+describe('site-pause', () => {
+    beforeEach(async () => {
+        localStore = {};
+        sessionRules = [];
+        await hydrateSitePauseFromStorage();
+    });
+
+    describe('setDomainPaused', () => {
+        it('stores the host of a URL and persists it', () => {
+            expect(setDomainPaused('https://app.example.com/dashboard?x=1', true)).toBe('app.example.com');
+            expect(getPausedDomains()).toEqual(['app.example.com']);
+            expect(localStore.pausedDomains).toEqual(['app.example.com']);
+        });
+
+        it('does not add a domain twice, and resumes it', () => {
+            setDomainPaused('app.example.com', true);
+            setDomainPaused('app.example.com', true);
+            expect(getPausedDomains()).toEqual(['app.example.com']);
+
+            setDomainPaused('app.example.com', false);
+            expect(getPausedDomains()).toEqual([]);
+        });
+
+        it('refuses something that is not a domain', () => {
+            expect(setDomainPaused('', true)).toBeNull();
+            expect(getPausedDomains()).toEqual([]);
+        });
+    });
+
+    describe('setTabPaused', () => {
+        it('installs one session allow rule for the paused tabs', async () => {
+            await setTabPaused(7, true);
+            await setTabPaused(9, true);
+
+            expect(sessionRules).toEqual([{
+                id: TAB_PAUSE_RULE_ID,
+                priority: TAB_PAUSE_PRIORITY,
+                action: { type: 'allow' },
+                condition: expect.objectContaining({ tabIds: [7, 9] }),
+            }]);
+            expect(sessionRules[0].condition.resourceTypes).toContain('main_frame');
+        });
+
+        it('removes the rule when the last tab resumes', async () => {
+            await setTabPaused(7, true);
+            await setTabPaused(7, false);
+
+            expect(getPausedTabIds()).toEqual([]);
+            expect(sessionRules).toEqual([]);
+        });
+
+        it('rejects and keeps the tab unpaused when the browser refuses the rule', async () => {
+            vi.mocked(declarativeNetRequest!.updateSessionRules).mockRejectedValueOnce(new Error('Invalid resource type'));
+
+            await expect(setTabPaused(7, true)).rejects.toThrow('Invalid resource type');
+
+            expect(getPausedTabIds()).toEqual([]);
+            expect(getSitePause(7, 'https://example.com/')).toBeNull();
+        });
+
+        it('forgets a closed tab and follows a replaced one', async () => {
+            await setTabPaused(7, true);
+            await setTabPaused(9, true);
+
+            await releaseTab(7);
+            await replaceTab(9, 12);
+
+            expect(getPausedTabIds()).toEqual([12]);
+            expect(sessionRules[0].condition.tabIds).toEqual([12]);
+        });
+    });
+
+    describe('getSitePause', () => {
+        it('matches the paused domain and its subdomains', () => {
+            setDomainPaused('example.com', true);
+
+            expect(getSitePause(1, 'https://app.example.com/')).toEqual({ domain: 'example.com', tab: false });
+            expect(getSitePause(1, 'https://example.org/')).toBeNull();
+        });
+
+        it('reports a paused tab whatever it shows', async () => {
+            await setTabPaused(3, true);
+
+            expect(getSitePause(3, 'chrome://newtab/')).toEqual({ domain: null, tab: true });
+            expect(getSitePause(4, 'https://example.com/')).toBeNull();
+        });
+    });
+
+    describe('withSitePause', () => {
+        it('returns the rules unchanged when nothing is paused', () => {
+            const rules = [makeRule()];
+            expect(withSitePause(rules)).toBe(rules);
+        });
+
+        it('adds the paused domains to excludedRequestDomains', () => {
+            setDomainPaused('app.example.com', true);
+
+            const [rule] = withSitePause([makeRule({ excludedRequestDomains: ['cdn.example.com', 'app.example.com'] })]);
+
+            expect(rule.condition.excludedRequestDomains).toEqual(['cdn.example.com', 'app.example.com']);
+        });
+
+        it('adds the paused domains to excludedInitiatorDomains, for requests the paused page makes elsewhere', () => {
+            setDomainPaused('example.com', true);
+
+            const [rule] = withSitePause([makeRule({ urlFilter: '||api.other.com', excludedInitiatorDomains: ['admin.other.com'] })]);
+
+            expect(rule.condition.excludedInitiatorDomains).toEqual(['admin.other.com', 'example.com']);
+        });
+    });
+
+    describe('hydrateSitePauseFromStorage', () => {
+        it('restores paused domains from storage and paused tabs from the session rule', async () => {
+            setDomainPaused('example.com', true);
+            await setTabPaused(5, true);
+
+            await hydrateSitePauseFromStorage();
+
+            expect(getPausedDomains()).toEqual(['example.com']);
+            expect(getPausedTabIds()).toEqual([5]);
+        });
+    });
+});
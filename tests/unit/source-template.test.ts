@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { findSourceRefs, resolveSourceRefs } from '../../src/utils/source-template';
+
+const SOURCES: Record<string, string> = { '4': 'acme', '12': 'secret-token', 'src-a': 'alice', '7': '' };
+const getContent = (id: string) => SOURCES[id];
+
+describe('findSourceRefs', () => {
+    it('lists referenced source IDs once, in order of first use', () => {
+        expect(findSourceRefs('tenant={{source:4}}; token={{source:12}}; again={{source:4}}')).toEqual(['4', '12']);
+    });
+
+    it('allows whitespace inside the braces', () => {
+        expect(findSourceRefs('{{ source: src-a }}')).toEqual(['src-a']);
+    });
+
+    it('ignores environment variables and plain text', () => {
+        expect(findSourceRefs('Bearer {{API_TOKEN}} {source:4}')).toEqual([]);
+    });
+});
+
+describe('resolveSourceRefs', () => {
+    it('composes a value from several sources and literals', () => {
+        expect(resolveSourceRefs('tenant={{source:4}}; token={{source:12}}', getContent))
+            .toEqual({ value: 'tenant=acme; token=secret-token', missing: [], empty: [] });
+    });
+
+    it('reports missing and empty sources separately and leaves them in place', () => {
+        const result = resolveSourceRefs('{{source:99}}:{{source:7}}:{{source:4}}', getContent);
+        expect(result.value).toBe('{{source:99}}:{{source:7}}:acme');
+        expect(result.missing).toEqual(['99']);
+        expect(result.empty).toEqual(['7']);
+    });
+
+    it('does not resolve references inside substituted content', () => {
+        const nested = (id: string) => (id === '1' ? '{{source:4}}' : getContent(id));
+        expect(resolveSourceRefs('{{source:1}}', nested).value).toBe('{{source:4}}');
+    });
+});
@@ -0,0 +1,200 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import type { HeaderEntry, SavedDataMap } from '../../src/types/header';
+
+// ── Mocks ────────────────────────────────────────────────────────────
+
+let storedSavedData: SavedDataMap | null = null;
+let localStore: Record<string, unknown> = {};
+
+vi.mock('../../src/utils/storage-chunking', () => ({
+    getChunkedData: vi.fn((_key: string, cb: (data: SavedDataMap | null) => void) => {
+        setTimeout(() => cb(storedSavedData ? structuredClone(storedSavedData) : null), 0);
+    }),
+    setChunkedData: vi.fn((_key: string, data: SavedDataMap, cb?: () => void) => {
+        setTimeout(() => {
+            storedSavedData = structuredClone(data);
+            if (cb) cb();
+        }, 0);
+    }),
+}));
+
+vi.mock('../../src/utils/browser-api', () => ({
+    runtime: { lastError: null },
+    storage: {
+        local: {
+            get: vi.fn((keys: string[], cb: (result: Record<string, unknown>) => void) => {
+                cb(Object.fromEntries(keys.filter(key => key in localStore).map(key => [key, structuredClone(localStore[key])])));
+            }),
+            set: vi.fn((items: Record<string, unknown>, cb?: () => void) => {
+                Object.assign(localStore, structuredClone(items));
+                if (cb) cb();
+            }),
+        },
+    },
+}));
+
+vi.mock('../../src/utils/logger', () => ({
+    logger: {
+        info: vi.fn(),
+        debug: vi.fn(),
+        warn: vi.fn(),
+        error: vi.fn(),
+    },
+}));
+
+import {
+    applyTagAction,
+    restoreTagSnapshot,
+    getTagSnapshot,
+    hydrateTagSnapshotFromStorage,
+} from '../../src/background/modules/tag-actions';
+import { getQueuedToggles, hydrateOutboxFromStorage } from '../../src/background/modules/toggle-outbox';
+import { setChunkedData } from '../../src/utils/storage-chunking';
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+const NOW = Date.parse('2026-01-01T12:00:00Z');
+
+function makeEntry(overrides: Partial<HeaderEntry> = {}): HeaderEntry {
+    return {
+        headerName: 'X-Debug',
+        headerValue: 'on',
+        domains: ['*.example.com'],
+        isDynamic: false,
+        isEnabled: true,
+        ...overrides,
+    };
+}
+
+function enabledStates(): Record<string, boolean> {
+    return Object.fromEntries(Object.entries(storedSavedData!).map(([id, entry]) => [id, entry.isEnabled !== false]));
+}
+
+// ── Tests ────────────────────────────────────────────────────────────
+
+describe('tag-actions', () => {
+    beforeEach(async () => {
+        storedSavedData = {
+            's1': makeEntry({ tag: 'staging' }),
+            's2': makeEntry({ tag: 'staging', isEnabled: false }),
+            'q1': makeEntry({ tag: 'qa' }),
+            'u1': makeEntry(),
+            'local-a': makeEntry({ tag: 'staging', origin: 'local', isEnabled: false }),
+        };
+        localStore = {};
+        await hydrateOutboxFromStorage();
+        await hydrateTagSnapshotFromStorage();
+        vi.mocked(setChunkedData).mockClear();
+    });
+
+    describe('applyTagAction', () => {
+        it('enables every rule of the tag in one write', async () => {
+            const result = await applyTagAction('staging', 'enable', NOW);
+
+            expect(result).toEqual({ success: true, changed: true, count: 2 });
+            expect(setChunkedData).toHaveBeenCalledTimes(1);
+            expect(enabledStates()).toEqual({ s1: true, s2: true, q1: true, u1: true, 'local-a': true });
+        });
+
+        it('disables every rule of the tag', async () => {
+            await applyTagAction('staging', 'disable', NOW);
+
+            expect(enabledStates()).toEqual({ s1: false, s2: false, q1: true, u1: true, 'local-a': false });
+        });
+
+        it('solos a tag: its rules on, all others off', async () => {
+            const result = await applyTagAction('staging', 'solo', NOW);
+
+            expect(result.count).toBe(4);
+            expect(setChunkedData).toHaveBeenCalledTimes(1);
+            expect(enabledStates()).toEqual({ s1: true, s2: true, q1: false, u1: false, 'local-a': true });
+        });
+
+        it('treats a null tag as the untagged rules', async () => {
+            await applyTagAction(null, 'solo', NOW);
+
+            expect(enabledStates()).toEqual({ s1: false, s2: false, q1: false, u1: true, 'local-a': false });
+        });
+
+        it('queues the app rule changes for the app', async () => {
+            await applyTagAction('staging', 'solo', NOW);
+
+            expect(getQueuedToggles().map(toggle => [toggle.ruleId, toggle.enabled])).toEqual([
+                ['s2', true],
+                ['q1', false],
+                ['u1', false],
+            ]);
+        });
+
+        it('snapshots the states it replaced', async () => {
+            await applyTagAction('staging', 'solo', NOW);
+
+            expect(getTagSnapshot()).toEqual({
+                label: 'Solo "staging"',
+                ruleStates: { s2: false, q1: true, u1: true, 'local-a': false },
+                takenAt: NOW,
+            });
+            expect(localStore.tagSnapshot).toEqual(getTagSnapshot());
+        });
+
+        it('keeps the previous snapshot when nothing changes', async () => {
+            await applyTagAction('qa', 'disable', NOW);
+
+            const result = await applyTagAction('qa', 'disable', NOW + 1000);
+
+            expect(result).toEqual({ success: true, changed: false, count: 0 });
+            expect(getTagSnapshot()?.takenAt).toBe(NOW);
+            expect(setChunkedData).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('restoreTagSnapshot', () => {
+        it('puts the changed rules back and drops the snapshot', async () => {
+            const before = enabledStates();
+            await applyTagAction('staging', 'solo', NOW);
+
+            const result = await restoreTagSnapshot(NOW + 1000);
+
+            expect(result).toEqual({ success: true, changed: true, count: 4 });
+            expect(enabledStates()).toEqual(before);
+            expect(getTagSnapshot()).toBeNull();
+        });
+
+        it('leaves rules the action did not change', async () => {
+            await applyTagAction('qa', 'disable', NOW);
+            storedSavedData!['u1'].isEnabled = false;
+
+            await restoreTagSnapshot(NOW + 1000);
+
+            expect(enabledStates()).toMatchObject({ q1: true, u1: false });
+        });
+
+        it('skips rules deleted since', async () => {
+            await applyTagAction('staging', 'solo', NOW);
+            delete storedSavedData!['q1'];
+
+            await restoreTagSnapshot(NOW + 1000);
+
+            expect(storedSavedData!['q1']).toBeUndefined();
+            expect(enabledStates()).toMatchObject({ u1: true, s2: false });
+        });
+
+        it('fails without a snapshot', async () => {
+            expect(await restoreTagSnapshot()).toEqual({ success: false, changed: false, count: 0, error: 'Nothing to restore' });
+        });
+    });
+
+    describe('hydrateTagSnapshotFromStorage', () => {
+        it('restores the snapshot persisted before a restart', async () => {
+            await applyTagAction('qa', 'disable', NOW);
+            const persisted = getTagSnapshot();
+
+            expect(await hydrateTagSnapshotFromStorage()).toEqual(persisted);
+        });
+
+        it('starts without a snapshot when nothing is stored', async () => {
+            localStore = {};
+            expect(await hydrateTagSnapshotFromStorage()).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,289 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import type { HeaderEntry, SavedDataMap } from '../../src/types/header';
+
+// ── Mocks ────────────────────────────────────────────────────────────
+
+let storedSavedData: SavedDataMap | null = null;
+let localStore: Record<string, unknown> = {};
+
+vi.mock('../../src/utils/storage-chunking', () => ({
+    getChunkedData: vi.fn((_key: string, cb: (data: SavedDataMap | null) => void) => {
+        setTimeout(() => cb(storedSavedData ? structuredClone(storedSavedData) : null), 0);
+    }),
+    setChunkedData: vi.fn((_key: string, data: SavedDataMap, cb?: () => void) => {
+        setTimeout(() => {
+            storedSavedData = structuredClone(data);
+            if (cb) cb();
+        }, 0);
+    }),
+}));
+
+vi.mock('../../src/utils/browser-api', () => ({
+    runtime: { lastError: null },
+    storage: {
+        local: {
+            get: vi.fn((keys: string[], cb: (result: Record<string, unknown>) => void) => {
+                cb(Object.fromEntries(keys.filter(key => key in localStore).map(key => [key, structuredClone(localStore[key])])));
+            }),
+            set: vi.fn((items: Record<string, unknown>, cb?: () => void) => {
+                Object.assign(localStore, structuredClone(items));
+                if (cb) cb();
+            }),
+        },
+    },
+}));
+
+vi.mock('../../src/utils/logger', () => ({
+    logger: {
+        info: vi.fn(),
+        debug: vi.fn(),
+        warn: vi.fn(),
+        error: vi.fn(),
+    },
+}));
+
+import {
+    applyToggles,
+    replayOutbox,
+    reconcileOutbox,
+    getQueuedToggles,
+    getToggleConflicts,
+    dismissToggleConflicts,
+    hydrateOutboxFromStorage,
+    REPLAY_GRACE_MS,
+} from '../../src/background/modules/toggle-outbox';
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+const QUEUED_AT = Date.parse('2026-01-01T12:00:00Z');
+
+function makeEntry(overrides: Partial<HeaderEntry> = {}): HeaderEntry {
+    return {
+        headerName: 'X-Debug',
+        headerValue: 'on',
+        domains: ['*.example.com'],
+        isDynamic: false,
+        isEnabled: true,
+        ...overrides,
+    };
+}
+
+/** Queue a toggle that disables app rule "1" */
+async function queueDisable(): Promise<void> {
+    storedSavedData = { '1': makeEntry() };
+    await applyToggles(['1'], false, true, QUEUED_AT);
+}
+
+// ── Tests ────────────────────────────────────────────────────────────
+
+describe('toggle-outbox', () => {
+    beforeEach(async () => {
+        storedSavedData = null;
+        localStore = {};
+        await hydrateOutboxFromStorage();
+    });
+
+    describe('applyToggles', () => {
+        it('applies and queues app rule toggles when asked to', async () => {
+            storedSavedData = { '1': makeEntry(), '2': makeEntry({ headerName: 'X-Other' }) };
+
+            const result = await applyToggles(['1', '2'], false, true, QUEUED_AT);
+
+            expect(result).toEqual({ appRuleIds: ['1', '2'], changed: true });
+            expect(storedSavedData['1'].isEnabled).toBe(false);
+            expect(storedSavedData['2'].isEnabled).toBe(false);
+            expect(getQueuedToggles()).toEqual([
+                { ruleId: '1', headerName: 'X-Debug', enabled: false, queuedAt: QUEUED_AT },
+                { ruleId: '2', headerName: 'X-Other', enabled: false, queuedAt: QUEUED_AT },
+            ]);
+            expect(localStore.toggleOutbox).toEqual(getQueuedToggles());
+        });
+
+        it('leaves app rules to the app when not queueing', async () => {
+            storedSavedData = { '1': makeEntry() };
+
+            const result = await applyToggles(['1'], false, false);
+
+            expect(result).toEqual({ appRuleIds: ['1'], changed: false });
+            expect(storedSavedData['1'].isEnabled).toBe(true);
+            expect(getQueuedToggles()).toEqual([]);
+        });
+
+        it('toggles local rules in place without queueing them', async () => {
+            storedSavedData = { 'local-a': makeEntry({ origin: 'local' }) };
+
+            const result = await applyToggles(['local-a'], false, true);
+
+            expect(result).toEqual({ appRuleIds: [], changed: true });
+            expect(storedSavedData['local-a'].isEnabled).toBe(false);
+            expect(getQueuedToggles()).toEqual([]);
+        });
+
+        it('keeps only the latest toggle of a rule', async () => {
+            await queueDisable();
+            await applyToggles(['1'], true, true, QUEUED_AT + 1000);
+
+            expect(getQueuedToggles()).toEqual([
+                { ruleId: '1', headerName: 'X-Debug', enabled: true, queuedAt: QUEUED_AT + 1000 },
+            ]);
+            expect(storedSavedData!['1'].isEnabled).toBe(true);
+        });
+
+        it('drops a queued toggle when the rule is toggled again while connected', async () => {
+            await queueDisable();
+            await applyToggles(['1'], true, false);
+
+            expect(getQueuedToggles()).toEqual([]);
+        });
+
+        it('ignores unknown rule IDs', async () => {
+            storedSavedData = { '1': makeEntry() };
+
+            const result = await applyToggles(['missing'], false, true);
+
+            expect(result).toEqual({ appRuleIds: [], changed: false });
+            expect(getQueuedToggles()).toEqual([]);
+        });
+    });
+
+    describe('replayOutbox', () => {
+        it('sends each queued toggle and marks it sent', async () => {
+            await queueDisable();
+            const send = vi.fn(() => true);
+
+            replayOutbox(send, QUEUED_AT + 5000);
+
+            expect(send).toHaveBeenCalledWith({ type: 'toggleRule', ruleId: '1', enabled: false });
+            expect(getQueuedToggles()[0].sentAt).toBe(QUEUED_AT + 5000);
+        });
+
+        it('leaves toggles unsent when the send fails', async () => {
+            await queueDisable();
+
+            replayOutbox(() => false, QUEUED_AT + 5000);
+
+            expect(getQueuedToggles()[0].sentAt).toBeUndefined();
+        });
+
+        it('does nothing with an empty queue', () => {
+            const send = vi.fn(() => true);
+            replayOutbox(send);
+            expect(send).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('reconcileOutbox', () => {
+        it('dequeues a toggle the app has taken', async () => {
+            await queueDisable();
+
+            const result = reconcileOutbox({ '1': makeEntry({ isEnabled: false }) }, QUEUED_AT + 5000);
+
+            expect(result['1'].isEnabled).toBe(false);
+            expect(getQueuedToggles()).toEqual([]);
+            expect(getToggleConflicts()).toEqual([]);
+        });
+
+        it('keeps the queued state over an update that predates the replay', async () => {
+            await queueDisable();
+
+            const result = reconcileOutbox({ '1': makeEntry({ isEnabled: true }) }, QUEUED_AT + 5000);
+
+            expect(result['1'].isEnabled).toBe(false);
+            expect(getQueuedToggles()).toHaveLength(1);
+        });
+
+        it('keeps the queued state within the grace period after the replay', async () => {
+            await queueDisable();
+            replayOutbox(() => true, QUEUED_AT + 5000);
+
+            const result = reconcileOutbox({ '1': makeEntry({ isEnabled: true }) }, QUEUED_AT + 5000 + REPLAY_GRACE_MS);
+
+            expect(result['1'].isEnabled).toBe(false);
+            expect(getQueuedToggles()).toHaveLength(1);
+        });
+
+        it('lets the app win when a replayed toggle is not taken in time', async () => {
+            await queueDisable();
+            replayOutbox(() => true, QUEUED_AT + 5000);
+            const now = QUEUED_AT + 5000 + REPLAY_GRACE_MS + 1;
+
+            const result = reconcileOutbox({ '1': makeEntry({ isEnabled: true }) }, now);
+
+            expect(result['1'].isEnabled).toBe(true);
+            expect(getQueuedToggles()).toEqual([]);
+            expect(getToggleConflicts()).toEqual([
+                { ruleId: '1', headerName: 'X-Debug', queued: false, applied: true, reason: 'rejected', resolvedAt: now },
+            ]);
+        });
+
+        it('lets the app win when the rule changed there after the toggle', async () => {
+            await queueDisable();
+
+            const result = reconcileOutbox(
+                { '1': makeEntry({ isEnabled: true, updatedAt: new Date(QUEUED_AT + 1000).toISOString() }) },
+                QUEUED_AT + 5000
+            );
+
+            expect(result['1'].isEnabled).toBe(true);
+            expect(getToggleConflicts()[0]).toMatchObject({ ruleId: '1', reason: 'changed_in_app', applied: true });
+        });
+
+        it('keeps the queued state over changes made before the toggle', async () => {
+            await queueDisable();
+
+            const result = reconcileOutbox(
+                { '1': makeEntry({ isEnabled: true, updatedAt: new Date(QUEUED_AT - 1000).toISOString() }) },
+                QUEUED_AT + 5000
+            );
+
+            expect(result['1'].isEnabled).toBe(false);
+            expect(getToggleConflicts()).toEqual([]);
+        });
+
+        it('records a conflict when the rule was deleted in the app', async () => {
+            await queueDisable();
+
+            const result = reconcileOutbox({}, QUEUED_AT + 5000);
+
+            expect(result).toEqual({});
+            expect(getQueuedToggles()).toEqual([]);
+            expect(getToggleConflicts()[0]).toMatchObject({ ruleId: '1', queued: false, applied: null, reason: 'deleted' });
+            expect(localStore.toggleConflicts).toEqual(getToggleConflicts());
+        });
+
+        it('returns the app rules untouched with an empty queue', () => {
+            const fromApp = { '1': makeEntry() };
+            expect(reconcileOutbox(fromApp)).toBe(fromApp);
+        });
+    });
+
+    describe('dismissToggleConflicts', () => {
+        it('clears the conflicts', async () => {
+            await queueDisable();
+            reconcileOutbox({}, QUEUED_AT + 5000);
+
+            dismissToggleConflicts();
+
+            expect(getToggleConflicts()).toEqual([]);
+            expect(localStore.toggleConflicts).toEqual([]);
+        });
+    });
+
+    describe('hydrateOutboxFromStorage', () => {
+        it('restores the queue and conflicts persisted before a restart', async () => {
+            await queueDisable();
+            const persisted = getQueuedToggles();
+
+            const hydrated = await hydrateOutboxFromStorage();
+
+            expect(hydrated).toEqual(persisted);
+            expect(getQueuedToggles()).toEqual(persisted);
+        });
+
+        it('starts empty when nothing is stored', async () => {
+            localStore = {};
+            expect(await hydrateOutboxFromStorage()).toEqual([]);
+            expect(getToggleConflicts()).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,119 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import type { TokenExpiry } from '../../src/types/header';
+
+// ── Mocks ────────────────────────────────────────────────────────────
+
+vi.mock('../../src/utils/browser-api', () => ({
+    alarms: {
+        create: vi.fn(),
+        clear: vi.fn(),
+    },
+}));
+
+vi.mock('../../src/utils/logger', () => ({
+    logger: {
+        info: vi.fn(),
+        debug: vi.fn(),
+        warn: vi.fn(),
+        error: vi.fn(),
+    },
+}));
+
+import {
+    trackTokenExpiry, checkTokenExpiry, getTokenExpiries, isTokenExpired, setRefreshRequester, TOKEN_EXPIRY_ALARM
+} from '../../src/background/modules/token-expiry';
+import { alarms } from '../../src/utils/browser-api';
+
+const mockCreate = alarms!.create as ReturnType<typeof vi.fn>;
+const mockClear = alarms!.clear as ReturnType<typeof vi.fn>;
+
+const NOW = 1_700_000_000_000;
+const NOW_S = NOW / 1000;
+
+function makeToken(overrides: Partial<TokenExpiry> = {}): TokenExpiry {
+    return { entryId: 'rule-1', headerName: 'Authorization', sourceId: 'src-1', exp: NOW_S + 3600, ...overrides };
+}
+
+// ── Tests ────────────────────────────────────────────────────────────
+
+describe('token-expiry', () => {
+    let requester: ReturnType<typeof vi.fn<(sourceId: string) => boolean>>;
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        requester = vi.fn(() => true);
+        setRefreshRequester(requester);
+        trackTokenExpiry([], NOW);
+        vi.clearAllMocks();
+    });
+
+    it('sets the alarm for when a valid token starts expiring', () => {
+        trackTokenExpiry([makeToken()], NOW);
+
+        expect(requester).not.toHaveBeenCalled();
+        expect(mockCreate).toHaveBeenCalledWith(TOKEN_EXPIRY_ALARM, { when: (NOW_S + 3600 - 60) * 1000 });
+        expect(getTokenExpiries()).toHaveLength(1);
+    });
+
+    it('keeps the pending alarm when later updates find the same next check', () => {
+        trackTokenExpiry([makeToken()], NOW);
+        trackTokenExpiry([makeToken()], NOW + 5000);
+        checkTokenExpiry(NOW + 10_000);
+
+        expect(mockCreate).toHaveBeenCalledTimes(1);
+    });
+
+    it('moves the alarm when the next check changes', () => {
+        trackTokenExpiry([makeToken()], NOW);
+        trackTokenExpiry([makeToken({ exp: NOW_S + 7200 })], NOW);
+
+        expect(mockCreate).toHaveBeenCalledTimes(2);
+        expect(mockCreate).toHaveBeenLastCalledWith(TOKEN_EXPIRY_ALARM, { when: (NOW_S + 7200 - 60) * 1000 });
+    });
+
+    it('requests a refresh of the source once per token when it is expiring', () => {
+        trackTokenExpiry([makeToken({ exp: NOW_S + 30 })], NOW);
+        checkTokenExpiry(NOW + 1000);
+
+        expect(requester).toHaveBeenCalledTimes(1);
+        expect(requester).toHaveBeenCalledWith('src-1');
+        // Next: the moment it actually expires
+        expect(mockCreate).toHaveBeenLastCalledWith(TOKEN_EXPIRY_ALARM, { when: (NOW_S + 30) * 1000 });
+    });
+
+    it('requests again for a new token from the same source', () => {
+        trackTokenExpiry([makeToken({ exp: NOW_S + 30 })], NOW);
+        trackTokenExpiry([makeToken({ exp: NOW_S + 45 })], NOW);
+
+        expect(requester).toHaveBeenCalledTimes(2);
+    });
+
+    it('retries a request that could not be sent', () => {
+        requester.mockReturnValueOnce(false);
+        trackTokenExpiry([makeToken({ exp: NOW_S - 10 })], NOW);
+        checkTokenExpiry(NOW + 1000);
+
+        expect(requester).toHaveBeenCalledTimes(2);
+    });
+
+    it('does not request refreshes for tokens without a source', () => {
+        trackTokenExpiry([makeToken({ sourceId: undefined, exp: NOW_S - 10 })], NOW);
+
+        expect(requester).not.toHaveBeenCalled();
+        expect(mockClear).toHaveBeenCalledWith(TOKEN_EXPIRY_ALARM);
+    });
+
+    it('wakes up when a not-yet-valid token becomes valid', () => {
+        trackTokenExpiry([makeToken({ nbf: NOW_S + 10, exp: undefined })], NOW);
+
+        expect(mockCreate).toHaveBeenCalledWith(TOKEN_EXPIRY_ALARM, { when: (NOW_S + 10) * 1000 });
+    });
+
+    it('reports which entries carry an expired token', () => {
+        trackTokenExpiry([makeToken({ entryId: 'old', exp: NOW_S - 1 }), makeToken({ entryId: 'fresh' })], NOW);
+
+        expect(isTokenExpired('old', NOW)).toBe(true);
+        expect(isTokenExpired('fresh', NOW)).toBe(false);
+        expect(isTokenExpired('unknown', NOW)).toBe(false);
+    });
+});
@@ -0,0 +1,156 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import type { HeaderEntry } from '../../src/types/header';
+import type { Source } from '../../src/types/websocket';
+
+// ── Mocks ────────────────────────────────────────────────────────────
+
+vi.mock('../../src/utils/browser-api', () => ({
+    alarms: {
+        create: vi.fn(),
+        clear: vi.fn(),
+    },
+}));
+
+vi.mock('../../src/utils/logger', () => ({
+    logger: {
+        info: vi.fn(),
+        debug: vi.fn(),
+        warn: vi.fn(),
+        error: vi.fn(),
+    },
+}));
+
+import { syncTotpCodes, getTotpCode, getTotpCodes, setRotationHandler, TOTP_ALARM } from '../../src/background/modules/totp-codes';
+import { alarms } from '../../src/utils/browser-api';
+import { logger } from '../../src/utils/logger';
+
+const mockCreate = alarms!.create as ReturnType<typeof vi.fn>;
+const mockClear = alarms!.clear as ReturnType<typeof vi.fn>;
+
+// RFC 6238 SHA-1 test secret; at 59 s the 6-digit code is 287082
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+function makeEntry(overrides: Partial<HeaderEntry> = {}): HeaderEntry {
+    return { headerName: 'X-OTP', headerValue: '{{totp:otp}}', domains: [], isDynamic: false, ...overrides };
+}
+
+function makeSource(sourceId: string, totpSecret?: string): Source {
+    return { sourceId, sourceContent: '', requestOptions: { totpSecret } };
+}
+
+// ── Tests ────────────────────────────────────────────────────────────
+
+describe('totp-codes', () => {
+    beforeEach(async () => {
+        // No codes and no alarm
+        await syncTotpCodes([], []);
+        vi.clearAllMocks();
+    });
+
+    it('computes the codes the entries reference', async () => {
+        await syncTotpCodes([makeEntry(), makeEntry({ headerValue: '', prefix: 'otp={{totp:otp}};' })], [makeSource('otp', SECRET)], 59_000);
+
+        expect(getTotpCode('otp')).toBe('287082');
+        expect(getTotpCodes()).toEqual({ otp: '287082' });
+    });
+
+    it('schedules the refresh alarm at the next period boundary', async () => {
+        await syncTotpCodes([makeEntry()], [makeSource('otp', SECRET)], 59_000);
+
+        expect(mockCreate).toHaveBeenCalledWith(TOTP_ALARM, { when: 60_000 });
+        expect(mockClear).not.toHaveBeenCalled();
+    });
+
+    it('keeps the pending alarm when the boundary has not moved', async () => {
+        await syncTotpCodes([makeEntry()], [makeSource('otp', SECRET)], 35_000);
+        await syncTotpCodes([makeEntry()], [makeSource('otp', SECRET)], 50_000);
+        await syncTotpCodes([makeEntry()], [makeSource('otp', SECRET)], 59_000);
+
+        expect(mockCreate).toHaveBeenCalledTimes(1);
+        expect(mockCreate).toHaveBeenCalledWith(TOTP_ALARM, { when: 60_000 });
+    });
+
+    it('reschedules once the period rolls over', async () => {
+        await syncTotpCodes([makeEntry()], [makeSource('otp', SECRET)], 59_000);
+        await syncTotpCodes([makeEntry()], [makeSource('otp', SECRET)], 60_000);
+
+        expect(mockCreate).toHaveBeenLastCalledWith(TOTP_ALARM, { when: 90_000 });
+    });
+
+    describe('rotation timer', () => {
+        const onRotation = vi.fn();
+
+        beforeEach(() => {
+            vi.useFakeTimers();
+            setRotationHandler(onRotation);
+        });
+
+        afterEach(() => {
+            vi.useRealTimers();
+        });
+
+        it('rotates at a boundary less than 30 s away, not when the alarm would fire', async () => {
+            await syncTotpCodes([makeEntry()], [makeSource('otp', SECRET)], 55_000);
+
+            vi.advanceTimersByTime(4_999);
+            expect(onRotation).not.toHaveBeenCalled();
+
+            vi.advanceTimersByTime(1);
+            expect(onRotation).toHaveBeenCalledTimes(1);
+            // Still set, to wake the worker if it was suspended
+            expect(mockCreate).toHaveBeenCalledWith(TOTP_ALARM, { when: 60_000 });
+        });
+
+        it('schedules the boundary again when the timer fired before it', async () => {
+            await syncTotpCodes([makeEntry()], [makeSource('otp', SECRET)], 59_000);
+            vi.advanceTimersByTime(1_000);
+
+            // The update it triggered still ran inside the old period
+            await syncTotpCodes([makeEntry()], [makeSource('otp', SECRET)], 59_990);
+            vi.advanceTimersByTime(10);
+
+            expect(onRotation).toHaveBeenCalledTimes(2);
+        });
+
+        it('cancels the timer when no entry needs a code anymore', async () => {
+            await syncTotpCodes([makeEntry()], [makeSource('otp', SECRET)], 59_000);
+            await syncTotpCodes([], [], 59_000);
+
+            vi.advanceTimersByTime(60_000);
+            expect(onRotation).not.toHaveBeenCalled();
+        });
+    });
+
+    it('uses the earliest boundary across sources with different periods', async () => {
+        const slow = makeSource('slow', `otpauth://totp/x?secret=${SECRET}&period=60`);
+        await syncTotpCodes([makeEntry({ headerValue: '{{totp:otp}}-{{totp:slow}}' })], [makeSource('otp', SECRET), slow], 65_000);
+
+        expect(mockCreate).toHaveBeenCalledWith(TOTP_ALARM, { when: 90_000 });
+    });
+
+    it('has no code for a source without a valid secret and clears the alarm', async () => {
+        await syncTotpCodes([makeEntry({ headerValue: '{{totp:bad}} {{totp:gone}}' })], [makeSource('bad', 'not base32!')], 59_000);
+
+        expect(getTotpCode('bad')).toBeUndefined();
+        expect(getTotpCode('gone')).toBeUndefined();
+        expect(mockClear).toHaveBeenCalledWith(TOTP_ALARM);
+        expect(mockCreate).not.toHaveBeenCalled();
+    });
+
+    it('drops codes no entry references anymore', async () => {
+        await syncTotpCodes([makeEntry()], [makeSource('otp', SECRET)], 59_000);
+        await syncTotpCodes([], [makeSource('otp', SECRET)], 59_000);
+
+        expect(getTotpCodes()).toEqual({});
+        expect(mockClear).toHaveBeenCalledWith(TOTP_ALARM);
+    });
+
+    it('never logs secrets or codes', async () => {
+        await syncTotpCodes([makeEntry({ headerValue: '{{totp:otp}} {{totp:bad}}' })], [makeSource('otp', SECRET), makeSource('bad', 'x!')], 59_000);
+
+        const logged = JSON.stringify(Object.values(logger).flatMap(fn => (fn as ReturnType<typeof vi.fn>).mock.calls));
+        expect(logged).not.toContain(SECRET);
+        expect(logged).not.toContain('287082');
+        expect(logged).not.toContain('x!');
+    });
+});
@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { parseTotpSecret, generateTotp, nextTotpBoundary, findTotpRefs, resolveTotpRefs } from '../../src/utils/totp';
+
+// RFC 6238 appendix B test secrets, base32-encoded
+const SHA1_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const SHA256_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZA====';
+const SHA512_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNA=';
+
+function otpauth(secret: string, params: string): string {
+    return `otpauth://totp/Gateway:alice?secret=${secret}&${params}`;
+}
+
+describe('parseTotpSecret', () => {
+    it('reads a base32 secret with authenticator defaults', () => {
+        const params = parseTotpSecret('gezd gnbv gy3t qojq gezd gnbv gy3t qojq');
+        expect(params).toMatchObject({ period: 30, digits: 6, algorithm: 'SHA-1' });
+        expect(new TextDecoder().decode(params!.key)).toBe('12345678901234567890');
+    });
+
+    it('reads the parameters of an otpauth URI', () => {
+        expect(parseTotpSecret(otpauth(SHA256_SECRET.replace(/=/g, ''), 'algorithm=SHA256&digits=8&period=60')))
+            .toMatchObject({ period: 60, digits: 8, algorithm: 'SHA-256' });
+    });
+
+    it('rejects unusable secrets', () => {
+        expect(parseTotpSecret('')).toBeNull();
+        expect(parseTotpSecret(undefined)).toBeNull();
+        expect(parseTotpSecret('not base32!')).toBeNull();
+        expect(parseTotpSecret('otpauth://hotp/x?secret=GEZDGNBV')).toBeNull();
+        expect(parseTotpSecret(otpauth(SHA1_SECRET, 'algorithm=MD5'))).toBeNull();
+        expect(parseTotpSecret(otpauth(SHA1_SECRET, 'digits=4'))).toBeNull();
+    });
+});
+
+describe('generateTotp', () => {
+    it.each([
+        [59, '94287082'],
+        [1111111109, '07081804'],
+        [1234567890, '89005924'],
+        [20000000000, '65353130'],
+    ])('matches the RFC 6238 SHA-1 vector at %i s', async (seconds, expected) => {
+        const params = parseTotpSecret(otpauth(SHA1_SECRET, 'digits=8'))!;
+        expect(await generateTotp(params, seconds * 1000)).toBe(expected);
+    });
+
+    it('matches the RFC 6238 SHA-256 and SHA-512 vectors', async () => {
+        const sha256 = parseTotpSecret(otpauth(SHA256_SECRET.replace(/=/g, ''), 'digits=8&algorithm=SHA256'))!;
+        const sha512 = parseTotpSecret(otpauth(SHA512_SECRET.replace(/=/g, ''), 'digits=8&algorithm=SHA512'))!;
+        expect(await generateTotp(sha256, 59_000)).toBe('46119246');
+        expect(await generateTotp(sha512, 59_000)).toBe('90693936');
+    });
+
+    it('keeps leading zeros with the default 6 digits', async () => {
+        expect(await generateTotp(parseTotpSecret(SHA1_SECRET)!, 1111111109_000)).toBe('081804');
+    });
+
+    it('keeps the same code within a period', async () => {
+        const params = parseTotpSecret(SHA1_SECRET)!;
+        expect(await generateTotp(params, 60_000)).toBe(await generateTotp(params, 89_999));
+        expect(await generateTotp(params, 60_000)).not.toBe(await generateTotp(params, 90_000));
+    });
+});
+
+describe('nextTotpBoundary', () => {
+    it('returns the start of the next period', () => {
+        expect(nextTotpBoundary({ period: 30 }, 59_000)).toBe(60_000);
+        expect(nextTotpBoundary({ period: 30 }, 60_000)).toBe(90_000);
+        expect(nextTotpBoundary({ period: 60 }, 61_000)).toBe(120_000);
+    });
+});
+
+describe('totp references', () => {
+    it('lists referenced sources once, in order of first use', () => {
+        expect(findTotpRefs('{{totp:7}}-{{ totp: otp-a }}-{{totp:7}} {{source:7}}')).toEqual(['7', 'otp-a']);
+    });
+
+    it('substitutes codes and reports sources without one', () => {
+        const result = resolveTotpRefs('{{totp:7}}:{{totp:9}}', id => (id === '7' ? '123456' : undefined));
+        expect(result).toEqual({ value: '123456:{{totp:9}}', missing: ['9'] });
+    });
+});
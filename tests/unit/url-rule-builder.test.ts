@@ -0,0 +1,318 @@
+import { describe, it, expect, vi } from 'vitest';
+import type { UrlRuleFromApp } from '../../src/types/websocket';
+
+vi.mock('../../src/utils/logger', () => ({
+    logger: {
+        info: vi.fn(),
+        debug: vi.fn(),
+        warn: vi.fn(),
+        error: vi.fn(),
+    },
+}));
+
+import { createUrlRules, toRegexSubstitution, buildQueryTransform } from '../../src/background/modules/url-rule-builder';
+import { createRuleIdAllocator, stableRuleId } from '../../src/background/modules/utils';
+
+function makeUrlRule(overrides: Partial<UrlRuleFromApp> = {}): UrlRuleFromApp {
+    return {
+        id: 'url-rule-1',
+        type: 'url',
+        matchPattern: 'api.openheaders.io/v1/',
+        matchType: 'contains',
+        action: 'redirect',
+        redirectTo: 'https://staging.openheaders.io/v1/',
+        isEnabled: true,
+        ...overrides,
+    };
+}
+
+describe('createUrlRules', () => {
+    describe('redirect', () => {
+        it('creates a url redirect for contains match type', () => {
+            const [rule] = createUrlRules([makeUrlRule()], createRuleIdAllocator());
+
+            expect(rule.id).toBe(stableRuleId('url\0url-rule-1'));
+            expect(rule.action).toEqual({ type: 'redirect', redirect: { url: 'https://staging.openheaders.io/v1/' } });
+            expect(rule.condition.urlFilter).toBe('api.openheaders.io/v1/');
+            expect(rule.condition.resourceTypes).toContain('main_frame');
+        });
+
+        it('anchors exact match type on both ends', () => {
+            const [rule] = createUrlRules([makeUrlRule({ matchType: 'exact', matchPattern: 'https://api.openheaders.io/health' })], createRuleIdAllocator());
+
+            expect(rule.condition.urlFilter).toBe('|https://api.openheaders.io/health|');
+        });
+
+        it('uses regexFilter and regexSubstitution for regex match type', () => {
+            const [rule] = createUrlRules([makeUrlRule({
+                matchType: 'regex',
+                matchPattern: '^https://api\\.openheaders\\.io/(.*)$',
+                redirectTo: 'https://staging.openheaders.io/$1',
+            })], createRuleIdAllocator());
+
+            expect(rule.condition.regexFilter).toBe('^https://api\\.openheaders\\.io/(.*)$');
+            expect(rule.condition.urlFilter).toBeUndefined();
+            expect(rule.action.redirect).toEqual({ regexSubstitution: 'https://staging.openheaders.io/\\1' });
+        });
+
+        it('matches the whole URL for an unanchored regex with an absolute target', () => {
+            const [rule] = createUrlRules([makeUrlRule({
+                matchType: 'regex',
+                matchPattern: 'api\\.old\\.com/(v\\d)',
+                redirectTo: 'https://api.openheaders.io/$1',
+            })], createRuleIdAllocator());
+
+            expect(rule.condition.regexFilter).toBe('^.*(?:api\\.old\\.com/(v\\d)).*$');
+            expect(rule.action.redirect).toEqual({ regexSubstitution: 'https://api.openheaders.io/\\1' });
+            // What DNR does: the substitution replaces the match, here the whole URL
+            const url = 'https://api.old.com/v2/users?page=1';
+            expect(url.replace(new RegExp(rule.condition.regexFilter!), 'https://api.openheaders.io/$1')).toBe('https://api.openheaders.io/v2');
+        });
+
+        it('skips redirect without target', () => {
+            expect(createUrlRules([makeUrlRule({ redirectTo: '' })], createRuleIdAllocator())).toHaveLength(0);
+        });
+
+        it('skips redirect to a relative target', () => {
+            expect(createUrlRules([makeUrlRule({ redirectTo: '/v2/' })], createRuleIdAllocator())).toHaveLength(0);
+        });
+
+        it('skips redirect whose target matches its own pattern', () => {
+            expect(createUrlRules([makeUrlRule({ matchPattern: 'openheaders.io', redirectTo: 'https://staging.openheaders.io/' })], createRuleIdAllocator())).toHaveLength(0);
+        });
+
+        it('skips a regex redirect whose substituted target matches its own filter', () => {
+            expect(createUrlRules([makeUrlRule({
+                matchType: 'regex',
+                matchPattern: '^https://api\\.openheaders\\.io/(.*)$',
+                redirectTo: 'https://api.openheaders.io/v2/$1',
+            })], createRuleIdAllocator())).toHaveLength(0);
+        });
+    });
+
+    describe('block', () => {
+        it('creates a block rule', () => {
+            const [rule] = createUrlRules([makeUrlRule({ action: 'block', matchPattern: 'tracker.openheaders.io', redirectTo: undefined })], createRuleIdAllocator());
+
+            expect(rule.action).toEqual({ type: 'block' });
+            expect(rule.condition.urlFilter).toBe('tracker.openheaders.io');
+        });
+    });
+
+    describe('modify (rewrite)', () => {
+        it('rewrites a literal substring via escaped regexFilter', () => {
+            const [rule] = createUrlRules([makeUrlRule({
+                action: 'modify',
+                matchPattern: '/v1/',
+                replacePattern: '/v2/',
+                redirectTo: undefined,
+            })], createRuleIdAllocator());
+
+            expect(rule.condition.regexFilter).toBe('/v1/');
+            expect(rule.action.redirect).toEqual({ regexSubstitution: '/v2/' });
+        });
+
+        it('escapes regex metacharacters in contains patterns', () => {
+            const [rule] = createUrlRules([makeUrlRule({
+                action: 'modify',
+                matchPattern: 'api.openheaders.io?x=1',
+                replacePattern: 'api.openheaders.io?x=2',
+            })], createRuleIdAllocator());
+
+            expect(rule.condition.regexFilter).toBe('api\\.openheaders\\.io\\?x=1');
+        });
+
+        it('anchors exact rewrites', () => {
+            const [rule] = createUrlRules([makeUrlRule({
+                action: 'modify',
+                matchType: 'exact',
+                matchPattern: 'https://openheaders.io/',
+                replacePattern: 'https://openheaders.io/home',
+            })], createRuleIdAllocator());
+
+            expect(rule.condition.regexFilter).toBe('^https://openheaders\\.io/$');
+        });
+
+        it('skips a rewrite whose result still contains the match', () => {
+            expect(createUrlRules([makeUrlRule({
+                action: 'modify',
+                matchPattern: '/v1/',
+                replacePattern: '/v1/x/',
+                redirectTo: undefined,
+            })], createRuleIdAllocator())).toHaveLength(0);
+        });
+
+        it('skips a regex rewrite whose result matches its own filter', () => {
+            expect(createUrlRules([makeUrlRule({
+                action: 'modify',
+                matchType: 'regex',
+                matchPattern: '/(API|rest)/',
+                replacePattern: '/api/internal/',
+                redirectTo: undefined,
+            })], createRuleIdAllocator())).toHaveLength(0);
+        });
+
+        it('keeps a regex rewrite that only matches through captured text', () => {
+            const [rule] = createUrlRules([makeUrlRule({
+                action: 'modify',
+                matchType: 'regex',
+                matchPattern: '^http://(.*)$',
+                replacePattern: 'https://$1',
+                redirectTo: undefined,
+            })], createRuleIdAllocator());
+
+            expect(rule.action.redirect).toEqual({ regexSubstitution: 'https://\\1' });
+        });
+
+        it('skips modify rule without replacePattern', () => {
+            expect(createUrlRules([makeUrlRule({ action: 'modify', replacePattern: undefined })], createRuleIdAllocator())).toHaveLength(0);
+        });
+    });
+
+    describe('query parameters', () => {
+        it('maps add, replace and remove onto a queryTransform redirect', () => {
+            const [rule] = createUrlRules([makeUrlRule({
+                action: 'modify',
+                redirectTo: undefined,
+                modifyParams: [
+                    { key: 'debug', value: '1', action: 'add' },
+                    { key: 'feature_flag', value: 'x', action: 'replace' },
+                    { key: 'utm_source', action: 'remove' },
+                ],
+            })], createRuleIdAllocator());
+
+            expect(rule.action).toEqual({
+                type: 'redirect',
+                redirect: {
+                    transform: {
+                        queryTransform: {
+                            removeParams: ['utm_source'],
+                            addOrReplaceParams: [
+                                { key: 'debug', value: '1' },
+                                { key: 'feature_flag', value: 'x', replaceOnly: true },
+                            ],
+                        },
+                    },
+                },
+            });
+            expect(rule.condition.urlFilter).toBe('api.openheaders.io/v1/');
+        });
+
+        it('treats a params-only rule without action as modify', () => {
+            const [rule] = createUrlRules([makeUrlRule({
+                action: undefined,
+                redirectTo: undefined,
+                modifyParams: [{ key: 'debug', value: '1' }],
+            })], createRuleIdAllocator());
+
+            expect(rule.action.redirect?.transform?.queryTransform?.addOrReplaceParams).toEqual([{ key: 'debug', value: '1' }]);
+        });
+
+        it('creates both a rewrite and a query rule when a modify rule has both', () => {
+            const rules = createUrlRules([makeUrlRule({
+                action: 'modify',
+                matchPattern: '/v1/',
+                replacePattern: '/v2/',
+                modifyParams: [{ key: 'debug', value: '1' }],
+            })], createRuleIdAllocator());
+
+            expect(rules).toHaveLength(2);
+            expect(rules[0].action.redirect).toEqual({ regexSubstitution: '/v2/' });
+            expect(rules[1].action.redirect?.transform).toBeDefined();
+            expect(rules[0].id).not.toBe(rules[1].id);
+        });
+
+        it('drops invalid parameters and keeps the valid ones', () => {
+            const [rule] = createUrlRules([makeUrlRule({
+                action: 'modify',
+                modifyParams: [
+                    { key: 'bad key', value: '1' },
+                    { key: 'debug', value: 'a&b' },
+                    { key: 'utm_medium', action: 'remove' },
+                ],
+            })], createRuleIdAllocator());
+
+            expect(rule.action.redirect?.transform?.queryTransform).toEqual({ removeParams: ['utm_medium'] });
+        });
+
+        it('skips the rule when no parameter is valid', () => {
+            expect(createUrlRules([makeUrlRule({
+                action: 'modify',
+                modifyParams: [{ key: '', value: '1' }],
+            })], createRuleIdAllocator())).toHaveLength(0);
+        });
+
+        it('ignores modifyParams on redirect and block rules', () => {
+            const rules = createUrlRules([makeUrlRule({
+                action: 'block',
+                modifyParams: [{ key: 'debug', value: '1' }],
+            })], createRuleIdAllocator());
+
+            expect(rules).toHaveLength(1);
+            expect(rules[0].action).toEqual({ type: 'block' });
+        });
+    });
+
+    describe('conditions', () => {
+        it('maps domains to requestDomains', () => {
+            const [rule] = createUrlRules([makeUrlRule({ domains: ['*.openheaders.io', 'https://localhost:3000', '*'] })], createRuleIdAllocator());
+
+            expect(rule.condition.requestDomains).toEqual(['openheaders.io', 'localhost']);
+        });
+
+        it('omits requestDomains when no domain can be expressed', () => {
+            const [rule] = createUrlRules([makeUrlRule({ domains: ['*'] })], createRuleIdAllocator());
+
+            expect(rule.condition.requestDomains).toBeUndefined();
+        });
+    });
+
+    it('skips disabled rules, empty patterns and invalid regexes', () => {
+        const rules = createUrlRules([
+            makeUrlRule({ id: 'a', isEnabled: false }),
+            makeUrlRule({ id: 'b', matchPattern: '  ' }),
+            makeUrlRule({ id: 'c', matchType: 'regex', matchPattern: '(unclosed' }),
+        ], createRuleIdAllocator());
+
+        expect(rules).toHaveLength(0);
+    });
+
+    it('derives rule ids from the URL rule id', () => {
+        const first = createUrlRules([makeUrlRule({ id: 'a' }), makeUrlRule({ id: 'b', action: 'block' })], createRuleIdAllocator());
+        const second = createUrlRules([makeUrlRule({ id: 'b', action: 'block' })], createRuleIdAllocator());
+
+        expect(first[0].id).not.toBe(first[1].id);
+        expect(second[0].id).toBe(first[1].id);
+    });
+});
+
+describe('toRegexSubstitution', () => {
+    it('converts $n references to backreferences', () => {
+        expect(toRegexSubstitution('https://$1.openheaders.io/$2')).toBe('https://\\1.openheaders.io/\\2');
+    });
+
+    it('converts $& to the whole-match backreference', () => {
+        expect(toRegexSubstitution('$&?debug=1')).toBe('\\0?debug=1');
+    });
+
+    it('escapes literal backslashes', () => {
+        expect(toRegexSubstitution('a\\b')).toBe('a\\\\b');
+    });
+});
+
+describe('buildQueryTransform', () => {
+    it('returns null for an empty list', () => {
+        expect(buildQueryTransform([])).toBeNull();
+    });
+
+    it('lets the last change win for duplicate keys', () => {
+        expect(buildQueryTransform([
+            { key: 'debug', value: '1' },
+            { key: 'debug', action: 'remove' },
+        ])).toEqual({ removeParams: ['debug'] });
+    });
+
+    it('uses an empty value when none is given', () => {
+        expect(buildQueryTransform([{ key: 'flag', action: 'add' }])).toEqual({ addOrReplaceParams: [{ key: 'flag', value: '' }] });
+    });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect, beforeEach } from 'vitest';
-import { normalizeUrlForTracking, isTrackableUrl, doesUrlMatchPattern, clearPatternCache, precompilePattern, precompileAllPatterns } from '../../src/background/modules/url-utils';
+import { normalizeUrlForTracking, isTrackableUrl, doesUrlMatchPattern, clearPatternCache, precompilePattern, precompileAllPatterns, toDnrDomain, toDnrDomains, toDnrConditionDomains, hasPort, hostMatchesDnrDomains, findSiteDomains, doesUrlMatchDomains, matchesDomainConditions, doesUrlMatchRegex, doesUrlMatchDomainPattern } from '../../src/background/modules/url-utils';
 
 // ---------------------------------------------------------------------------
 //  normalizeUrlForTracking
@@ -297,3 +297,172 @@ describe('pattern cache', () => {
         ).toBe(true);
     });
 });
+
+// ---------------------------------------------------------------------------
+//  toDnrDomain
+// ---------------------------------------------------------------------------
+
+describe('toDnrDomain', () => {
+    it('returns bare hostname unchanged', () => {
+        expect(toDnrDomain('api.openheaders.io')).toBe('api.openheaders.io');
+    });
+
+    it('strips protocol, port and path', () => {
+        expect(toDnrDomain('https://localhost:3000/api/*')).toBe('localhost');
+    });
+
+    it('strips leading wildcard subdomain', () => {
+        expect(toDnrDomain('*.partner-service.io')).toBe('partner-service.io');
+    });
+
+    it('keeps IPv6 brackets and drops the port', () => {
+        expect(toDnrDomain('[::1]:8080')).toBe('[::1]');
+    });
+
+    it('converts IDN to punycode', () => {
+        expect(toDnrDomain('münchen.de')).toBe('xn--mnchen-3ya.de');
+    });
+
+    it('returns null for patterns that are not domains', () => {
+        expect(toDnrDomain('*')).toBeNull();
+        expect(toDnrDomain('')).toBeNull();
+        expect(toDnrDomain('api.*.openheaders.io')).toBeNull();
+    });
+});
+
+describe('toDnrDomains', () => {
+    it('converts, de-duplicates and drops inexpressible patterns', () => {
+        expect(toDnrDomains(['*.openheaders.io', 'https://openheaders.io/app', '*', 'localhost:3000'])).toEqual(['openheaders.io', 'localhost']);
+    });
+
+    it('returns an empty list for missing input', () => {
+        expect(toDnrDomains(undefined)).toEqual([]);
+    });
+});
+
+describe('hostMatchesDnrDomains', () => {
+    it('matches the domain itself and its subdomains', () => {
+        expect(hostMatchesDnrDomains('openheaders.io', ['openheaders.io'])).toBe(true);
+        expect(hostMatchesDnrDomains('auth.openheaders.io', ['openheaders.io'])).toBe(true);
+    });
+
+    it('does not match on a shared suffix', () => {
+        expect(hostMatchesDnrDomains('notopenheaders.io', ['openheaders.io'])).toBe(false);
+    });
+});
+
+describe('hasPort', () => {
+    it('finds a port after the host', () => {
+        expect(hasPort('localhost:3000')).toBe(true);
+        expect(hasPort('https://api.openheaders.io:8443/v1')).toBe(true);
+        expect(hasPort('[::1]:8080')).toBe(true);
+    });
+
+    it('ignores hosts without one', () => {
+        expect(hasPort('localhost')).toBe(false);
+        expect(hasPort('https://api.openheaders.io/v1:2')).toBe(false);
+        expect(hasPort('[::1]')).toBe(false);
+    });
+});
+
+describe('toDnrConditionDomains', () => {
+    it('leaves out entries that name a port', () => {
+        expect(toDnrConditionDomains(['*.openheaders.io', 'localhost:3000', 'http://127.0.0.1:5173'])).toEqual(['openheaders.io']);
+    });
+
+    it('returns an empty list for missing input', () => {
+        expect(toDnrConditionDomains(undefined)).toEqual([]);
+    });
+});
+
+describe('matchesDomainConditions', () => {
+    it('matches when no conditions are set', () => {
+        expect(matchesDomainConditions('https://api.openheaders.io/', {}, 'https://app.openheaders.io')).toBe(true);
+    });
+
+    it('ignores excluded domains that name a port, like the installed rule', () => {
+        expect(matchesDomainConditions('http://localhost:4000/', { excludedDomains: ['localhost:3000'] })).toBe(true);
+    });
+
+    it('rejects excluded domains and their subdomains', () => {
+        const conditions = { excludedDomains: ['auth.openheaders.io'] };
+        expect(matchesDomainConditions('https://auth.openheaders.io/login', conditions)).toBe(false);
+        expect(matchesDomainConditions('https://eu.auth.openheaders.io/login', conditions)).toBe(false);
+        expect(matchesDomainConditions('https://api.openheaders.io/v1', conditions)).toBe(true);
+    });
+
+    it('requires the initiator to be listed', () => {
+        const conditions = { initiatorDomains: ['localhost'] };
+        expect(matchesDomainConditions('https://api.openheaders.io/v1', conditions, 'http://localhost:3000')).toBe(true);
+        expect(matchesDomainConditions('https://api.openheaders.io/v1', conditions, 'https://app.openheaders.io')).toBe(false);
+    });
+
+    it('rejects excluded initiators', () => {
+        const conditions = { excludedInitiatorDomains: ['app.openheaders.io'] };
+        expect(matchesDomainConditions('https://api.openheaders.io/v1', conditions, 'https://app.openheaders.io')).toBe(false);
+        expect(matchesDomainConditions('https://api.openheaders.io/v1', conditions, 'http://localhost:3000')).toBe(true);
+    });
+
+    it('does not check initiator conditions when the initiator is unknown', () => {
+        expect(matchesDomainConditions('https://api.openheaders.io/v1', { initiatorDomains: ['localhost'] })).toBe(true);
+        expect(matchesDomainConditions('https://api.openheaders.io/v1', { initiatorDomains: ['localhost'] }, 'null')).toBe(true);
+    });
+});
+
+describe('doesUrlMatchRegex', () => {
+    const PREVIEW = '^https://pr-\\d+\\.preview\\.openheaders\\.io/api/';
+
+    it('matches the full URL', () => {
+        expect(doesUrlMatchRegex('https://pr-42.preview.openheaders.io/api/users', PREVIEW)).toBe(true);
+        expect(doesUrlMatchRegex('https://pr-x.preview.openheaders.io/api/users', PREVIEW)).toBe(false);
+        expect(doesUrlMatchRegex('https://pr-42.preview.openheaders.io/app', PREVIEW)).toBe(false);
+    });
+
+    it('is unanchored and case-insensitive like regexFilter', () => {
+        expect(doesUrlMatchRegex('https://API.openheaders.io/v2/users', 'api\\.openheaders\\.io/v2')).toBe(true);
+    });
+
+    it('never matches an invalid pattern', () => {
+        expect(doesUrlMatchRegex('https://openheaders.io/', '(unclosed')).toBe(false);
+    });
+});
+
+describe('doesUrlMatchDomainPattern', () => {
+    it('uses wildcard matching by default', () => {
+        expect(doesUrlMatchDomainPattern('https://api.openheaders.io/', '*.openheaders.io')).toBe(true);
+    });
+
+    it('uses regex matching for regex rules', () => {
+        expect(doesUrlMatchDomainPattern('https://api.openheaders.io/', '*.openheaders.io', 'regex')).toBe(false);
+        expect(doesUrlMatchDomainPattern('https://api.openheaders.io/', '^https://[a-z]+\\.openheaders\\.io/', 'regex')).toBe(true);
+    });
+});
+
+describe('findSiteDomains', () => {
+    it('finds hosts named both plainly and as *.host', () => {
+        expect(findSiteDomains(['openheaders.io', '*.openheaders.io', 'Example.com', ' *.example.com', 'api.other.io'])).toEqual(['openheaders.io', 'example.com']);
+    });
+
+    it('leaves out IPs, localhost and patterns with a scheme or port', () => {
+        expect(findSiteDomains(['127.0.0.1', '*.127.0.0.1', 'localhost', '*.localhost', 'openheaders.io:8080', '*.openheaders.io:8080', 'https://a.io', '*.a.io'])).toEqual([]);
+    });
+
+    it('returns an empty list for missing input', () => {
+        expect(findSiteDomains(undefined)).toEqual([]);
+    });
+});
+
+describe('doesUrlMatchDomains', () => {
+    it('matches collapsed hosts on any port, like requestDomains', () => {
+        const domains = ['openheaders.io', '*.openheaders.io'];
+        expect(doesUrlMatchDomains('https://openheaders.io/', domains)).toBe(true);
+        expect(doesUrlMatchDomains('https://api.openheaders.io/', domains)).toBe(true);
+        expect(doesUrlMatchDomains('https://openheaders.io:8443/', domains)).toBe(true);
+        expect(doesUrlMatchDomains('https://notopenheaders.io/', domains)).toBe(false);
+    });
+
+    it('matches a plain host on its default port only', () => {
+        expect(doesUrlMatchDomains('https://openheaders.io/', ['openheaders.io'])).toBe(true);
+        expect(doesUrlMatchDomains('https://openheaders.io:8443/', ['openheaders.io'])).toBe(false);
+    });
+});
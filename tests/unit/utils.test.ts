@@ -1,6 +1,6 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { normalizeHeaderName } from '../../src/utils/utils';
-import { generateSourcesHash, generateSavedDataHash, debounce } from '../../src/background/modules/utils';
+import { normalizeHeaderName, findHeaderValue } from '../../src/utils/utils';
+import { generateSourcesHash, generateSavedDataHash, debounce, stableRuleId, createRuleIdAllocator } from '../../src/background/modules/utils';
 import { formatUrlPattern } from '../../src/background/header-manager';
 import type { SavedDataMap } from '../../src/types/header';
 import type { Source } from '../../src/types/websocket';
@@ -89,6 +89,27 @@ describe('normalizeHeaderName', () => {
     });
 });
 
+// ---------------------------------------------------------------------------
+//  findHeaderValue
+// ---------------------------------------------------------------------------
+
+describe('findHeaderValue', () => {
+    it('matches header names case-insensitively', () => {
+        expect(findHeaderValue({ 'x-auth-token': 'abc' }, 'X-Auth-Token')).toBe('abc');
+        expect(findHeaderValue({ 'X-AUTH-TOKEN': 'abc' }, ' x-auth-token ')).toBe('abc');
+    });
+
+    it('returns undefined for a missing header or no headers', () => {
+        expect(findHeaderValue({ 'content-type': 'text/plain' }, 'X-Auth-Token')).toBeUndefined();
+        expect(findHeaderValue(null, 'X-Auth-Token')).toBeUndefined();
+        expect(findHeaderValue(undefined, 'X-Auth-Token')).toBeUndefined();
+    });
+
+    it('returns empty values as they are', () => {
+        expect(findHeaderValue({ 'X-Auth-Token': '' }, 'x-auth-token')).toBe('');
+    });
+});
+
 // ---------------------------------------------------------------------------
 //  generateSourcesHash (from src/utils/utils.ts)
 // ---------------------------------------------------------------------------
@@ -116,13 +137,25 @@ describe('generateSourcesHash', () => {
         expect(generateSourcesHash(s1)).not.toBe(generateSourcesHash(s2));
     });
 
-    it('ignores fields other than sourceId and sourceContent', () => {
+    it('ignores fields other than sourceId, sourceContent and responseHeaders', () => {
         const source1 = makeSource({ sourceName: 'Name A' });
         const source2 = makeSource({ sourceName: 'Name B' });
         // Same sourceId + sourceContent → same hash regardless of other fields
         expect(generateSourcesHash([source1])).toBe(generateSourcesHash([source2]));
     });
 
+    it('creates different hash for different responseHeaders', () => {
+        const s1 = [makeSource({ responseHeaders: { 'X-Auth-Token': 'token-v1' } })];
+        const s2 = [makeSource({ responseHeaders: { 'X-Auth-Token': 'token-v2' } })];
+        expect(generateSourcesHash(s1)).not.toBe(generateSourcesHash(s2));
+    });
+
+    it('ignores the key order of responseHeaders', () => {
+        const s1 = [makeSource({ responseHeaders: { a: '1', b: '2' } })];
+        const s2 = [makeSource({ responseHeaders: { b: '2', a: '1' } })];
+        expect(generateSourcesHash(s1)).toBe(generateSourcesHash(s2));
+    });
+
     it('returns empty string for empty array', () => {
         expect(generateSourcesHash([])).toBe('');
     });
@@ -164,7 +197,7 @@ describe('generateSavedDataHash', () => {
         expect(generateSavedDataHash(data1)).not.toBe(generateSavedDataHash(data2));
     });
 
-    it('uses only key fields for hashing (ignores domains, tags, etc.)', () => {
+    it('ignores fields that do not affect the rules (tag, timestamps)', () => {
         const data1: SavedDataMap = {
             'entry-001': {
                 headerName: 'X-Test',
@@ -177,19 +210,48 @@ describe('generateSavedDataHash', () => {
         };
         const data2: SavedDataMap = {
             'entry-001': {
-                headerName: 'X-Test',
-                headerValue: 'test-value',
-                domains: ['*.different.com'],
-                isDynamic: false,
-                sourceId: 'src-001',
-                sourceMissing: false,
+                ...data1['entry-001'],
                 tag: 'production',
+                createdAt: '2026-01-01T12:00:00.000Z',
+                updatedAt: '2026-01-02T12:00:00.000Z',
             },
         };
-        // Same key fields → same hash (domains/tag not included)
         expect(generateSavedDataHash(data1)).toBe(generateSavedDataHash(data2));
     });
 
+    it.each<[string, Partial<SavedDataMap[string]>]>([
+        ['domains', { domains: ['*.different.com'] }],
+        ['patternType', { patternType: 'regex' }],
+        ['excludedDomains', { excludedDomains: ['cdn.example.com'] }],
+        ['initiatorDomains', { initiatorDomains: ['app.example.com'] }],
+        ['excludedInitiatorDomains', { excludedInitiatorDomains: ['ads.example.com'] }],
+        ['prefix', { prefix: 'Bearer ' }],
+        ['suffix', { suffix: ';v=2' }],
+        ['isResponse', { isResponse: true }],
+        ['isEnabled', { isEnabled: false }],
+    ])('creates different hash when %s changes', (_field, change) => {
+        const entry: SavedDataMap[string] = { headerName: 'X-Test', headerValue: 'v', domains: ['*.example.com'], isDynamic: false };
+        expect(generateSavedDataHash({ e: entry })).not.toBe(generateSavedDataHash({ e: { ...entry, ...change } }));
+    });
+
+    it('creates different hash when header operation changes', () => {
+        const entry = { headerName: 'Referer', headerValue: '', domains: ['*.example.com'], isDynamic: false };
+        const setHash = generateSavedDataHash({ 'entry-001': entry });
+        const removeHash = generateSavedDataHash({ 'entry-001': { ...entry, operation: 'remove' } });
+        expect(setHash).not.toBe(removeHash);
+    });
+
+    it('creates different hash when cache busting mode changes', () => {
+        const entry = { headerName: 'X-Test', headerValue: 'v', domains: [], isDynamic: false };
+        expect(generateSavedDataHash({ e: { ...entry, cacheBusting: 'off' } }))
+            .not.toBe(generateSavedDataHash({ e: { ...entry, cacheBusting: 'all' } }));
+    });
+
+    it('treats a missing operation as set', () => {
+        const entry = { headerName: 'X-Test', headerValue: 'v', domains: [], isDynamic: false };
+        expect(generateSavedDataHash({ e: entry })).toBe(generateSavedDataHash({ e: { ...entry, operation: 'set' } }));
+    });
+
     it('returns empty string for empty object', () => {
         expect(generateSavedDataHash({})).toBe('');
     });
@@ -326,3 +388,37 @@ describe('formatUrlPattern', () => {
         expect(formatUrlPattern('development.medicenter.cgm.ag')).toBe('*://development.medicenter.cgm.ag/*');
     });
 });
+
+// ---------------------------------------------------------------------------
+//  stableRuleId / createRuleIdAllocator (from src/background/modules/utils.ts)
+// ---------------------------------------------------------------------------
+
+describe('stableRuleId', () => {
+    it('returns the same positive 32-bit id for the same key', () => {
+        const id = stableRuleId('header\0rule-1\0api.openheaders.io\0request\0all');
+        expect(id).toBe(stableRuleId('header\0rule-1\0api.openheaders.io\0request\0all'));
+        expect(id).toBeGreaterThanOrEqual(1);
+        expect(id).toBeLessThanOrEqual(0x7fffffff);
+    });
+
+    it('returns different ids for different keys', () => {
+        expect(stableRuleId('header\0rule-1')).not.toBe(stableRuleId('header\0rule-2'));
+    });
+});
+
+describe('createRuleIdAllocator', () => {
+    it('hands out the stable id for a new key', () => {
+        const allocate = createRuleIdAllocator();
+        expect(allocate('url\0a')).toBe(stableRuleId('url\0a'));
+    });
+
+    it('probes to the next free id when a key repeats', () => {
+        const allocate = createRuleIdAllocator();
+        const first = allocate('url\0a');
+        expect(allocate('url\0a')).toBe(first + 1);
+    });
+
+    it('starts fresh for every allocator', () => {
+        expect(createRuleIdAllocator()('url\0a')).toBe(createRuleIdAllocator()('url\0a'));
+    });
+});
@@ -0,0 +1,139 @@
+import { describe, it, expect } from 'vitest';
+import { applyTransforms, describeTransform } from '../../src/utils/value-transforms';
+import type { ValueTransform } from '../../src/types/header';
+
+/** header.payload.signature with the given payload; the signature is never checked */
+function makeJwt(payload: Record<string, unknown>): string {
+    const encode = (value: unknown) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    return `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode(payload)}.sig`;
+}
+
+function run(value: string, ...transforms: ValueTransform[]) {
+    return applyTransforms(value, transforms);
+}
+
+describe('applyTransforms', () => {
+    it('returns the value unchanged without transforms', () => {
+        expect(applyTransforms('  raw  ', undefined)).toEqual({ ok: true, value: '  raw  ' });
+        expect(applyTransforms('  raw  ', [])).toEqual({ ok: true, value: '  raw  ' });
+    });
+
+    it('applies transforms in order', () => {
+        const result = run('{"token":"  abc  "}', { type: 'jsonPath', path: '$.token' }, { type: 'trim' }, { type: 'base64Encode' });
+        expect(result).toEqual({ ok: true, value: 'YWJj' });
+    });
+
+    it('stops at the first failing step and names it', () => {
+        const result = run('not json', { type: 'trim' }, { type: 'jsonPath', path: '$.token' }, { type: 'base64Encode' });
+        expect(result).toEqual({ ok: false, error: 'Step 2 (JSONPath): content is not valid JSON' });
+    });
+
+    describe('jsonPath', () => {
+        const doc = JSON.stringify({ data: { items: [{ id: 7, token: 'first' }], 'key.with.dots': 'dotted', flag: true, empty: null } });
+
+        it('reads nested fields and array items', () => {
+            expect(run(doc, { type: 'jsonPath', path: '$.data.items[0].token' })).toEqual({ ok: true, value: 'first' });
+        });
+
+        it('accepts bracket keys and paths without $', () => {
+            expect(run(doc, { type: 'jsonPath', path: "$.data['key.with.dots']" })).toEqual({ ok: true, value: 'dotted' });
+            expect(run(doc, { type: 'jsonPath', path: 'data.items[0].id' })).toEqual({ ok: true, value: '7' });
+        });
+
+        it('stringifies non-string results', () => {
+            expect(run(doc, { type: 'jsonPath', path: '$.data.flag' })).toEqual({ ok: true, value: 'true' });
+            expect(run(doc, { type: 'jsonPath', path: '$.data.items[0]' })).toEqual({ ok: true, value: '{"id":7,"token":"first"}' });
+        });
+
+        it('fails on missing, null and malformed paths', () => {
+            expect(run(doc, { type: 'jsonPath', path: '$.data.missing' })).toMatchObject({ ok: false, error: expect.stringContaining('$.data.missing not found') });
+            expect(run(doc, { type: 'jsonPath', path: '$.data.empty' })).toMatchObject({ ok: false, error: expect.stringContaining('is empty') });
+            expect(run(doc, { type: 'jsonPath', path: '$.data[' })).toMatchObject({ ok: false, error: expect.stringContaining('invalid path') });
+        });
+    });
+
+    describe('regex', () => {
+        it('keeps the first capture group by default', () => {
+            expect(run('session=abc123; Path=/', { type: 'regex', pattern: 'session=([^;]+)' })).toEqual({ ok: true, value: 'abc123' });
+        });
+
+        it('keeps the whole match without groups, or the requested group', () => {
+            expect(run('v=42', { type: 'regex', pattern: '\\d+' })).toEqual({ ok: true, value: '42' });
+            expect(run('a-b', { type: 'regex', pattern: '(\\w)-(\\w)', group: 2 })).toEqual({ ok: true, value: 'b' });
+        });
+
+        it('honours flags', () => {
+            expect(run('TOKEN: x', { type: 'regex', pattern: 'token: (\\w)', flags: 'i' })).toEqual({ ok: true, value: 'x' });
+        });
+
+        it('fails on no match, an invalid pattern or a group that captured nothing', () => {
+            expect(run('abc', { type: 'regex', pattern: '\\d+' })).toMatchObject({ ok: false, error: expect.stringContaining('did not match') });
+            expect(run('abc', { type: 'regex', pattern: '(' })).toMatchObject({ ok: false, error: expect.stringContaining('invalid pattern') });
+            expect(run('abc', { type: 'regex', pattern: 'a(x)?', group: 1 })).toMatchObject({ ok: false, error: expect.stringContaining('group 1') });
+        });
+    });
+
+    describe('base64', () => {
+        it('encodes and decodes UTF-8 text', () => {
+            expect(run('user:pässword', { type: 'base64Encode' })).toEqual({ ok: true, value: 'dXNlcjpww6Rzc3dvcmQ=' });
+            expect(run('dXNlcjpww6Rzc3dvcmQ=', { type: 'base64Decode' })).toEqual({ ok: true, value: 'user:pässword' });
+        });
+
+        it('decodes URL-safe base64 without padding', () => {
+            expect(run(Buffer.from('a?b>c').toString('base64url'), { type: 'base64Decode' })).toEqual({ ok: true, value: 'a?b>c' });
+        });
+
+        it('fails on invalid base64 and on binary content', () => {
+            expect(run('not base64!', { type: 'base64Decode' })).toMatchObject({ ok: false, error: expect.stringContaining('not valid base64') });
+            expect(run('/w==', { type: 'base64Decode' })).toMatchObject({ ok: false, error: expect.stringContaining('not UTF-8') });
+        });
+    });
+
+    it('URL-encodes and trims', () => {
+        expect(run('a b&c=d', { type: 'urlEncode' })).toEqual({ ok: true, value: 'a%20b%26c%3Dd' });
+        expect(run('\n token \t', { type: 'trim' })).toEqual({ ok: true, value: 'token' });
+    });
+
+    describe('jwtClaim', () => {
+        const jwt = makeJwt({ sub: 'user@acme.com', realm: { roles: ['admin'] }, exp: 1700000000 });
+
+        it('reads top-level and nested claims', () => {
+            expect(run(jwt, { type: 'jwtClaim', claim: 'sub' })).toEqual({ ok: true, value: 'user@acme.com' });
+            expect(run(jwt, { type: 'jwtClaim', claim: 'realm.roles[0]' })).toEqual({ ok: true, value: 'admin' });
+            expect(run(`  ${jwt}\n`, { type: 'jwtClaim', claim: 'exp' })).toEqual({ ok: true, value: '1700000000' });
+        });
+
+        it('fails on something that is not a JWT or a missing claim', () => {
+            expect(run('opaque-token', { type: 'jwtClaim', claim: 'sub' })).toMatchObject({ ok: false, error: expect.stringContaining('not a JWT') });
+            expect(run(jwt, { type: 'jwtClaim', claim: 'aud' })).toMatchObject({ ok: false, error: expect.stringContaining('aud not found') });
+        });
+    });
+
+    describe('hash', () => {
+        it('computes SHA-256 hex digests', () => {
+            expect(run('', { type: 'hash', algorithm: 'sha256' })).toEqual({ ok: true, value: 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855' });
+            expect(run('abc', { type: 'hash', algorithm: 'sha256' })).toEqual({ ok: true, value: 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad' });
+        });
+
+        it('handles input spanning several blocks', () => {
+            const input = 'abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq';
+            expect(run(input, { type: 'hash', algorithm: 'sha256' })).toEqual({ ok: true, value: '248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1' });
+            expect(run('a'.repeat(1000), { type: 'hash', algorithm: 'sha256' })).toEqual({ ok: true, value: '41edece42d63e8d9bf515a9ba6932e1c20cbc9f5a5d134645adb5db1b9737ea3' });
+        });
+
+        it('rejects unknown algorithms', () => {
+            expect(run('abc', { type: 'hash', algorithm: 'md5' } as unknown as ValueTransform)).toMatchObject({ ok: false, error: expect.stringContaining('unsupported algorithm md5') });
+        });
+    });
+
+    it('fails on unknown transform types', () => {
+        expect(run('abc', { type: 'reverse' } as unknown as ValueTransform)).toEqual({ ok: false, error: 'Step 1 (reverse): unknown transform reverse' });
+    });
+});
+
+describe('describeTransform', () => {
+    it('labels transforms for display', () => {
+        expect(describeTransform({ type: 'jwtClaim', claim: 'sub' })).toBe('JWT claim');
+        expect(describeTransform({ type: 'urlEncode' })).toBe('URL-encode');
+    });
+});